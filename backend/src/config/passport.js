@@ -0,0 +1,72 @@
+import passport from 'passport';
+import { Strategy as GoogleStrategy } from 'passport-google-oauth20';
+import { Strategy as GitHubStrategy } from 'passport-github2';
+import { logger } from '../utils/logger.js';
+
+// Scopes requested from each provider; both include the email address
+export const OAUTH_SCOPES = {
+  google: ['profile', 'email'],
+  github: ['read:user', 'user:email'],
+};
+
+const configured = new Set();
+
+const callbackURL = provider => `${process.env.API_URL}/api/auth/${provider}/callback`;
+
+// Strategies only normalize the profile; accounts are resolved by identity.service
+const normalizeGoogle = profile => ({
+  provider: 'google',
+  providerUserId: profile.id,
+  email: profile.emails?.[0]?.value?.toLowerCase() || null,
+  emailVerified: profile.emails?.[0]?.verified === true || profile._json?.email_verified === true,
+  displayName: profile.displayName || null,
+  avatar: profile.photos?.[0]?.value || null,
+});
+
+const normalizeGitHub = (profile) => {
+  const emails = profile.emails || [];
+  const email = emails.find(entry => entry.primary) || emails[0];
+
+  return {
+    provider: 'github',
+    providerUserId: profile.id,
+    email: email?.value?.toLowerCase() || null,
+    emailVerified: email?.verified === true,
+    displayName: profile.displayName || profile.username || null,
+    avatar: profile.photos?.[0]?.value || null,
+  };
+};
+
+const verifyWith = normalize => (accessToken, refreshToken, profile, done) => done(null, normalize(profile));
+
+/**
+ * Register the OAuth strategies that have credentials in the environment
+ * @returns {Object} passport
+ */
+export const configurePassport = () => {
+  if (process.env.GOOGLE_CLIENT_ID && process.env.GOOGLE_CLIENT_SECRET) {
+    passport.use(new GoogleStrategy({
+      clientID: process.env.GOOGLE_CLIENT_ID,
+      clientSecret: process.env.GOOGLE_CLIENT_SECRET,
+      callbackURL: callbackURL('google'),
+    }, verifyWith(normalizeGoogle)));
+    configured.add('google');
+  }
+
+  if (process.env.GITHUB_CLIENT_ID && process.env.GITHUB_CLIENT_SECRET) {
+    passport.use(new GitHubStrategy({
+      clientID: process.env.GITHUB_CLIENT_ID,
+      clientSecret: process.env.GITHUB_CLIENT_SECRET,
+      callbackURL: callbackURL('github'),
+      scope: OAUTH_SCOPES.github,
+    }, verifyWith(normalizeGitHub)));
+    configured.add('github');
+  }
+
+  logger.info(`OAuth providers: ${[...configured].join(', ') || 'none'}`);
+  return passport;
+};
+
+export const isProviderConfigured = provider => configured.has(provider);
+
+export default passport;
@@ -74,7 +74,7 @@ const options = {
             onlineLink: { type: 'string', format: 'uri', nullable: true },
             status: { 
               type: 'string', 
-              enum: ['draft', 'upcoming', 'ongoing', 'completed', 'cancelled'],
+              enum: ['draft', 'upcoming', 'ongoing', 'judging', 'completed', 'cancelled'],
               default: 'draft'
             },
             isPublished: { type: 'boolean', default: false },
@@ -152,13 +152,51 @@ const options = {
             submissionDeadline: { type: 'string', format: 'date-time' },
             status: { 
               type: 'string', 
-              enum: ['draft', 'upcoming', 'ongoing', 'completed', 'cancelled'] 
+              enum: ['draft', 'upcoming', 'ongoing', 'judging', 'completed', 'cancelled'] 
             },
             isPublished: { type: 'boolean', default: false },
             isOnline: { type: 'boolean', default: false },
             location: { type: 'string' },
             onlineLink: { type: 'string', format: 'uri' },
             maxParticipants: { type: 'integer', minimum: 1 },
+            waitlistEnabled: { type: 'boolean', default: true },
+            waitlistClaimHours: { type: 'integer', minimum: 0, default: 48 },
+            registrationForm: {
+              type: 'array',
+              items: {
+                type: 'object',
+                required: ['id', 'label', 'type'],
+                properties: {
+                  id: { type: 'string' },
+                  label: { type: 'string' },
+                  description: { type: 'string' },
+                  type: {
+                    type: 'string',
+                    enum: ['text', 'textarea', 'email', 'number', 'select', 'multiselect', 'checkbox', 'file', 'consent']
+                  },
+                  required: { type: 'boolean', default: false },
+                  options: {
+                    type: 'array',
+                    items: {
+                      type: 'object',
+                      properties: {
+                        value: { type: 'string' },
+                        label: { type: 'string' }
+                      }
+                    }
+                  },
+                  showIf: {
+                    type: 'object',
+                    properties: {
+                      fieldId: { type: 'string' },
+                      equals: {},
+                      in: { type: 'array', items: {} },
+                      notEmpty: { type: 'boolean' }
+                    }
+                  }
+                }
+              }
+            },
             registrationFee: { type: 'number', minimum: 0 },
             currency: { type: 'string', default: 'USD' },
             timezone: { type: 'string', default: 'UTC' },
@@ -169,10 +207,58 @@ const options = {
             bannerImage: { type: 'string' },
             logo: { type: 'string' },
             rules: { type: 'string' },
-            prizes: { type: 'string' },
+            prizes: {
+              type: 'array',
+              items: {
+                type: 'object',
+                required: ['id', 'name'],
+                properties: {
+                  id: { type: 'string' },
+                  name: { type: 'string' },
+                  description: { type: 'string' },
+                  type: { type: 'string', enum: ['overall', 'criterion', 'sponsor', 'audience'], default: 'overall' },
+                  criterionId: { type: 'string' },
+                  sponsor: { type: 'string' },
+                  places: { type: 'integer', minimum: 1, maximum: 10, default: 1 },
+                  rewards: { type: 'array', items: { type: 'string' } },
+                  eligibility: {
+                    type: 'object',
+                    properties: {
+                      optInRequired: { type: 'boolean' },
+                      minEvaluations: { type: 'integer', minimum: 0, default: 1 },
+                      excludePreviousWinners: { type: 'boolean', default: false }
+                    }
+                  }
+                }
+              }
+            },
             schedule: { type: 'string' },
             sponsors: { type: 'string' },
-            judgingCriteria: { type: 'string' },
+            judgingCriteria: {
+              type: 'array',
+              items: {
+                type: 'object',
+                required: ['id', 'name'],
+                properties: {
+                  id: { type: 'string' },
+                  name: { type: 'string' },
+                  description: { type: 'string' },
+                  maxScore: { type: 'number', default: 10 },
+                  weight: { type: 'number', default: 1 },
+                  rubric: {
+                    type: 'array',
+                    items: {
+                      type: 'object',
+                      properties: {
+                        score: { type: 'number' },
+                        label: { type: 'string' },
+                        description: { type: 'string' }
+                      }
+                    }
+                  }
+                }
+              }
+            },
             metadata: { type: 'object' },
             createdAt: { type: 'string', format: 'date-time' },
             updatedAt: { type: 'string', format: 'date-time' }
@@ -273,27 +359,16 @@ const options = {
               type: 'number', 
               minimum: 0, 
               maximum: 100,
-              description: 'Overall score (0-100)'
+              description: 'Overall score (0-100); the weighted criteria total when the event defines criteria'
             },
             feedback: { 
               type: 'string',
               description: 'Detailed feedback for the submission'
             },
-            criteria: {
-              type: 'array',
-              items: {
-                type: 'object',
-                properties: {
-                  name: { type: 'string' },
-                  score: { 
-                    type: 'number',
-                    minimum: 0,
-                    maximum: 10
-                  },
-                  comment: { type: 'string' }
-                },
-                required: ['name', 'score']
-              }
+            criteriaScores: {
+              type: 'object',
+              additionalProperties: { type: 'number', minimum: 0 },
+              description: 'Score per event criterion id, each between 0 and the criterion maxScore'
             },
             submissionId: { type: 'string', format: 'uuid' },
             evaluatedById: { type: 'string', format: 'uuid' },
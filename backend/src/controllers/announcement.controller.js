@@ -0,0 +1,464 @@
+import { Op } from 'sequelize';
+import { Announcement } from '../models/announcement.model.js';
+import { AnnouncementRecipient } from '../models/announcementRecipient.model.js';
+import { Event } from '../models/event.model.js';
+import { Team } from '../models/team.model.js';
+import { User } from '../models/user.model.js';
+import { logger } from '../utils/logger.js';
+
+// Fields that can no longer change once an announcement has gone out
+const DELIVERY_FIELDS = ['audience', 'publishAt'];
+
+const findManagedAnnouncement = async (id, user) => {
+  const announcement = await Announcement.findByPk(id, {
+    include: [{ model: Event, as: 'event', attributes: ['id', 'organizerId'] }]
+  });
+
+  if (!announcement) {
+    return { status: 404, message: 'Announcement not found' };
+  }
+
+  if (!announcement.event.isManagedBy(user)) {
+    return { status: 403, message: 'Not authorized to manage this announcement' };
+  }
+
+  return { announcement };
+};
+
+/**
+ * Check that a team audience only names teams from this event
+ * @returns {Promise<string|null>} Error message, or null when valid
+ */
+const validateAudience = async (audience, eventId) => {
+  if (audience?.type !== 'teams' || !Array.isArray(audience.teamIds)) return null;
+
+  const teamIds = [...new Set(audience.teamIds)];
+  const count = await Team.count({ where: { id: { [Op.in]: teamIds }, eventId } });
+
+  return count === teamIds.length ? null : 'Every team in the audience must belong to this event';
+};
+
+const parsePublishAt = (publishAt) => {
+  if (publishAt === undefined || publishAt === null) return { publishAt: null };
+
+  const date = new Date(publishAt);
+  return Number.isNaN(date.getTime()) ? { error: 'publishAt must be a valid date' } : { publishAt: date };
+};
+
+const validationFailed = (res, error) => res.status(400).json({
+  success: false,
+  message: error.errors.map(e => e.message).join(', ')
+});
+
+/**
+ * Get published public announcements for an event
+ * @route GET /announcements/events/:eventId/public
+ * @access Public
+ */
+export const getPublicAnnouncements = async (req, res) => {
+  try {
+    const announcements = await Announcement.findAll({
+      where: { eventId: req.params.eventId, status: 'published', isPublic: true },
+      attributes: ['id', 'title', 'content', 'isPinned', 'publishedAt', 'commentCount'],
+      order: [
+        ['isPinned', 'DESC'],
+        ['publishedAt', 'DESC']
+      ]
+    });
+
+    res.json({
+      success: true,
+      data: announcements
+    });
+  } catch (error) {
+    logger.error('Get public announcements error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch announcements'
+    });
+  }
+};
+
+/**
+ * Get an event's announcements. Organizers see drafts and scheduled
+ * announcements; everyone else sees published ones that are public or
+ * addressed to them, with their read status.
+ * @route GET /announcements/events/:eventId
+ * @access Private
+ */
+export const getEventAnnouncements = async (req, res) => {
+  try {
+    const { eventId } = req.params;
+    const event = await Event.findByPk(eventId, { attributes: ['id', 'organizerId'] });
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    if (event.isManagedBy(req.user)) {
+      const announcements = await Announcement.findByEvent(eventId);
+      return res.json({
+        success: true,
+        data: announcements
+      });
+    }
+
+    const announcements = await Announcement.findByEvent(eventId, req.user.id, {
+      where: {
+        eventId,
+        status: 'published',
+        [Op.or]: [
+          { isPublic: true },
+          { '$recipients.userId$': req.user.id }
+        ]
+      }
+    });
+
+    res.json({
+      success: true,
+      data: announcements
+    });
+  } catch (error) {
+    logger.error('Get event announcements error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch announcements'
+    });
+  }
+};
+
+/**
+ * Get the current user's unread announcement count
+ * @route GET /announcements/unread-count?eventId=
+ * @access Private
+ */
+export const getUnreadCount = async (req, res) => {
+  try {
+    const count = await Announcement.getUnreadCount(req.user.id, req.query.eventId || null);
+
+    res.json({
+      success: true,
+      data: { count }
+    });
+  } catch (error) {
+    logger.error('Get unread announcement count error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch unread count'
+    });
+  }
+};
+
+/**
+ * Get an announcement
+ * @route GET /announcements/:id
+ * @access Private
+ */
+export const getAnnouncement = async (req, res) => {
+  try {
+    const announcement = await Announcement.findByPk(req.params.id, {
+      include: [
+        { model: Event, as: 'event', attributes: ['id', 'title', 'organizerId'] },
+        { model: User, as: 'createdBy', attributes: ['id', 'name', 'avatar'] },
+        {
+          model: AnnouncementRecipient,
+          as: 'recipients',
+          where: { userId: req.user.id },
+          required: false,
+          attributes: ['status', 'readAt']
+        }
+      ]
+    });
+
+    const isVisible = announcement && (
+      announcement.event.isManagedBy(req.user)
+      || (announcement.status === 'published' && (announcement.isPublic || announcement.recipients.length > 0))
+    );
+
+    if (!isVisible) {
+      return res.status(404).json({
+        success: false,
+        message: 'Announcement not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: announcement
+    });
+  } catch (error) {
+    logger.error('Get announcement error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch announcement'
+    });
+  }
+};
+
+/**
+ * Mark an announcement as read, recording a read receipt
+ * @route POST /announcements/:id/read
+ * @access Private (recipients)
+ */
+export const markAnnouncementRead = async (req, res) => {
+  try {
+    const announcement = await Announcement.findOne({
+      where: { id: req.params.id, status: 'published' }
+    });
+
+    const recipient = announcement && await announcement.markAsRead(req.user.id);
+
+    if (!recipient) {
+      return res.status(404).json({
+        success: false,
+        message: 'Announcement not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        status: recipient.status,
+        readAt: recipient.readAt
+      }
+    });
+  } catch (error) {
+    logger.error('Mark announcement read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to mark announcement as read'
+    });
+  }
+};
+
+/**
+ * Create an announcement. It is published right away with `publish: true`
+ * or a past `publishAt`, scheduled with a future `publishAt`, and saved as
+ * a draft otherwise.
+ * @route POST /announcements/events/:eventId
+ * @access Private (Admin/Organizer)
+ */
+export const createAnnouncement = async (req, res) => {
+  try {
+    const { event } = req;
+
+    const { title, content, isPinned, isPublic, audience, metadata, publish = false } = req.body;
+
+    const { publishAt, error: dateError } = parsePublishAt(req.body.publishAt);
+    const audienceError = dateError || await validateAudience(audience, event.id);
+    if (audienceError) {
+      return res.status(400).json({
+        success: false,
+        message: audienceError
+      });
+    }
+
+    const publishNow = Boolean(publish) || (publishAt !== null && publishAt <= new Date());
+
+    const announcement = await Announcement.create({
+      eventId: event.id,
+      createdById: req.user.id,
+      title,
+      content,
+      isPinned,
+      isPublic,
+      audience: audience || { type: 'all' },
+      publishAt,
+      status: !publishNow && publishAt ? 'scheduled' : 'draft',
+      metadata: metadata || {}
+    });
+
+    const recipientCount = publishNow ? await announcement.publish() : 0;
+
+    res.status(201).json({
+      success: true,
+      data: announcement,
+      recipientCount
+    });
+  } catch (error) {
+    logger.error('Create announcement error:', error);
+
+    if (error.name === 'SequelizeValidationError') {
+      return validationFailed(res, error);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create announcement',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Update an announcement. Audience and schedule are fixed once published.
+ * @route PUT /announcements/:id
+ * @access Private (Admin/Organizer)
+ */
+export const updateAnnouncement = async (req, res) => {
+  try {
+    const { announcement, status, message } = await findManagedAnnouncement(req.params.id, req.user);
+    if (!announcement) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    const { title, content, isPinned, isPublic, audience, metadata } = req.body;
+    const isPublished = announcement.status === 'published';
+
+    if (isPublished && DELIVERY_FIELDS.some(field => req.body[field] !== undefined)) {
+      return res.status(400).json({
+        success: false,
+        message: 'The audience and publish time cannot change after an announcement is published'
+      });
+    }
+
+    const { publishAt, error: dateError } = parsePublishAt(req.body.publishAt);
+    const audienceError = dateError || await validateAudience(audience, announcement.eventId);
+    if (audienceError) {
+      return res.status(400).json({
+        success: false,
+        message: audienceError
+      });
+    }
+
+    if (title !== undefined) announcement.title = title;
+    if (content !== undefined) announcement.content = content;
+    if (isPinned !== undefined) announcement.isPinned = isPinned;
+    if (isPublic !== undefined) announcement.isPublic = isPublic;
+    if (audience !== undefined) announcement.audience = audience;
+    if (metadata !== undefined) announcement.metadata = metadata;
+
+    // Setting or clearing publishAt moves a draft in or out of the schedule
+    if (req.body.publishAt !== undefined) {
+      announcement.publishAt = publishAt;
+      announcement.status = publishAt ? 'scheduled' : 'draft';
+    }
+
+    await announcement.save();
+
+    const publishNow = announcement.status === 'scheduled' && announcement.publishAt <= new Date();
+    const recipientCount = publishNow ? await announcement.publish() : undefined;
+
+    res.json({
+      success: true,
+      data: announcement,
+      recipientCount
+    });
+  } catch (error) {
+    logger.error('Update announcement error:', error);
+
+    if (error.name === 'SequelizeValidationError') {
+      return validationFailed(res, error);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update announcement',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Publish a draft or scheduled announcement now
+ * @route POST /announcements/:id/publish
+ * @access Private (Admin/Organizer)
+ */
+export const publishAnnouncement = async (req, res) => {
+  try {
+    const { announcement, status, message } = await findManagedAnnouncement(req.params.id, req.user);
+    if (!announcement) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    const recipientCount = await announcement.publish();
+
+    if (recipientCount === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Announcement is already published'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: announcement,
+      recipientCount
+    });
+  } catch (error) {
+    logger.error('Publish announcement error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to publish announcement',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Get read receipts for a published announcement
+ * @route GET /announcements/:id/receipts?status=read|unread
+ * @access Private (Admin/Organizer)
+ */
+export const getReadReceipts = async (req, res) => {
+  try {
+    const { announcement, status, message } = await findManagedAnnouncement(req.params.id, req.user);
+    if (!announcement) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    const where = { announcementId: announcement.id };
+    if (['read', 'unread'].includes(req.query.status)) where.status = req.query.status;
+
+    const recipients = await AnnouncementRecipient.findAll({
+      where,
+      attributes: ['status', 'readAt'],
+      include: [{ model: User, as: 'user', attributes: ['id', 'name', 'email', 'avatar'] }],
+      order: [['readAt', 'DESC NULLS LAST']]
+    });
+
+    res.json({
+      success: true,
+      data: {
+        summary: await AnnouncementRecipient.getReceiptSummary(announcement.id),
+        recipients
+      }
+    });
+  } catch (error) {
+    logger.error('Get read receipts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch read receipts'
+    });
+  }
+};
+
+/**
+ * Delete an announcement
+ * @route DELETE /announcements/:id
+ * @access Private (Admin/Organizer)
+ */
+export const deleteAnnouncement = async (req, res) => {
+  try {
+    const { announcement, status, message } = await findManagedAnnouncement(req.params.id, req.user);
+    if (!announcement) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    await announcement.destroy();
+
+    res.json({
+      success: true,
+      message: 'Announcement deleted'
+    });
+  } catch (error) {
+    logger.error('Delete announcement error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete announcement'
+    });
+  }
+};
@@ -1,8 +1,70 @@
 import { User } from '../models/user.model.js';
-import { generateAuthTokens, comparePasswords, hashPassword, generateRandomToken, generateVerificationCode } from '../utils/auth.js';
+import { Session } from '../models/session.model.js';
+import { TwoFactorRecoveryCode } from '../models/twoFactorRecoveryCode.model.js';
+import { comparePasswords, hashPassword, generateRandomToken, generateVerificationCode } from '../utils/auth.js';
 import { logger } from '../utils/logger.js';
 import { sendEmail } from '../services/email.service.js';
+import { endSession, rotateRefreshToken, sessionContext, startSession } from '../services/session.service.js';
+import { redeemExchangeCode } from '../services/identity.service.js';
+import {
+  clearTwoFactorFailures,
+  createLoginChallenge,
+  getTwoFactorLockout,
+  isTwoFactorRequired,
+  recordTwoFactorFailure,
+  verifyLoginChallenge,
+  verifySecondFactor,
+} from '../services/twoFactor.service.js';
 import { v4 as uuidv4 } from 'uuid';
+import { Op } from 'sequelize';
+
+// Start a session for a user who has passed every login step and send the tokens
+const respondWithSession = async (req, res, user, extra = {}) => {
+  await User.update({ lastLoginAt: new Date() }, { where: { id: user.id } });
+
+  const { accessToken, refreshToken, user: userData } = await startSession(user, sessionContext(req));
+
+  res.json({
+    success: true,
+    data: {
+      user: userData,
+      tokens: {
+        accessToken,
+        refreshToken,
+      },
+      // Privileged features stay locked until this is done
+      twoFactorSetupRequired: isTwoFactorRequired(user) && !user.twoFactorEnabled,
+      ...extra,
+    },
+  });
+};
+
+// Finish a login whose first factor passed: accounts with two-factor
+// authentication get a challenge to answer instead of tokens
+const completeLogin = async (req, res, user) => {
+  if (user.twoFactorEnabled) {
+    return res.json({
+      success: true,
+      data: {
+        twoFactorRequired: true,
+        challengeToken: createLoginChallenge(user),
+      },
+    });
+  }
+
+  return respondWithSession(req, res, user);
+};
+
+// Too many wrong codes: every challenge for the user is refused until the lockout ends
+const twoFactorLocked = (res, lockedUntil) => {
+  res.set('Retry-After', String(Math.ceil((lockedUntil - Date.now()) / 1000)));
+  return res.status(429).json({
+    success: false,
+    message: 'Too many invalid codes. Try again later.',
+    code: 'TWO_FACTOR_LOCKED',
+    lockedUntil,
+  });
+};
 
 /**
  * @swagger
@@ -85,15 +147,15 @@ export const register = async (req, res, next) => {
       emailVerificationExpires: new Date(Date.now() + 24 * 60 * 60 * 1000), // 24 hours
     });
 
-    // Generate tokens
-    const { accessToken, refreshToken, user: userData } = generateAuthTokens(user);
+    // Start a session and generate its tokens
+    const { accessToken, refreshToken, user: userData } = await startSession(user, sessionContext(req));
 
     // Send verification email
     try {
       await sendEmail({
         to: user.email,
-        subject: 'Verify your email',
         template: 'verify-email',
+        locale: user.locale,
         context: {
           name: user.name,
           verificationLink: `${process.env.FRONTEND_URL}/verify-email?token=${user.emailVerificationToken}`,
@@ -143,7 +205,7 @@ export const register = async (req, res, next) => {
  *                 type: string
  *     responses:
  *       200:
- *         description: Login successful
+ *         description: Login successful. With two-factor authentication enabled, the response holds `twoFactorRequired` and a `challengeToken` for POST /api/auth/login/2fa instead of tokens.
  *         content:
  *           application/json:
  *             schema:
@@ -224,24 +286,59 @@ export const login = async (req, res, next) => {
       });
     }
 
-    // Update last login timestamp
-    user.lastLoginAt = new Date();
-    await user.save();
+    await completeLogin(req, res, user);
+  } catch (error) {
+    next(error);
+  }
+};
 
-    // Generate tokens
-    const { accessToken, refreshToken, user: userData } = generateAuthTokens(user);
+/**
+ * Second step of a login with two-factor authentication: answer the
+ * challenge with an authenticator code or a recovery code
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export const verifyTwoFactorLogin = async (req, res, next) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
 
-    // Return user data and tokens
-    res.json({
-      success: true,
-      data: {
-        user: userData,
-        tokens: {
-          accessToken,
-          refreshToken,
-        },
-      },
-    });
+    const userId = typeof challengeToken === 'string' ? verifyLoginChallenge(challengeToken) : null;
+    const user = userId && await User.scope('withTwoFactor').findByPk(userId);
+
+    if (!user || !user.isActive || !user.twoFactorEnabled) {
+      return res.status(401).json({
+        success: false,
+        message: 'Login challenge is invalid or has expired, please log in again',
+        code: 'CHALLENGE_EXPIRED',
+      });
+    }
+
+    const lockedUntil = getTwoFactorLockout(user);
+    if (lockedUntil) {
+      return twoFactorLocked(res, lockedUntil);
+    }
+
+    const method = await verifySecondFactor(user, { code, recoveryCode });
+    if (!method) {
+      logger.warn(`Failed two-factor login for user ${user.id}`);
+
+      const lockout = await recordTwoFactorFailure(user);
+      if (lockout) {
+        logger.warn(`Two-factor login locked for user ${user.id} until ${lockout.toISOString()}`);
+        return twoFactorLocked(res, lockout);
+      }
+
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid code',
+      });
+    }
+
+    await clearTwoFactorFailures(user);
+    await respondWithSession(req, res, user, method === 'recovery_code'
+      ? { recoveryCodesRemaining: await TwoFactorRecoveryCode.countRemaining(user.id) }
+      : {});
   } catch (error) {
     next(error);
   }
@@ -289,9 +386,7 @@ export const login = async (req, res, next) => {
  *       400:
  *         $ref: '#/components/responses/ValidationError'
  *       401:
- *         description: Invalid refresh token
- *       403:
- *         description: Refresh token was expired or invalid
+ *         description: Invalid, expired or already used refresh token. Reusing a token signs its session out.
  *
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
@@ -308,26 +403,17 @@ export const refreshToken = async (req, res, next) => {
       });
     }
 
-    // Verify refresh token
-    const decoded = verifyToken(refreshToken, process.env.JWT_REFRESH_SECRET);
-    if (!decoded) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid or expired refresh token',
-      });
-    }
-
-    // Find user
-    const user = await User.findByPk(decoded.id);
-    if (!user) {
-      return res.status(401).json({
+    // Exchange the refresh token; it cannot be used again
+    const { tokens, status, message, code } = await rotateRefreshToken(refreshToken, sessionContext(req));
+    if (!tokens) {
+      return res.status(status).json({
         success: false,
-        message: 'User not found',
+        message,
+        code,
       });
     }
 
-    // Generate new tokens
-    const { accessToken: newAccessToken, refreshToken: newRefreshToken, user: userData } = generateAuthTokens(user);
+    const { accessToken: newAccessToken, refreshToken: newRefreshToken, user: userData } = tokens;
 
     // Return new tokens
     res.json({
@@ -346,15 +432,19 @@ export const refreshToken = async (req, res, next) => {
 };
 
 /**
- * Logout user
+ * Logout user. Revokes the session of the refresh token in the body and
+ * of the access token in the Authorization header, and blocks that access
+ * token until it expires.
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {Function} next - Express next middleware function
  */
 export const logout = async (req, res, next) => {
   try {
-    // If using token blacklist, you would add the token to the blacklist here
-    // await TokenBlacklist.create({ token: req.token });
+    await endSession({
+      accessToken: req.header('Authorization')?.replace('Bearer ', '') || req.cookies?.accessToken,
+      refreshToken: req.body.refreshToken || req.cookies?.refreshToken,
+    });
 
     res.json({
       success: true,
@@ -365,6 +455,130 @@ export const logout = async (req, res, next) => {
   }
 };
 
+/**
+ * Email a single-use sign-in link
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export const requestMagicLink = async (req, res, next) => {
+  try {
+    const { email } = req.body;
+    const expiresInMinutes = parseInt(process.env.MAGIC_LINK_EXPIRES_MINUTES || '15');
+
+    // Find user by email
+    const user = await User.findOne({ where: { email } });
+
+    if (user && user.isActive) {
+      const token = user.createMagicLinkToken(expiresInMinutes);
+      await user.save();
+
+      try {
+        await sendEmail({
+          to: user.email,
+          template: 'magic-link',
+          locale: user.locale,
+          userId: user.id,
+          context: {
+            name: user.name,
+            loginLink: `${process.env.FRONTEND_URL}/magic-link?token=${token}`,
+            expiresIn: `${expiresInMinutes} minutes`,
+          },
+        });
+      } catch (error) {
+        logger.error(`Failed to send magic link email: ${error.message}`);
+        // Don't fail the request if email sending fails
+      }
+    }
+
+    // Always return success to prevent email enumeration
+    res.json({
+      success: true,
+      message: 'If an account with that email exists, a sign-in link has been sent',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Sign in with the token from a magic link. Counts as the first login
+ * factor, so accounts with two-factor authentication still get a challenge.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export const consumeMagicLink = async (req, res, next) => {
+  try {
+    const tokenHash = User.hashMagicLinkToken(String(req.body.token));
+
+    const user = await User.findOne({
+      where: {
+        magicLinkToken: tokenHash,
+        magicLinkExpires: { [Op.gt]: new Date() },
+      },
+    });
+
+    // Clearing the token is conditional, so a link opened twice at once only works once.
+    // Following the link proves the address, so it also verifies the email.
+    const [claimed] = user
+      ? await User.update(
+        { magicLinkToken: null, magicLinkExpires: null, isEmailVerified: true },
+        { where: { id: user.id, magicLinkToken: tokenHash } }
+      )
+      : [0];
+
+    if (!claimed) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired sign-in link',
+      });
+    }
+
+    if (!user.isActive) {
+      return res.status(403).json({
+        success: false,
+        message: 'Your account has been deactivated',
+      });
+    }
+
+    user.isEmailVerified = true;
+    await completeLogin(req, res, user);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Trade the one-time code from an OAuth login redirect for tokens
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export const exchangeOAuthCode = async (req, res, next) => {
+  try {
+    const user = await redeemExchangeCode(req.body.code);
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired sign-in code',
+      });
+    }
+
+    if (!user.isActive) {
+      return res.status(403).json({
+        success: false,
+        message: 'Your account has been deactivated',
+      });
+    }
+
+    await completeLogin(req, res, user);
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Request password reset
  * @param {Object} req - Express request object
@@ -391,8 +605,8 @@ export const forgotPassword = async (req, res, next) => {
       try {
         await sendEmail({
           to: user.email,
-          subject: 'Reset your password',
           template: 'reset-password',
+          locale: user.locale,
           context: {
             name: user.name,
             resetLink: `${process.env.FRONTEND_URL}/reset-password?token=${resetToken}`,
@@ -446,12 +660,15 @@ export const resetPassword = async (req, res, next) => {
     user.passwordResetExpires = null;
     await user.save();
 
+    // Whoever knew the old password may still be signed in
+    await Session.revokeAllForUser(user.id, 'password_reset');
+
     // Send confirmation email
     try {
       await sendEmail({
         to: user.email,
-        subject: 'Password changed successfully',
         template: 'password-changed',
+        locale: user.locale,
         context: {
           name: user.name,
         },
@@ -554,8 +771,8 @@ export const resendVerificationEmail = async (req, res, next) => {
     try {
       await sendEmail({
         to: user.email,
-        subject: 'Verify your email',
         template: 'verify-email',
+        locale: user.locale,
         context: {
           name: user.name,
           verificationLink: `${process.env.FRONTEND_URL}/verify-email?token=${verificationToken}`,
@@ -614,7 +831,7 @@ export const getMe = async (req, res, next) => {
  */
 export const updateProfile = async (req, res, next) => {
   try {
-    const { name, bio, skills } = req.body;
+    const { name, bio, skills, affiliations, locale } = req.body;
     const userId = req.user.id;
 
     const user = await User.findByPk(userId);
@@ -629,6 +846,8 @@ export const updateProfile = async (req, res, next) => {
     if (name) user.name = name;
     if (bio !== undefined) user.bio = bio;
     if (skills !== undefined) user.skills = skills;
+    if (affiliations !== undefined) user.affiliations = affiliations;
+    if (locale !== undefined) user.locale = locale;
 
     await user.save();
 
@@ -672,12 +891,17 @@ export const changePassword = async (req, res, next) => {
     user.password = newPassword;
     await user.save();
 
+    // Tokens issued before the change stop working, so sign out every
+    // session and give this device a new one
+    await Session.revokeAllForUser(user.id, 'password_changed');
+    const { accessToken, refreshToken } = await startSession(user, sessionContext(req));
+
     // Send confirmation email
     try {
       await sendEmail({
         to: user.email,
-        subject: 'Password changed',
         template: 'password-changed',
+        locale: user.locale,
         context: {
           name: user.name,
         },
@@ -690,6 +914,12 @@ export const changePassword = async (req, res, next) => {
     res.json({
       success: true,
       message: 'Password updated successfully',
+      data: {
+        tokens: {
+          accessToken,
+          refreshToken,
+        },
+      },
     });
   } catch (error) {
     next(error);
@@ -0,0 +1,395 @@
+import { Op } from 'sequelize';
+import { Event } from '../models/event.model.js';
+import { EventParticipant } from '../models/eventParticipant.model.js';
+import { User } from '../models/user.model.js';
+import {
+  createCheckInToken,
+  renderQrDataUrl,
+  renderQrPng,
+  verifyCheckInToken
+} from '../services/checkIn.service.js';
+import { emitToEventOrganizers } from '../services/socketService.js';
+import { logger } from '../utils/logger.js';
+
+const MAX_BATCH_SIZE = 500;
+
+const SCAN_STATUS_CODES = {
+  checked_in: 200,
+  duplicate: 409,
+  invalid: 400,
+  wrong_event: 400,
+  not_registered: 404
+};
+
+// Organizers, admins and users the organizer added as staff
+const findStaffEvent = async (eventId, user) => {
+  const event = await Event.findByPk(eventId);
+
+  if (!event) {
+    return { status: 404, message: 'Event not found' };
+  }
+
+  if (!event.isManagedBy(user)) {
+    const isStaff = await EventParticipant.count({
+      where: {
+        eventId,
+        userId: user.id,
+        role: 'staff',
+        status: { [Op.ne]: 'withdrawn' }
+      }
+    }) > 0;
+
+    if (!isStaff) {
+      return { status: 403, message: 'Only event staff can check people in' };
+    }
+  }
+
+  return { event };
+};
+
+const getCheckInStats = async (eventId) => {
+  const stats = await EventParticipant.getStats(eventId, { role: 'participant' });
+  const checkedIn = stats.byStatus.checked_in || 0;
+
+  return {
+    eventId,
+    checkedIn,
+    expected: checkedIn + (stats.byStatus.registered || 0),
+    stats
+  };
+};
+
+const broadcastStats = async (eventId) => {
+  const stats = await getCheckInStats(eventId);
+  emitToEventOrganizers(eventId, 'check-in:update', stats);
+  return stats;
+};
+
+const summarize = participant => ({
+  id: participant.id,
+  name: participant.user?.name,
+  email: participant.user?.email,
+  registrationData: participant.registrationData
+});
+
+/**
+ * Verify one scanned token and check its holder in
+ * @returns {Promise<Object>} { result, message, participant, checkedInAt }
+ */
+const processScan = async (event, token, staff, scannedAt = new Date()) => {
+  const claims = typeof token === 'string' ? verifyCheckInToken(token.trim()) : null;
+
+  if (!claims) {
+    return { result: 'invalid', message: 'Invalid or expired ticket' };
+  }
+
+  if (claims.eventId !== event.id) {
+    return { result: 'wrong_event', message: 'This ticket is for a different event' };
+  }
+
+  const participant = await EventParticipant.findOne({
+    where: { id: claims.participantId, eventId: event.id },
+    include: [{ model: User, as: 'user', attributes: ['id', 'name', 'email'] }]
+  });
+
+  if (!participant || !['registered', 'checked_in'].includes(participant.status)) {
+    return { result: 'not_registered', message: 'This ticket is no longer valid for the event' };
+  }
+
+  const checkedIn = participant.status === 'registered'
+    && await participant.checkIn({ at: scannedAt, byId: staff.id });
+
+  if (!checkedIn) {
+    logger.warn(`Duplicate check-in scan for participant ${participant.id} by ${staff.id}`);
+    return {
+      result: 'duplicate',
+      message: 'Already checked in',
+      participant: summarize(participant),
+      checkedInAt: participant.checkedInAt,
+      checkedInById: participant.checkedInById
+    };
+  }
+
+  return {
+    result: 'checked_in',
+    message: 'Checked in',
+    participant: summarize(participant),
+    checkedInAt: participant.checkedInAt
+  };
+};
+
+/**
+ * Render a check-in QR code. Used by the ticket email, so the token in the
+ * URL is the only credential.
+ * @route GET /check-in/qr/:token
+ * @access Public
+ */
+export const getQrImage = async (req, res) => {
+  try {
+    if (!verifyCheckInToken(req.params.token)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ticket not found'
+      });
+    }
+
+    res.setHeader('Content-Type', 'image/png');
+    res.setHeader('Cache-Control', 'private, max-age=86400');
+    res.send(await renderQrPng(req.params.token));
+  } catch (error) {
+    logger.error('Render QR code error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to render QR code'
+    });
+  }
+};
+
+/**
+ * Get your check-in ticket for an event
+ * @route GET /check-in/events/:eventId/ticket
+ * @access Private
+ */
+export const getMyTicket = async (req, res) => {
+  try {
+    const event = await Event.findByPk(req.params.eventId);
+    const participant = event && await EventParticipant.findOne({
+      where: {
+        eventId: event.id,
+        userId: req.user.id,
+        status: { [Op.in]: ['registered', 'checked_in'] }
+      }
+    });
+
+    if (!participant) {
+      return res.status(404).json({
+        success: false,
+        message: 'You do not have a confirmed registration for this event'
+      });
+    }
+
+    const token = createCheckInToken(participant, event);
+
+    res.json({
+      success: true,
+      data: {
+        token,
+        qrCode: await renderQrDataUrl(token),
+        status: participant.status,
+        checkedInAt: participant.checkedInAt
+      }
+    });
+  } catch (error) {
+    logger.error('Get check-in ticket error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch ticket'
+    });
+  }
+};
+
+/**
+ * Check someone in by scanning their ticket
+ * @route POST /check-in/events/:eventId/scan
+ * @access Private (event staff)
+ */
+export const scanTicket = async (req, res) => {
+  try {
+    const { event, status, message } = await findStaffEvent(req.params.eventId, req.user);
+    if (!event) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    const scan = await processScan(event, req.body.token, req.user);
+    const stats = scan.result === 'checked_in' ? await broadcastStats(event.id) : undefined;
+
+    res.status(SCAN_STATUS_CODES[scan.result]).json({
+      success: scan.result === 'checked_in',
+      ...scan,
+      stats
+    });
+  } catch (error) {
+    logger.error('Check-in scan error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to check in'
+    });
+  }
+};
+
+/**
+ * Upload scans collected offline. Scans are applied in the order they
+ * happened and keep their original time; re-uploading a batch is safe
+ * because repeats come back as duplicates.
+ * @route POST /check-in/events/:eventId/batch
+ * @access Private (event staff)
+ */
+export const batchCheckIn = async (req, res) => {
+  try {
+    const { event, status, message } = await findStaffEvent(req.params.eventId, req.user);
+    if (!event) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    const { scans } = req.body;
+    if (!Array.isArray(scans) || scans.length === 0 || scans.length > MAX_BATCH_SIZE) {
+      return res.status(400).json({
+        success: false,
+        message: `scans must be an array of 1 to ${MAX_BATCH_SIZE} items`
+      });
+    }
+
+    const now = new Date();
+    const ordered = scans
+      .map((scan, index) => {
+        const scannedAt = new Date(scan?.scannedAt);
+        // Device clocks drift; unknown or future times become the upload time
+        const valid = !Number.isNaN(scannedAt.getTime()) && scannedAt <= now;
+        return { index, token: scan?.token, deviceId: scan?.deviceId, scannedAt: valid ? scannedAt : now };
+      })
+      .sort((a, b) => a.scannedAt - b.scannedAt);
+
+    const results = [];
+    for (const scan of ordered) {
+      const outcome = await processScan(event, scan.token, req.user, scan.scannedAt);
+      results.push({ index: scan.index, deviceId: scan.deviceId, ...outcome });
+    }
+
+    results.sort((a, b) => a.index - b.index);
+
+    const summary = results.reduce((counts, { result }) => ({
+      ...counts,
+      [result]: (counts[result] || 0) + 1
+    }), {});
+
+    res.json({
+      success: true,
+      data: {
+        summary,
+        results,
+        stats: await broadcastStats(event.id)
+      }
+    });
+  } catch (error) {
+    logger.error('Batch check-in error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to process check-ins'
+    });
+  }
+};
+
+/**
+ * Live check-in numbers
+ * @route GET /check-in/events/:eventId/stats
+ * @access Private (event staff)
+ */
+export const getStats = async (req, res) => {
+  try {
+    const { event, status, message } = await findStaffEvent(req.params.eventId, req.user);
+    if (!event) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    res.json({
+      success: true,
+      data: await getCheckInStats(event.id)
+    });
+  } catch (error) {
+    logger.error('Get check-in stats error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch check-in stats'
+    });
+  }
+};
+
+/**
+ * Let a user scan tickets for an event
+ * @route POST /check-in/events/:eventId/staff
+ * @access Private (event organizer or admin)
+ */
+export const addStaff = async (req, res) => {
+  try {
+    const event = await Event.findByPk(req.params.eventId);
+
+    if (!event || !event.isManagedBy(req.user)) {
+      return res.status(event ? 403 : 404).json({
+        success: false,
+        message: event ? 'Not authorized to manage staff for this event' : 'Event not found'
+      });
+    }
+
+    const user = await User.findByPk(req.body.userId, { attributes: ['id', 'name', 'email'] });
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const [staff, created] = await EventParticipant.findOrCreate({
+      where: { eventId: event.id, userId: user.id },
+      defaults: { role: 'staff' }
+    });
+
+    if (!created && staff.role !== 'staff') {
+      return res.status(400).json({
+        success: false,
+        message: `This user is already part of the event as ${staff.role}`
+      });
+    }
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      data: { user, role: staff.role }
+    });
+  } catch (error) {
+    logger.error('Add check-in staff error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add staff member'
+    });
+  }
+};
+
+/**
+ * Remove a staff member
+ * @route DELETE /check-in/events/:eventId/staff/:userId
+ * @access Private (event organizer or admin)
+ */
+export const removeStaff = async (req, res) => {
+  try {
+    const event = await Event.findByPk(req.params.eventId);
+
+    if (!event || !event.isManagedBy(req.user)) {
+      return res.status(event ? 403 : 404).json({
+        success: false,
+        message: event ? 'Not authorized to manage staff for this event' : 'Event not found'
+      });
+    }
+
+    const removed = await EventParticipant.destroy({
+      where: { eventId: event.id, userId: req.params.userId, role: 'staff' },
+      force: true
+    });
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        message: 'Staff member not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Staff member removed'
+    });
+  } catch (error) {
+    logger.error('Remove check-in staff error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove staff member'
+    });
+  }
+};
@@ -0,0 +1,426 @@
+import { Comment } from '../models/comment.model.js';
+import { COMMENT_REACTIONS } from '../models/commentReaction.model.js';
+import { User } from '../models/user.model.js';
+import { logger } from '../utils/logger.js';
+
+const THREAD_TYPES = {
+  submissions: 'submission',
+  announcements: 'announcement'
+};
+
+/**
+ * Shape a comment for a reader: hidden content is only shown to moderators,
+ * removed comments are placeholders, internal replies only reach judges and
+ * organizers, and the edit history is served separately
+ */
+const present = (data, access) => {
+  const { editHistory = [], ...comment } = data;
+
+  if (comment.isHidden && !access.canModerate) {
+    comment.content = null;
+    comment.mentions = [];
+    delete comment.hiddenReason;
+  }
+
+  if (comment.removedAt) {
+    comment.content = null;
+    comment.mentions = [];
+  }
+
+  comment.isEdited = editHistory.length > 0;
+
+  if (comment.replies) {
+    comment.replies = comment.replies
+      .filter(reply => access.canViewInternal || !reply.isInternal)
+      .map(reply => present(reply, access));
+  }
+
+  return comment;
+};
+
+const resolveThread = async (req) => {
+  const type = THREAD_TYPES[req.params.threadType];
+  const thread = type && await Comment.loadThread(type, req.params.threadId);
+
+  if (!thread) {
+    return { status: 404, message: 'Not found' };
+  }
+
+  const access = await Comment.getThreadAccess(thread, req.user);
+  if (!access.canView) {
+    return { status: 403, message: 'Not authorized to view these comments' };
+  }
+
+  return { thread, access };
+};
+
+const findAccessibleComment = async (id, user) => {
+  const comment = await Comment.findByPk(id);
+  const thread = comment && await comment.getThread();
+
+  if (!thread) {
+    return { status: 404, message: 'Comment not found' };
+  }
+
+  const access = await Comment.getThreadAccess(thread, user);
+  if (!access.canView || (comment.isInternal && !access.canViewInternal)) {
+    return { status: 404, message: 'Comment not found' };
+  }
+
+  return { comment, thread, access };
+};
+
+/**
+ * Get the comment thread for a submission or announcement
+ * @route GET /comments/:threadType/:threadId
+ * @access Private
+ */
+export const getComments = async (req, res) => {
+  try {
+    const { thread, access, status, message } = await resolveThread(req);
+    if (!thread) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    const where = { [`${thread.type}Id`]: thread.resource.id, parentId: null };
+    if (!access.canViewInternal) where.isInternal = false;
+
+    const comments = thread.type === 'submission'
+      ? await Comment.findBySubmission(thread.resource.id, { where })
+      : await Comment.findByAnnouncement(thread.resource.id, { where });
+
+    res.json({
+      success: true,
+      data: comments.map(comment => present(comment.toJSON(), access))
+    });
+  } catch (error) {
+    logger.error('Get comments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch comments'
+    });
+  }
+};
+
+/**
+ * Comment on a submission or announcement, or reply to a comment
+ * @route POST /comments/:threadType/:threadId
+ * @access Private
+ */
+export const createComment = async (req, res) => {
+  try {
+    const { thread, access, status, message } = await resolveThread(req);
+    if (!thread) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    const { content, parentId, isInternal = false } = req.body;
+    const threadKey = `${thread.type}Id`;
+
+    if (isInternal && !access.canViewInternal) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only judges and organizers can post internal comments'
+      });
+    }
+
+    let parent = null;
+    if (parentId) {
+      parent = await Comment.findOne({ where: { id: parentId, [threadKey]: thread.resource.id } });
+
+      if (!parent || (parent.isInternal && !access.canViewInternal)) {
+        return res.status(404).json({
+          success: false,
+          message: 'Parent comment not found'
+        });
+      }
+    }
+
+    // Threads are one level deep, and replies to internal notes stay internal
+    const comment = await Comment.create({
+      content,
+      userId: req.user.id,
+      [threadKey]: thread.resource.id,
+      parentId: parent ? parent.parentId || parent.id : null,
+      isInternal: Boolean(isInternal) || Boolean(parent?.isInternal)
+    });
+
+    await comment.reload({
+      include: [{ model: User, as: 'user', attributes: ['id', 'name', 'email', 'avatar'] }]
+    });
+
+    res.status(201).json({
+      success: true,
+      data: present(comment.toJSON(), access)
+    });
+  } catch (error) {
+    logger.error('Create comment error:', error);
+
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.errors.map(e => e.message).join(', ')
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create comment',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Edit your own comment; the previous version goes to the edit history
+ * @route PUT /comments/:id
+ * @access Private (author)
+ */
+export const updateComment = async (req, res) => {
+  try {
+    const { comment, access, status, message } = await findAccessibleComment(req.params.id, req.user);
+    if (!comment) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    if (comment.userId !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only edit your own comments'
+      });
+    }
+
+    if (comment.isHidden) {
+      return res.status(403).json({
+        success: false,
+        message: 'Hidden comments cannot be edited'
+      });
+    }
+
+    if (comment.removedAt) {
+      return res.status(404).json({
+        success: false,
+        message: 'Comment not found'
+      });
+    }
+
+    await comment.edit(req.body.content);
+
+    res.json({
+      success: true,
+      data: present(comment.toJSON(), access)
+    });
+  } catch (error) {
+    logger.error('Update comment error:', error);
+
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.errors.map(e => e.message).join(', ')
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update comment',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Get a comment's edit history
+ * @route GET /comments/:id/history
+ * @access Private
+ */
+export const getCommentHistory = async (req, res) => {
+  try {
+    const { comment, access, status, message } = await findAccessibleComment(req.params.id, req.user);
+    if (!comment) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    if ((comment.isHidden && !access.canModerate) || comment.removedAt) {
+      return res.status(404).json({
+        success: false,
+        message: 'Comment not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        current: { content: comment.content, editedAt: comment.editedAt || comment.createdAt },
+        history: comment.editHistory
+      }
+    });
+  } catch (error) {
+    logger.error('Get comment history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch comment history'
+    });
+  }
+};
+
+/**
+ * Delete a comment. Moderators remove its replies with it; when the author
+ * deletes a comment that has replies, a placeholder keeps the replies.
+ * @route DELETE /comments/:id
+ * @access Private (author, event organizer or admin)
+ */
+export const deleteComment = async (req, res) => {
+  try {
+    const { comment, access, status, message } = await findAccessibleComment(req.params.id, req.user);
+    if (!comment) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    if (comment.userId !== req.user.id && !access.canModerate) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to delete this comment'
+      });
+    }
+
+    if (!access.canModerate) {
+      if (comment.removedAt) {
+        return res.status(404).json({
+          success: false,
+          message: 'Comment not found'
+        });
+      }
+
+      const kept = await comment.removeByAuthor();
+
+      return res.json({
+        success: true,
+        message: 'Comment deleted',
+        data: kept ? present(comment.toJSON(), access) : null
+      });
+    }
+
+    // Individual hooks keep the comment counts right
+    await Comment.destroy({ where: { parentId: comment.id }, individualHooks: true });
+    if (comment.removedAt) {
+      // Its count already went with the placeholder
+      await comment.destroy({ hooks: false });
+    } else {
+      await comment.destroy();
+    }
+
+    res.json({
+      success: true,
+      message: 'Comment deleted'
+    });
+  } catch (error) {
+    logger.error('Delete comment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete comment'
+    });
+  }
+};
+
+/**
+ * Hide or unhide a comment
+ * @route PATCH /comments/:id/moderation
+ * @access Private (event organizer or admin)
+ */
+export const moderateComment = async (req, res) => {
+  try {
+    const { comment, access, status, message } = await findAccessibleComment(req.params.id, req.user);
+    if (!comment) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    if (!access.canModerate) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to moderate this comment'
+      });
+    }
+
+    const { isHidden, reason } = req.body;
+    if (typeof isHidden !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'isHidden must be true or false'
+      });
+    }
+
+    await comment.setHidden(isHidden, req.user, reason);
+
+    res.json({
+      success: true,
+      data: present(comment.toJSON(), access)
+    });
+  } catch (error) {
+    logger.error('Moderate comment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to moderate comment'
+    });
+  }
+};
+
+/**
+ * Add or change your reaction to a comment
+ * @route PUT /comments/:id/reaction
+ * @access Private
+ */
+export const reactToComment = async (req, res) => {
+  try {
+    const { comment, status, message } = await findAccessibleComment(req.params.id, req.user);
+    if (!comment) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    if (!COMMENT_REACTIONS.includes(req.body.type)) {
+      return res.status(400).json({
+        success: false,
+        message: `Reaction must be one of: ${COMMENT_REACTIONS.join(', ')}`
+      });
+    }
+
+    const reaction = await comment.addReaction(req.user.id, req.body.type);
+
+    res.json({
+      success: true,
+      data: reaction
+    });
+  } catch (error) {
+    logger.error('React to comment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to react to comment'
+    });
+  }
+};
+
+/**
+ * Remove your reaction from a comment
+ * @route DELETE /comments/:id/reaction
+ * @access Private
+ */
+export const removeReaction = async (req, res) => {
+  try {
+    const { comment, status, message } = await findAccessibleComment(req.params.id, req.user);
+    if (!comment) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    await comment.removeReaction(req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Reaction removed'
+    });
+  } catch (error) {
+    logger.error('Remove reaction error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove reaction'
+    });
+  }
+};
@@ -0,0 +1,776 @@
+import { Op } from 'sequelize';
+import { Event } from '../models/event.model.js';
+import { EventJudge } from '../models/eventJudge.model.js';
+import { JudgeAssignment } from '../models/judgeAssignment.model.js';
+import { JudgingRound } from '../models/judgingRound.model.js';
+import { PairwiseComparison } from '../models/pairwiseComparison.model.js';
+import { Submission } from '../models/submission.model.js';
+import { User } from '../models/user.model.js';
+import { checkConflict, findConflicts, generateAssignments } from '../services/judgeAssignment.service.js';
+import { broadcastLeaderboard } from '../services/leaderboard.service.js';
+import { logger } from '../utils/logger.js';
+import { selectPair } from '../utils/pairwise.js';
+
+// Criteria a round refers to must be defined on its event
+const findUnknownCriteria = (event, criteriaIds) => (criteriaIds || []).filter(
+  criterionId => !(event.judgingCriteria || []).some(criterion => criterion.id === criterionId)
+);
+
+const unknownCriteriaError = (res, unknownCriteria) => res.status(400).json({
+  success: false,
+  message: `Unknown judging criteria: ${unknownCriteria.join(', ')}`
+});
+
+const findRound = (eventId, roundNumber) => JudgingRound.findOne({
+  where: {
+    eventId,
+    roundNumber: parseInt(roundNumber, 10)
+  }
+});
+
+/**
+ * Get judging rounds for an event
+ * @route GET /evaluations/events/:eventId/rounds
+ * @access Private
+ */
+export const getRounds = async (req, res) => {
+  try {
+    const { eventId } = req.params;
+
+    const event = await Event.findByPk(eventId);
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    const rounds = await JudgingRound.findByEvent(eventId);
+
+    res.json({
+      success: true,
+      data: rounds
+    });
+  } catch (error) {
+    logger.error('Get judging rounds error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch judging rounds'
+    });
+  }
+};
+
+/**
+ * Define a judging round for an event
+ * @route POST /evaluations/events/:eventId/rounds
+ * @access Private (Admin/Organizer)
+ */
+export const createRound = async (req, res) => {
+  try {
+    const { eventId } = req.params;
+    const { name, description, startsAt, endsAt, criteriaIds, advanceCount, metadata } = req.body;
+
+    const { event } = req;
+
+    // Rounds are numbered in the order they are defined
+    const lastRound = await JudgingRound.findOne({
+      where: { eventId },
+      order: [['roundNumber', 'DESC']]
+    });
+
+    const unknownCriteria = findUnknownCriteria(event, criteriaIds);
+    if (unknownCriteria.length > 0) {
+      return unknownCriteriaError(res, unknownCriteria);
+    }
+
+    const round = await JudgingRound.create({
+      eventId,
+      roundNumber: lastRound ? lastRound.roundNumber + 1 : 1,
+      name,
+      description,
+      startsAt,
+      endsAt,
+      criteriaIds: criteriaIds || [],
+      advanceCount,
+      metadata: metadata || {}
+    });
+
+    res.status(201).json({
+      success: true,
+      data: round
+    });
+  } catch (error) {
+    logger.error('Create judging round error:', error);
+
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.errors.map(e => e.message).join(', ')
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create judging round',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Update a judging round definition
+ * @route PUT /evaluations/events/:eventId/rounds/:roundNumber
+ * @access Private (Admin/Organizer)
+ */
+export const updateRound = async (req, res) => {
+  try {
+    const { eventId, roundNumber } = req.params;
+
+    const round = await findRound(eventId, roundNumber);
+    if (!round) {
+      return res.status(404).json({
+        success: false,
+        message: 'Judging round not found'
+      });
+    }
+
+    if (round.status === 'closed') {
+      return res.status(400).json({
+        success: false,
+        message: 'A closed round cannot be modified'
+      });
+    }
+
+    const allowedFields = ['name', 'description', 'startsAt', 'endsAt', 'criteriaIds', 'advanceCount', 'metadata'];
+    const updates = {};
+    for (const field of allowedFields) {
+      if (req.body[field] !== undefined) updates[field] = req.body[field];
+    }
+
+    const unknownCriteria = findUnknownCriteria(req.event, updates.criteriaIds);
+    if (unknownCriteria.length > 0) {
+      return unknownCriteriaError(res, unknownCriteria);
+    }
+
+    await round.update(updates);
+
+    res.json({
+      success: true,
+      data: round
+    });
+  } catch (error) {
+    logger.error('Update judging round error:', error);
+
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.errors.map(e => e.message).join(', ')
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update judging round',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Delete a judging round that has not been opened yet
+ * @route DELETE /evaluations/events/:eventId/rounds/:roundNumber
+ * @access Private (Admin/Organizer)
+ */
+export const deleteRound = async (req, res) => {
+  try {
+    const { eventId, roundNumber } = req.params;
+
+    const round = await findRound(eventId, roundNumber);
+    if (!round) {
+      return res.status(404).json({
+        success: false,
+        message: 'Judging round not found'
+      });
+    }
+
+    const laterRounds = await JudgingRound.count({
+      where: { eventId, roundNumber: round.roundNumber + 1 }
+    });
+
+    if (round.status !== 'pending' || laterRounds > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only the last round can be deleted, and only before it opens'
+      });
+    }
+
+    await round.destroy({ force: true });
+
+    res.json({
+      success: true,
+      message: 'Judging round deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Delete judging round error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete judging round'
+    });
+  }
+};
+
+/**
+ * Open a judging round
+ * @route POST /evaluations/events/:eventId/rounds/:roundNumber/open
+ * @access Private (Admin/Organizer)
+ */
+export const openRound = async (req, res) => {
+  try {
+    const { eventId, roundNumber } = req.params;
+
+    const round = await findRound(eventId, roundNumber);
+    if (!round) {
+      return res.status(404).json({
+        success: false,
+        message: 'Judging round not found'
+      });
+    }
+
+    try {
+      await round.open();
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `${round.name} is now open for judging`,
+      data: round
+    });
+  } catch (error) {
+    logger.error('Open judging round error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to open judging round'
+    });
+  }
+};
+
+/**
+ * Close a judging round
+ * @route POST /evaluations/events/:eventId/rounds/:roundNumber/close
+ * @access Private (Admin/Organizer)
+ */
+export const closeRound = async (req, res) => {
+  try {
+    const { eventId, roundNumber } = req.params;
+
+    const round = await findRound(eventId, roundNumber);
+    if (!round) {
+      return res.status(404).json({
+        success: false,
+        message: 'Judging round not found'
+      });
+    }
+
+    try {
+      await round.close();
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `${round.name} has been closed`,
+      data: round
+    });
+  } catch (error) {
+    logger.error('Close judging round error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to close judging round'
+    });
+  }
+};
+
+/**
+ * Advance the top submissions of a closed round to the next round
+ * @route POST /evaluations/events/:eventId/rounds/:roundNumber/advance
+ * @access Private (Admin/Organizer)
+ */
+export const advanceRound = async (req, res) => {
+  try {
+    const { eventId, roundNumber } = req.params;
+    const { count, submissionIds } = req.body;
+
+    const round = await findRound(eventId, roundNumber);
+    if (!round) {
+      return res.status(404).json({
+        success: false,
+        message: 'Judging round not found'
+      });
+    }
+
+    let advancedIds;
+    try {
+      advancedIds = await round.advance({
+        count: count ? parseInt(count, 10) : undefined,
+        submissionIds
+      });
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `${advancedIds.length} submission(s) advanced to round ${round.roundNumber + 1}`,
+      data: {
+        round,
+        advancedSubmissionIds: advancedIds
+      }
+    });
+  } catch (error) {
+    logger.error('Advance judging round error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to advance submissions'
+    });
+  }
+};
+
+/**
+ * Get judge assignments for an event. Judges only see their own queue.
+ * @route GET /evaluations/events/:eventId/assignments?round=&judgeId=&status=
+ * @access Private (Admin/Organizer/Judge)
+ */
+export const getAssignments = async (req, res) => {
+  try {
+    const { eventId } = req.params;
+    const { judgeId, status } = req.query;
+    const round = await JudgingRound.resolveRoundNumber(eventId, req.query.round);
+
+    const event = await Event.findByPk(eventId);
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    const canManage = event.isManagedBy(req.user);
+    const where = {};
+
+    if (canManage) {
+      if (judgeId) where.judgeId = judgeId;
+    } else {
+      const isJudge = await EventJudge.count({
+        where: { eventId, userId: req.user.id, status: 'accepted' }
+      }) > 0;
+
+      if (!isJudge) {
+        return res.status(403).json({
+          success: false,
+          message: 'Not authorized to view assignments for this event'
+        });
+      }
+
+      where.judgeId = req.user.id;
+    }
+
+    if (status) where.status = status;
+
+    const assignments = await JudgeAssignment.findByEvent(eventId, round, { where });
+
+    res.json({
+      success: true,
+      data: {
+        round,
+        assignments,
+        ...(canManage && { load: await JudgeAssignment.getLoadByJudge(eventId, round) })
+      }
+    });
+  } catch (error) {
+    logger.error('Get judge assignments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch judge assignments'
+    });
+  }
+};
+
+/**
+ * Fill missing assignment slots, or redistribute pending ones with `rebalance`
+ * @route POST /evaluations/events/:eventId/assignments/generate
+ * @route POST /evaluations/events/:eventId/assignments/rebalance
+ * @access Private (Admin/Organizer)
+ */
+const runAssignment = (rebalance) => async (req, res) => {
+  try {
+    const { eventId } = req.params;
+    const { reviewsPerSubmission } = req.body;
+    const round = await JudgingRound.resolveRoundNumber(eventId, req.body.round);
+
+    const result = await generateAssignments(eventId, {
+      round,
+      reviewsPerSubmission,
+      rebalance,
+      assignedById: req.user.id
+    });
+
+    res.json({
+      success: true,
+      message: `${result.created.length} assignment(s) created`,
+      data: result
+    });
+  } catch (error) {
+    logger.error('Generate judge assignments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate judge assignments',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+export const generateJudgeAssignments = runAssignment(false);
+export const rebalanceJudgeAssignments = runAssignment(true);
+
+/**
+ * Manually assign a judge to a submission (organizer override)
+ * @route POST /evaluations/events/:eventId/assignments
+ * @access Private (Admin/Organizer)
+ */
+export const createAssignment = async (req, res) => {
+  try {
+    const { eventId } = req.params;
+    const { submissionId, judgeId } = req.body;
+    const round = await JudgingRound.resolveRoundNumber(eventId, req.body.round);
+
+    const submission = await Submission.findOne({
+      where: { id: submissionId, eventId }
+    });
+
+    if (!submission) {
+      return res.status(404).json({
+        success: false,
+        message: 'Submission not found'
+      });
+    }
+
+    if (submission.currentRound < round) {
+      return res.status(400).json({
+        success: false,
+        message: `This submission has not advanced to round ${round}`
+      });
+    }
+
+    const eventJudge = await EventJudge.findOne({
+      where: { eventId, userId: judgeId, status: 'accepted' }
+    });
+
+    if (!eventJudge) {
+      return res.status(400).json({
+        success: false,
+        message: 'User is not an accepted judge for this event'
+      });
+    }
+
+    const conflict = await checkConflict(judgeId, submission);
+    if (conflict) {
+      return res.status(409).json({
+        success: false,
+        message: conflict
+      });
+    }
+
+    const [assignment, created] = await JudgeAssignment.findOrCreate({
+      where: { submissionId, judgeId, round },
+      defaults: {
+        eventId,
+        source: 'manual',
+        assignedById: req.user.id
+      }
+    });
+
+    // Pin an existing automatic assignment so rebalancing leaves it alone
+    if (!created && assignment.source !== 'manual') {
+      await assignment.update({ source: 'manual', assignedById: req.user.id });
+    }
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      data: assignment
+    });
+  } catch (error) {
+    logger.error('Create judge assignment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create judge assignment'
+    });
+  }
+};
+
+/**
+ * Remove a pending judge assignment
+ * @route DELETE /evaluations/events/:eventId/assignments/:assignmentId
+ * @access Private (Admin/Organizer)
+ */
+export const deleteAssignment = async (req, res) => {
+  try {
+    const { eventId, assignmentId } = req.params;
+
+    const assignment = await JudgeAssignment.findOne({
+      where: { id: assignmentId, eventId }
+    });
+
+    if (!assignment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Assignment not found'
+      });
+    }
+
+    if (assignment.status === 'completed') {
+      return res.status(400).json({
+        success: false,
+        message: 'Completed assignments cannot be removed'
+      });
+    }
+
+    await assignment.destroy();
+
+    res.json({
+      success: true,
+      message: 'Assignment removed successfully'
+    });
+  } catch (error) {
+    logger.error('Delete judge assignment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove judge assignment'
+    });
+  }
+};
+
+/**
+ * Load a pairwise-judged event and check that the current user may compare
+ * its submissions
+ * @param {string} eventId - Event ID
+ * @param {Object} user - Authenticated user
+ * @returns {Promise<{ event?: Object, status?: number, message?: string }>}
+ */
+const findPairwiseEvent = async (eventId, user) => {
+  const event = await Event.findByPk(eventId);
+
+  if (!event) {
+    return { status: 404, message: 'Event not found' };
+  }
+
+  if (!event.isPairwiseJudging()) {
+    return { status: 400, message: 'This event does not use pairwise judging' };
+  }
+
+  const canManage = event.isManagedBy(user);
+  const isJudge = await EventJudge.count({
+    where: { eventId, userId: user.id, status: 'accepted' }
+  }) > 0;
+
+  if (!canManage && !isJudge) {
+    return { status: 403, message: 'Not authorized to judge this event' };
+  }
+
+  return { event };
+};
+
+/**
+ * Resolve the round a comparison belongs to: the requested round, the open
+ * round, or round 1 for events without rounds
+ * @returns {Promise<{ round?: number, status?: number, message?: string }>}
+ */
+const resolvePairwiseRound = async (eventId, requestedRound, user) => {
+  const rounds = await JudgingRound.findByEvent(eventId);
+  const round = parseInt(requestedRound, 10) || null;
+
+  if (rounds.length === 0) {
+    return { round: round || 1 };
+  }
+
+  const judgingRound = round
+    ? rounds.find(r => r.roundNumber === round)
+    : rounds.find(r => r.status === 'open');
+
+  if (!judgingRound) {
+    return { status: 400, message: round ? `Round ${round} does not exist for this event` : 'No judging round is currently open' };
+  }
+
+  if (!judgingRound.isOpenForJudging() && user.role !== 'admin') {
+    return { status: 400, message: `Judging for ${judgingRound.name} is not open` };
+  }
+
+  return { round: judgingRound.roundNumber };
+};
+
+/**
+ * Get the next pair of submissions for the current judge to compare
+ * @route GET /evaluations/events/:eventId/pairwise/next?round=
+ * @access Private (Judges/Organizer)
+ */
+export const getNextPair = async (req, res) => {
+  try {
+    const { eventId } = req.params;
+
+    const { event, status, message } = await findPairwiseEvent(eventId, req.user);
+    if (!event) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    const resolved = await resolvePairwiseRound(eventId, req.query.round, req.user);
+    if (!resolved.round) {
+      return res.status(resolved.status).json({ success: false, message: resolved.message });
+    }
+    const { round } = resolved;
+
+    const submissions = await Submission.findAll({
+      where: {
+        eventId,
+        status: { [Op.in]: ['submitted', 'under_review', 'accepted'] },
+        currentRound: { [Op.gte]: round }
+      },
+      attributes: ['id', 'title', 'description', 'githubUrl', 'videoUrl', 'fileUrl', 'teamId']
+    });
+
+    // Judges never see submissions they have a conflict of interest with
+    const judge = await User.findByPk(req.user.id, { attributes: ['id', 'affiliations'] });
+    const conflicts = await findConflicts([judge], submissions);
+    const candidates = submissions.filter(submission => !conflicts.has(`${judge.id}:${submission.id}`));
+
+    const comparisons = await PairwiseComparison.findByEvent(eventId, round, {
+      attributes: ['submissionAId', 'submissionBId', 'judgeId'],
+      raw: true
+    });
+
+    const pair = selectPair(candidates.map(submission => submission.id), comparisons, req.user.id);
+
+    res.json({
+      success: true,
+      data: {
+        round,
+        pair: pair ? pair.map(id => candidates.find(submission => submission.id === id)) : null,
+        completed: comparisons.filter(comparison => comparison.judgeId === req.user.id).length
+      }
+    });
+  } catch (error) {
+    logger.error('Get next pair error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get next pair',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Record which of two submissions is better
+ * @route POST /evaluations/events/:eventId/pairwise
+ * @access Private (Judges/Organizer)
+ */
+export const submitComparison = async (req, res) => {
+  try {
+    const { eventId } = req.params;
+    const { submissionAId, submissionBId, winnerId = null, feedback } = req.body;
+
+    const { event, status, message } = await findPairwiseEvent(eventId, req.user);
+    if (!event) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    if (!submissionAId || !submissionBId || submissionAId === submissionBId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two different submissions are required'
+      });
+    }
+
+    if (winnerId && winnerId !== submissionAId && winnerId !== submissionBId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Winner must be one of the compared submissions'
+      });
+    }
+
+    const resolved = await resolvePairwiseRound(eventId, req.body.round, req.user);
+    if (!resolved.round) {
+      return res.status(resolved.status).json({ success: false, message: resolved.message });
+    }
+    const { round } = resolved;
+
+    const submissions = await Submission.findAll({
+      where: {
+        id: { [Op.in]: [submissionAId, submissionBId] },
+        eventId,
+        currentRound: { [Op.gte]: round }
+      },
+      attributes: ['id', 'teamId']
+    });
+
+    if (submissions.length !== 2) {
+      return res.status(404).json({
+        success: false,
+        message: `Both submissions must belong to this event and be in round ${round}`
+      });
+    }
+
+    for (const submission of submissions) {
+      const conflict = await checkConflict(req.user.id, submission);
+      if (conflict) {
+        return res.status(403).json({
+          success: false,
+          message: conflict
+        });
+      }
+    }
+
+    // Pairs are stored in a fixed order, so a repeated comparison updates the earlier one
+    const [first, second] = [submissionAId, submissionBId].sort();
+    const [comparison, created] = await PairwiseComparison.upsert(
+      {
+        eventId,
+        judgeId: req.user.id,
+        round,
+        submissionAId: first,
+        submissionBId: second,
+        winnerId,
+        feedback
+      },
+      {
+        conflictFields: ['judgeId', 'submissionAId', 'submissionBId', 'round'],
+        returning: true
+      }
+    );
+
+    await Submission.recalculateEventScores(eventId, round);
+    broadcastLeaderboard(event, round).catch(error => logger.error('Leaderboard broadcast error:', error));
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      message: created ? 'Comparison recorded' : 'Comparison updated',
+      data: comparison
+    });
+  } catch (error) {
+    logger.error('Submit comparison error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to record comparison',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
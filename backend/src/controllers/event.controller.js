@@ -1,6 +1,32 @@
-import { Event } from '../models/event.model.js';
+import {
+  Event,
+  EVENT_STATUSES,
+  EVENT_TRANSITIONS,
+  EventTransitionError
+} from '../models/event.model.js';
+import { EventStatusTransition } from '../models/eventStatusTransition.model.js';
+import { EventParticipant } from '../models/eventParticipant.model.js';
 import { User } from '../models/user.model.js';
 import { logger } from '../utils/logger.js';
+import { parseJudgingCriteria } from '../utils/criteria.js';
+import { parsePrizeTracks } from '../utils/prizes.js';
+import {
+  parseRegistrationForm,
+  registrationsToCsv,
+  validateRegistrationAnswers
+} from '../utils/registrationForm.js';
+import { uploadToStorage } from '../services/storage.service.js';
+import { cancelEvent as runCancellation, checkReplacementEvent } from '../services/eventCancellation.service.js';
+import {
+  copyJudges,
+  createEventFromTemplate,
+  extractEventTemplate
+} from '../services/eventTemplate.service.js';
+import {
+  presentCheckout,
+  quoteRegistration,
+  startCheckout
+} from '../services/payment.service.js';
 import { Op } from 'sequelize';
 
 /**
@@ -54,6 +80,9 @@ export const createEvent = async (req, res) => {
       registrationStart,
       registrationEnd,
       submissionDeadline,
+      votingStart,
+      votingEnd,
+      votingCategories,
       maxTeamSize,
       minTeamSize,
       isOnline,
@@ -64,14 +93,45 @@ export const createEvent = async (req, res) => {
       schedule,
       sponsors,
       judgingCriteria,
+      judgingSettings,
       tags,
       maxParticipants,
+      registrationForm,
+      waitlistEnabled,
+      waitlistClaimHours,
       registrationFee,
       currency,
       timezone,
       metadata
     } = req.body;
 
+    const { criteria, errors } = parseJudgingCriteria(judgingCriteria);
+    if (errors) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid judging criteria',
+        errors
+      });
+    }
+
+    const prizeTracks = parsePrizeTracks(prizes, criteria);
+    if (prizeTracks.errors) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid prize tracks',
+        errors: prizeTracks.errors
+      });
+    }
+
+    const form = parseRegistrationForm(registrationForm);
+    if (form.errors) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid registration form',
+        errors: form.errors
+      });
+    }
+
     // Generate slug from title
     const slug = title
       .toLowerCase()
@@ -89,6 +149,9 @@ export const createEvent = async (req, res) => {
       registrationStart,
       registrationEnd,
       submissionDeadline,
+      votingStart,
+      votingEnd,
+      votingCategories: votingCategories || [],
       maxTeamSize,
       minTeamSize,
       isOnline,
@@ -96,12 +159,16 @@ export const createEvent = async (req, res) => {
       onlineLink: isOnline ? onlineLink : null,
       organizerId: req.user.id,
       rules: rules || [],
-      prizes: prizes || [],
+      prizes: prizeTracks.prizes,
       schedule: schedule || [],
       sponsors: sponsors || [],
-      judgingCriteria: judgingCriteria || [],
+      judgingCriteria: criteria,
+      judgingSettings: judgingSettings || {},
       tags: tags || [],
       maxParticipants,
+      registrationForm: form.form,
+      waitlistEnabled,
+      waitlistClaimHours,
       registrationFee: registrationFee || 0,
       currency: currency || 'USD',
       timezone: timezone || 'UTC',
@@ -254,7 +321,7 @@ export const getEvents = async (req, res) => {
     // Only show published events to non-authenticated users
     if (!req.user) {
       where.isPublished = true;
-      where.status = { [Op.in]: ['upcoming', 'ongoing'] };
+      where.status = { [Op.in]: ['upcoming', 'ongoing', 'judging'] };
     } else if (!req.user.roles.includes('admin') && !req.user.roles.includes('organizer')) {
       // For regular users, only show published events or events they're participating in
       where[Op.or] = [
@@ -435,9 +502,19 @@ export const updateEvent = async (req, res) => {
       });
     }
 
+    // Status only changes through transitions, which run their side effects
+    if (updates.status !== undefined && updates.status !== event.status) {
+      return res.status(400).json({
+        success: false,
+        message: 'Use POST /events/:id/transition to change the status'
+      });
+    }
+    delete updates.status;
+    delete updates.submissionsClosedAt;
+
     // Prevent changing certain fields if event is published
     if (event.isPublished) {
-      const restrictedFields = ['organizerId', 'slug', 'isPublished', 'status'];
+      const restrictedFields = ['organizerId', 'slug', 'isPublished'];
       for (const field of restrictedFields) {
         if (updates[field] && updates[field] !== event[field]) {
           return res.status(400).json({
@@ -448,9 +525,67 @@ export const updateEvent = async (req, res) => {
       }
     }
 
+    // Winners are frozen once locked, so the inputs that decide them are too
+    if (event.arePrizesLocked() && (updates.prizes !== undefined || updates.judgingCriteria !== undefined)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Prize results are locked; unlock them before changing prizes or judging criteria'
+      });
+    }
+
+    // Results are only changed through the winners endpoints
+    delete updates.prizeResults;
+
+    if (updates.judgingCriteria !== undefined) {
+      const { criteria, errors } = parseJudgingCriteria(updates.judgingCriteria);
+      if (errors) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid judging criteria',
+          errors
+        });
+      }
+      updates.judgingCriteria = criteria;
+    }
+
+    if (updates.registrationForm !== undefined) {
+      const { form, errors } = parseRegistrationForm(updates.registrationForm);
+      if (errors) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid registration form',
+          errors
+        });
+      }
+      updates.registrationForm = form;
+    }
+
+    // Criterion tracks must keep pointing at an existing criterion
+    if (updates.prizes !== undefined || updates.judgingCriteria !== undefined) {
+      const { prizes, errors } = parsePrizeTracks(
+        updates.prizes ?? event.prizes,
+        updates.judgingCriteria ?? event.judgingCriteria
+      );
+      if (errors) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid prize tracks',
+          errors
+        });
+      }
+      if (updates.prizes !== undefined) {
+        updates.prizes = prizes;
+      }
+    }
+
     // Update event
     await event.update(updates);
 
+    // Extra places, or a re-enabled waitlist, go to the people waiting
+    if (updates.maxParticipants !== undefined || updates.waitlistEnabled !== undefined) {
+      await EventParticipant.promoteWaitlist(event.id);
+    }
+
     res.json({
       success: true,
       data: event
@@ -507,6 +642,49 @@ export const deleteEvent = async (req, res) => {
   }
 };
 
+// Runs a status change requested by an organizer and sends the response
+const respondWithTransition = async (req, res, status, { successMessage, action }) => {
+  const event = await Event.findByPk(req.params.id);
+
+  if (!event) {
+    return res.status(404).json({
+      success: false,
+      message: 'Event not found'
+    });
+  }
+
+  // Check if user is the organizer or admin
+  if (!event.isManagedBy(req.user)) {
+    return res.status(403).json({
+      success: false,
+      message: `Not authorized to ${action} this event`
+    });
+  }
+
+  try {
+    const transition = await event.transitionTo(status, {
+      actorId: req.user.id,
+      reason: req.body.reason || null
+    });
+
+    res.json({
+      success: true,
+      message: successMessage,
+      data: event,
+      transition
+    });
+  } catch (error) {
+    if (error instanceof EventTransitionError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        missingFields: error.missingFields
+      });
+    }
+    throw error;
+  }
+};
+
 /**
  * Publish an event
  * @route POST /events/:id/publish
@@ -514,10 +692,88 @@ export const deleteEvent = async (req, res) => {
  */
 export const publishEvent = async (req, res) => {
   try {
-    const { id } = req.params;
+    await respondWithTransition(req, res, 'upcoming', {
+      successMessage: 'Event published successfully',
+      action: 'publish'
+    });
+  } catch (error) {
+    logger.error('Publish event error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to publish event'
+    });
+  }
+};
+
+/**
+ * Unpublish an event. Only events that have not started can go back to draft.
+ * @route POST /events/:id/unpublish
+ * @access Private (Admin/Organizer)
+ */
+export const unpublishEvent = async (req, res) => {
+  try {
+    await respondWithTransition(req, res, 'draft', {
+      successMessage: 'Event unpublished successfully',
+      action: 'unpublish'
+    });
+  } catch (error) {
+    logger.error('Unpublish event error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to unpublish event'
+    });
+  }
+};
+
+/**
+ * Move an event to another status by hand, e.g. to start it early or
+ * cancel it. Dates move events along on their own.
+ * @route POST /events/:id/transition
+ * @access Private (Admin/Organizer)
+ */
+export const transitionEvent = async (req, res) => {
+  try {
+    const { status } = req.body;
+
+    if (!EVENT_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `status must be one of: ${EVENT_STATUSES.join(', ')}`
+      });
+    }
+
+    // Cancelling refunds and notifies people, so it has its own endpoint
+    if (status === 'cancelled') {
+      return res.status(400).json({
+        success: false,
+        message: 'Use POST /events/:id/cancel to cancel an event'
+      });
+    }
+
+    await respondWithTransition(req, res, status, {
+      successMessage: `Event is now ${status}`,
+      action: 'change the status of'
+    });
+  } catch (error) {
+    logger.error('Transition event error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to change event status'
+    });
+  }
+};
+
+/**
+ * Cancel an event. Everyone involved is notified with the reason, payments
+ * are refunded and submissions frozen. Registrations can be moved to a
+ * replacement event by the same organizer.
+ * @route POST /events/:id/cancel
+ * @access Private (Admin/Organizer)
+ */
+export const cancelEvent = async (req, res) => {
+  try {
+    const event = await Event.findByPk(req.params.id);
 
-    const event = await Event.findByPk(id);
-    
     if (!event) {
       return res.status(404).json({
         success: false,
@@ -525,61 +781,81 @@ export const publishEvent = async (req, res) => {
       });
     }
 
-    // Check if user is the organizer or admin
-    if (event.organizerId !== req.user.id && !req.user.roles.includes('admin')) {
+    if (!event.isManagedBy(req.user)) {
       return res.status(403).json({
         success: false,
-        message: 'Not authorized to publish this event'
+        message: 'Not authorized to cancel this event'
       });
     }
 
-    // Validate event before publishing
-    const requiredFields = [
-      'title', 'description', 'startDate', 'endDate',
-      'registrationStart', 'registrationEnd', 'maxTeamSize', 'minTeamSize'
-    ];
-    
-    const missingFields = requiredFields.filter(field => !event[field]);
-    if (missingFields.length > 0) {
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+    if (reason.length < 5 || reason.length > 1000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reason of 5 to 1000 characters is required'
+      });
+    }
+
+    if (!event.canTransitionTo('cancelled')) {
       return res.status(400).json({
         success: false,
-        message: 'Cannot publish event. Missing required fields',
-        missingFields
+        message: `A ${event.status} event cannot be cancelled`
       });
     }
 
-    // Publish the event
-    await event.update({
-      isPublished: true,
-      publishedAt: new Date(),
-      status: 'upcoming'
+    let replacement = null;
+    if (req.body.replacementEventId) {
+      replacement = await Event.findByPk(req.body.replacementEventId);
+
+      const problem = checkReplacementEvent(event, replacement, req.user);
+      if (problem) {
+        return res.status(400).json({
+          success: false,
+          message: problem
+        });
+      }
+    }
+
+    const { transition, summary } = await runCancellation(event, {
+      reason,
+      actor: req.user,
+      replacement
     });
 
     res.json({
       success: true,
-      message: 'Event published successfully',
-      data: event
+      message: 'Event cancelled',
+      data: event,
+      transition,
+      summary
     });
   } catch (error) {
-    logger.error('Publish event error:', error);
+    logger.error('Cancel event error:', error);
+
+    if (error instanceof EventTransitionError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     res.status(500).json({
       success: false,
-      message: 'Failed to publish event'
+      message: 'Failed to cancel event',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
 };
 
 /**
- * Unpublish an event
- * @route POST /events/:id/unpublish
+ * Get an event's status history, with the moves available now
+ * @route GET /events/:id/transitions
  * @access Private (Admin/Organizer)
  */
-export const unpublishEvent = async (req, res) => {
+export const getEventTransitions = async (req, res) => {
   try {
-    const { id } = req.params;
+    const event = await Event.findByPk(req.params.id);
 
-    const event = await Event.findByPk(id);
-    
     if (!event) {
       return res.status(404).json({
         success: false,
@@ -587,35 +863,106 @@ export const unpublishEvent = async (req, res) => {
       });
     }
 
-    // Check if user is the organizer or admin
-    if (event.organizerId !== req.user.id && !req.user.roles.includes('admin')) {
+    if (!event.isManagedBy(req.user)) {
       return res.status(403).json({
         success: false,
-        message: 'Not authorized to unpublish this event'
+        message: 'Not authorized to view this event\'s history'
       });
     }
 
-    // Unpublish the event
-    await event.update({
-      isPublished: false
+    res.json({
+      success: true,
+      data: {
+        status: event.status,
+        scheduledStatus: event.getScheduledStatus(),
+        allowedTransitions: EVENT_TRANSITIONS[event.status],
+        history: await EventStatusTransition.findByEvent(event.id)
+      }
+    });
+  } catch (error) {
+    logger.error('Get event transitions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch status history'
     });
+  }
+};
 
-    res.json({
+/**
+ * Copy an event's settings into a new draft. Dates keep their distance
+ * from the new start date; registrations, teams and results stay behind.
+ * @route POST /events/:id/clone
+ * @access Private (Admin/Organizer)
+ */
+export const cloneEvent = async (req, res) => {
+  try {
+    const source = await Event.findByPk(req.params.id);
+
+    if (!source) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    if (!source.isManagedBy(req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to clone this event'
+      });
+    }
+
+    const { title = source.title, startDate, copyJudges: withJudges = false } = req.body;
+
+    if (!startDate || Number.isNaN(new Date(startDate).getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'A valid startDate is required'
+      });
+    }
+
+    if (typeof title !== 'string' || !title.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'title must be a non-empty string'
+      });
+    }
+
+    const event = await createEventFromTemplate(extractEventTemplate(source), {
+      title: title.trim(),
+      startDate,
+      organizerId: req.user.id,
+      metadata: { clonedFrom: source.id }
+    });
+
+    const judgesInvited = withJudges ? await copyJudges(source, event, req.user) : 0;
+
+    res.status(201).json({
       success: true,
-      message: 'Event unpublished successfully',
-      data: event
+      message: 'Event cloned successfully',
+      data: event,
+      judgesInvited
     });
   } catch (error) {
-    logger.error('Unpublish event error:', error);
+    logger.error('Clone event error:', error);
+
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.errors.map(e => e.message).join(', ')
+      });
+    }
+
     res.status(500).json({
       success: false,
-      message: 'Failed to unpublish event'
+      message: 'Failed to clone event',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
 };
 
 /**
- * Register for an event
+ * Register for an event. When it is full the registration joins the waitlist.
  * @route POST /events/:id/register
  * @access Private
  */
@@ -624,6 +971,14 @@ export const registerForEvent = async (req, res) => {
     const { id } = req.params;
     const { teamId, role = 'participant', metadata = {} } = req.body;
 
+    // Self-registration is only ever as a participant; staff are added by the organizer
+    if (role !== 'participant') {
+      return res.status(400).json({
+        success: false,
+        message: 'You can only register as a participant'
+      });
+    }
+
     const event = await Event.findByPk(id);
     
     if (!event || !event.isPublished) {
@@ -641,42 +996,120 @@ export const registerForEvent = async (req, res) => {
       });
     }
 
-    // Check if user is already registered
-    const existingRegistration = await event.getParticipants({
-      where: { id: req.user.id }
+    // Check if user is already registered or waiting
+    const existingRegistration = await EventParticipant.findOne({
+      where: {
+        eventId: event.id,
+        userId: req.user.id,
+        status: { [Op.notIn]: ['withdrawn', 'expired'] }
+      }
     });
 
-    if (existingRegistration.length > 0) {
+    if (existingRegistration) {
+      const messages = {
+        waitlisted: 'You are already on the waitlist for this event',
+        pending_payment: 'Your registration is awaiting payment; start a new checkout to complete it'
+      };
+
       return res.status(400).json({
         success: false,
-        message: 'You are already registered for this event'
+        message: messages[existingRegistration.status] || 'You are already registered for this event'
       });
     }
 
-    // Check if event has reached max participants
-    if (event.maxParticipants) {
-      const participantCount = await event.countParticipants();
-      if (participantCount >= event.maxParticipants) {
+    // Multipart requests send the answers as a JSON string next to the files
+    let { answers = {} } = req.body;
+    if (typeof answers === 'string') {
+      try {
+        answers = JSON.parse(answers);
+      } catch {
         return res.status(400).json({
           success: false,
-          message: 'Event has reached maximum capacity'
+          message: 'answers must be a JSON object'
         });
       }
     }
 
-    // Register user for the event
-    await event.addParticipant(req.user.id, {
-      through: {
-        role,
-        teamId,
-        status: 'registered',
-        metadata
+    // The promo code is checked before anything is stored
+    let quote = null;
+    if (event.requiresPayment()) {
+      const quoted = await quoteRegistration(event, req.body.promoCode);
+      if (!quoted.quote) {
+        return res.status(quoted.status).json({ success: false, message: quoted.message });
       }
-    });
+      quote = quoted.quote;
+    }
+
+    const files = Object.fromEntries((req.files || []).map(file => [file.fieldname, file]));
+    const { data: registrationData, errors } = validateRegistrationAnswers(event.registrationForm || [], answers, files);
+
+    if (errors) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid registration answers',
+        errors
+      });
+    }
+
+    for (const [fieldId, value] of Object.entries(registrationData)) {
+      if (value?.buffer) {
+        const { url } = await uploadToStorage(value, {
+          folder: `registrations/event-${event.id}/user-${req.user.id}`,
+          public: false
+        });
+        registrationData[fieldId] = { url, name: value.originalname, type: value.mimetype, size: value.size };
+      }
+    }
+
+    const participant = await EventParticipant.registerOrWaitlist(event, {
+      userId: req.user.id,
+      teamId,
+      metadata,
+      registrationData
+    }, { requiresPayment: Boolean(quote) });
+
+    if (!participant) {
+      return res.status(400).json({
+        success: false,
+        message: 'Event has reached maximum capacity'
+      });
+    }
+
+    if (participant.status === 'waitlisted') {
+      return res.status(201).json({
+        success: true,
+        message: 'Event is full; you have been added to the waitlist',
+        data: {
+          status: participant.status,
+          position: await participant.getWaitlistPosition()
+        }
+      });
+    }
+
+    if (participant.status === 'pending_payment') {
+      const { payment, status, message } = await startCheckout(participant, event, req.user, quote);
+      if (!payment) {
+        return res.status(status).json({ success: false, message });
+      }
+      await participant.reload();
+
+      return res.status(201).json({
+        success: true,
+        message: participant.status === 'pending_payment'
+          ? 'Complete payment to confirm your registration'
+          : 'Successfully registered for the event',
+        data: {
+          status: participant.status,
+          paymentExpiresAt: participant.paymentExpiresAt,
+          payment: presentCheckout(payment)
+        }
+      });
+    }
 
     res.status(201).json({
       success: true,
-      message: 'Successfully registered for the event'
+      message: 'Successfully registered for the event',
+      data: { status: participant.status }
     });
   } catch (error) {
     logger.error('Event registration error:', error);
@@ -687,6 +1120,272 @@ export const registerForEvent = async (req, res) => {
   }
 };
 
+/**
+ * Get your registration for an event, with your waitlist position
+ * @route GET /events/:id/registration
+ * @access Private
+ */
+export const getMyRegistration = async (req, res) => {
+  try {
+    const participant = await EventParticipant.findOne({
+      where: { eventId: req.params.id, userId: req.user.id }
+    });
+
+    if (!participant) {
+      return res.status(404).json({
+        success: false,
+        message: 'You are not registered for this event'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        status: participant.status,
+        role: participant.role,
+        position: await participant.getWaitlistPosition(),
+        offerExpiresAt: participant.status === 'offered' ? participant.offerExpiresAt : null,
+        paymentExpiresAt: participant.status === 'pending_payment' ? participant.paymentExpiresAt : null,
+        registeredAt: participant.createdAt
+      }
+    });
+  } catch (error) {
+    logger.error('Get registration error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch registration'
+    });
+  }
+};
+
+/**
+ * Withdraw from an event or leave its waitlist. A freed place is offered
+ * to the next person on the waitlist.
+ * @route POST /events/:id/withdraw
+ * @access Private
+ */
+export const withdrawFromEvent = async (req, res) => {
+  try {
+    const participant = await EventParticipant.findOne({
+      where: {
+        eventId: req.params.id,
+        userId: req.user.id,
+        status: { [Op.notIn]: ['withdrawn', 'expired'] }
+      }
+    });
+
+    if (!participant) {
+      return res.status(404).json({
+        success: false,
+        message: 'You are not registered for this event'
+      });
+    }
+
+    await participant.withdraw();
+
+    res.json({
+      success: true,
+      message: 'You have withdrawn from the event'
+    });
+  } catch (error) {
+    logger.error('Withdraw from event error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to withdraw from event'
+    });
+  }
+};
+
+/**
+ * Claim a place offered from the waitlist. For paid events this starts a
+ * checkout, and the place is confirmed once it is paid.
+ * @route POST /events/:id/waitlist/claim
+ * @access Private
+ */
+export const claimWaitlistSpot = async (req, res) => {
+  try {
+    const event = await Event.findByPk(req.params.id);
+    const participant = event && await EventParticipant.findOne({
+      where: { eventId: event.id, userId: req.user.id, status: 'offered' }
+    });
+
+    if (!participant) {
+      return res.status(404).json({
+        success: false,
+        message: 'You do not have a spot offer for this event'
+      });
+    }
+
+    // The expiry job may not have run yet
+    if (!participant.isOfferOpen()) {
+      return res.status(400).json({
+        success: false,
+        message: 'This offer has expired'
+      });
+    }
+
+    let quote = null;
+    if (event.requiresPayment()) {
+      const quoted = await quoteRegistration(event, req.body.promoCode);
+      if (!quoted.quote) {
+        return res.status(quoted.status).json({ success: false, message: quoted.message });
+      }
+      quote = quoted.quote;
+    }
+
+    await participant.claimOffer(event);
+
+    if (quote) {
+      const { payment, status, message } = await startCheckout(participant, event, req.user, quote);
+      if (!payment) {
+        return res.status(status).json({ success: false, message });
+      }
+      await participant.reload();
+
+      return res.json({
+        success: true,
+        message: participant.status === 'pending_payment'
+          ? 'Complete payment to confirm your spot'
+          : 'Your spot is confirmed',
+        data: {
+          status: participant.status,
+          paymentExpiresAt: participant.paymentExpiresAt,
+          payment: presentCheckout(payment)
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Your spot is confirmed',
+      data: { status: participant.status }
+    });
+  } catch (error) {
+    logger.error('Claim waitlist spot error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to claim spot'
+    });
+  }
+};
+
+/**
+ * Get an event's waitlist in order, with open offers
+ * @route GET /events/:id/waitlist
+ * @access Private (Admin/Organizer)
+ */
+export const getWaitlist = async (req, res) => {
+  try {
+    const event = await Event.findByPk(req.params.id);
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    if (!event.isManagedBy(req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view the waitlist'
+      });
+    }
+
+    const [waiting, offered, seatsTaken] = await Promise.all([
+      EventParticipant.findByEvent(event.id, {
+        where: { eventId: event.id, status: 'waitlisted' },
+        order: [['waitlistedAt', 'ASC']]
+      }),
+      EventParticipant.findByEvent(event.id, {
+        where: { eventId: event.id, status: 'offered' },
+        order: [['offerExpiresAt', 'ASC']]
+      }),
+      EventParticipant.countSeatsTaken(event.id)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        capacity: event.maxParticipants,
+        seatsTaken,
+        claimHours: event.waitlistClaimHours,
+        waitlist: waiting.map((participant, index) => ({
+          position: index + 1,
+          user: participant.user,
+          waitlistedAt: participant.waitlistedAt
+        })),
+        offers: offered.map(participant => ({
+          user: participant.user,
+          offeredAt: participant.offeredAt,
+          offerExpiresAt: participant.offerExpiresAt
+        }))
+      }
+    });
+  } catch (error) {
+    logger.error('Get waitlist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch waitlist'
+    });
+  }
+};
+
+/**
+ * Export registrations and form answers as CSV
+ * @route GET /events/:id/registrations/export?status=
+ * @access Private (Admin/Organizer)
+ */
+export const exportRegistrations = async (req, res) => {
+  try {
+    const event = await Event.findByPk(req.params.id);
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    if (!event.isManagedBy(req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to export registrations'
+      });
+    }
+
+    // Defaults to everyone holding a place
+    const statuses = req.query.status ? req.query.status.split(',') : ['registered', 'checked_in'];
+
+    const participants = await EventParticipant.findByEvent(event.id, {
+      where: {
+        eventId: event.id,
+        role: 'participant',
+        status: { [Op.in]: statuses }
+      },
+      order: [['createdAt', 'ASC']]
+    });
+
+    const csv = registrationsToCsv(event.registrationForm || [], participants.map(participant => ({
+      name: participant.user?.name,
+      email: participant.user?.email,
+      status: participant.status,
+      registeredAt: participant.createdAt,
+      answers: participant.registrationData
+    })));
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${event.slug}-registrations.csv"`);
+    res.send(`\uFEFF${csv}`);
+  } catch (error) {
+    logger.error('Export registrations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export registrations'
+    });
+  }
+};
+
 /**
  * Get event participants
  * @route GET /events/:id/participants
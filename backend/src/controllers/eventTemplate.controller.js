@@ -0,0 +1,256 @@
+import { Event } from '../models/event.model.js';
+import { EventTemplate } from '../models/eventTemplate.model.js';
+import { User } from '../models/user.model.js';
+import { createEventFromTemplate, extractEventTemplate } from '../services/eventTemplate.service.js';
+import { logger } from '../utils/logger.js';
+
+const TEMPLATE_FIELDS = ['name', 'description', 'isShared'];
+
+const pickFields = body => Object.fromEntries(
+  TEMPLATE_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+);
+
+// Looks up a template and checks the user may see it, or change it when `manage` is set
+const findTemplate = async (id, user, { manage = false } = {}) => {
+  const template = await EventTemplate.findByPk(id, {
+    include: [{ model: User, as: 'organizer', attributes: ['id', 'name'] }]
+  });
+
+  if (!template || !template.isVisibleTo(user)) {
+    return { status: 404, message: 'Template not found' };
+  }
+
+  if (manage && !template.isOwnedBy(user)) {
+    return { status: 403, message: 'Only the template owner can change it' };
+  }
+
+  return { template };
+};
+
+const saveError = (res, error, fallback) => {
+  if (error.name === 'SequelizeUniqueConstraintError') {
+    return res.status(400).json({
+      success: false,
+      message: 'You already have a template with this name'
+    });
+  }
+
+  if (error.name === 'SequelizeValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: error.errors.map(e => e.message).join(', ')
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message: fallback
+  });
+};
+
+/**
+ * List your templates and those shared by other organizers
+ * @route GET /event-templates
+ * @access Private (Admin/Organizer)
+ */
+export const getTemplates = async (req, res) => {
+  try {
+    const templates = await EventTemplate.findVisibleTo(req.user, { search: req.query.search });
+
+    res.json({
+      success: true,
+      data: templates
+    });
+  } catch (error) {
+    logger.error('Get event templates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch templates'
+    });
+  }
+};
+
+/**
+ * Get a template
+ * @route GET /event-templates/:id
+ * @access Private (Admin/Organizer)
+ */
+export const getTemplate = async (req, res) => {
+  try {
+    const { template, status, message } = await findTemplate(req.params.id, req.user);
+    if (!template) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    res.json({
+      success: true,
+      data: template
+    });
+  } catch (error) {
+    logger.error('Get event template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch template'
+    });
+  }
+};
+
+/**
+ * Save an event's settings as a named template
+ * @route POST /event-templates
+ * @access Private (Admin/Organizer)
+ */
+export const createTemplate = async (req, res) => {
+  try {
+    const event = await Event.findByPk(req.body.eventId);
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    if (!event.isManagedBy(req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to make a template from this event'
+      });
+    }
+
+    const { config, dateOffsets } = extractEventTemplate(event);
+
+    const template = await EventTemplate.create({
+      name: event.title,
+      ...pickFields(req.body),
+      config,
+      dateOffsets,
+      sourceEventId: event.id,
+      organizerId: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Template saved',
+      data: template
+    });
+  } catch (error) {
+    logger.error('Create event template error:', error);
+    saveError(res, error, 'Failed to save template');
+  }
+};
+
+/**
+ * Rename, describe or share a template. Pass `eventId` to replace its
+ * settings with that event's current ones.
+ * @route PUT /event-templates/:id
+ * @access Private (template owner or admin)
+ */
+export const updateTemplate = async (req, res) => {
+  try {
+    const { template, status, message } = await findTemplate(req.params.id, req.user, { manage: true });
+    if (!template) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    const updates = pickFields(req.body);
+
+    if (req.body.eventId) {
+      const event = await Event.findByPk(req.body.eventId);
+
+      if (!event || !event.isManagedBy(req.user)) {
+        return res.status(event ? 403 : 404).json({
+          success: false,
+          message: event ? 'Not authorized to make a template from this event' : 'Event not found'
+        });
+      }
+
+      Object.assign(updates, extractEventTemplate(event), { sourceEventId: event.id });
+    }
+
+    await template.update(updates);
+
+    res.json({
+      success: true,
+      data: template
+    });
+  } catch (error) {
+    logger.error('Update event template error:', error);
+    saveError(res, error, 'Failed to update template');
+  }
+};
+
+/**
+ * Delete a template. Events created from it are not affected.
+ * @route DELETE /event-templates/:id
+ * @access Private (template owner or admin)
+ */
+export const deleteTemplate = async (req, res) => {
+  try {
+    const { template, status, message } = await findTemplate(req.params.id, req.user, { manage: true });
+    if (!template) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    await template.destroy();
+
+    res.json({
+      success: true,
+      message: 'Template deleted'
+    });
+  } catch (error) {
+    logger.error('Delete event template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete template'
+    });
+  }
+};
+
+/**
+ * Create a draft event from a template
+ * @route POST /event-templates/:id/instantiate
+ * @access Private (Admin/Organizer)
+ */
+export const instantiateTemplate = async (req, res) => {
+  try {
+    const { template, status, message } = await findTemplate(req.params.id, req.user);
+    if (!template) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    const { title, startDate } = req.body;
+
+    if (typeof title !== 'string' || !title.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'title is required'
+      });
+    }
+
+    if (!startDate || Number.isNaN(new Date(startDate).getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'A valid startDate is required'
+      });
+    }
+
+    const event = await createEventFromTemplate(template, {
+      title: title.trim(),
+      startDate,
+      organizerId: req.user.id,
+      metadata: { templateId: template.id }
+    });
+
+    await template.increment('usageCount');
+
+    res.status(201).json({
+      success: true,
+      message: 'Event created from template',
+      data: event
+    });
+  } catch (error) {
+    logger.error('Instantiate event template error:', error);
+    saveError(res, error, 'Failed to create event from template');
+  }
+};
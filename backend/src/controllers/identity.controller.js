@@ -0,0 +1,305 @@
+import passport, { OAUTH_SCOPES, isProviderConfigured } from '../config/passport.js';
+import { Session } from '../models/session.model.js';
+import { User } from '../models/user.model.js';
+import { IDENTITY_PROVIDERS } from '../models/userIdentity.model.js';
+import {
+  OAUTH_STATE_TTL_MS,
+  createExchangeCode,
+  createOAuthNonce,
+  createOAuthState,
+  getSignInMethods,
+  linkIdentity,
+  reauthenticate,
+  resolveOAuthUser,
+  verifyOAuthState,
+} from '../services/identity.service.js';
+import { sessionContext, startSession } from '../services/session.service.js';
+import { logger } from '../utils/logger.js';
+
+// Frontend pages the OAuth callback returns to
+const LOGIN_CALLBACK_PATH = '/auth/callback';
+const LINK_CALLBACK_PATH = '/settings/accounts';
+
+// Ties an OAuth round trip to the browser that started it, so a state
+// cannot be handed to someone else (login CSRF, or linking their provider
+// account to the attacker's user)
+const NONCE_COOKIE = 'oauth_nonce';
+const NONCE_COOKIE_PATH = '/api/auth';
+
+const setNonceCookie = (res) => {
+  const nonce = createOAuthNonce();
+
+  res.cookie(NONCE_COOKIE, nonce, {
+    httpOnly: true,
+    sameSite: 'lax', // Still sent on the provider's redirect back to us
+    secure: process.env.NODE_ENV === 'production',
+    path: NONCE_COOKIE_PATH,
+    maxAge: OAUTH_STATE_TTL_MS,
+  });
+  return nonce;
+};
+
+const readNonceCookie = (req) => {
+  const cookie = (req.headers.cookie || '').split(';')
+    .map(part => part.trim())
+    .find(part => part.startsWith(`${NONCE_COOKIE}=`));
+
+  return cookie ? decodeURIComponent(cookie.slice(NONCE_COOKIE.length + 1)) : null;
+};
+
+const redirectToFrontend = (res, path, params) => (
+  res.redirect(`${process.env.FRONTEND_URL}${path}?${new URLSearchParams(params)}`)
+);
+
+const providerUnavailable = res => res.status(404).json({
+  success: false,
+  message: 'This sign-in provider is not available',
+});
+
+const reauthRequired = res => res.status(401).json({
+  success: false,
+  code: 'REAUTH_REQUIRED',
+  message: 'Confirm your password or a two-factor code to continue',
+});
+
+/**
+ * Send the browser to the provider. A link started by startLink passes
+ * its state along, which only works in the browser that called startLink;
+ * without a state this is a login.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export const startOAuth = (req, res, next) => {
+  const { provider } = req.params;
+
+  if (!isProviderConfigured(provider)) {
+    return providerUnavailable(res);
+  }
+
+  let state = req.query.state;
+
+  if (state) {
+    if (verifyOAuthState(state, provider, readNonceCookie(req))?.purpose !== 'link') {
+      return redirectToFrontend(res, LINK_CALLBACK_PATH, { error: 'invalid_state' });
+    }
+  } else {
+    state = createOAuthState({ provider, purpose: 'login', nonce: setNonceCookie(res) });
+  }
+
+  passport.authenticate(provider, {
+    session: false,
+    scope: OAUTH_SCOPES[provider],
+    state,
+  })(req, res, next);
+};
+
+/**
+ * Provider callback. Logins redirect to the frontend with a one-time code
+ * for POST /api/auth/oauth/exchange, never with tokens; links redirect to
+ * the account settings page.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export const oauthCallback = (req, res, next) => {
+  const { provider } = req.params;
+  const state = verifyOAuthState(req.query.state, provider, readNonceCookie(req));
+  res.clearCookie(NONCE_COOKIE, { path: NONCE_COOKIE_PATH });
+
+  const isLink = state?.purpose === 'link';
+  const fail = error => redirectToFrontend(res, isLink ? LINK_CALLBACK_PATH : LOGIN_CALLBACK_PATH, { error });
+
+  if (!isProviderConfigured(provider)) {
+    return fail('provider_unavailable');
+  }
+
+  if (!state) {
+    return fail('invalid_state');
+  }
+
+  passport.authenticate(provider, { session: false }, async (error, profile) => {
+    try {
+      if (error || !profile) {
+        if (error) logger.warn(`${provider} OAuth failed: ${error.message}`);
+        return fail(req.query.error === 'access_denied' ? 'access_denied' : 'oauth_failed');
+      }
+
+      if (isLink) {
+        const user = await User.findByPk(state.userId);
+        const result = user ? await linkIdentity(user, profile) : { error: 'user_not_found' };
+
+        return result.error ? fail(result.error) : redirectToFrontend(res, LINK_CALLBACK_PATH, { linked: provider });
+      }
+
+      const { user, error: resolveError } = await resolveOAuthUser(profile);
+
+      if (resolveError) {
+        return fail(resolveError);
+      }
+
+      if (!user.isActive) {
+        return fail('account_disabled');
+      }
+
+      redirectToFrontend(res, LOGIN_CALLBACK_PATH, {
+        code: await createExchangeCode(user, provider),
+      });
+    } catch (callbackError) {
+      next(callbackError);
+    }
+  })(req, res, next);
+};
+
+/**
+ * The current user's sign-in methods
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export const getIdentities = async (req, res, next) => {
+  try {
+    const { hasPassword, identities } = await getSignInMethods(req.user.id);
+
+    res.json({
+      success: true,
+      data: {
+        hasPassword,
+        identities: identities.map(identity => identity.toPublic()),
+        availableProviders: IDENTITY_PROVIDERS.filter(isProviderConfigured),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Start linking a provider after re-authentication. Returns the URL to
+ * send the browser to; the nonce cookie set here means the URL only works
+ * in this browser.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export const startLink = async (req, res, next) => {
+  try {
+    const { provider } = req.params;
+
+    if (!isProviderConfigured(provider)) {
+      return providerUnavailable(res);
+    }
+
+    if (!(await reauthenticate(req.user.id, req.body, req.sessionId))) {
+      return reauthRequired(res);
+    }
+
+    const state = createOAuthState({
+      provider,
+      purpose: 'link',
+      userId: req.user.id,
+      nonce: setNonceCookie(res),
+    });
+
+    res.json({
+      success: true,
+      data: {
+        url: `${process.env.API_URL}/api/auth/${provider}?${new URLSearchParams({ state })}`,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Unlink a provider. The last way to sign in cannot be removed.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export const unlinkIdentity = async (req, res, next) => {
+  try {
+    const { provider } = req.params;
+
+    if (!(await reauthenticate(req.user.id, req.body, req.sessionId))) {
+      return reauthRequired(res);
+    }
+
+    const { hasPassword, identities } = await getSignInMethods(req.user.id);
+    const identity = identities.find(entry => entry.provider === provider);
+
+    if (!identity) {
+      return res.status(404).json({
+        success: false,
+        message: 'No linked account for this provider',
+      });
+    }
+
+    if (!hasPassword && identities.length === 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'Set a password or link another account before removing your only way to sign in',
+      });
+    }
+
+    await identity.destroy();
+
+    // Otherwise the next login would link it again from the legacy columns
+    await User.update(
+      { oauthProvider: null, oauthId: null },
+      { where: { id: req.user.id, oauthProvider: provider } }
+    );
+
+    res.json({
+      success: true,
+      message: 'Account unlinked',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Add a password to an account that only signs in through providers
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export const setPassword = async (req, res, next) => {
+  try {
+    const user = await User.scope('withPassword').findByPk(req.user.id);
+
+    if (user.password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Your account already has a password',
+      });
+    }
+
+    if (!(await reauthenticate(user.id, req.body, req.sessionId))) {
+      return reauthRequired(res);
+    }
+
+    user.password = req.body.newPassword;
+    await user.save();
+
+    // Setting a password moves passwordChangedAt, which ends every
+    // existing token, so this device gets a new session
+    await Session.revokeAllForUser(user.id, 'password_changed');
+    const { accessToken, refreshToken } = await startSession(user, sessionContext(req));
+
+    res.json({
+      success: true,
+      message: 'Password set',
+      data: {
+        tokens: {
+          accessToken,
+          refreshToken,
+        },
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
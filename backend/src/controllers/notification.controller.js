@@ -0,0 +1,274 @@
+import { Op } from 'sequelize';
+import { NOTIFICATION_TYPES, Notification } from '../models/notification.model.js';
+import { NotificationPreference } from '../models/notificationPreference.model.js';
+import { logger } from '../utils/logger.js';
+
+const findOwnNotification = (id, userId) => Notification.findOne({
+  where: { id, userId, inApp: true }
+});
+
+/**
+ * Get the current user's notifications
+ * @route GET /notifications?page=&limit=&isRead=&type=
+ * @access Private
+ */
+export const getNotifications = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, isRead, type } = req.query;
+    const offset = (page - 1) * limit;
+    const where = {};
+
+    if (isRead !== undefined) where.isRead = isRead === 'true';
+    if (type) where.type = { [Op.in]: type.split(',') };
+
+    const { count, rows: notifications } = await Notification.findAndCountAll({
+      where: { userId: req.user.id, inApp: true, ...where },
+      order: [['createdAt', 'DESC']],
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+
+    res.json({
+      success: true,
+      data: {
+        notifications,
+        unreadCount: await Notification.findUnreadCount(req.user.id)
+      },
+      pagination: {
+        total: count,
+        page: parseInt(page),
+        totalPages: Math.ceil(count / limit)
+      }
+    });
+  } catch (error) {
+    logger.error('Get notifications error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch notifications'
+    });
+  }
+};
+
+/**
+ * Get the current user's unread notification count
+ * @route GET /notifications/unread-count
+ * @access Private
+ */
+export const getUnreadCount = async (req, res) => {
+  try {
+    const count = await Notification.findUnreadCount(req.user.id);
+
+    res.json({
+      success: true,
+      data: { count }
+    });
+  } catch (error) {
+    logger.error('Get unread count error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch unread count'
+    });
+  }
+};
+
+/**
+ * Mark a notification read or unread
+ * @route PATCH /notifications/:id/read
+ * @route PATCH /notifications/:id/unread
+ * @access Private
+ */
+const setReadState = (isRead) => async (req, res) => {
+  try {
+    const notification = await findOwnNotification(req.params.id, req.user.id);
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    await (isRead ? notification.markAsRead() : notification.markAsUnread());
+
+    res.json({
+      success: true,
+      data: notification
+    });
+  } catch (error) {
+    logger.error('Update notification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update notification'
+    });
+  }
+};
+
+export const markAsRead = setReadState(true);
+export const markAsUnread = setReadState(false);
+
+/**
+ * Mark several notifications read or unread
+ * @route POST /notifications/mark
+ * @access Private
+ */
+export const markMany = async (req, res) => {
+  try {
+    const { ids, isRead = true } = req.body;
+
+    if (!Array.isArray(ids) || ids.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'ids must be a non-empty array'
+      });
+    }
+
+    const updated = await Notification.markManyAs(req.user.id, ids, Boolean(isRead));
+
+    res.json({
+      success: true,
+      data: { updated }
+    });
+  } catch (error) {
+    logger.error('Mark notifications error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update notifications'
+    });
+  }
+};
+
+/**
+ * Mark all of the current user's notifications as read
+ * @route POST /notifications/read-all
+ * @access Private
+ */
+export const markAllAsRead = async (req, res) => {
+  try {
+    const [updated] = await Notification.markAllAsRead(req.user.id);
+
+    res.json({
+      success: true,
+      data: { updated }
+    });
+  } catch (error) {
+    logger.error('Mark all notifications error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update notifications'
+    });
+  }
+};
+
+/**
+ * Delete a notification
+ * @route DELETE /notifications/:id
+ * @access Private
+ */
+export const deleteNotification = async (req, res) => {
+  try {
+    const notification = await findOwnNotification(req.params.id, req.user.id);
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    await notification.destroy();
+
+    res.json({
+      success: true,
+      message: 'Notification deleted'
+    });
+  } catch (error) {
+    logger.error('Delete notification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete notification'
+    });
+  }
+};
+
+/**
+ * Get the current user's channel preferences for every notification type
+ * @route GET /notifications/preferences
+ * @access Private
+ */
+export const getPreferences = async (req, res) => {
+  try {
+    const preferences = await NotificationPreference.getForUser(req.user.id);
+
+    res.json({
+      success: true,
+      data: preferences
+    });
+  } catch (error) {
+    logger.error('Get notification preferences error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch notification preferences'
+    });
+  }
+};
+
+/**
+ * Update channel preferences; types that are left out keep their settings
+ * @route PUT /notifications/preferences
+ * @access Private
+ */
+export const updatePreferences = async (req, res) => {
+  try {
+    const { preferences } = req.body;
+
+    if (!Array.isArray(preferences)) {
+      return res.status(400).json({
+        success: false,
+        message: 'preferences must be an array'
+      });
+    }
+
+    for (const preference of preferences) {
+      if (!NOTIFICATION_TYPES.includes(preference.type)) {
+        return res.status(400).json({
+          success: false,
+          message: `Unknown notification type "${preference.type}"`
+        });
+      }
+
+      if (preference.email && preference.digest) {
+        return res.status(400).json({
+          success: false,
+          message: `Choose either immediate email or the daily digest for "${preference.type}", not both`
+        });
+      }
+    }
+
+    const current = new Map(
+      (await NotificationPreference.getForUser(req.user.id)).map(preference => [preference.type, preference])
+    );
+
+    // Turning on one email channel turns off the other
+    await NotificationPreference.bulkCreate(
+      preferences.map(({ type, inApp, email, digest }) => ({
+        userId: req.user.id,
+        type,
+        inApp: inApp ?? current.get(type).inApp,
+        email: email ?? (digest ? false : current.get(type).email),
+        digest: digest ?? (email ? false : current.get(type).digest)
+      })),
+      { updateOnDuplicate: ['inApp', 'email', 'digest', 'updatedAt'] }
+    );
+
+    res.json({
+      success: true,
+      data: await NotificationPreference.getForUser(req.user.id)
+    });
+  } catch (error) {
+    logger.error('Update notification preferences error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update notification preferences'
+    });
+  }
+};
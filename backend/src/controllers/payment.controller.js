@@ -0,0 +1,563 @@
+import { Event } from '../models/event.model.js';
+import { EventParticipant } from '../models/eventParticipant.model.js';
+import { Payment } from '../models/payment.model.js';
+import { PromoCode, DISCOUNT_TYPES } from '../models/promoCode.model.js';
+import { User } from '../models/user.model.js';
+import {
+  handlePaymentWebhook,
+  presentCheckout,
+  presentQuote,
+  quoteRegistration,
+  startCheckout
+} from '../services/payment.service.js';
+import {
+  PaymentWebhookError,
+  UnknownPaymentProviderError,
+  getPaymentProvider,
+  isMockCheckoutEnabled
+} from '../services/payments/index.js';
+import { logger } from '../utils/logger.js';
+
+const PROMO_CODE_FIELDS = [
+  'code',
+  'description',
+  'discountType',
+  'discountValue',
+  'maxRedemptions',
+  'startsAt',
+  'expiresAt',
+  'isActive'
+];
+
+const mockCheckoutDisabled = res => res.status(404).json({
+  success: false,
+  message: 'Checkout session not found'
+});
+
+const receiptIncludes = [
+  { model: Event, as: 'event', attributes: ['id', 'title', 'organizerId'] },
+  { model: User, as: 'user', attributes: ['id', 'name', 'email'] },
+  { model: PromoCode, as: 'promoCode', attributes: ['id', 'code'] }
+];
+
+const validationError = (res, error) => res.status(400).json({
+  success: false,
+  message: error.errors.map(e => e.message).join(', ')
+});
+
+/**
+ * Price a registration, optionally with a promo code
+ * @route POST /payments/events/:eventId/quote
+ * @access Private
+ */
+export const getQuote = async (req, res) => {
+  try {
+    const event = await Event.findByPk(req.params.eventId);
+
+    if (!event || !event.isPublished) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found or not published'
+      });
+    }
+
+    const { quote, status, message } = await quoteRegistration(event, req.body.promoCode);
+    if (!quote) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    res.json({
+      success: true,
+      data: presentQuote(quote)
+    });
+  } catch (error) {
+    logger.error('Get quote error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to price registration'
+    });
+  }
+};
+
+/**
+ * Start a new checkout for your unpaid registration, e.g. after the last
+ * one was abandoned or failed
+ * @route POST /payments/events/:eventId/checkout
+ * @access Private
+ */
+export const createCheckout = async (req, res) => {
+  try {
+    const event = await Event.findByPk(req.params.eventId);
+    const participant = event && await EventParticipant.findOne({
+      where: { eventId: event.id, userId: req.user.id, status: 'pending_payment' }
+    });
+
+    if (!participant) {
+      return res.status(404).json({
+        success: false,
+        message: 'You do not have a registration awaiting payment for this event'
+      });
+    }
+
+    // The expiry job may not have run yet
+    if (!participant.isAwaitingPayment()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Your registration has expired; please register again'
+      });
+    }
+
+    const { quote, status, message } = await quoteRegistration(event, req.body.promoCode);
+    if (!quote) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    const checkout = await startCheckout(participant, event, req.user, quote);
+    if (!checkout.payment) {
+      return res.status(checkout.status).json({ success: false, message: checkout.message });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: presentCheckout(checkout.payment)
+    });
+  } catch (error) {
+    logger.error('Create checkout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start checkout'
+    });
+  }
+};
+
+/**
+ * Receive payment provider webhooks
+ * @route POST /payments/webhooks/:provider
+ * @access Public (verified by the provider's signature)
+ */
+export const receiveWebhook = async (req, res) => {
+  try {
+    await handlePaymentWebhook(req.params.provider, req.rawBody || Buffer.alloc(0), req.headers);
+
+    res.json({ received: true });
+  } catch (error) {
+    // Not worth retrying: no delivery to this URL can ever succeed
+    if (error instanceof UnknownPaymentProviderError) {
+      logger.warn(`Rejected webhook: ${error.message}`);
+      return res.status(404).json({
+        success: false,
+        message: 'Payment provider not found'
+      });
+    }
+
+    if (error instanceof PaymentWebhookError || error instanceof SyntaxError) {
+      logger.warn(`Rejected ${req.params.provider} webhook: ${error.message}`);
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    // A 500 makes the provider deliver the webhook again later
+    logger.error('Payment webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to process webhook'
+    });
+  }
+};
+
+/**
+ * Look at a mock checkout session
+ * @route GET /payments/mock/checkout/:sessionId
+ * @access Public (mock provider only, outside production)
+ */
+export const getMockCheckout = async (req, res) => {
+  try {
+    if (!isMockCheckoutEnabled()) {
+      return mockCheckoutDisabled(res);
+    }
+
+    const payment = await Payment.findBySession('mock', req.params.sessionId);
+
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Checkout session not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: presentCheckout(payment)
+    });
+  } catch (error) {
+    logger.error('Get mock checkout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch checkout session'
+    });
+  }
+};
+
+/**
+ * Pay, fail or abandon a mock checkout. Sends the same signed webhook a
+ * real provider would.
+ * @route POST /payments/mock/checkout/:sessionId
+ * @access Public (mock provider only, outside production)
+ */
+export const completeMockCheckout = async (req, res) => {
+  try {
+    if (!isMockCheckoutEnabled()) {
+      return mockCheckoutDisabled(res);
+    }
+
+    const types = {
+      succeeded: 'payment.succeeded',
+      failed: 'payment.failed',
+      expired: 'checkout.expired'
+    };
+    const { outcome = 'succeeded', failureReason } = req.body;
+
+    if (!types[outcome]) {
+      return res.status(400).json({
+        success: false,
+        message: `outcome must be one of: ${Object.keys(types).join(', ')}`
+      });
+    }
+
+    const { body, headers } = getPaymentProvider('mock')
+      .buildWebhook(types[outcome], req.params.sessionId, { failureReason });
+    const payment = await handlePaymentWebhook('mock', body, headers);
+
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Checkout session not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: presentCheckout(payment)
+    });
+  } catch (error) {
+    logger.error('Complete mock checkout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to complete checkout'
+    });
+  }
+};
+
+/**
+ * Get your payments, newest first
+ * @route GET /payments/mine?eventId=
+ * @access Private
+ */
+export const getMyPayments = async (req, res) => {
+  try {
+    const where = { userId: req.user.id };
+    if (req.query.eventId) where.eventId = req.query.eventId;
+
+    const payments = await Payment.findAll({
+      where,
+      include: receiptIncludes,
+      order: [['createdAt', 'DESC']]
+    });
+
+    res.json({
+      success: true,
+      data: payments.map(payment => payment.toReceipt())
+    });
+  } catch (error) {
+    logger.error('Get my payments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch payments'
+    });
+  }
+};
+
+/**
+ * Get a payment receipt
+ * @route GET /payments/:id/receipt
+ * @access Private (payer, event organizer or admin)
+ */
+export const getReceipt = async (req, res) => {
+  try {
+    const payment = await Payment.findByPk(req.params.id, { include: receiptIncludes });
+
+    if (!payment || (payment.userId !== req.user.id && !payment.event.isManagedBy(req.user))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found'
+      });
+    }
+
+    if (!payment.receiptNumber) {
+      return res.status(400).json({
+        success: false,
+        message: 'This payment has not been completed'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: payment.toReceipt()
+    });
+  } catch (error) {
+    logger.error('Get receipt error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch receipt'
+    });
+  }
+};
+
+/**
+ * List an event's payments with totals
+ * @route GET /payments/events/:eventId?status=
+ * @access Private (event organizer or admin)
+ */
+export const getEventPayments = async (req, res) => {
+  try {
+    const { event } = req;
+
+    const where = { eventId: event.id };
+    if (req.query.status) where.status = req.query.status.split(',');
+
+    const [payments, summary] = await Promise.all([
+      Payment.findAll({ where, include: receiptIncludes, order: [['createdAt', 'DESC']] }),
+      Payment.getEventSummary(event.id)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        summary,
+        payments: payments.map(payment => payment.toReceipt())
+      }
+    });
+  } catch (error) {
+    logger.error('Get event payments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch payments'
+    });
+  }
+};
+
+/**
+ * Refund a payment. The registration itself is not changed.
+ * @route POST /payments/:id/refund
+ * @access Private (event organizer or admin)
+ */
+export const refundPayment = async (req, res) => {
+  try {
+    const payment = await Payment.findByPk(req.params.id, { include: receiptIncludes });
+
+    if (!payment || !payment.event.isManagedBy(req.user)) {
+      return res.status(payment ? 403 : 404).json({
+        success: false,
+        message: payment ? 'Not authorized to refund this payment' : 'Payment not found'
+      });
+    }
+
+    if (!(await payment.refund(req.body.reason || 'organizer'))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only successful payments can be refunded'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: payment.toReceipt()
+    });
+  } catch (error) {
+    logger.error('Refund payment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to refund payment',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * List an event's promo codes
+ * @route GET /payments/events/:eventId/promo-codes
+ * @access Private (event organizer or admin)
+ */
+export const getPromoCodes = async (req, res) => {
+  try {
+    const { event } = req;
+
+    const promoCodes = await PromoCode.findAll({
+      where: { eventId: event.id },
+      order: [['createdAt', 'DESC']]
+    });
+
+    res.json({
+      success: true,
+      data: promoCodes
+    });
+  } catch (error) {
+    logger.error('Get promo codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch promo codes'
+    });
+  }
+};
+
+/**
+ * Create a promo code
+ * @route POST /payments/events/:eventId/promo-codes
+ * @access Private (event organizer or admin)
+ */
+export const createPromoCode = async (req, res) => {
+  try {
+    const { event } = req;
+
+    if (!DISCOUNT_TYPES.includes(req.body.discountType)) {
+      return res.status(400).json({
+        success: false,
+        message: `discountType must be one of: ${DISCOUNT_TYPES.join(', ')}`
+      });
+    }
+
+    const values = Object.fromEntries(
+      PROMO_CODE_FIELDS.filter(field => req.body[field] !== undefined).map(field => [field, req.body[field]])
+    );
+
+    if (values.code && await PromoCode.findByCode(event.id, values.code)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This event already has that promo code'
+      });
+    }
+
+    const promoCode = await PromoCode.create({
+      ...values,
+      eventId: event.id,
+      createdById: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: promoCode
+    });
+  } catch (error) {
+    logger.error('Create promo code error:', error);
+
+    if (error.name === 'SequelizeValidationError') {
+      return validationError(res, error);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create promo code',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Update a promo code. The code itself cannot change once it has been used.
+ * @route PUT /payments/promo-codes/:id
+ * @access Private (event organizer or admin)
+ */
+export const updatePromoCode = async (req, res) => {
+  try {
+    const promoCode = await PromoCode.findByPk(req.params.id, {
+      include: [{ model: Event, as: 'event', attributes: ['id', 'organizerId'] }]
+    });
+
+    if (!promoCode || !promoCode.event.isManagedBy(req.user)) {
+      return res.status(promoCode ? 403 : 404).json({
+        success: false,
+        message: promoCode ? 'Not authorized to manage payments for this event' : 'Promo code not found'
+      });
+    }
+
+    const updates = Object.fromEntries(
+      PROMO_CODE_FIELDS.filter(field => req.body[field] !== undefined).map(field => [field, req.body[field]])
+    );
+
+    if (updates.code !== undefined && promoCode.redemptionCount > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'A promo code that has been redeemed cannot be renamed; deactivate it instead'
+      });
+    }
+
+    await promoCode.update(updates);
+
+    res.json({
+      success: true,
+      data: promoCode
+    });
+  } catch (error) {
+    logger.error('Update promo code error:', error);
+
+    if (error.name === 'SequelizeValidationError') {
+      return validationError(res, error);
+    }
+
+    if (error.name === 'SequelizeUniqueConstraintError') {
+      return res.status(400).json({
+        success: false,
+        message: 'This event already has that promo code'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update promo code',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Delete an unused promo code
+ * @route DELETE /payments/promo-codes/:id
+ * @access Private (event organizer or admin)
+ */
+export const deletePromoCode = async (req, res) => {
+  try {
+    const promoCode = await PromoCode.findByPk(req.params.id, {
+      include: [{ model: Event, as: 'event', attributes: ['id', 'organizerId'] }]
+    });
+
+    if (!promoCode || !promoCode.event.isManagedBy(req.user)) {
+      return res.status(promoCode ? 403 : 404).json({
+        success: false,
+        message: promoCode ? 'Not authorized to manage payments for this event' : 'Promo code not found'
+      });
+    }
+
+    // Payments keep pointing at the codes they used
+    if (await Payment.count({ where: { promoCodeId: promoCode.id } }) > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'This promo code has been used; deactivate it instead'
+      });
+    }
+
+    await promoCode.destroy();
+
+    res.json({
+      success: true,
+      message: 'Promo code deleted'
+    });
+  } catch (error) {
+    logger.error('Delete promo code error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete promo code'
+    });
+  }
+};
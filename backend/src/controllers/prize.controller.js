@@ -0,0 +1,188 @@
+import { Event } from '../models/event.model.js';
+import { lockResults, publishResults, resolveWinners } from '../services/prize.service.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Get published winners for an event
+ * @route GET /events/:id/winners
+ * @access Public
+ */
+export const getWinners = async (req, res) => {
+  try {
+    const event = await Event.findByPk(req.params.id);
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    if (event.prizeResults?.status !== 'published') {
+      return res.status(404).json({
+        success: false,
+        message: 'Winners have not been announced yet'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        publishedAt: event.prizeResults.publishedAt,
+        tracks: event.prizeResults.tracks
+      }
+    });
+  } catch (error) {
+    logger.error('Get winners error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get winners',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Preview winners: the frozen results once locked, otherwise resolved live
+ * from the current evaluations
+ * @route GET /events/:id/winners/preview
+ * @access Private (Admin/Organizer)
+ */
+export const previewWinners = async (req, res) => {
+  try {
+    const { event } = req;
+
+    if (event.arePrizesLocked()) {
+      return res.json({
+        success: true,
+        data: event.prizeResults
+      });
+    }
+
+    const results = await resolveWinners(event);
+
+    res.json({
+      success: true,
+      data: {
+        status: 'live',
+        ...results
+      }
+    });
+  } catch (error) {
+    logger.error('Preview winners error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to resolve winners',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Lock winners so later evaluations no longer change them
+ * @route POST /events/:id/winners/lock
+ * @access Private (Admin/Organizer)
+ */
+export const lockWinners = async (req, res) => {
+  try {
+    const { event } = req;
+
+    if (event.arePrizesLocked()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Prize results are already locked'
+      });
+    }
+
+    if (!event.prizes || event.prizes.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'This event has no prize tracks'
+      });
+    }
+
+    const results = await lockResults(event, req.user);
+
+    res.json({
+      success: true,
+      message: 'Prize results locked',
+      data: results
+    });
+  } catch (error) {
+    logger.error('Lock winners error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to lock prize results',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Unlock winners before they are published
+ * @route POST /events/:id/winners/unlock
+ * @access Private (Admin/Organizer)
+ */
+export const unlockWinners = async (req, res) => {
+  try {
+    const { event } = req;
+
+    if (event.prizeResults?.status !== 'locked') {
+      return res.status(400).json({
+        success: false,
+        message: event.prizeResults?.status === 'published'
+          ? 'Published results cannot be unlocked'
+          : 'Prize results are not locked'
+      });
+    }
+
+    await event.update({ prizeResults: null });
+
+    res.json({
+      success: true,
+      message: 'Prize results unlocked'
+    });
+  } catch (error) {
+    logger.error('Unlock winners error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to unlock prize results',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Publish locked winners and notify the winning teams
+ * @route POST /events/:id/winners/publish
+ * @access Private (Admin/Organizer)
+ */
+export const publishWinners = async (req, res) => {
+  try {
+    const { event } = req;
+
+    if (event.prizeResults?.status !== 'locked') {
+      return res.status(400).json({
+        success: false,
+        message: event.prizeResults?.status === 'published'
+          ? 'Prize results have already been published'
+          : 'Lock the prize results before publishing them'
+      });
+    }
+
+    const { results, notified } = await publishResults(event);
+
+    res.json({
+      success: true,
+      message: `Winners published; ${notified} notification(s) sent`,
+      data: results
+    });
+  } catch (error) {
+    logger.error('Publish winners error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to publish winners',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
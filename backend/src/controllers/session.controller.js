@@ -0,0 +1,159 @@
+import { Session } from '../models/session.model.js';
+import { User } from '../models/user.model.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * List the devices you are signed in on
+ * @route GET /sessions
+ * @access Private
+ */
+export const getMySessions = async (req, res) => {
+  try {
+    const sessions = await Session.findActiveForUser(req.user.id);
+
+    res.json({
+      success: true,
+      data: sessions.map(session => session.toPublic(req.sessionId))
+    });
+  } catch (error) {
+    logger.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch sessions'
+    });
+  }
+};
+
+/**
+ * Sign out one of your devices. Its access token stops working straight away.
+ * @route DELETE /sessions/:id
+ * @access Private
+ */
+export const revokeSession = async (req, res) => {
+  try {
+    const session = await Session.findOne({
+      where: { id: req.params.id, userId: req.user.id }
+    });
+
+    if (!session || session.revokedAt) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    await session.revoke(session.id === req.sessionId ? 'logout' : 'revoked_by_user');
+
+    res.json({
+      success: true,
+      message: 'Session signed out',
+      data: session.toPublic(req.sessionId)
+    });
+  } catch (error) {
+    logger.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to sign out session'
+    });
+  }
+};
+
+/**
+ * Sign out every device except the one making the request
+ * @route POST /sessions/revoke-others
+ * @access Private
+ */
+export const revokeOtherSessions = async (req, res) => {
+  try {
+    // Without a session on this token every session would count as "other"
+    if (!req.sessionId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Log in again to manage your sessions from this device'
+      });
+    }
+
+    const revoked = await Session.revokeAllForUser(req.user.id, 'revoked_by_user', {
+      exceptId: req.sessionId
+    });
+
+    res.json({
+      success: true,
+      message: `Signed out of ${revoked} other session${revoked === 1 ? '' : 's'}`,
+      data: { revoked }
+    });
+  } catch (error) {
+    logger.error('Revoke other sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to sign out other sessions'
+    });
+  }
+};
+
+/**
+ * List a user's active sessions
+ * @route GET /sessions/users/:userId
+ * @access Private (Admin)
+ */
+export const getUserSessions = async (req, res) => {
+  try {
+    const user = await User.findByPk(req.params.userId, { attributes: ['id', 'name', 'email'] });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const sessions = await Session.findActiveForUser(user.id);
+
+    res.json({
+      success: true,
+      data: {
+        user,
+        sessions: sessions.map(session => session.toPublic())
+      }
+    });
+  } catch (error) {
+    logger.error('Get user sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch sessions'
+    });
+  }
+};
+
+/**
+ * Sign a compromised account out everywhere
+ * @route POST /sessions/users/:userId/revoke-all
+ * @access Private (Admin)
+ */
+export const revokeUserSessions = async (req, res) => {
+  try {
+    const user = await User.findByPk(req.params.userId, { attributes: ['id', 'email'] });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const revoked = await Session.revokeAllForUser(user.id, 'revoked_by_admin');
+    logger.warn(`Admin ${req.user.id} revoked ${revoked} sessions of user ${user.id}: ${req.body.reason || 'no reason given'}`);
+
+    res.json({
+      success: true,
+      message: `Signed out of ${revoked} session${revoked === 1 ? '' : 's'}`,
+      data: { revoked }
+    });
+  } catch (error) {
+    logger.error('Revoke user sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to sign out sessions'
+    });
+  }
+};
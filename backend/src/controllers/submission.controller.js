@@ -1,10 +1,18 @@
-import { Submission, Evaluation } from '../models/submission.model.js';
-import { Team, TeamMember } from '../models/team.model.js';
-import { Event, EventJudge } from '../models/event.model.js';
+import { sequelize } from '../config/database.js';
+import { Submission } from '../models/submission.model.js';
+import { Evaluation } from '../models/evaluation.model.js';
+import { Team } from '../models/team.model.js';
+import { TeamMember } from '../models/teamMember.model.js';
+import { Event } from '../models/event.model.js';
+import { EventJudge } from '../models/eventJudge.model.js';
+import { JudgeAssignment } from '../models/judgeAssignment.model.js';
+import { JudgingRound } from '../models/judgingRound.model.js';
 import { User } from '../models/user.model.js';
 import { logger } from '../utils/logger.js';
+import { calculateWeightedScore, validateCriteriaScores } from '../utils/criteria.js';
 import { Op } from 'sequelize';
 import { uploadToStorage } from '../services/storage.service.js';
+import { broadcastLeaderboard, buildLeaderboard, resolveLeaderboardRound } from '../services/leaderboard.service.js';
 
 /**
  * @swagger
@@ -309,14 +317,12 @@ export const listEventSubmissions = async (req, res) => {
     // If judge, only show submissions they're assigned to evaluate
     if (isJudge && !isAdmin && !isEventOrganizer) {
       include.push({
-        model: Evaluation,
-        as: 'evaluations',
+        model: JudgeAssignment,
+        as: 'assignments',
         where: { judgeId: req.user.id },
-        required: false
+        attributes: ['id', 'round', 'status'],
+        required: true
       });
-
-      // Only show submissions that have been assigned to this judge
-      where['$evaluations.judgeId$'] = req.user.id;
     }
 
     // Add evaluations count and average score
@@ -384,33 +390,26 @@ export const listEventSubmissions = async (req, res) => {
  *           schema:
  *             type: object
  *             required:
- *               - score
  *               - feedback
  *             properties:
  *               score:
  *                 type: number
  *                 minimum: 0
  *                 maximum: 100
- *                 description: Numeric score (0-100)
+ *                 description: Numeric score (0-100); ignored when the event defines judging criteria, since the weighted criteria total is used
  *               feedback:
  *                 type: string
  *                 description: Detailed feedback
- *               criteria:
- *                 type: array
- *                 items:
- *                   type: object
- *                   required:
- *                     - name
- *                     - score
- *                   properties:
- *                     name:
- *                       type: string
- *                     score:
- *                       type: number
- *                       minimum: 0
- *                       maximum: 10
- *                     comment:
- *                       type: string
+ *               round:
+ *                 type: integer
+ *                 minimum: 1
+ *                 description: Judging round (defaults to the currently open round)
+ *               criteriaScores:
+ *                 type: object
+ *                 additionalProperties:
+ *                   type: number
+ *                   minimum: 0
+ *                 description: Score per event criterion id; required when the event defines judging criteria
  *     responses:
  *       201:
  *         description: Evaluation submitted successfully
@@ -443,7 +442,8 @@ export const listEventSubmissions = async (req, res) => {
 export const submitEvaluation = async (req, res) => {
   try {
     const { id } = req.params;
-    const { score, feedback, criteria } = req.body;
+    const { feedback, criteriaScores = {} } = req.body;
+    let { score } = req.body;
 
     const submission = await Submission.findByPk(id, {
       include: [
@@ -479,11 +479,83 @@ export const submitEvaluation = async (req, res) => {
       });
     }
 
-    // Check if judging is still open
-    if (new Date() > new Date(submission.event.judgingEnd) && !isAdmin) {
+    if (submission.event.status === 'cancelled') {
+      return res.status(400).json({
+        success: false,
+        message: 'This event has been cancelled'
+      });
+    }
+
+    if (submission.event.isPairwiseJudging()) {
+      return res.status(400).json({
+        success: false,
+        message: 'This event uses pairwise judging; submit comparisons instead of scores'
+      });
+    }
+
+    // Resolve the judging round: explicit, the open round, or round 1 for events without rounds
+    const rounds = await JudgingRound.findByEvent(submission.eventId);
+    let round = req.body.round ? parseInt(req.body.round, 10) : null;
+
+    if (rounds.length > 0) {
+      const judgingRound = round
+        ? rounds.find(r => r.roundNumber === round)
+        : rounds.find(r => r.status === 'open');
+
+      if (!judgingRound) {
+        return res.status(400).json({
+          success: false,
+          message: round ? `Round ${round} does not exist for this event` : 'No judging round is currently open'
+        });
+      }
+
+      if (!judgingRound.isOpenForJudging() && !isAdmin) {
+        return res.status(400).json({
+          success: false,
+          message: `Judging for ${judgingRound.name} is not open`
+        });
+      }
+
+      round = judgingRound.roundNumber;
+    } else {
+      round = round || 1;
+
+      // Check if judging is still open
+      if (new Date() > new Date(submission.event.judgingEnd) && !isAdmin) {
+        return res.status(400).json({
+          success: false,
+          message: 'Judging period has ended'
+        });
+      }
+    }
+
+    if ((submission.currentRound || 1) < round) {
       return res.status(400).json({
         success: false,
-        message: 'Judging period has ended'
+        message: `Submission has not advanced to round ${round}`
+      });
+    }
+
+    // With criteria defined, the total is always the weighted criteria score
+    const criteria = await submission.event.getCriteriaForRound(round);
+    if (criteria.length > 0) {
+      const criteriaError = validateCriteriaScores(criteria, criteriaScores);
+      if (criteriaError) {
+        return res.status(400).json({
+          success: false,
+          message: criteriaError
+        });
+      }
+
+      score = calculateWeightedScore(criteria, criteriaScores);
+    }
+
+    // Judges may only score submissions assigned to them
+    const assignment = await JudgeAssignment.findForJudge(req.user.id, id, round);
+    if (!assignment && !isEventOrganizer && !isAdmin) {
+      return res.status(403).json({
+        success: false,
+        message: 'This submission is not assigned to you'
       });
     }
 
@@ -491,20 +563,29 @@ export const submitEvaluation = async (req, res) => {
     const [evaluation, created] = await Evaluation.upsert(
       {
         submissionId: id,
+        eventId: submission.eventId,
         judgeId: req.user.id,
+        round,
         score,
         feedback,
-        criteria,
+        criteriaScores,
         status: 'submitted'
       },
       {
-        conflictFields: ['submissionId', 'judgeId'],
+        conflictFields: ['submissionId', 'judgeId', 'round'],
         returning: true
       }
     );
 
-    // Recalculate submission scores
-    await submission.calculateScores();
+    if (assignment) {
+      await assignment.markCompleted();
+    }
+
+    // Recalculate scores for the round; normalization can shift other submissions too
+    await Submission.recalculateEventScores(submission.eventId, round);
+
+    // Live leaderboard screens should not hold up the judge's response
+    broadcastLeaderboard(submission.event, round).catch(error => logger.error('Leaderboard broadcast error:', error));
 
     res.status(created ? 201 : 200).json({
       success: true,
@@ -521,9 +602,87 @@ export const submitEvaluation = async (req, res) => {
   }
 };
 
+/**
+ * Opt a submission in to prize tracks
+ * @route PUT /submissions/:id/prize-tracks
+ * @access Private (Team members)
+ */
+export const updatePrizeTracks = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { trackIds } = req.body;
+
+    if (!Array.isArray(trackIds)) {
+      return res.status(400).json({
+        success: false,
+        message: 'trackIds must be an array'
+      });
+    }
+
+    const submission = await Submission.findByPk(id, {
+      include: [{ model: Event, as: 'event' }]
+    });
+
+    if (!submission) {
+      return res.status(404).json({
+        success: false,
+        message: 'Submission not found'
+      });
+    }
+
+    const membership = await TeamMember.findOne({
+      where: { teamId: submission.teamId, userId: req.user.id, status: 'accepted' }
+    });
+
+    if (!membership) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only team members can choose prize tracks'
+      });
+    }
+
+    if (submission.event.status === 'cancelled') {
+      return res.status(400).json({
+        success: false,
+        message: 'This event has been cancelled'
+      });
+    }
+
+    if (submission.event.arePrizesLocked()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Prize results are locked'
+      });
+    }
+
+    const trackIdSet = new Set((submission.event.prizes || []).map(track => track.id));
+    const unknown = trackIds.find(trackId => !trackIdSet.has(trackId));
+    if (unknown) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown prize track "${unknown}"`
+      });
+    }
+
+    await submission.update({ prizeTracks: [...new Set(trackIds)] });
+
+    res.json({
+      success: true,
+      data: { prizeTracks: submission.prizeTracks }
+    });
+  } catch (error) {
+    logger.error('Update prize tracks error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update prize tracks',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
 /**
  * Get leaderboard for an event
- * @route GET /events/:eventId/leaderboard
+ * @route GET /events/:eventId/leaderboard?round=
  * @access Public (or restricted based on event settings)
  */
 export const getLeaderboard = async (req, res) => {
@@ -539,79 +698,39 @@ export const getLeaderboard = async (req, res) => {
       });
     }
 
+    const isOrganizer = event.isManagedBy(req.user);
+
     // Check if leaderboard is public
-    if (!event.isLeaderboardPublic && !req.user?.roles?.includes('admin') && 
-        event.organizerId !== req.user?.id) {
+    if (!event.isLeaderboardPublic && !isOrganizer) {
       return res.status(403).json({
         success: false,
         message: 'Leaderboard is not public for this event'
       });
     }
 
-    // Get submissions with evaluation counts and average scores
-    const submissions = await Submission.findAll({
-      where: {
-        eventId,
-        status: 'submitted'
-      },
-      include: [
-        {
-          model: Team,
-          as: 'team',
-          attributes: ['id', 'name']
-        },
-        {
-          model: Evaluation,
-          as: 'evaluations',
-          attributes: [],
-          required: false
-        }
-      ],
-      attributes: [
-        'id',
-        'title',
-        'createdAt',
-        [
-          sequelize.fn('COUNT', sequelize.col('evaluations.id')),
-          'evaluationCount'
-        ],
-        [
-          sequelize.fn('AVG', sequelize.col('evaluations.score')),
-          'averageScore'
-        ]
-      ],
-      group: ['Submission.id'],
-      order: [
-        [sequelize.literal('"averageScore"'), 'DESC NULLS LAST'],
-        [sequelize.literal('"evaluationCount"'), 'DESC']
-      ],
-      limit: parseInt(limit),
-      offset: parseInt(offset),
-      subQuery: false
-    });
-
-    // Add rank to each submission
-    const rankedSubmissions = submissions.map((submission, index) => ({
-      ...submission.get({ plain: true }),
-      rank: offset + index + 1
-    }));
+    const round = await resolveLeaderboardRound(eventId, req.query.round);
+    const leaderboard = await buildLeaderboard(event, { round });
 
-    // Get total count for pagination
-    const total = await Submission.count({
-      where: {
-        eventId,
-        status: 'submitted'
-      }
-    });
+    const start = parseInt(offset);
+    const rankedSubmissions = leaderboard.entries
+      .slice(start, start + parseInt(limit))
+      .map(({ averageScore, ...entry }) => (
+        // Raw scores are only shown to organizers; everyone else sees the normalized ranking score
+        isOrganizer ? { ...entry, averageScore } : entry
+      ));
 
     res.json({
       success: true,
       data: {
+        round,
+        mode: leaderboard.mode,
+        normalization: leaderboard.normalization,
         submissions: rankedSubmissions,
+        categories: leaderboard.categories,
         pagination: {
-          total,
+          total: leaderboard.entries.length,
           limit: parseInt(limit),
-          offset: parseInt(offset)
+          offset: start
         }
       }
     });
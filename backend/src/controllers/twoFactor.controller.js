@@ -0,0 +1,186 @@
+import { Session } from '../models/session.model.js';
+import { TwoFactorRecoveryCode } from '../models/twoFactorRecoveryCode.model.js';
+import { User } from '../models/user.model.js';
+import {
+  disableTwoFactor as clearTwoFactor,
+  generateRecoveryCodes,
+  isTwoFactorRequired,
+  startEnrollment,
+  verifySecondFactor,
+  verifyTotpCode,
+} from '../services/twoFactor.service.js';
+import { comparePasswords } from '../utils/auth.js';
+
+const findWithSecret = userId => User.scope('withTwoFactor').findByPk(userId);
+
+/**
+ * Two-factor status for the current user
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export const getTwoFactorStatus = async (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        enabled: req.user.twoFactorEnabled,
+        required: isTwoFactorRequired(req.user),
+        recoveryCodesRemaining: req.user.twoFactorEnabled
+          ? await TwoFactorRecoveryCode.countRemaining(req.user.id)
+          : 0,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Start setting up two-factor authentication. Returns the secret and an
+ * otpauth URI (also as a QR code) for the authenticator app. Nothing
+ * changes at login until the setup is confirmed with a code.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export const setupTwoFactor = async (req, res, next) => {
+  try {
+    if (req.user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await startEnrollment(req.user),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Confirm setup with a code from the app. Returns the recovery codes,
+ * which are not shown again, and signs out every other session.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export const enableTwoFactor = async (req, res, next) => {
+  try {
+    const user = await findWithSecret(req.user.id);
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled',
+      });
+    }
+
+    if (!user.twoFactorSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start the setup first',
+      });
+    }
+
+    if (!(await verifyTotpCode(user, req.body.code))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid code',
+      });
+    }
+
+    await user.update({ twoFactorEnabled: true });
+    const recoveryCodes = await generateRecoveryCodes(user);
+    await Session.revokeAllForUser(user.id, 'two_factor_enabled', { exceptId: req.sessionId });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled',
+      data: { recoveryCodes },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Turn two-factor authentication off. Needs the password and a code or
+ * recovery code, and is refused for roles that require it.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export const disableTwoFactor = async (req, res, next) => {
+  try {
+    const user = await findWithSecret(req.user.id);
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled',
+      });
+    }
+
+    if (isTwoFactorRequired(user)) {
+      return res.status(403).json({
+        success: false,
+        message: `Two-factor authentication is required for ${user.role} accounts`,
+      });
+    }
+
+    const passwordOk = user.password && await comparePasswords(req.body.password || '', user.password);
+    if (!passwordOk || !(await verifySecondFactor(user, req.body))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password or code is incorrect',
+      });
+    }
+
+    await clearTwoFactor(user);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Replace the recovery codes. The old ones stop working.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export const regenerateRecoveryCodes = async (req, res, next) => {
+  try {
+    const user = await findWithSecret(req.user.id);
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled',
+      });
+    }
+
+    if (!(await verifyTotpCode(user, req.body.code))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid code',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { recoveryCodes: await generateRecoveryCodes(user) },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,259 @@
+import { Event } from '../models/event.model.js';
+import { Submission } from '../models/submission.model.js';
+import { TeamMember } from '../models/teamMember.model.js';
+import { DEFAULT_VOTING_CATEGORY, Vote } from '../models/vote.model.js';
+import { getPeoplesChoice } from '../services/vote.service.js';
+import { logger } from '../utils/logger.js';
+
+const VOTABLE_SUBMISSION_STATUSES = ['submitted', 'under_review', 'accepted'];
+
+/**
+ * Cast or change a vote in a category
+ * @route POST /votes/events/:eventId
+ * @access Private (email-verified users)
+ */
+export const castVote = async (req, res) => {
+  try {
+    const { eventId } = req.params;
+    const { submissionId, category = DEFAULT_VOTING_CATEGORY } = req.body;
+
+    const event = await Event.findByPk(eventId);
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    if (!event.isVotingOpen()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Voting is not open for this event'
+      });
+    }
+
+    if (!req.user.isEmailVerified) {
+      return res.status(403).json({
+        success: false,
+        message: 'Verify your email address before voting'
+      });
+    }
+
+    if (!event.getVotingCategories().some(votingCategory => votingCategory.id === category)) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown voting category "${category}"`
+      });
+    }
+
+    const submission = await Submission.findOne({
+      where: { id: submissionId, eventId }
+    });
+
+    if (!submission || !submission.isPublic || !VOTABLE_SUBMISSION_STATUSES.includes(submission.status)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Submission not found or not open for voting'
+      });
+    }
+
+    const isTeamMember = await TeamMember.count({
+      where: { teamId: submission.teamId, userId: req.user.id, status: 'accepted' }
+    }) > 0;
+
+    if (isTeamMember) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot vote for your own team'
+      });
+    }
+
+    // One vote per user per category; voting again moves the vote
+    const [vote, created] = await Vote.upsert(
+      {
+        eventId,
+        userId: req.user.id,
+        category,
+        submissionId,
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent')?.substring(0, 500)
+      },
+      {
+        conflictFields: ['eventId', 'userId', 'category'],
+        returning: true
+      }
+    );
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      message: created ? 'Vote recorded' : 'Vote updated',
+      data: {
+        id: vote.id,
+        category: vote.category,
+        submissionId: vote.submissionId
+      }
+    });
+  } catch (error) {
+    logger.error('Cast vote error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to record vote',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Withdraw a vote while voting is open
+ * @route DELETE /votes/events/:eventId/:category
+ * @access Private
+ */
+export const retractVote = async (req, res) => {
+  try {
+    const { eventId, category } = req.params;
+
+    const event = await Event.findByPk(eventId);
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    if (!event.isVotingOpen()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Voting is not open for this event'
+      });
+    }
+
+    const deleted = await Vote.destroy({
+      where: { eventId, userId: req.user.id, category }
+    });
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vote not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Vote withdrawn'
+    });
+  } catch (error) {
+    logger.error('Retract vote error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to withdraw vote'
+    });
+  }
+};
+
+/**
+ * Get the current user's votes for an event
+ * @route GET /votes/events/:eventId/mine
+ * @access Private
+ */
+export const getMyVotes = async (req, res) => {
+  try {
+    const votes = await Vote.findByUser(req.params.eventId, req.user.id, {
+      attributes: ['id', 'category', 'submissionId', 'updatedAt']
+    });
+
+    res.json({
+      success: true,
+      data: votes
+    });
+  } catch (error) {
+    logger.error('Get my votes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch votes'
+    });
+  }
+};
+
+/**
+ * Live vote tallies, with IP addresses casting unusually many votes
+ * @route GET /votes/events/:eventId/tallies
+ * @access Private (Admin/Organizer)
+ */
+export const getTallies = async (req, res) => {
+  try {
+    const { eventId } = req.params;
+
+    const event = await Event.findByPk(eventId);
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    if (!event.isManagedBy(req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view vote tallies for this event'
+      });
+    }
+
+    const [categories, suspiciousIps] = await Promise.all([
+      getPeoplesChoice(event),
+      Vote.findSuspiciousIps(eventId)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        isVotingOpen: event.isVotingOpen(),
+        votingStart: event.votingStart,
+        votingEnd: event.votingEnd,
+        categories,
+        suspiciousIps
+      }
+    });
+  } catch (error) {
+    logger.error('Get vote tallies error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch vote tallies'
+    });
+  }
+};
+
+/**
+ * People's Choice rankings, published once voting has closed
+ * @route GET /votes/events/:eventId/peoples-choice
+ * @access Public
+ */
+export const getPeoplesChoiceRanking = async (req, res) => {
+  try {
+    const event = await Event.findByPk(req.params.eventId);
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    if (!event.votingEnd || new Date() <= event.votingEnd) {
+      return res.status(400).json({
+        success: false,
+        message: 'People\'s Choice results are available once voting closes'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await getPeoplesChoice(event)
+    });
+  } catch (error) {
+    logger.error('Get People\'s Choice error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch People\'s Choice results'
+    });
+  }
+};
@@ -7,8 +7,10 @@ import { Server } from 'socket.io';
 import { errorHandler } from './middleware/errorHandler.js';
 import { connectToDatabases } from './config/database.js';
 import { configureRoutes } from './routes/index.js';
+import { configurePassport } from './config/passport.js';
 import { setupSwagger } from './config/swagger.js';
 import { configureWebSockets } from './services/socketService.js';
+import { startJobs } from './jobs/index.js';
 import { rateLimiter } from './middleware/rateLimiter.js';
 import { logger } from './utils/logger.js';
 import dotenv from 'dotenv';
@@ -32,10 +34,16 @@ app.use(cors({
   origin: process.env.FRONTEND_URL || 'http://localhost:3000',
   credentials: true,
 }));
-app.use(express.json());
+// Keep the raw body for verifying payment webhook signatures
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  },
+}));
 app.use(express.urlencoded({ extended: true }));
 app.use(morgan('dev'));
 app.use(rateLimiter);
+app.use(configurePassport().initialize());
 
 // Initialize database connections
 await connectToDatabases();
@@ -51,6 +59,11 @@ configureRoutes(app);
 // Configure WebSockets
 configureWebSockets(io);
 
+// Start background jobs (event lifecycle, announcements, waitlist offers, payments, email)
+if (process.env.DISABLE_JOBS !== 'true') {
+  startJobs();
+}
+
 // Error handling middleware
 app.use(errorHandler);
 
@@ -0,0 +1,13 @@
+import { Announcement } from '../models/announcement.model.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Publish scheduled announcements whose publish time has passed
+ */
+export const runAnnouncementPublishJob = async () => {
+  const published = await Announcement.publishDue();
+
+  if (published > 0) {
+    logger.info(`Published ${published} scheduled announcements`);
+  }
+};
@@ -0,0 +1,21 @@
+import { AuthExchangeCode } from '../models/authExchangeCode.model.js';
+import { Session } from '../models/session.model.js';
+import { TokenBlacklist } from '../models/tokenBlacklist.model.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Drop blacklisted tokens that have expired anyway, and sessions that
+ * ended a while ago along with their refresh tokens, and expired OAuth
+ * exchange codes
+ */
+export const runAuthCleanupJob = async () => {
+  const [tokens, sessions] = await Promise.all([
+    TokenBlacklist.purgeExpired(),
+    Session.purgeEnded(),
+    AuthExchangeCode.purgeExpired(),
+  ]);
+
+  if (tokens > 0 || sessions > 0) {
+    logger.info(`Removed ${tokens} expired blacklisted tokens and ${sessions} ended sessions`);
+  }
+};
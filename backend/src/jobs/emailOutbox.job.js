@@ -0,0 +1,13 @@
+import { processOutbox } from '../services/email.service.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Retry queued emails whose backoff has elapsed
+ */
+export const runEmailOutboxJob = async () => {
+  const { sent, failed } = await processOutbox();
+
+  if (sent > 0 || failed > 0) {
+    logger.info(`Email outbox: ${sent} sent, ${failed} failed`);
+  }
+};
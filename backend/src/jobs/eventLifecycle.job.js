@@ -0,0 +1,13 @@
+import { Event } from '../models/event.model.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Move events to the status their dates call for
+ */
+export const runEventLifecycleJob = async () => {
+  const transitions = await Event.advanceScheduled();
+
+  if (transitions > 0) {
+    logger.info(`Made ${transitions} scheduled event status transitions`);
+  }
+};
@@ -0,0 +1,80 @@
+import { logger } from '../utils/logger.js';
+import { runAnnouncementPublishJob } from './announcementPublish.job.js';
+import { runAuthCleanupJob } from './authCleanup.job.js';
+import { runEmailOutboxJob } from './emailOutbox.job.js';
+import { runEventLifecycleJob } from './eventLifecycle.job.js';
+import { runNotificationDigestJob } from './notificationDigest.job.js';
+import { runPaymentExpiryJob } from './paymentExpiry.job.js';
+import { runWaitlistExpiryJob } from './waitlistExpiry.job.js';
+
+const timers = new Set();
+
+// A run is skipped while the previous one is still going
+const guard = (name, task) => {
+  let running = false;
+
+  return async () => {
+    if (running) {
+      logger.debug(`Job ${name} still running, skipping`);
+      return;
+    }
+
+    running = true;
+    try {
+      await task();
+    } catch (error) {
+      logger.error(`Job ${name} failed:`, error);
+    } finally {
+      running = false;
+    }
+  };
+};
+
+const every = (name, intervalMs, task) => {
+  const timer = setInterval(guard(name, task), intervalMs);
+  timer.unref();
+  timers.add(timer);
+};
+
+// Runs once a day at the given UTC hour
+const daily = (name, hourUtc, task) => {
+  const run = guard(name, task);
+
+  const scheduleNext = () => {
+    const next = new Date();
+    next.setUTCHours(hourUtc, 0, 0, 0);
+    if (next <= new Date()) next.setUTCDate(next.getUTCDate() + 1);
+
+    const timer = setTimeout(async () => {
+      timers.delete(timer);
+      await run();
+      scheduleNext();
+    }, next - Date.now());
+
+    timer.unref();
+    timers.add(timer);
+  };
+
+  scheduleNext();
+};
+
+/**
+ * Start the background jobs. With several API instances, run them on one
+ * and set DISABLE_JOBS=true on the rest.
+ */
+export const startJobs = () => {
+  every('event-lifecycle', 60 * 1000, runEventLifecycleJob);
+  every('announcement-publish', 60 * 1000, runAnnouncementPublishJob);
+  every('waitlist-expiry', 60 * 1000, runWaitlistExpiryJob);
+  every('payment-expiry', 60 * 1000, runPaymentExpiryJob);
+  every('email-outbox', parseInt(process.env.EMAIL_OUTBOX_INTERVAL_MS || '30000'), runEmailOutboxJob);
+  daily('notification-digest', parseInt(process.env.EMAIL_DIGEST_HOUR_UTC || '8'), runNotificationDigestJob);
+  daily('auth-cleanup', 3, runAuthCleanupJob);
+
+  logger.info('Background jobs started');
+};
+
+export const stopJobs = () => {
+  timers.forEach(timer => clearTimeout(timer));
+  timers.clear();
+};
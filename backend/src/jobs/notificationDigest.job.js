@@ -0,0 +1,46 @@
+import { Op } from 'sequelize';
+import { Notification } from '../models/notification.model.js';
+import { User } from '../models/user.model.js';
+import { sendNotificationDigest } from '../services/email.service.js';
+import { logger } from '../utils/logger.js';
+
+// Longer digests are cut to the most recent items
+const MAX_DIGEST_ITEMS = 50;
+
+/**
+ * Email every user one digest of their unread digest-delivery notifications.
+ * Notifications read in the app before the digest goes out are left out.
+ */
+export const runNotificationDigestJob = async () => {
+  const pending = await Notification.findPendingDigest();
+  if (pending.length === 0) return;
+
+  const byUser = new Map();
+  pending.forEach((notification) => {
+    if (!byUser.has(notification.userId)) byUser.set(notification.userId, []);
+    byUser.get(notification.userId).push(notification);
+  });
+
+  const users = await User.findAll({
+    where: { id: { [Op.in]: [...byUser.keys()] }, isActive: true },
+    attributes: ['id', 'name', 'email', 'locale'],
+  });
+
+  let sent = 0;
+  for (const user of users) {
+    const notifications = byUser.get(user.id);
+
+    try {
+      await sendNotificationDigest(user, notifications.slice(-MAX_DIGEST_ITEMS).reverse());
+      await Notification.update(
+        { emailedAt: new Date() },
+        { where: { id: { [Op.in]: notifications.map(notification => notification.id) } } }
+      );
+      sent += 1;
+    } catch (error) {
+      logger.error(`Notification digest for user ${user.id} failed:`, error);
+    }
+  }
+
+  logger.info(`Notification digests queued for ${sent} users`);
+};
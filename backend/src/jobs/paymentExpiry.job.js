@@ -0,0 +1,13 @@
+import { EventParticipant } from '../models/eventParticipant.model.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Release places held by registrations that were not paid in time
+ */
+export const runPaymentExpiryJob = async () => {
+  const expired = await EventParticipant.expirePendingPayments();
+
+  if (expired > 0) {
+    logger.info(`Expired ${expired} unpaid registrations`);
+  }
+};
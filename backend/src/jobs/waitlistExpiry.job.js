@@ -0,0 +1,13 @@
+import { EventParticipant } from '../models/eventParticipant.model.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Expire unclaimed waitlist offers and offer the places to the next in line
+ */
+export const runWaitlistExpiryJob = async () => {
+  const expired = await EventParticipant.expireOffers();
+
+  if (expired > 0) {
+    logger.info(`Expired ${expired} waitlist offers`);
+  }
+};
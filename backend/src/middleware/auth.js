@@ -1,10 +1,16 @@
 import jwt from 'jsonwebtoken';
 import { StatusCodes } from 'http-status-codes';
+import { Event } from '../models/event.model.js';
 import { User } from '../models/user.model.js';
 import { TokenBlacklist } from '../models/tokenBlacklist.model.js';
+import { Session } from '../models/session.model.js';
 import { EventParticipant } from '../models/eventParticipant.model.js';
+import { isTwoFactorRequired } from '../services/twoFactor.service.js';
 import { logger } from '../utils/logger.js';
 
+// How stale a session's lastUsedAt may get before a request updates it
+const LAST_USED_RESOLUTION_MS = 5 * 60 * 1000;
+
 /**
  * Middleware to authenticate user using JWT
  * @param {Object} req - Express request object
@@ -59,9 +65,37 @@ export const authenticate = async (req, res, next) => {
       });
     }
 
+    // Tokens issued before a password change no longer count
+    if (user.changedPasswordAfter(decoded.iat)) {
+      return res.status(StatusCodes.UNAUTHORIZED).json({
+        success: false,
+        message: 'Password was changed recently, please log in again',
+        code: 'PASSWORD_CHANGED',
+      });
+    }
+
+    // Check the session the token belongs to has not been signed out
+    if (decoded.sid) {
+      const session = await Session.findByPk(decoded.sid);
+      if (!session || session.revokedAt) {
+        return res.status(StatusCodes.UNAUTHORIZED).json({
+          success: false,
+          message: 'Your session has ended, please log in again',
+          code: 'SESSION_REVOKED',
+        });
+      }
+
+      // Keep "last active" roughly current without a write on every request
+      if (!session.lastUsedAt || Date.now() - session.lastUsedAt > LAST_USED_RESOLUTION_MS) {
+        Session.update({ lastUsedAt: new Date() }, { where: { id: session.id } })
+          .catch(error => logger.warn(`Failed to update session ${session.id}: ${error.message}`));
+      }
+    }
+
     // Attach user to request object
     req.user = user;
     req.token = token;
+    req.sessionId = decoded.sid || null;
     next();
   } catch (error) {
     logger.error('Authentication error:', error);
@@ -88,6 +122,22 @@ export const authenticate = async (req, res, next) => {
   }
 };
 
+/**
+ * Like authenticate, but lets requests without a token through as
+ * anonymous, for public routes that show more to some users. A token that
+ * is sent must still be valid.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export const optionalAuthenticate = (req, res, next) => {
+  if (!req.header('Authorization') && !req.cookies?.accessToken) {
+    return next();
+  }
+
+  return authenticate(req, res, next);
+};
+
 /**
  * Middleware to check if user has required roles
  * @param {string[]} roles - Array of allowed roles
@@ -115,6 +165,15 @@ export const authorize = (roles = []) => {
       });
     }
 
+    // Roles the 2FA policy covers cannot use their privileges without it
+    if (isTwoFactorRequired(req.user) && !req.user.twoFactorEnabled) {
+      return res.status(StatusCodes.FORBIDDEN).json({
+        success: false,
+        message: 'Set up two-factor authentication to use this feature',
+        code: 'TWO_FACTOR_SETUP_REQUIRED',
+      });
+    }
+
     next();
   };
 };
@@ -204,8 +263,6 @@ export const isEventParticipant = (idParam = 'eventId') => {
 export const isEventOrganizer = (idParam = 'eventId') => {
   return async (req, res, next) => {
     try {
-      const { Event } = require('../models/event.model.js');
-      
       const event = await Event.findByPk(req.params[idParam]);
 
       if (!event) {
@@ -216,7 +273,7 @@ export const isEventOrganizer = (idParam = 'eventId') => {
       }
 
       // Check if user is the organizer or an admin
-      if (event.organizerId !== req.user.id && req.user.role !== 'admin') {
+      if (!event.isManagedBy(req.user)) {
         return res.status(StatusCodes.FORBIDDEN).json({
           success: false,
           message: 'You are not authorized to perform this action',
@@ -83,3 +83,25 @@ export const passwordResetLimiter = rateLimit({
   standardHeaders: true,
   legacyHeaders: false,
 });
+
+/**
+ * Rate limiting for audience voting, per user rather than per IP so shared
+ * networks (venues, campuses) are not locked out together
+ */
+export const voteLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 20, // limit each user to 20 vote changes per 15 minutes
+  keyGenerator: (req) => req.user?.id || req.ip,
+  message: {
+    success: false,
+    message: 'Too many votes, please try again later',
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req, res, next, options) => {
+    logger.warn(
+      `Vote rate limit exceeded for user: ${req.user?.id || 'anonymous'}, IP: ${req.ip}`
+    );
+    res.status(StatusCodes.TOO_MANY_REQUESTS).json(options.message);
+  },
+});
@@ -1,6 +1,8 @@
-import { DataTypes } from 'sequelize';
+import { DataTypes, Op } from 'sequelize';
 import { sequelize } from '../config/database.js';
 
+export const ANNOUNCEMENT_AUDIENCES = ['all', 'teams', 'judges', 'checked_in'];
+
 const Announcement = sequelize.define('Announcement', {
   id: {
     type: DataTypes.UUID,
@@ -25,6 +27,39 @@ const Announcement = sequelize.define('Announcement', {
   isPublic: {
     type: DataTypes.BOOLEAN,
     defaultValue: true,
+    comment: 'Visible to anyone viewing the event, not only the audience',
+  },
+  status: {
+    type: DataTypes.ENUM('draft', 'scheduled', 'published'),
+    defaultValue: 'draft',
+  },
+  publishAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'When a scheduled announcement goes out',
+  },
+  publishedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+  audience: {
+    type: DataTypes.JSONB,
+    defaultValue: { type: 'all' },
+    comment: '{ type: all | teams | judges | checked_in, teamIds }',
+    validate: {
+      isValidAudience(value) {
+        if (!value || !ANNOUNCEMENT_AUDIENCES.includes(value.type)) {
+          throw new Error(`Audience type must be one of: ${ANNOUNCEMENT_AUDIENCES.join(', ')}`);
+        }
+        if (value.type === 'teams' && (!Array.isArray(value.teamIds) || value.teamIds.length === 0)) {
+          throw new Error('Team announcements need at least one team');
+        }
+      },
+    },
+  },
+  commentCount: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
   },
   metadata: {
     type: DataTypes.JSONB,
@@ -40,10 +75,20 @@ const Announcement = sequelize.define('Announcement', {
     {
       fields: ['isPinned'],
     },
+    {
+      fields: ['status', 'publishAt'],
+    },
     {
       fields: ['createdAt'],
     },
   ],
+  validate: {
+    scheduledHasPublishTime() {
+      if (this.status === 'scheduled' && !this.publishAt) {
+        throw new Error('Scheduled announcements need a publish time');
+      }
+    },
+  },
 });
 
 // Class methods
@@ -69,33 +114,6 @@ Announcement.associate = (models) => {
   });
 };
 
-// Hooks
-Announcement.afterCreate(async (announcement, options) => {
-  // If this is a public announcement, create recipient records for all event participants
-  if (announcement.isPublic && announcement.eventId) {
-    const { EventParticipant } = announcement.sequelize.models;
-    
-    // Get all participants for the event
-    const participants = await EventParticipant.findAll({
-      where: { eventId: announcement.eventId },
-      attributes: ['userId'],
-      raw: true,
-    });
-    
-    if (participants.length > 0) {
-      // Create recipient records
-      await announcement.sequelize.models.AnnouncementRecipient.bulkCreate(
-        participants.map(participant => ({
-          announcementId: announcement.id,
-          userId: participant.userId,
-          status: 'unread',
-        })),
-        { transaction: options.transaction }
-      );
-    }
-  }
-});
-
 // Instance methods
 Announcement.prototype.addRecipients = async function(userIds, options = {}) {
   const recipients = userIds.map(userId => ({
@@ -110,6 +128,92 @@ Announcement.prototype.addRecipients = async function(userIds, options = {}) {
   );
 };
 
+/**
+ * User IDs of everyone in the announcement's audience
+ * @returns {Promise<string[]>}
+ */
+Announcement.prototype.resolveAudience = async function(options = {}) {
+  const { EventParticipant, EventJudge, TeamMember, Team } = this.sequelize.models;
+  const { type, teamIds = [] } = this.audience || { type: 'all' };
+  let rows;
+  
+  switch (type) {
+    case 'teams':
+      rows = await TeamMember.findAll({
+        where: { teamId: { [Op.in]: teamIds }, status: 'accepted' },
+        include: [{ model: Team, as: 'team', where: { eventId: this.eventId }, attributes: [] }],
+        attributes: ['userId'],
+        ...options,
+      });
+      break;
+    case 'judges':
+      rows = await EventJudge.findAll({
+        where: { eventId: this.eventId, status: 'accepted' },
+        attributes: ['userId'],
+        ...options,
+      });
+      break;
+    case 'checked_in':
+      rows = await EventParticipant.findAll({
+        where: { eventId: this.eventId, status: 'checked_in' },
+        attributes: ['userId'],
+        ...options,
+      });
+      break;
+    default:
+      rows = await EventParticipant.findAll({
+        where: { eventId: this.eventId, status: { [Op.in]: ['registered', 'checked_in'] } },
+        attributes: ['userId'],
+        ...options,
+      });
+  }
+  
+  return [...new Set(rows.map(row => row.userId))];
+};
+
+/**
+ * Publish the announcement: record a recipient row for everyone in the
+ * audience and notify them. Safe to call twice; only the first call
+ * publishes.
+ * @returns {Promise<number|null>} Recipients notified, or null if it was already published
+ */
+Announcement.prototype.publish = async function() {
+  return this.sequelize.transaction(async (transaction) => {
+    const publishedAt = new Date();
+    const [claimed] = await Announcement.update(
+      { status: 'published', publishedAt },
+      { where: { id: this.id, status: { [Op.ne]: 'published' } }, transaction }
+    );
+    
+    if (claimed === 0) return null;
+    
+    const userIds = await this.resolveAudience({ transaction });
+    if (userIds.length > 0) {
+      await this.addRecipients(userIds, { transaction });
+      await this.sequelize.models.Notification.bulkCreate(
+        userIds.map(userId => ({
+          userId,
+          type: 'announcement',
+          title: this.title,
+          message: this.content.length > 280 ? `${this.content.slice(0, 277)}...` : this.content,
+          referenceType: 'announcement',
+          referenceId: this.id,
+          triggeredById: this.createdById,
+          metadata: {
+            eventId: this.eventId,
+            announcementId: this.id,
+          },
+        })),
+        { transaction }
+      );
+    }
+    
+    await this.reload({ transaction });
+    
+    return userIds.length;
+  });
+};
+
 Announcement.prototype.markAsRead = async function(userId) {
   const recipient = await this.sequelize.models.AnnouncementRecipient.findOne({
     where: {
@@ -127,6 +231,27 @@ Announcement.prototype.markAsRead = async function(userId) {
 };
 
 // Class methods for queries
+/**
+ * Publish every scheduled announcement whose time has come
+ * @returns {Promise<number>} Announcements published
+ */
+Announcement.publishDue = async function() {
+  const due = await this.findAll({
+    where: {
+      status: 'scheduled',
+      publishAt: { [Op.lte]: new Date() },
+    },
+    order: [['publishAt', 'ASC']],
+  });
+  
+  let published = 0;
+  for (const announcement of due) {
+    if ((await announcement.publish()) !== null) published += 1;
+  }
+  
+  return published;
+};
+
 Announcement.findByEvent = function(eventId, userId = null, options = {}) {
   const include = [
     {
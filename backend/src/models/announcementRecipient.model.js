@@ -0,0 +1,72 @@
+import { DataTypes } from 'sequelize';
+import { sequelize } from '../config/database.js';
+
+// One row per user an announcement was delivered to; doubles as the read receipt
+const AnnouncementRecipient = sequelize.define('AnnouncementRecipient', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+  status: {
+    type: DataTypes.ENUM('unread', 'read'),
+    defaultValue: 'unread',
+  },
+  readAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+}, {
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['announcementId', 'userId'],
+      unique: true,
+    },
+    {
+      fields: ['userId', 'status'],
+    },
+  ],
+});
+
+// Class methods
+AnnouncementRecipient.associate = (models) => {
+  AnnouncementRecipient.belongsTo(models.Announcement, {
+    foreignKey: 'announcementId',
+    as: 'announcement',
+  });
+
+  AnnouncementRecipient.belongsTo(models.User, {
+    foreignKey: 'userId',
+    as: 'user',
+  });
+};
+
+// Hooks
+AnnouncementRecipient.beforeUpdate((recipient) => {
+  if (recipient.changed('status')) {
+    recipient.readAt = recipient.status === 'read' ? new Date() : null;
+  }
+});
+
+/**
+ * Read receipt totals for an announcement
+ * @returns {Promise<Object>} { total, read, unread }
+ */
+AnnouncementRecipient.getReceiptSummary = async function(announcementId) {
+  const rows = await this.findAll({
+    where: { announcementId },
+    attributes: ['status', [sequelize.fn('COUNT', sequelize.col('id')), 'count']],
+    group: ['status'],
+    raw: true,
+  });
+  const counts = Object.fromEntries(rows.map(row => [row.status, parseInt(row.count)]));
+
+  return {
+    total: (counts.read || 0) + (counts.unread || 0),
+    read: counts.read || 0,
+    unread: counts.unread || 0,
+  };
+};
+
+export { AnnouncementRecipient };
@@ -0,0 +1,69 @@
+import { DataTypes, Op } from 'sequelize';
+import { sequelize } from '../config/database.js';
+
+// Short-lived, single-use codes handed to the frontend after an OAuth
+// login, so tokens never appear in a redirect URL. Only a hash is stored.
+const AuthExchangeCode = sequelize.define('AuthExchangeCode', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+  codeHash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true,
+  },
+  provider: {
+    type: DataTypes.STRING(20),
+    allowNull: true,
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+  },
+  usedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+}, {
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    {
+      fields: ['expiresAt'],
+    },
+  ],
+});
+
+// Class methods
+AuthExchangeCode.associate = (models) => {
+  AuthExchangeCode.belongsTo(models.User, {
+    foreignKey: 'userId',
+    as: 'user',
+  });
+};
+
+// Class methods for queries
+/**
+ * Use up a code. Only the first of several concurrent calls gets it.
+ * @returns {Promise<Object|null>} The code record, or null when it is unknown, used or expired
+ */
+AuthExchangeCode.redeem = async function(codeHash) {
+  const now = new Date();
+  const [, records] = await this.update(
+    { usedAt: now },
+    {
+      where: { codeHash, usedAt: null, expiresAt: { [Op.gt]: now } },
+      returning: true,
+    }
+  );
+
+  return records[0] || null;
+};
+
+AuthExchangeCode.purgeExpired = function(now = new Date()) {
+  return this.destroy({ where: { expiresAt: { [Op.lt]: now } } });
+};
+
+export { AuthExchangeCode };
@@ -1,5 +1,7 @@
-import { DataTypes } from 'sequelize';
+import { DataTypes, Op } from 'sequelize';
 import { sequelize } from '../config/database.js';
+import { logger } from '../utils/logger.js';
+import { parseMentions, stripMentions } from '../utils/mentions.js';
 
 const Comment = sequelize.define('Comment', {
   id: {
@@ -20,6 +22,38 @@ const Comment = sequelize.define('Comment', {
     defaultValue: false,
     comment: 'If true, only visible to organizers/judges',
   },
+  mentions: {
+    type: DataTypes.ARRAY(DataTypes.UUID),
+    defaultValue: [],
+    comment: 'User IDs parsed from @[Name](id) mentions in the content',
+  },
+  editedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+  editHistory: {
+    type: DataTypes.JSONB,
+    defaultValue: [],
+    comment: 'Earlier versions: [{ content, editedAt }], oldest first',
+  },
+  isHidden: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false,
+    comment: 'Hidden by a moderator; only moderators see the content',
+  },
+  hiddenAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+  hiddenReason: {
+    type: DataTypes.STRING(500),
+    allowNull: true,
+  },
+  removedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Deleted by its author while it had replies; kept so the replies stay in the thread',
+  },
   metadata: {
     type: DataTypes.JSONB,
     defaultValue: {},
@@ -60,6 +94,11 @@ Comment.associate = (models) => {
     as: 'user',
   });
   
+  Comment.belongsTo(models.User, {
+    foreignKey: 'hiddenById',
+    as: 'hiddenBy',
+  });
+  
   // Self-referential relationship for replies
   Comment.belongsTo(Comment, {
     foreignKey: 'parentId',
@@ -78,6 +117,12 @@ Comment.associate = (models) => {
 };
 
 // Hooks
+Comment.beforeValidate((comment) => {
+  if (comment.changed('content')) {
+    comment.mentions = parseMentions(comment.content);
+  }
+});
+
 Comment.afterCreate(async (comment) => {
   // Update comment count on the parent resource
   if (comment.submissionId) {
@@ -92,10 +137,11 @@ Comment.afterCreate(async (comment) => {
   
   // Notify relevant users about the new comment
   await comment.notifyUsers();
+  await comment.notifyMentions(comment.mentions);
 });
 
-Comment.beforeDestroy(async (comment) => {
-  // Decrement comment count on the parent resource
+// Decrement comment count on the parent resource
+const decrementCommentCount = async (comment) => {
   if (comment.submissionId) {
     await comment.sequelize.models.Submission.decrement('commentCount', {
       where: { id: comment.submissionId },
@@ -105,7 +151,9 @@ Comment.beforeDestroy(async (comment) => {
       where: { id: comment.announcementId },
     });
   }
-});
+};
+
+Comment.beforeDestroy(decrementCommentCount);
 
 // Instance methods
 Comment.prototype.addReaction = async function(userId, reactionType) {
@@ -137,63 +185,246 @@ Comment.prototype.removeReaction = async function(userId) {
   });
 };
 
+Comment.prototype.getThread = function() {
+  return this.submissionId
+    ? Comment.loadThread('submission', this.submissionId)
+    : Comment.loadThread('announcement', this.announcementId);
+};
+
+const excerpt = (content) => {
+  const text = stripMentions(content);
+  return text.length > 100 ? `${text.substring(0, 100)}...` : text;
+};
+
+/**
+ * Notify the author of the submission or announcement and, for replies,
+ * the author of the parent comment. Mentioned users are left out because
+ * they get a mention notification instead.
+ */
 Comment.prototype.notifyUsers = async function() {
   try {
-    const { User, Notification } = this.sequelize.models;
-    let recipients = [];
+    const { Notification } = this.sequelize.models;
+    const thread = await this.getThread();
+    if (!thread) return;
     
-    // Get the parent resource (submission or announcement)
-    const parent = await (this.submissionId 
-      ? this.getSubmission({ include: [{ model: User, as: 'submittedBy' }] })
-      : this.getAnnouncement({ include: [{ model: User, as: 'createdBy' }] }));
+    let recipients = [thread.authorId];
     
     // If this is a reply, notify the parent comment's author
     if (this.parentId) {
-      const parentComment = await this.getParent({
-        include: [{ model: User, as: 'user' }],
-      });
-      
-      if (parentComment && parentComment.userId !== this.userId) {
-        recipients.push(parentComment.userId);
-      }
+      const parentComment = await this.getParent({ attributes: ['userId'] });
+      if (parentComment) recipients.push(parentComment.userId);
     }
     
-    // Notify the parent resource author if it's not the current user
-    const parentAuthor = this.submissionId 
-      ? parent.submittedBy.id 
-      : parent.createdBy.id;
+    recipients = recipients.filter(userId => userId && userId !== this.userId && !this.mentions.includes(userId));
+    recipients = await Comment.filterReaders(thread, [...new Set(recipients)], { internal: this.isInternal });
     
-    if (parentAuthor !== this.userId) {
-      recipients.push(parentAuthor);
+    // Create notifications
+    if (recipients.length > 0) {
+      await Notification.bulkCreate(
+        recipients.map(userId => ({
+          userId,
+          type: 'comment',
+          title: 'New comment',
+          referenceId: this.id,
+          referenceType: thread.type,
+          triggeredById: this.userId,
+          message: thread.type === 'submission'
+            ? 'New comment on your submission'
+            : 'New comment on announcement',
+          metadata: {
+            commentId: this.id,
+            authorId: this.userId,
+            [`${thread.type}Id`]: thread.resource.id,
+            eventId: thread.eventId,
+            content: excerpt(this.content),
+          },
+        }))
+      );
     }
+  } catch (error) {
+    logger.error('Error notifying users about comment:', error);
+  }
+};
+
+/**
+ * Send mention notifications to users who can read the comment
+ * @param {string[]} userIds - Mentioned user IDs
+ */
+Comment.prototype.notifyMentions = async function(userIds) {
+  try {
+    const candidates = userIds.filter(userId => userId !== this.userId);
+    if (candidates.length === 0) return;
     
-    // Remove duplicates
-    recipients = [...new Set(recipients)];
+    const { Notification } = this.sequelize.models;
+    const thread = await this.getThread();
+    if (!thread) return;
+    
+    const recipients = await Comment.filterReaders(thread, candidates, { internal: this.isInternal });
     
-    // Create notifications
     if (recipients.length > 0) {
       await Notification.bulkCreate(
         recipients.map(userId => ({
           userId,
-          type: 'new_comment',
+          type: 'mention',
+          title: 'You were mentioned',
           referenceId: this.id,
-          referenceType: this.submissionId ? 'submission' : 'announcement',
-          message: this.submissionId 
-            ? 'New comment on your submission' 
-            : 'New comment on announcement',
+          referenceType: thread.type,
+          triggeredById: this.userId,
+          message: `You were mentioned in a comment: "${excerpt(this.content)}"`,
           metadata: {
             commentId: this.id,
             authorId: this.userId,
-            content: this.content.substring(0, 100) + (this.content.length > 100 ? '...' : ''),
+            [`${thread.type}Id`]: thread.resource.id,
+            eventId: thread.eventId,
           },
         }))
       );
-      
-      // TODO: Send real-time notifications via WebSocket
     }
   } catch (error) {
-    console.error('Error notifying users about comment:', error);
+    logger.error('Error notifying mentioned users:', error);
+  }
+};
+
+/**
+ * Change the content, keeping the previous version in the edit history.
+ * Only users who were not mentioned before are notified.
+ */
+Comment.prototype.edit = async function(content) {
+  const previousMentions = new Set(this.mentions);
+  
+  this.editHistory = [
+    ...this.editHistory,
+    { content: this.content, editedAt: this.editedAt || this.createdAt },
+  ];
+  this.content = content;
+  this.editedAt = new Date();
+  await this.save();
+  
+  await this.notifyMentions(this.mentions.filter(userId => !previousMentions.has(userId)));
+  
+  return this;
+};
+
+Comment.prototype.setHidden = async function(isHidden, moderator, reason = null) {
+  this.isHidden = isHidden;
+  this.hiddenAt = isHidden ? new Date() : null;
+  this.hiddenById = isHidden ? moderator.id : null;
+  this.hiddenReason = isHidden ? reason : null;
+  
+  return this.save();
+};
+
+/**
+ * Delete a comment for its author. A comment with replies is replaced by a
+ * placeholder so the replies keep their place; its content is discarded.
+ * @returns {Promise<boolean>} Whether a placeholder was kept
+ */
+Comment.prototype.removeByAuthor = async function() {
+  const replies = await Comment.count({ where: { parentId: this.id } });
+  
+  if (replies === 0) {
+    await this.destroy();
+    return false;
+  }
+  
+  await this.update({
+    content: '[deleted]',
+    editHistory: [],
+    removedAt: new Date(),
+  });
+  await decrementCommentCount(this);
+  return true;
+};
+
+// Threads
+/**
+ * Load what a comment thread hangs off
+ * @param {string} type - 'submission' or 'announcement'
+ * @returns {Promise<Object|null>} { type, resource, eventId, organizerId, authorId }
+ */
+Comment.loadThread = async function(type, id) {
+  const { Submission, Announcement, Event } = this.sequelize.models;
+  const model = type === 'submission' ? Submission : Announcement;
+  
+  const resource = await model.findByPk(id, {
+    include: [{ model: Event, as: 'event', attributes: ['id', 'organizerId'] }],
+  });
+  
+  if (!resource) return null;
+  
+  return {
+    type,
+    resource,
+    eventId: resource.eventId,
+    organizerId: resource.event.organizerId,
+    authorId: type === 'submission' ? resource.submittedById : resource.createdById,
+  };
+};
+
+/**
+ * What a user may do in a thread. Organizers and admins moderate; judges
+ * also read internal comments; team members read their submission's
+ * thread; everyone else only reads public submissions and announcements
+ * they can see.
+ * @returns {Promise<Object>} { canView, canViewInternal, canModerate }
+ */
+Comment.getThreadAccess = async function(thread, user) {
+  if (thread.organizerId === user.id || user.role === 'admin') {
+    return { canView: true, canViewInternal: true, canModerate: true };
   }
+  
+  const [reader] = await this.filterReaders(thread, [user.id], { internal: false });
+  const isJudge = await this.sequelize.models.EventJudge.count({
+    where: { eventId: thread.eventId, userId: user.id, status: 'accepted' },
+  }) > 0;
+  
+  return { canView: Boolean(reader), canViewInternal: isJudge, canModerate: false };
+};
+
+/**
+ * Narrow a list of users down to those who can read a thread. Internal
+ * comments only reach organizers, admins and the event's judges.
+ * @returns {Promise<string[]>}
+ */
+Comment.filterReaders = async function(thread, userIds, { internal = false } = {}) {
+  if (userIds.length === 0) return [];
+  
+  const { User, EventJudge, TeamMember, AnnouncementRecipient } = this.sequelize.models;
+  const { resource } = thread;
+  const inList = { [Op.in]: userIds };
+  
+  const [admins, judges] = await Promise.all([
+    User.findAll({ where: { id: inList, role: 'admin' }, attributes: ['id'] }),
+    EventJudge.findAll({ where: { eventId: thread.eventId, userId: inList, status: 'accepted' }, attributes: ['userId'] }),
+  ]);
+  
+  const readers = new Set([
+    ...admins.map(admin => admin.id),
+    ...judges.map(judge => judge.userId),
+  ]);
+  if (userIds.includes(thread.organizerId)) readers.add(thread.organizerId);
+  
+  if (!internal) {
+    if (thread.type === 'submission') {
+      if (resource.isPublic && resource.status !== 'draft') return userIds;
+      
+      const members = await TeamMember.findAll({
+        where: { teamId: resource.teamId, userId: inList, status: 'accepted' },
+        attributes: ['userId'],
+      });
+      members.forEach(member => readers.add(member.userId));
+    } else if (resource.status === 'published') {
+      if (resource.isPublic) return userIds;
+      
+      const recipients = await AnnouncementRecipient.findAll({
+        where: { announcementId: resource.id, userId: inList },
+        attributes: ['userId'],
+      });
+      recipients.forEach(recipient => readers.add(recipient.userId));
+    }
+  }
+  
+  return userIds.filter(userId => readers.has(userId));
 };
 
 // Class methods for queries
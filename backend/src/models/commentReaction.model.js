@@ -0,0 +1,40 @@
+import { DataTypes } from 'sequelize';
+import { sequelize } from '../config/database.js';
+
+export const COMMENT_REACTIONS = ['like', 'love', 'laugh', 'celebrate', 'insightful', 'confused'];
+
+// One reaction per user per comment; reacting again changes the type
+const CommentReaction = sequelize.define('CommentReaction', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+  type: {
+    type: DataTypes.ENUM(...COMMENT_REACTIONS),
+    allowNull: false,
+  },
+}, {
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['commentId', 'userId'],
+      unique: true,
+    },
+  ],
+});
+
+// Class methods
+CommentReaction.associate = (models) => {
+  CommentReaction.belongsTo(models.Comment, {
+    foreignKey: 'commentId',
+    as: 'comment',
+  });
+
+  CommentReaction.belongsTo(models.User, {
+    foreignKey: 'userId',
+    as: 'user',
+  });
+};
+
+export { CommentReaction };
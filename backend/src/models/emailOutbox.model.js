@@ -0,0 +1,147 @@
+import { DataTypes, Op } from 'sequelize';
+import { sequelize } from '../config/database.js';
+
+// Rendered emails waiting to be sent. Rows are written before any delivery
+// attempt so nothing is lost if SMTP is down or the process restarts.
+const EmailOutbox = sequelize.define('EmailOutbox', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+  to: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    validate: {
+      isEmail: true,
+    },
+  },
+  from: {
+    type: DataTypes.STRING,
+    allowNull: true,
+  },
+  subject: {
+    type: DataTypes.STRING,
+    allowNull: false,
+  },
+  html: {
+    type: DataTypes.TEXT,
+    allowNull: false,
+  },
+  text: {
+    type: DataTypes.TEXT,
+    allowNull: false,
+  },
+  template: {
+    type: DataTypes.STRING,
+    allowNull: false,
+  },
+  locale: {
+    type: DataTypes.STRING(10),
+    defaultValue: 'en',
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'sending', 'sent', 'failed'),
+    defaultValue: 'pending',
+  },
+  attempts: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+  },
+  maxAttempts: {
+    type: DataTypes.INTEGER,
+    defaultValue: 5,
+  },
+  nextAttemptAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW,
+  },
+  lastError: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+  },
+  sentAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+  messageId: {
+    type: DataTypes.STRING,
+    allowNull: true,
+  },
+  metadata: {
+    type: DataTypes.JSONB,
+    defaultValue: {},
+  },
+}, {
+  timestamps: true,
+  tableName: 'email_outbox',
+  indexes: [
+    {
+      fields: ['status', 'nextAttemptAt'],
+    },
+    {
+      fields: ['userId'],
+    },
+  ],
+});
+
+// Class methods
+EmailOutbox.associate = (models) => {
+  EmailOutbox.belongsTo(models.User, {
+    foreignKey: 'userId',
+    as: 'user',
+  });
+
+  EmailOutbox.belongsTo(models.Event, {
+    foreignKey: 'eventId',
+    as: 'event',
+  });
+};
+
+/**
+ * Rows that are due for a delivery attempt, oldest first
+ */
+EmailOutbox.findDue = function(limit = 50) {
+  return this.findAll({
+    where: {
+      status: 'pending',
+      nextAttemptAt: { [Op.lte]: new Date() },
+    },
+    order: [['nextAttemptAt', 'ASC']],
+    limit,
+  });
+};
+
+/**
+ * Atomically move a row from pending to sending so two workers never send
+ * the same email
+ * @returns {Promise<boolean>} Whether this caller owns the row
+ */
+EmailOutbox.claim = async function(id) {
+  const [count] = await this.update(
+    { status: 'sending' },
+    { where: { id, status: 'pending' } }
+  );
+
+  return count === 1;
+};
+
+/**
+ * Release rows stuck in sending, e.g. after a crash mid-delivery
+ * @param {number} olderThanMs - How long a row may stay in sending
+ */
+EmailOutbox.releaseStale = async function(olderThanMs = 10 * 60 * 1000) {
+  const [count] = await this.update(
+    { status: 'pending' },
+    {
+      where: {
+        status: 'sending',
+        updatedAt: { [Op.lt]: new Date(Date.now() - olderThanMs) },
+      },
+    }
+  );
+
+  return count;
+};
+
+export { EmailOutbox };
@@ -1,5 +1,6 @@
 import { DataTypes, Op } from 'sequelize';
 import { sequelize } from '../config/database.js';
+import { calculateWeightedScore, validateCriteriaScores } from '../utils/criteria.js';
 
 const Evaluation = sequelize.define('Evaluation', {
   id: {
@@ -95,7 +96,6 @@ Evaluation.prototype.submit = async function() {
     throw new Error('Evaluation has already been submitted');
   }
   
-  // Validate all criteria scores are provided
   const submission = await this.getSubmission({
     include: [
       {
@@ -105,27 +105,17 @@ Evaluation.prototype.submit = async function() {
     ],
   });
   
-  const criteria = submission.event.judgingCriteria || [];
+  // Only the criteria judged in this evaluation's round count
+  const criteria = await submission.event.getCriteriaForRound(this.round);
   const criteriaScores = this.criteriaScores || {};
   
-  // Check if all criteria have been scored
-  for (const criterion of criteria) {
-    if (!(criterion.id in criteriaScores)) {
-      throw new Error(`Score for criterion "${criterion.name}" is required`);
+  if (criteria.length > 0) {
+    const error = validateCriteriaScores(criteria, criteriaScores);
+    if (error) {
+      throw new Error(error);
     }
     
-    const score = parseFloat(criteriaScores[criterion.id]);
-    if (isNaN(score) || score < 0 || score > criterion.maxScore) {
-      throw new Error(`Invalid score for criterion "${criterion.name}"`);
-    }
-  }
-  
-  // Calculate total score if not provided
-  if (!this.score) {
-    this.score = Object.values(criteriaScores).reduce(
-      (sum, score) => sum + parseFloat(score),
-      0
-    );
+    this.score = calculateWeightedScore(criteria, criteriaScores);
   }
   
   this.status = 'submitted';
@@ -182,28 +172,24 @@ Evaluation.findBySubmission = function(submissionId, options = {}) {
   });
 };
 
+/**
+ * Rank submissions in an event round. `averageScore` is the raw mean (the
+ * win rate in pairwise mode) and `normalizedScore` applies the event's
+ * normalization strategy; ranking uses the normalized score.
+ */
 Evaluation.getAverageScores = async function(eventId, round = 1) {
-  const results = await this.findAll({
-    where: {
-      eventId,
-      round,
-      status: 'submitted',
-    },
-    attributes: [
-      'submissionId',
-      [this.sequelize.fn('AVG', this.sequelize.col('score')), 'averageScore'],
-      [this.sequelize.fn('COUNT', this.sequelize.col('id')), 'evaluationCount'],
-    ],
-    group: ['submissionId'],
-    order: [[this.sequelize.fn('AVG', this.sequelize.col('score')), 'DESC']],
-    raw: true,
-  });
+  const event = await this.sequelize.models.Event.findByPk(eventId);
+  if (!event) return [];
+  
+  const results = [...(await event.getRoundScores(round)).entries()]
+    .sort(([, a], [, b]) => b.normalizedScore - a.normalizedScore || b.evaluationCount - a.evaluationCount);
   
-  return results.map((result, index) => ({
+  return results.map(([submissionId, scores], index) => ({
     rank: index + 1,
-    submissionId: result.submissionId,
-    averageScore: parseFloat(result.averageScore).toFixed(2),
-    evaluationCount: parseInt(result.evaluationCount, 10),
+    submissionId,
+    averageScore: scores.rawScore.toFixed(2),
+    normalizedScore: scores.normalizedScore.toFixed(2),
+    evaluationCount: scores.evaluationCount,
   }));
 };
 
@@ -1,5 +1,42 @@
-import { DataTypes } from 'sequelize';
+import { DataTypes, Op } from 'sequelize';
 import { sequelize } from '../config/database.js';
+import { emitToEvent } from '../services/socketService.js';
+import { logger } from '../utils/logger.js';
+import { parseJudgingCriteria } from '../utils/criteria.js';
+import { parsePrizeTracks } from '../utils/prizes.js';
+import { JUDGING_MODES } from '../utils/pairwise.js';
+import { parseRegistrationForm } from '../utils/registrationForm.js';
+import { aggregateScores, validateNormalizationSettings } from '../utils/scoring.js';
+import { DEFAULT_VOTING_CATEGORY } from './vote.model.js';
+
+export const EVENT_STATUSES = ['draft', 'upcoming', 'ongoing', 'judging', 'completed', 'cancelled'];
+
+// Allowed moves. The schedule only moves events forward through
+// upcoming -> ongoing -> judging -> completed; the rest are manual.
+export const EVENT_TRANSITIONS = {
+  draft: ['upcoming', 'cancelled'],
+  upcoming: ['draft', 'ongoing', 'cancelled'],
+  ongoing: ['judging', 'completed', 'cancelled'],
+  // Back to ongoing reopens submissions, e.g. after extending the deadline
+  judging: ['ongoing', 'completed', 'cancelled'],
+  completed: [],
+  cancelled: [],
+};
+
+// Fields an event needs before it can be published
+const PUBLISH_REQUIRED_FIELDS = [
+  'title', 'description', 'startDate', 'endDate',
+  'registrationStart', 'registrationEnd', 'maxTeamSize', 'minTeamSize',
+];
+
+export class EventTransitionError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'EventTransitionError';
+    this.statusCode = details.statusCode || 400;
+    this.missingFields = details.missingFields;
+  }
+}
 
 const Event = sequelize.define('Event', {
   id: {
@@ -77,6 +114,37 @@ const Event = sequelize.define('Event', {
       },
     },
   },
+  votingStart: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+  votingEnd: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    validate: {
+      isAfterVotingStart(value) {
+        if (value && this.votingStart && value <= this.votingStart) {
+          throw new Error('Voting end must be after voting start');
+        }
+      },
+    },
+  },
+  votingCategories: {
+    type: DataTypes.JSONB,
+    defaultValue: [],
+    comment: 'Audience voting categories: [{ id, name, description }]; empty means a single People\'s Choice vote',
+    validate: {
+      hasUniqueIds(value) {
+        const ids = (value || []).map(category => category?.id);
+        if (ids.some(id => !id || typeof id !== 'string')) {
+          throw new Error('Every voting category needs an id');
+        }
+        if (new Set(ids).size !== ids.length) {
+          throw new Error('Voting category ids must be unique');
+        }
+      },
+    },
+  },
   maxTeamSize: {
     type: DataTypes.INTEGER,
     defaultValue: 5,
@@ -113,8 +181,13 @@ const Event = sequelize.define('Event', {
     },
   },
   status: {
-    type: DataTypes.ENUM('draft', 'upcoming', 'ongoing', 'completed', 'cancelled'),
+    type: DataTypes.ENUM(...EVENT_STATUSES),
     defaultValue: 'draft',
+    comment: 'Changed only through transitionTo',
+  },
+  submissionsClosedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
   },
   isPublished: {
     type: DataTypes.BOOLEAN,
@@ -131,6 +204,20 @@ const Event = sequelize.define('Event', {
   prizes: {
     type: DataTypes.JSONB,
     defaultValue: [],
+    comment: 'Prize tracks: [{ id, name, type, criterionId, sponsor, places, rewards, eligibility }]',
+    validate: {
+      isValidPrizes(value) {
+        const { errors } = parsePrizeTracks(value, this.judgingCriteria || []);
+        if (errors) {
+          throw new Error(`${errors[0].field}: ${errors[0].message}`);
+        }
+      },
+    },
+  },
+  prizeResults: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    comment: 'Frozen winners once locked: { status, lockedAt, lockedById, publishedAt, tracks }',
   },
   schedule: {
     type: DataTypes.JSONB,
@@ -143,6 +230,33 @@ const Event = sequelize.define('Event', {
   judgingCriteria: {
     type: DataTypes.JSONB,
     defaultValue: [],
+    comment: 'Scored criteria: [{ id, name, description, maxScore, weight, rubric: [{ score, label, description }] }]',
+    validate: {
+      isValidCriteria(value) {
+        const { errors } = parseJudgingCriteria(value);
+        if (errors) {
+          throw new Error(`${errors[0].field}: ${errors[0].message}`);
+        }
+      },
+    },
+  },
+  judgingSettings: {
+    type: DataTypes.JSONB,
+    defaultValue: {},
+    comment: 'Judging configuration, e.g. { mode, reviewsPerSubmission, normalization, trimPercent }',
+    validate: {
+      isValidMode(value) {
+        if (value?.mode && !JUDGING_MODES.includes(value.mode)) {
+          throw new Error(`Judging mode must be one of: ${JUDGING_MODES.join(', ')}`);
+        }
+      },
+      isValidNormalization(value) {
+        const error = validateNormalizationSettings(value || {});
+        if (error) {
+          throw new Error(error);
+        }
+      },
+    },
   },
   tags: {
     type: DataTypes.ARRAY(DataTypes.STRING),
@@ -152,6 +266,32 @@ const Event = sequelize.define('Event', {
     type: DataTypes.INTEGER,
     allowNull: true,
   },
+  registrationForm: {
+    type: DataTypes.JSONB,
+    defaultValue: [],
+    comment: 'Extra registration questions: [{ id, label, type, required, options, showIf, ... }]',
+    validate: {
+      isValidForm(value) {
+        const { errors } = parseRegistrationForm(value);
+        if (errors) {
+          throw new Error(`${errors[0].field}: ${errors[0].message}`);
+        }
+      },
+    },
+  },
+  waitlistEnabled: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true,
+    comment: 'Put registrations past maxParticipants on a waitlist instead of rejecting them',
+  },
+  waitlistClaimHours: {
+    type: DataTypes.INTEGER,
+    defaultValue: 48,
+    validate: {
+      min: 0,
+    },
+    comment: 'How long a promoted user has to claim their spot; 0 registers them straight away',
+  },
   registrationFee: {
     type: DataTypes.DECIMAL(10, 2),
     defaultValue: 0,
@@ -202,13 +342,23 @@ Event.beforeUpdate((event) => {
 });
 
 // Instance methods
+// Organizers manage their own events; admins manage every event
+Event.prototype.isManagedBy = function(user) {
+  return Boolean(user) && (this.organizerId === user.id || user.role === 'admin');
+};
+
 Event.prototype.isRegistrationOpen = function() {
+  if (this.status !== 'upcoming') return false;
   const now = new Date();
   return now >= this.registrationStart && now <= this.registrationEnd;
 };
 
+Event.prototype.requiresPayment = function() {
+  return Number(this.registrationFee) > 0;
+};
+
 Event.prototype.isSubmissionOpen = function() {
-  if (!this.submissionDeadline) return false;
+  if (!this.submissionDeadline || this.status !== 'ongoing' || this.submissionsClosedAt) return false;
   const now = new Date();
   return now <= this.submissionDeadline && now <= this.endDate;
 };
@@ -218,6 +368,315 @@ Event.prototype.isEventOngoing = function() {
   return now >= this.startDate && now <= this.endDate;
 };
 
+Event.prototype.isVotingOpen = function() {
+  if (!this.votingStart || !this.votingEnd) return false;
+  const now = new Date();
+  return now >= this.votingStart && now <= this.votingEnd;
+};
+
+Event.prototype.getVotingCategories = function() {
+  return this.votingCategories && this.votingCategories.length > 0
+    ? this.votingCategories
+    : [{ id: DEFAULT_VOTING_CATEGORY, name: 'People\'s Choice' }];
+};
+
+// Locked results are frozen; prize tracks and scores no longer change them
+Event.prototype.arePrizesLocked = function() {
+  return Boolean(this.prizeResults && ['locked', 'published'].includes(this.prizeResults.status));
+};
+
+/**
+ * Criteria judged in a round. Rounds may restrict judging to a subset of
+ * the event criteria; weights and defaults come from the criteria schema.
+ */
+Event.prototype.getCriteriaForRound = async function(round = 1) {
+  const { criteria } = parseJudgingCriteria(this.judgingCriteria);
+  const eventCriteria = criteria || this.judgingCriteria || [];
+  
+  const judgingRound = await this.sequelize.models.JudgingRound.findOne({
+    where: { eventId: this.id, roundNumber: round },
+  });
+  
+  return judgingRound
+    ? eventCriteria.filter(criterion => judgingRound.appliesToCriterion(criterion.id))
+    : eventCriteria;
+};
+
+Event.prototype.isPairwiseJudging = function() {
+  return this.judgingSettings?.mode === 'pairwise';
+};
+
+/**
+ * Scores for every judged submission in a round, keyed by submission ID.
+ * Score mode aggregates evaluations with the event's normalization strategy;
+ * pairwise mode fits Bradley–Terry strengths from the comparisons.
+ * @returns {Promise<Map<string, { rawScore, normalizedScore, evaluationCount }>>}
+ */
+Event.prototype.getRoundScores = async function(round = 1) {
+  const { Evaluation, PairwiseComparison } = this.sequelize.models;
+  
+  if (this.isPairwiseJudging()) {
+    return PairwiseComparison.getScores(this.id, round);
+  }
+  
+  const evaluations = await Evaluation.findAll({
+    where: {
+      eventId: this.id,
+      round,
+      status: 'submitted',
+    },
+    attributes: ['submissionId', 'judgeId', 'score'],
+    raw: true,
+  });
+  
+  return aggregateScores(evaluations, this.judgingSettings);
+};
+
+// Lifecycle
+Event.prototype.canTransitionTo = function(status) {
+  return (EVENT_TRANSITIONS[this.status] || []).includes(status);
+};
+
+/**
+ * The status the dates call for, or null for events the schedule leaves
+ * alone (drafts, unpublished and cancelled events)
+ */
+Event.prototype.getScheduledStatus = function(now = new Date()) {
+  if (!this.isPublished || ['draft', 'cancelled'].includes(this.status)) return null;
+  
+  if (now < this.startDate) return 'upcoming';
+  if (now >= this.endDate) return 'completed';
+  if (this.submissionDeadline && now >= this.submissionDeadline) return 'judging';
+  return 'ongoing';
+};
+
+const lockTeams = async (event, transaction) => {
+  const [teamsLocked] = await event.sequelize.models.Team.update(
+    { isLocked: true },
+    { where: { eventId: event.id, isLocked: false }, transaction }
+  );
+  
+  return { teamsLocked };
+};
+
+const closeSubmissions = async (event, transaction) => {
+  await event.update({ submissionsClosedAt: event.submissionsClosedAt || new Date() }, { transaction });
+  return { submissionsClosedAt: event.submissionsClosedAt, ...await lockTeams(event, transaction) };
+};
+
+// Changes made in the same transaction as the status, keyed by target status
+const TRANSITION_EFFECTS = {
+  upcoming: async (event, from, transaction) => {
+    await event.update({ isPublished: true, publishedAt: event.publishedAt || new Date() }, { transaction });
+    return { published: true };
+  },
+  draft: async (event, from, transaction) => {
+    await event.update({ isPublished: false }, { transaction });
+    return { published: false };
+  },
+  ongoing: async (event, from, transaction) => {
+    if (from === 'judging') {
+      await event.update({ submissionsClosedAt: null }, { transaction });
+      return { submissionsReopened: true };
+    }
+    
+    // Teams are fixed once the event starts
+    return lockTeams(event, transaction);
+  },
+  judging: closeSubmissions,
+  completed: closeSubmissions,
+  cancelled: closeSubmissions,
+};
+
+// Who hears about a transition, and what they are told
+const TRANSITION_NOTICES = {
+  ongoing: (event, from) => (from === 'judging'
+    ? {
+      type: 'event_updated',
+      title: 'Submissions reopened',
+      message: `Submissions for "${event.title}" are open again.`,
+    }
+    : {
+      type: 'event_started',
+      title: 'The event has started',
+      message: `"${event.title}" has started. Teams are now locked.`,
+    }),
+  judging: event => ({
+    type: 'submissions_closed',
+    title: 'Submissions closed',
+    message: `Submissions for "${event.title}" are closed and judging has begun.`,
+  }),
+  completed: event => ({
+    type: 'event_completed',
+    title: 'The event has ended',
+    message: `"${event.title}" has ended. Thanks for taking part!`,
+  }),
+  cancelled: (event, from, reason) => ({
+    type: 'event_cancelled',
+    title: 'Event cancelled',
+    message: reason
+      ? `"${event.title}" has been cancelled: ${reason}`
+      : `"${event.title}" has been cancelled.`,
+  }),
+};
+
+const notifyTransition = async (event, from, reason) => {
+  const notice = TRANSITION_NOTICES[event.status]?.(event, from, reason);
+  if (!notice) return 0;
+  
+  const userIds = await event.getMemberUserIds();
+  
+  await event.sequelize.models.Notification.bulkCreate(userIds.map(userId => ({
+    userId,
+    ...notice,
+    referenceType: 'event',
+    referenceId: event.id,
+    metadata: { eventId: event.id, status: event.status, previousStatus: from },
+  })));
+  
+  return userIds.length;
+};
+
+/**
+ * Everyone with a stake in the event: participants who have not withdrawn,
+ * judges who have not declined and members of its teams
+ * @returns {Promise<string[]>} User IDs
+ */
+Event.prototype.getMemberUserIds = async function() {
+  const { EventParticipant, EventJudge, Team, TeamMember } = this.sequelize.models;
+  
+  const [participants, judges, teamMembers] = await Promise.all([
+    EventParticipant.findAll({
+      where: { eventId: this.id, status: { [Op.notIn]: ['withdrawn', 'expired'] } },
+      attributes: ['userId'],
+      raw: true,
+    }),
+    EventJudge.findAll({
+      where: { eventId: this.id, status: { [Op.ne]: 'rejected' } },
+      attributes: ['userId'],
+      raw: true,
+    }),
+    TeamMember.findAll({
+      where: { status: 'accepted' },
+      include: [{ model: Team, as: 'team', where: { eventId: this.id }, attributes: [] }],
+      attributes: ['userId'],
+      raw: true,
+    }),
+  ]);
+  
+  return [...new Set([...participants, ...judges, ...teamMembers].map(row => row.userId))];
+};
+
+/**
+ * Move the event to another status. The change, its side effects and the
+ * audit record are written together; members are notified afterwards.
+ * The update is conditional on the current status, so a scheduled and a
+ * manual transition cannot both apply.
+ * @param {string} status - Target status
+ * @param {Object} [options]
+ * @param {string} [options.trigger] - 'manual' or 'schedule'
+ * @param {string} [options.actorId] - User who made the change
+ * @param {string} [options.reason]
+ * @param {boolean} [options.notify] - Pass false when the caller sends its own notifications
+ * @returns {Promise<Object>} The EventStatusTransition
+ * @throws {EventTransitionError} When the move is not allowed
+ */
+Event.prototype.transitionTo = async function(status, { trigger = 'manual', actorId = null, reason = null, notify = true } = {}) {
+  const from = this.status;
+  
+  if (!this.canTransitionTo(status)) {
+    throw new EventTransitionError(`An event cannot go from ${from} to ${status}`);
+  }
+  
+  if (status === 'upcoming' && from === 'draft') {
+    const missingFields = PUBLISH_REQUIRED_FIELDS.filter(field => !this[field]);
+    if (missingFields.length > 0) {
+      throw new EventTransitionError('Cannot publish event. Missing required fields', { missingFields });
+    }
+  }
+  
+  const { EventStatusTransition } = this.sequelize.models;
+  
+  const transition = await this.sequelize.transaction(async (transaction) => {
+    const [updated] = await Event.update(
+      { status },
+      { where: { id: this.id, status: from }, transaction }
+    );
+    
+    if (updated === 0) {
+      throw new EventTransitionError('The event status changed in the meantime; reload and try again', { statusCode: 409 });
+    }
+    
+    await this.reload({ transaction });
+    const effects = await TRANSITION_EFFECTS[status]?.(this, from, transaction) || {};
+    
+    return EventStatusTransition.create({
+      eventId: this.id,
+      fromStatus: from,
+      toStatus: status,
+      trigger,
+      actorId,
+      reason,
+      effects,
+    }, { transaction });
+  });
+  
+  const notified = notify ? await notifyTransition(this, from, reason) : 0;
+  if (notified > 0) {
+    await transition.update({ effects: { ...transition.effects, notified } });
+  }
+  
+  emitToEvent(this.id, 'event:status', { eventId: this.id, status, previousStatus: from });
+  
+  return transition;
+};
+
+/**
+ * Move published events along as their dates pass. Events that missed
+ * several steps, e.g. while the server was down, go through each in turn so
+ * every side effect runs.
+ * @returns {Promise<number>} Transitions made
+ */
+Event.advanceScheduled = async function(now = new Date()) {
+  const order = ['upcoming', 'ongoing', 'judging', 'completed'];
+  const events = await this.findAll({
+    where: {
+      isPublished: true,
+      status: { [Op.in]: ['upcoming', 'ongoing', 'judging'] },
+      [Op.or]: [
+        { status: 'upcoming', startDate: { [Op.lte]: now } },
+        { status: 'ongoing', endDate: { [Op.lte]: now } },
+        { status: 'ongoing', submissionDeadline: { [Op.lte]: now } },
+        { status: 'judging', endDate: { [Op.lte]: now } },
+      ],
+    },
+  });
+  
+  let transitions = 0;
+  
+  for (const event of events) {
+    const target = order.indexOf(event.getScheduledStatus(now));
+    
+    while (order.indexOf(event.status) < target) {
+      // Events without a submission deadline have no judging phase
+      const next = order
+        .slice(order.indexOf(event.status) + 1, target + 1)
+        .find(status => status !== 'judging' || event.submissionDeadline);
+      
+      try {
+        await event.transitionTo(next, { trigger: 'schedule' });
+        transitions += 1;
+      } catch (error) {
+        // Picked up again on the next run, e.g. after someone else moved it
+        logger.warn(`Scheduled transition of event ${event.id} to ${next} failed: ${error.message}`);
+        break;
+      }
+    }
+  }
+  
+  return transitions;
+};
+
 // Class methods
 Event.associate = (models) => {
   Event.belongsTo(models.User, {
@@ -244,6 +703,26 @@ Event.associate = (models) => {
     foreignKey: 'eventId',
     as: 'submissions',
   });
+  
+  Event.hasMany(models.JudgingRound, {
+    foreignKey: 'eventId',
+    as: 'rounds',
+  });
+  
+  Event.hasMany(models.PairwiseComparison, {
+    foreignKey: 'eventId',
+    as: 'comparisons',
+  });
+  
+  Event.hasMany(models.Vote, {
+    foreignKey: 'eventId',
+    as: 'votes',
+  });
+  
+  Event.hasMany(models.EventStatusTransition, {
+    foreignKey: 'eventId',
+    as: 'statusTransitions',
+  });
 };
 
 export { Event };
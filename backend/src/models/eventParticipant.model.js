@@ -1,5 +1,17 @@
-import { DataTypes } from 'sequelize';
+import { DataTypes, Op } from 'sequelize';
 import { sequelize } from '../config/database.js';
+import { sendCheckInTicket } from '../services/checkIn.service.js';
+import { logger } from '../utils/logger.js';
+
+// Statuses that take up one of the event's maxParticipants places. An open
+// waitlist offer or an unpaid registration holds its place until it is
+// claimed, paid or expires.
+export const SEAT_STATUSES = ['registered', 'checked_in', 'offered', 'pending_payment'];
+
+// How long a paid registration holds its place while the user pays
+const paymentDeadline = () => (
+  new Date(Date.now() + parseInt(process.env.PAYMENT_WINDOW_MINUTES || '30') * 60 * 1000)
+);
 
 const EventParticipant = sequelize.define('EventParticipant', {
   id: {
@@ -8,17 +20,40 @@ const EventParticipant = sequelize.define('EventParticipant', {
     primaryKey: true,
   },
   role: {
-    type: DataTypes.ENUM('participant', 'organizer', 'judge'),
+    type: DataTypes.ENUM('participant', 'organizer', 'judge', 'staff'),
     defaultValue: 'participant',
   },
   status: {
-    type: DataTypes.ENUM('registered', 'checked_in', 'waitlisted', 'withdrawn'),
+    type: DataTypes.ENUM('registered', 'checked_in', 'waitlisted', 'offered', 'pending_payment', 'expired', 'withdrawn'),
     defaultValue: 'registered',
   },
+  waitlistedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Orders the waitlist; earliest is promoted first',
+  },
+  offeredAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+  offerExpiresAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+  paymentExpiresAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'When an unpaid registration gives up its place',
+  },
   checkedInAt: {
     type: DataTypes.DATE,
     allowNull: true,
   },
+  checkedInById: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    comment: 'Staff member who scanned the check-in',
+  },
   registrationData: {
     type: DataTypes.JSONB,
     defaultValue: {},
@@ -42,6 +77,15 @@ const EventParticipant = sequelize.define('EventParticipant', {
     {
       fields: ['checkedInAt'],
     },
+    {
+      fields: ['eventId', 'status', 'waitlistedAt'],
+    },
+    {
+      fields: ['status', 'offerExpiresAt'],
+    },
+    {
+      fields: ['status', 'paymentExpiresAt'],
+    },
   ],
 });
 
@@ -71,12 +115,33 @@ EventParticipant.associate = (models) => {
     foreignKey: 'judgeId',
     as: 'evaluations',
   });
+  
+  EventParticipant.hasMany(models.Payment, {
+    foreignKey: 'participantId',
+    as: 'payments',
+  });
 };
 
 // Hooks
+// Participants get their check-in ticket once they hold a confirmed place
+EventParticipant.afterSave((participant, options) => {
+  if (participant.role !== 'participant' || participant.status !== 'registered' || !participant.changed('status')) {
+    return;
+  }
+  
+  const send = () => sendCheckInTicket(participant)
+    .catch(error => logger.error(`Check-in ticket for participant ${participant.id} failed:`, error));
+  
+  if (options.transaction) {
+    options.transaction.afterCommit(send);
+  } else {
+    send();
+  }
+});
+
 EventParticipant.beforeCreate(async (participant) => {
-  // If this is an organizer or judge, automatically set status to registered
-  if (['organizer', 'judge'].includes(participant.role)) {
+  // If this is an organizer, judge or staff member, automatically set status to registered
+  if (['organizer', 'judge', 'staff'].includes(participant.role)) {
     participant.status = 'registered';
   }
   
@@ -98,22 +163,36 @@ EventParticipant.beforeCreate(async (participant) => {
 });
 
 // Instance methods
-EventParticipant.prototype.checkIn = async function() {
-  if (this.status === 'checked_in') {
-    return this;
-  }
+/**
+ * Check in a registered participant. The update is conditional, so when two
+ * devices scan the same ticket only one of them wins.
+ * @param {Object} [options]
+ * @param {Date} [options.at] - When the scan happened, for check-ins uploaded later
+ * @param {string} [options.byId] - Staff member who scanned
+ * @returns {Promise<boolean>} false if the participant was not waiting to be checked in
+ */
+EventParticipant.prototype.checkIn = async function({ at = new Date(), byId = null } = {}) {
+  const [updated] = await EventParticipant.update(
+    { status: 'checked_in', checkedInAt: at, checkedInById: byId },
+    { where: { id: this.id, status: 'registered' } }
+  );
   
-  this.status = 'checked_in';
-  this.checkedInAt = new Date();
-  return this.save();
+  await this.reload();
+  return updated > 0;
 };
 
+/**
+ * Withdraw from the event. Payments are refunded when withdrawing before
+ * the event starts, and open checkouts are closed.
+ */
 EventParticipant.prototype.withdraw = async function() {
   if (this.status === 'withdrawn') {
     return this;
   }
   
+  const heldSeat = SEAT_STATUSES.includes(this.status);
   this.status = 'withdrawn';
+  this.paymentExpiresAt = null;
   
   // If the participant is in a team, remove them
   if (this.teamId) {
@@ -139,7 +218,381 @@ EventParticipant.prototype.withdraw = async function() {
     }
   }
   
-  return this.save();
+  await this.save();
+  
+  const { Event, Payment } = this.sequelize.models;
+  const event = await Event.findByPk(this.eventId, { attributes: ['id', 'title', 'startDate'] });
+  
+  await Payment.expirePending(this.id);
+  if (event && new Date() < event.startDate) {
+    const refunded = await Payment.refundForParticipant(this.id, 'withdrawn');
+    
+    for (const payment of refunded) {
+      await notifyParticipant(this, event, {
+        type: 'payment_refunded',
+        title: 'Payment refunded',
+        message: `Your payment of ${payment.amount} ${payment.currency} for "${event.title}" has been refunded.`,
+        metadata: { paymentId: payment.id },
+      });
+    }
+  }
+  
+  // The freed place goes to the next person on the waitlist
+  if (heldSeat) {
+    await EventParticipant.promoteWaitlist(this.eventId);
+  }
+  
+  return this;
+};
+
+/**
+ * 1-based place in the waitlist, or null when not waitlisted
+ */
+EventParticipant.prototype.getWaitlistPosition = async function() {
+  if (this.status !== 'waitlisted') return null;
+  
+  const ahead = await EventParticipant.count({
+    where: {
+      eventId: this.eventId,
+      status: 'waitlisted',
+      waitlistedAt: { [Op.lt]: this.waitlistedAt },
+    },
+  });
+  
+  return ahead + 1;
+};
+
+/**
+ * Accept a waitlist offer. The caller checks the offer is still open. For
+ * paid events the place is held while the user pays.
+ */
+EventParticipant.prototype.claimOffer = async function(event) {
+  this.offerExpiresAt = null;
+  
+  if (event.requiresPayment()) {
+    this.status = 'pending_payment';
+    this.paymentExpiresAt = paymentDeadline();
+    return this.save();
+  }
+  
+  this.status = 'registered';
+  await this.save();
+  
+  await notifyParticipant(this, event, {
+    type: 'registration_confirmed',
+    title: 'Registration confirmed',
+    message: `Your spot at "${event.title}" is confirmed.`,
+  });
+  
+  return this;
+};
+
+EventParticipant.prototype.isOfferOpen = function() {
+  return this.status === 'offered' && this.offerExpiresAt > new Date();
+};
+
+EventParticipant.prototype.isAwaitingPayment = function() {
+  return this.status === 'pending_payment' && this.paymentExpiresAt > new Date();
+};
+
+/**
+ * Confirm an unpaid registration once its payment has gone through. The
+ * row is locked, so a registration that expired or was withdrawn in the
+ * meantime is left alone and the caller refunds the payment.
+ * @returns {Promise<boolean>} Whether the registration was confirmed
+ */
+EventParticipant.prototype.confirmPayment = async function() {
+  return this.sequelize.transaction(async (transaction) => {
+    await this.reload({ transaction, lock: transaction.LOCK.UPDATE });
+    
+    if (this.status !== 'pending_payment') {
+      return false;
+    }
+    
+    await this.update({ status: 'registered', paymentExpiresAt: null }, { transaction });
+    return true;
+  });
+};
+
+const notifyParticipant = (participant, event, { type, title, message, metadata = {} }) => (
+  participant.sequelize.models.Notification.create({
+    userId: participant.userId,
+    type,
+    title,
+    message,
+    referenceType: 'event',
+    referenceId: event.id,
+    metadata: { eventId: event.id, ...metadata },
+  })
+);
+
+// Waitlist
+EventParticipant.countSeatsTaken = function(eventId, options = {}) {
+  return this.count({
+    where: {
+      eventId,
+      role: 'participant',
+      status: { [Op.in]: SEAT_STATUSES },
+    },
+    ...options,
+  });
+};
+
+/**
+ * Register a user as a participant, or put them on the waitlist when the
+ * event is full or others are already waiting. Withdrawn and expired
+ * registrations are reused, so re-registering joins the back of the queue.
+ * Organizers, judges and staff are never seated this way, so every place
+ * goes through the capacity check and, for paid events, checkout.
+ * @param {Object} event - Event instance
+ * @param {Object} attributes - { userId, teamId, metadata, registrationData }
+ * @param {Object} [options]
+ * @param {boolean} [options.requiresPayment] - Hold the place as pending_payment until paid
+ * @param {number} [options.offerHours] - Offer the place for this long instead of registering
+ * @returns {Promise<Object|null>} The registration, or null when the event is full and has no waitlist
+ */
+EventParticipant.registerOrWaitlist = async function(event, attributes, { requiresPayment = false, offerHours = 0 } = {}) {
+  const { Event } = this.sequelize.models;
+  
+  const participant = await this.sequelize.transaction(async (transaction) => {
+    // Lock the event so concurrent registrations cannot oversell the last places
+    await Event.findByPk(event.id, { attributes: ['id'], transaction, lock: transaction.LOCK.UPDATE });
+    
+    let waitlisted = false;
+    if (event.maxParticipants) {
+      const [taken, waiting] = await Promise.all([
+        this.countSeatsTaken(event.id, { transaction }),
+        this.count({ where: { eventId: event.id, status: 'waitlisted' }, transaction }),
+      ]);
+      
+      waitlisted = taken >= event.maxParticipants || waiting > 0;
+      if (waitlisted && !event.waitlistEnabled) return null;
+    }
+    
+    const now = new Date();
+    const placeStatus = () => {
+      if (waitlisted) return 'waitlisted';
+      if (offerHours > 0) return 'offered';
+      return requiresPayment ? 'pending_payment' : 'registered';
+    };
+    const status = placeStatus();
+    
+    const values = {
+      ...attributes,
+      eventId: event.id,
+      role: 'participant',
+      status,
+      waitlistedAt: waitlisted ? now : null,
+      offeredAt: status === 'offered' ? now : null,
+      offerExpiresAt: status === 'offered' ? new Date(now.getTime() + offerHours * 60 * 60 * 1000) : null,
+      paymentExpiresAt: status === 'pending_payment' ? paymentDeadline() : null,
+      checkedInAt: null,
+    };
+    
+    const existing = await this.findOne({
+      where: { eventId: event.id, userId: attributes.userId },
+      paranoid: false,
+      transaction,
+    });
+    
+    if (!existing) {
+      return this.create(values, { transaction });
+    }
+    
+    if (existing.deletedAt) {
+      await existing.restore({ transaction });
+    }
+    return existing.update(values, { transaction });
+  });
+  
+  if (participant?.status === 'waitlisted') {
+    const position = await participant.getWaitlistPosition();
+    
+    await notifyParticipant(participant, event, {
+      type: 'waitlist_joined',
+      title: 'You are on the waitlist',
+      message: `"${event.title}" is full. You are #${position} on the waitlist and will be notified if a spot opens up.`,
+      metadata: { position },
+    });
+    
+    // Places may have opened up while others were waiting
+    await this.promoteWaitlist(event.id);
+  }
+  
+  return participant;
+};
+
+/**
+ * Offer free places to the front of the waitlist. With a claim window the
+ * user has waitlistClaimHours to accept; without one they are registered
+ * straight away, or for paid events given the usual time to pay.
+ * @returns {Promise<Object[]>} The promoted registrations
+ */
+EventParticipant.promoteWaitlist = async function(eventId) {
+  const { Event } = this.sequelize.models;
+  
+  const result = await this.sequelize.transaction(async (transaction) => {
+    const event = await Event.findByPk(eventId, { transaction, lock: transaction.LOCK.UPDATE });
+    
+    // Nobody is promoted into an event that has already started or was cancelled
+    if (!event || !event.waitlistEnabled || event.status === 'cancelled' || new Date() >= event.startDate) {
+      return { event, promoted: [] };
+    }
+    
+    const freeSeats = event.maxParticipants
+      ? event.maxParticipants - await this.countSeatsTaken(eventId, { transaction })
+      : Infinity;
+    
+    if (freeSeats <= 0) {
+      return { event, promoted: [] };
+    }
+    
+    const promoted = await this.findAll({
+      where: { eventId, status: 'waitlisted' },
+      order: [['waitlistedAt', 'ASC']],
+      limit: Number.isFinite(freeSeats) ? freeSeats : undefined,
+      transaction,
+    });
+    
+    const now = new Date();
+    const claimHours = event.waitlistClaimHours;
+    
+    for (const participant of promoted) {
+      if (claimHours > 0) {
+        await participant.update({
+          status: 'offered',
+          offeredAt: now,
+          offerExpiresAt: new Date(now.getTime() + claimHours * 60 * 60 * 1000),
+        }, { transaction });
+      } else {
+        await participant.update({
+          status: event.requiresPayment() ? 'pending_payment' : 'registered',
+          offeredAt: now,
+          paymentExpiresAt: event.requiresPayment() ? paymentDeadline() : null,
+        }, { transaction });
+      }
+    }
+    
+    return { event, promoted };
+  });
+  
+  const { event, promoted } = result;
+  
+  for (const participant of promoted) {
+    await notifyParticipant(participant, event, promotionNotice(participant, event));
+  }
+  
+  return promoted;
+};
+
+const promotionNotice = (participant, event) => {
+  switch (participant.status) {
+    case 'offered':
+      return {
+        type: 'waitlist_offer',
+        title: 'A spot opened up',
+        message: `A spot opened up at "${event.title}". Claim it before ${participant.offerExpiresAt.toISOString()} or it goes to the next person.`,
+        metadata: { offerExpiresAt: participant.offerExpiresAt },
+      };
+    case 'pending_payment':
+      return {
+        type: 'waitlist_offer',
+        title: 'A spot opened up',
+        message: `A spot opened up at "${event.title}". Complete your payment before ${participant.paymentExpiresAt.toISOString()} to confirm it.`,
+        metadata: { paymentExpiresAt: participant.paymentExpiresAt },
+      };
+    default:
+      return {
+        type: 'registration_confirmed',
+        title: 'Registration confirmed',
+        message: `A spot opened up at "${event.title}" and you are now registered.`,
+      };
+  }
+};
+
+/**
+ * Expire unclaimed offers and pass their places on
+ * @returns {Promise<number>} Offers expired
+ */
+EventParticipant.expireOffers = async function() {
+  const { Event } = this.sequelize.models;
+  const due = await this.findAll({
+    where: {
+      status: 'offered',
+      offerExpiresAt: { [Op.lte]: new Date() },
+    },
+    include: [{ model: Event, as: 'event', attributes: ['id', 'title'] }],
+  });
+  
+  const eventIds = new Set();
+  let expired = 0;
+  
+  for (const participant of due) {
+    // Skip offers claimed since they were loaded
+    const [count] = await this.update(
+      { status: 'expired' },
+      { where: { id: participant.id, status: 'offered' } }
+    );
+    if (count === 0) continue;
+    
+    expired += 1;
+    eventIds.add(participant.eventId);
+    
+    await notifyParticipant(participant, participant.event, {
+      type: 'waitlist_offer_expired',
+      title: 'Your spot offer expired',
+      message: `Your offer for a spot at "${participant.event.title}" expired and has been passed on. You can register again to rejoin the waitlist.`,
+    });
+  }
+  
+  for (const eventId of eventIds) {
+    await this.promoteWaitlist(eventId);
+  }
+  
+  return expired;
+};
+
+/**
+ * Release places held by registrations that were not paid in time
+ * @returns {Promise<number>} Registrations expired
+ */
+EventParticipant.expirePendingPayments = async function() {
+  const { Event, Payment } = this.sequelize.models;
+  const due = await this.findAll({
+    where: {
+      status: 'pending_payment',
+      paymentExpiresAt: { [Op.lte]: new Date() },
+    },
+    include: [{ model: Event, as: 'event', attributes: ['id', 'title'] }],
+  });
+  
+  const eventIds = new Set();
+  let expired = 0;
+  
+  for (const participant of due) {
+    // Skip registrations paid since they were loaded
+    const [count] = await this.update(
+      { status: 'expired', paymentExpiresAt: null },
+      { where: { id: participant.id, status: 'pending_payment' } }
+    );
+    if (count === 0) continue;
+    
+    expired += 1;
+    eventIds.add(participant.eventId);
+    await Payment.expirePending(participant.id);
+    
+    await notifyParticipant(participant, participant.event, {
+      type: 'registration_expired',
+      title: 'Your registration expired',
+      message: `Your registration for "${participant.event.title}" expired because payment was not completed in time. You can register again.`,
+    });
+  }
+  
+  for (const eventId of eventIds) {
+    await this.promoteWaitlist(eventId);
+  }
+  
+  return expired;
 };
 
 // Class methods for queries
@@ -190,9 +643,9 @@ EventParticipant.findByUser = function(userId, options = {}) {
   return this.findAll({ ...defaults, ...options });
 };
 
-EventParticipant.getStats = async function(eventId) {
+EventParticipant.getStats = async function(eventId, where = {}) {
   const result = await this.findAll({
-    where: { eventId },
+    where: { eventId, ...where },
     attributes: [
       'role',
       'status',
@@ -0,0 +1,67 @@
+import { DataTypes } from 'sequelize';
+import { sequelize } from '../config/database.js';
+
+// Audit trail of event status changes, written by Event#transitionTo
+const EventStatusTransition = sequelize.define('EventStatusTransition', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+  fromStatus: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+  },
+  toStatus: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+  },
+  trigger: {
+    type: DataTypes.ENUM('manual', 'schedule'),
+    defaultValue: 'manual',
+  },
+  reason: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+  },
+  effects: {
+    type: DataTypes.JSONB,
+    defaultValue: {},
+    comment: 'What the transition did, e.g. { teamsLocked, notified }',
+  },
+}, {
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    {
+      fields: ['eventId', 'createdAt'],
+    },
+  ],
+});
+
+// Class methods
+EventStatusTransition.associate = (models) => {
+  EventStatusTransition.belongsTo(models.Event, {
+    foreignKey: 'eventId',
+    as: 'event',
+  });
+
+  EventStatusTransition.belongsTo(models.User, {
+    foreignKey: 'actorId',
+    as: 'actor',
+  });
+};
+
+EventStatusTransition.findByEvent = function(eventId) {
+  return this.findAll({
+    where: { eventId },
+    include: [{
+      model: this.sequelize.models.User,
+      as: 'actor',
+      attributes: ['id', 'name', 'email'],
+    }],
+    order: [['createdAt', 'ASC']],
+  });
+};
+
+export { EventStatusTransition };
@@ -0,0 +1,102 @@
+import { DataTypes, Op } from 'sequelize';
+import { sequelize } from '../config/database.js';
+
+// Saved event settings an organizer can start new events from. Dates are
+// kept as offsets from the start date, so a template has no fixed dates.
+const EventTemplate = sequelize.define('EventTemplate', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    validate: {
+      len: {
+        args: [1, 100],
+        msg: 'Template name must be 1-100 characters',
+      },
+    },
+  },
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+  },
+  config: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    comment: 'Event settings: rules, prizes, schedule, sponsors, judgingCriteria, team size limits, ...',
+  },
+  dateOffsets: {
+    type: DataTypes.JSONB,
+    defaultValue: {},
+    comment: 'Milliseconds from startDate, e.g. { endDate, registrationEnd, submissionDeadline }, plus the schedule\'s offsets in { schedule, scheduleDays }',
+  },
+  isShared: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false,
+    comment: 'Visible to every organizer, not just its owner',
+  },
+  usageCount: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+  },
+}, {
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['organizerId', 'name'],
+      unique: true,
+    },
+    {
+      fields: ['isShared'],
+    },
+  ],
+});
+
+// Class methods
+EventTemplate.associate = (models) => {
+  EventTemplate.belongsTo(models.User, {
+    foreignKey: 'organizerId',
+    as: 'organizer',
+  });
+
+  EventTemplate.belongsTo(models.Event, {
+    foreignKey: 'sourceEventId',
+    as: 'sourceEvent',
+    constraints: false,
+  });
+};
+
+// Instance methods
+EventTemplate.prototype.isVisibleTo = function(user) {
+  return this.isShared || this.organizerId === user.id || user.role === 'admin';
+};
+
+EventTemplate.prototype.isOwnedBy = function(user) {
+  return this.organizerId === user.id || user.role === 'admin';
+};
+
+// Class methods for queries
+EventTemplate.findVisibleTo = function(user, { search } = {}) {
+  const where = user.role === 'admin'
+    ? {}
+    : { [Op.or]: [{ organizerId: user.id }, { isShared: true }] };
+
+  if (search) {
+    where.name = { [Op.iLike]: `%${search}%` };
+  }
+
+  return this.findAll({
+    where,
+    include: [{
+      model: this.sequelize.models.User,
+      as: 'organizer',
+      attributes: ['id', 'name'],
+    }],
+    order: [['name', 'ASC']],
+  });
+};
+
+export { EventTemplate };
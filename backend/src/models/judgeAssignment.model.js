@@ -0,0 +1,142 @@
+import { DataTypes } from 'sequelize';
+import { sequelize } from '../config/database.js';
+
+const JudgeAssignment = sequelize.define('JudgeAssignment', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+  round: {
+    type: DataTypes.INTEGER,
+    defaultValue: 1,
+    validate: {
+      min: 1,
+    },
+  },
+  status: {
+    type: DataTypes.ENUM('assigned', 'completed'),
+    defaultValue: 'assigned',
+  },
+  source: {
+    type: DataTypes.ENUM('auto', 'manual'),
+    defaultValue: 'auto',
+    comment: 'Manual assignments are organizer overrides and survive rebalancing',
+  },
+  completedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+  metadata: {
+    type: DataTypes.JSONB,
+    defaultValue: {},
+  },
+}, {
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['submissionId', 'judgeId', 'round'],
+      unique: true,
+      name: 'unique_judge_assignment_round',
+    },
+    {
+      fields: ['eventId', 'round'],
+    },
+    {
+      fields: ['judgeId'],
+    },
+  ],
+});
+
+// Class methods
+JudgeAssignment.associate = (models) => {
+  JudgeAssignment.belongsTo(models.Event, {
+    foreignKey: 'eventId',
+    as: 'event',
+  });
+
+  JudgeAssignment.belongsTo(models.Submission, {
+    foreignKey: 'submissionId',
+    as: 'submission',
+  });
+
+  JudgeAssignment.belongsTo(models.User, {
+    foreignKey: 'judgeId',
+    as: 'judge',
+  });
+
+  JudgeAssignment.belongsTo(models.User, {
+    foreignKey: 'assignedById',
+    as: 'assignedBy',
+  });
+};
+
+// Instance methods
+JudgeAssignment.prototype.markCompleted = async function(options = {}) {
+  if (this.status === 'completed') {
+    return this;
+  }
+
+  this.status = 'completed';
+  this.completedAt = new Date();
+  return this.save(options);
+};
+
+// Class methods for queries
+JudgeAssignment.findForJudge = function(judgeId, submissionId, round = 1, options = {}) {
+  return this.findOne({
+    where: { judgeId, submissionId, round },
+    ...options,
+  });
+};
+
+JudgeAssignment.findByEvent = function(eventId, round = 1, options = {}) {
+  const { where = {}, ...rest } = options;
+
+  return this.findAll({
+    where: { eventId, round, ...where },
+    include: [
+      {
+        model: this.sequelize.models.User,
+        as: 'judge',
+        attributes: ['id', 'name', 'email', 'avatar'],
+      },
+      {
+        model: this.sequelize.models.Submission,
+        as: 'submission',
+        attributes: ['id', 'title', 'teamId', 'status'],
+      },
+    ],
+    order: [
+      ['status', 'ASC'],
+      ['createdAt', 'ASC'],
+    ],
+    ...rest,
+  });
+};
+
+JudgeAssignment.getLoadByJudge = async function(eventId, round = 1) {
+  const results = await this.findAll({
+    where: { eventId, round },
+    attributes: [
+      'judgeId',
+      'status',
+      [this.sequelize.fn('COUNT', this.sequelize.col('id')), 'count'],
+    ],
+    group: ['judgeId', 'status'],
+    raw: true,
+  });
+
+  const load = {};
+  results.forEach(({ judgeId, status, count }) => {
+    if (!load[judgeId]) {
+      load[judgeId] = { assigned: 0, completed: 0, total: 0 };
+    }
+    load[judgeId][status] += parseInt(count, 10);
+    load[judgeId].total += parseInt(count, 10);
+  });
+
+  return load;
+};
+
+export { JudgeAssignment };
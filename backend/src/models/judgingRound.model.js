@@ -0,0 +1,263 @@
+import { DataTypes, Op } from 'sequelize';
+import { sequelize } from '../config/database.js';
+
+const JudgingRound = sequelize.define('JudgingRound', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+  roundNumber: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    validate: {
+      min: 1,
+    },
+  },
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    validate: {
+      len: [1, 100],
+    },
+  },
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+  },
+  startsAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+  endsAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    validate: {
+      isAfterStartsAt(value) {
+        if (value && this.startsAt && value <= this.startsAt) {
+          throw new Error('Round end must be after round start');
+        }
+      },
+    },
+  },
+  criteriaIds: {
+    type: DataTypes.ARRAY(DataTypes.STRING),
+    defaultValue: [],
+    comment: 'IDs from event.judgingCriteria scored in this round (empty means all)',
+  },
+  advanceCount: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    validate: {
+      min: 1,
+    },
+    comment: 'How many submissions advance to the next round',
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'open', 'closed'),
+    defaultValue: 'pending',
+  },
+  openedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+  closedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+  advancedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+  advancedSubmissionIds: {
+    type: DataTypes.ARRAY(DataTypes.UUID),
+    defaultValue: [],
+  },
+  metadata: {
+    type: DataTypes.JSONB,
+    defaultValue: {},
+  },
+}, {
+  timestamps: true,
+  paranoid: true,
+  indexes: [
+    {
+      fields: ['eventId', 'roundNumber'],
+      unique: true,
+    },
+    {
+      fields: ['status'],
+    },
+  ],
+});
+
+// Class methods
+JudgingRound.associate = (models) => {
+  JudgingRound.belongsTo(models.Event, {
+    foreignKey: 'eventId',
+    as: 'event',
+  });
+};
+
+// Instance methods
+JudgingRound.prototype.isOpenForJudging = function() {
+  if (this.status !== 'open') return false;
+
+  const now = new Date();
+  if (this.startsAt && now < this.startsAt) return false;
+  if (this.endsAt && now > this.endsAt) return false;
+  return true;
+};
+
+JudgingRound.prototype.appliesToCriterion = function(criterionId) {
+  return !this.criteriaIds || this.criteriaIds.length === 0 || this.criteriaIds.includes(criterionId);
+};
+
+JudgingRound.prototype.open = async function() {
+  if (this.status !== 'pending') {
+    throw new Error(`Round ${this.roundNumber} has already been ${this.status === 'open' ? 'opened' : 'closed'}`);
+  }
+
+  const openRound = await JudgingRound.findOne({
+    where: { eventId: this.eventId, status: 'open' },
+  });
+
+  if (openRound) {
+    throw new Error(`Round ${openRound.roundNumber} must be closed before another round is opened`);
+  }
+
+  if (this.roundNumber > 1) {
+    const previousRound = await JudgingRound.findOne({
+      where: { eventId: this.eventId, roundNumber: this.roundNumber - 1 },
+    });
+
+    if (!previousRound || !previousRound.advancedAt) {
+      throw new Error(`Submissions must be advanced from round ${this.roundNumber - 1} before round ${this.roundNumber} opens`);
+    }
+  }
+
+  this.status = 'open';
+  this.openedAt = new Date();
+  return this.save();
+};
+
+JudgingRound.prototype.close = async function() {
+  if (this.status !== 'open') {
+    throw new Error(`Round ${this.roundNumber} is not open`);
+  }
+
+  this.status = 'closed';
+  this.closedAt = new Date();
+  return this.save();
+};
+
+/**
+ * Move the top submissions of this round into the next one.
+ * @param {Object} [options]
+ * @param {number} [options.count] - Overrides the configured advanceCount
+ * @param {string[]} [options.submissionIds] - Explicit list, bypassing the ranking
+ * @returns {Promise<string[]>} IDs of the submissions that advanced
+ */
+JudgingRound.prototype.advance = async function(options = {}) {
+  const { Evaluation, Submission } = this.sequelize.models;
+
+  if (this.status !== 'closed') {
+    throw new Error(`Round ${this.roundNumber} must be closed before submissions advance`);
+  }
+
+  if (this.advancedAt) {
+    throw new Error(`Submissions have already advanced from round ${this.roundNumber}`);
+  }
+
+  const nextRound = await JudgingRound.findOne({
+    where: { eventId: this.eventId, roundNumber: this.roundNumber + 1 },
+  });
+
+  if (!nextRound) {
+    throw new Error(`Round ${this.roundNumber + 1} must be defined before submissions can advance`);
+  }
+
+  let submissionIds = options.submissionIds;
+
+  if (!submissionIds) {
+    const count = options.count || this.advanceCount;
+    if (!count) {
+      throw new Error('Number of submissions to advance is required');
+    }
+
+    const rankings = await Evaluation.getAverageScores(this.eventId, this.roundNumber);
+    submissionIds = rankings.slice(0, count).map(ranking => ranking.submissionId);
+  }
+
+  await this.sequelize.transaction(async (transaction) => {
+    if (submissionIds.length > 0) {
+      await Submission.update(
+        { currentRound: nextRound.roundNumber },
+        {
+          where: {
+            id: { [Op.in]: submissionIds },
+            eventId: this.eventId,
+            currentRound: this.roundNumber,
+          },
+          transaction,
+        }
+      );
+    }
+
+    this.advancedSubmissionIds = submissionIds;
+    this.advancedAt = new Date();
+    await this.save({ transaction });
+  });
+
+  return submissionIds;
+};
+
+// Class methods for queries
+JudgingRound.findByEvent = function(eventId, options = {}) {
+  return this.findAll({
+    where: { eventId },
+    order: [['roundNumber', 'ASC']],
+    ...options,
+  });
+};
+
+JudgingRound.findOpenRound = function(eventId, options = {}) {
+  return this.findOne({
+    where: { eventId, status: 'open' },
+    ...options,
+  });
+};
+
+/**
+ * Resolve which round a request refers to when none is given explicitly:
+ * the open round, otherwise the most recent round that has been opened.
+ */
+JudgingRound.resolveCurrentRound = async function(eventId) {
+  const openRound = await this.findOpenRound(eventId);
+  if (openRound) return openRound;
+
+  return this.findOne({
+    where: {
+      eventId,
+      status: 'closed',
+    },
+    order: [['roundNumber', 'DESC']],
+  });
+};
+
+/**
+ * Pick the round a request refers to: the requested one, else the open
+ * round, else the most recently closed round, else round 1
+ * @param {string} eventId - Event ID
+ * @param {number|string} [requestedRound] - Round from the query string
+ * @returns {Promise<number>}
+ */
+JudgingRound.resolveRoundNumber = async function(eventId, requestedRound) {
+  const round = parseInt(requestedRound, 10);
+  if (round) return round;
+
+  const currentRound = await this.resolveCurrentRound(eventId);
+  return currentRound ? currentRound.roundNumber : 1;
+};
+
+export { JudgingRound };
@@ -1,5 +1,38 @@
-import { DataTypes } from 'sequelize';
+import { DataTypes, Op } from 'sequelize';
 import { sequelize } from '../config/database.js';
+import { sendNotificationEmail } from '../services/email.service.js';
+import { emitToUser } from '../services/socketService.js';
+import { logger } from '../utils/logger.js';
+
+export const NOTIFICATION_TYPES = [
+  'event_created',
+  'event_updated',
+  'event_cancelled',
+  'event_started',
+  'submissions_closed',
+  'event_completed',
+  'waitlist_joined',
+  'waitlist_offer',
+  'waitlist_offer_expired',
+  'registration_confirmed',
+  'registration_expired',
+  'payment_received',
+  'payment_refunded',
+  'judge_invite',
+  'team_invite',
+  'team_join_request',
+  'team_join_approved',
+  'team_join_rejected',
+  'submission_received',
+  'submission_updated',
+  'evaluation_received',
+  'prize_awarded',
+  'announcement',
+  'comment',
+  'mention',
+  'system',
+  'other',
+];
 
 const Notification = sequelize.define('Notification', {
   id: {
@@ -8,23 +41,7 @@ const Notification = sequelize.define('Notification', {
     primaryKey: true,
   },
   type: {
-    type: DataTypes.ENUM(
-      'event_created',
-      'event_updated',
-      'event_cancelled',
-      'team_invite',
-      'team_join_request',
-      'team_join_approved',
-      'team_join_rejected',
-      'submission_received',
-      'submission_updated',
-      'evaluation_received',
-      'announcement',
-      'comment',
-      'mention',
-      'system',
-      'other'
-    ),
+    type: DataTypes.ENUM(...NOTIFICATION_TYPES),
     allowNull: false,
   },
   title: {
@@ -39,10 +56,24 @@ const Notification = sequelize.define('Notification', {
     type: DataTypes.BOOLEAN,
     defaultValue: false,
   },
+  inApp: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true,
+    comment: 'False when the recipient only wants this type by email or digest',
+  },
   readAt: {
     type: DataTypes.DATE,
     allowNull: true,
   },
+  emailDelivery: {
+    type: DataTypes.ENUM('none', 'immediate', 'digest'),
+    defaultValue: 'none',
+    comment: 'Taken from the recipient\'s preferences when the notification is created',
+  },
+  emailedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
   referenceType: {
     type: DataTypes.STRING,
     allowNull: true,
@@ -73,6 +104,9 @@ const Notification = sequelize.define('Notification', {
     {
       fields: ['referenceType', 'referenceId'],
     },
+    {
+      fields: ['emailDelivery', 'emailedAt'],
+    },
   ],
 });
 
@@ -90,6 +124,24 @@ Notification.associate = (models) => {
 };
 
 // Hooks
+// Recipients who turned off in-app delivery for a type still get the row,
+// so email and digest delivery can use it, but it never shows in the app
+const applyPreferences = async (notifications, options) => {
+  const preferenceFor = await Notification.sequelize.models.NotificationPreference.resolve(notifications, {
+    transaction: options?.transaction,
+  });
+  
+  notifications.forEach((notification) => {
+    const preference = preferenceFor(notification.userId, notification.type);
+    notification.inApp = preference.inApp;
+    notification.emailDelivery = preference.email ? 'immediate' : preference.digest ? 'digest' : 'none';
+  });
+};
+
+Notification.beforeCreate((notification, options) => applyPreferences([notification], options));
+
+Notification.beforeBulkCreate((notifications, options) => applyPreferences(notifications, options));
+
 Notification.beforeUpdate(async (notification) => {
   // Set readAt timestamp when isRead changes to true
   if (notification.changed('isRead') && notification.isRead && !notification.readAt) {
@@ -97,6 +149,78 @@ Notification.beforeUpdate(async (notification) => {
   }
 });
 
+// Real-time delivery. Every socket a user has open (tabs, devices) sits in
+// their user room, so each change is pushed with a fresh unread count from
+// the database rather than a client-side increment that could drift.
+// Inside a transaction, delivery waits for the commit so clients never see
+// rows that get rolled back.
+const afterCommit = (options, callback) => {
+  const run = () => callback().catch(error => logger.error('Notification delivery error:', error));
+  
+  if (options?.transaction) {
+    options.transaction.afterCommit(run);
+  } else {
+    run();
+  }
+};
+
+// Immediate emails go through the outbox, which retries on its own
+const email = async (created) => {
+  const notifications = created.filter(notification => notification.emailDelivery === 'immediate');
+  if (notifications.length === 0) return;
+  
+  const users = await Notification.sequelize.models.User.findAll({
+    where: { id: { [Op.in]: [...new Set(notifications.map(notification => notification.userId))] } },
+    attributes: ['id', 'name', 'email', 'locale'],
+  });
+  const byId = new Map(users.map(user => [user.id, user]));
+  
+  for (const notification of notifications) {
+    const user = byId.get(notification.userId);
+    if (!user) continue;
+    
+    await sendNotificationEmail(notification, user);
+    await Notification.update({ emailedAt: new Date() }, { where: { id: notification.id } });
+  }
+};
+
+const deliver = async (created) => {
+  const notifications = created.filter(notification => notification.inApp !== false);
+  notifications.forEach(notification => emitToUser(notification.userId, 'notification:new', notification.toJSON()));
+  
+  const userIds = [...new Set(notifications.map(notification => notification.userId))];
+  await Promise.all(userIds.map(userId => Notification.syncUnreadCount(userId)));
+};
+
+Notification.afterCreate((notification, options) => {
+  afterCommit(options, () => deliver([notification]));
+  afterCommit(options, () => email([notification]));
+});
+
+Notification.afterBulkCreate((notifications, options) => {
+  afterCommit(options, () => deliver(notifications));
+  afterCommit(options, () => email(notifications));
+});
+
+Notification.afterUpdate((notification, options) => {
+  if (!notification.changed('isRead')) return;
+  
+  afterCommit(options, async () => {
+    emitToUser(notification.userId, 'notification:read', {
+      ids: [notification.id],
+      isRead: notification.isRead,
+    });
+    await Notification.syncUnreadCount(notification.userId);
+  });
+});
+
+Notification.afterDestroy((notification, options) => {
+  afterCommit(options, async () => {
+    emitToUser(notification.userId, 'notification:deleted', { id: notification.id });
+    await Notification.syncUnreadCount(notification.userId);
+  });
+});
+
 // Instance methods
 Notification.prototype.markAsRead = async function() {
   if (!this.isRead) {
@@ -119,7 +243,7 @@ Notification.prototype.markAsUnread = async function() {
 // Class methods for queries
 Notification.findByUser = function(userId, options = {}) {
   const defaults = {
-    where: { userId },
+    where: { userId, inApp: true },
     order: [['createdAt', 'DESC']],
     limit: 50,
   };
@@ -132,13 +256,15 @@ Notification.findUnreadCount = function(userId, options = {}) {
     where: { 
       userId,
       isRead: false,
+      inApp: true,
     },
     ...options,
   });
 };
 
-Notification.markAllAsRead = function(userId, options = {}) {
-  return this.update(
+// Digest-only notifications are not in the inbox, and stay unread until their digest is sent
+Notification.markAllAsRead = async function(userId, options = {}) {
+  const result = await this.update(
     { 
       isRead: true,
       readAt: new Date(),
@@ -147,14 +273,75 @@ Notification.markAllAsRead = function(userId, options = {}) {
       where: { 
         userId,
         isRead: false,
+        inApp: true,
+      },
+      ...options,
+    }
+  );
+  
+  afterCommit(options, async () => {
+    emitToUser(userId, 'notification:read-all', {});
+    await Notification.syncUnreadCount(userId);
+  });
+  
+  return result;
+};
+
+/**
+ * Mark several of a user's notifications read or unread at once
+ * @returns {Promise<number>} Number of notifications changed
+ */
+Notification.markManyAs = async function(userId, ids, isRead, options = {}) {
+  const [count] = await this.update(
+    {
+      isRead,
+      readAt: isRead ? new Date() : null,
+    },
+    {
+      where: {
+        id: { [Op.in]: ids },
+        userId,
+        isRead: !isRead,
+        inApp: true,
       },
       ...options,
     }
   );
+  
+  afterCommit(options, async () => {
+    emitToUser(userId, 'notification:read', { ids, isRead });
+    await Notification.syncUnreadCount(userId);
+  });
+  
+  return count;
+};
+
+/**
+ * Unread notifications still waiting for a digest email, oldest first
+ */
+Notification.findPendingDigest = function(options = {}) {
+  return this.findAll({
+    where: {
+      emailDelivery: 'digest',
+      emailedAt: null,
+      isRead: false,
+    },
+    order: [['userId', 'ASC'], ['createdAt', 'ASC']],
+    ...options,
+  });
+};
+
+/**
+ * Push the user's current unread count to all of their sockets
+ */
+Notification.syncUnreadCount = async function(userId) {
+  const count = await this.findUnreadCount(userId);
+  emitToUser(userId, 'notification:unread-count', { count });
+  return count;
 };
 
 // Static methods for common notification types
-Notification.createEventCreated = async (event, options = {}) => {
+Notification.createEventCreated = async function(event, options = {}) {
   const { User, EventParticipant } = this.sequelize.models;
   
   // Get all users who should be notified
@@ -182,7 +369,7 @@ Notification.createEventCreated = async (event, options = {}) => {
   return this.bulkCreate(notifications, options);
 };
 
-Notification.createTeamInvite = async (team, invitedUser, inviter, options = {}) => {
+Notification.createTeamInvite = async function(team, invitedUser, inviter, options = {}) {
   return this.create({
     userId: invitedUser.id,
     type: 'team_invite',
@@ -200,7 +387,7 @@ Notification.createTeamInvite = async (team, invitedUser, inviter, options = {})
   }, options);
 };
 
-Notification.createSubmissionReceived = async (submission, event, options = {}) => {
+Notification.createSubmissionReceived = async function(submission, event, options = {}) {
   const { EventJudge } = this.sequelize.models;
   
   // Get all judges for the event
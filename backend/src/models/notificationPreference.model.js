@@ -0,0 +1,92 @@
+import { DataTypes, Op } from 'sequelize';
+import { sequelize } from '../config/database.js';
+import { NOTIFICATION_TYPES } from './notification.model.js';
+
+// Used for any type a user has not configured
+export const DEFAULT_NOTIFICATION_PREFERENCE = {
+  inApp: true,
+  email: false,
+  digest: false,
+};
+
+const NotificationPreference = sequelize.define('NotificationPreference', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+  type: {
+    type: DataTypes.ENUM(...NOTIFICATION_TYPES),
+    allowNull: false,
+  },
+  inApp: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: DEFAULT_NOTIFICATION_PREFERENCE.inApp,
+  },
+  email: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: DEFAULT_NOTIFICATION_PREFERENCE.email,
+    comment: 'Send an email as soon as the notification is created',
+  },
+  digest: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: DEFAULT_NOTIFICATION_PREFERENCE.digest,
+    comment: 'Include the notification in the daily digest email',
+  },
+}, {
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['userId', 'type'],
+      unique: true,
+    },
+  ],
+  validate: {
+    emailOrDigest() {
+      if (this.email && this.digest) {
+        throw new Error('Choose either immediate email or the daily digest, not both');
+      }
+    },
+  },
+});
+
+// Class methods
+NotificationPreference.associate = (models) => {
+  NotificationPreference.belongsTo(models.User, {
+    foreignKey: 'userId',
+    as: 'user',
+  });
+};
+
+const pick = ({ inApp, email, digest }) => ({ inApp, email, digest });
+
+/**
+ * Every notification type for a user, with defaults for unconfigured types
+ * @returns {Promise<Object[]>} [{ type, inApp, email, digest }]
+ */
+NotificationPreference.getForUser = async function(userId) {
+  const preferences = await this.findAll({ where: { userId } });
+  const byType = new Map(preferences.map(preference => [preference.type, preference]));
+
+  return NOTIFICATION_TYPES.map(type => ({
+    type,
+    ...(byType.has(type) ? pick(byType.get(type)) : DEFAULT_NOTIFICATION_PREFERENCE),
+  }));
+};
+
+/**
+ * Look up the preferences that apply to a batch of notifications
+ * @param {Object[]} notifications - ({ userId, type })
+ * @returns {Promise<Function>} (userId, type) => { inApp, email, digest }
+ */
+NotificationPreference.resolve = async function(notifications, options = {}) {
+  const userIds = [...new Set(notifications.map(notification => notification.userId))];
+  const preferences = userIds.length > 0
+    ? await this.findAll({ where: { userId: { [Op.in]: userIds } }, ...options })
+    : [];
+  const byKey = new Map(preferences.map(preference => [`${preference.userId}:${preference.type}`, pick(preference)]));
+
+  return (userId, type) => byKey.get(`${userId}:${type}`) || DEFAULT_NOTIFICATION_PREFERENCE;
+};
+
+export { NotificationPreference };
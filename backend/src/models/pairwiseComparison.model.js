@@ -0,0 +1,124 @@
+import { DataTypes } from 'sequelize';
+import { sequelize } from '../config/database.js';
+import { bradleyTerry } from '../utils/pairwise.js';
+
+const PairwiseComparison = sequelize.define('PairwiseComparison', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+  round: {
+    type: DataTypes.INTEGER,
+    defaultValue: 1,
+    validate: {
+      min: 1,
+    },
+  },
+  winnerId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    comment: 'Winning submission; null records a tie',
+    validate: {
+      isOneOfPair(value) {
+        if (value && value !== this.submissionAId && value !== this.submissionBId) {
+          throw new Error('Winner must be one of the compared submissions');
+        }
+      },
+    },
+  },
+  feedback: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+  },
+  metadata: {
+    type: DataTypes.JSONB,
+    defaultValue: {},
+  },
+}, {
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['judgeId', 'submissionAId', 'submissionBId', 'round'],
+      unique: true,
+      name: 'unique_judge_pair_round',
+    },
+    {
+      fields: ['eventId', 'round'],
+    },
+  ],
+  validate: {
+    differentSubmissions() {
+      if (this.submissionAId === this.submissionBId) {
+        throw new Error('A submission cannot be compared with itself');
+      }
+    },
+  },
+});
+
+// Class methods
+PairwiseComparison.associate = (models) => {
+  PairwiseComparison.belongsTo(models.Event, {
+    foreignKey: 'eventId',
+    as: 'event',
+  });
+
+  PairwiseComparison.belongsTo(models.User, {
+    foreignKey: 'judgeId',
+    as: 'judge',
+  });
+
+  PairwiseComparison.belongsTo(models.Submission, {
+    foreignKey: 'submissionAId',
+    as: 'submissionA',
+  });
+
+  PairwiseComparison.belongsTo(models.Submission, {
+    foreignKey: 'submissionBId',
+    as: 'submissionB',
+  });
+
+  PairwiseComparison.belongsTo(models.Submission, {
+    foreignKey: 'winnerId',
+    as: 'winner',
+  });
+};
+
+// Hooks
+PairwiseComparison.beforeValidate((comparison) => {
+  // Store pairs in a fixed order so (A, B) and (B, A) hit the same unique index
+  if (comparison.submissionAId > comparison.submissionBId) {
+    const { submissionAId, submissionBId } = comparison;
+    comparison.submissionAId = submissionBId;
+    comparison.submissionBId = submissionAId;
+  }
+});
+
+// Class methods for queries
+PairwiseComparison.findByEvent = function(eventId, round = 1, options = {}) {
+  return this.findAll({
+    where: { eventId, round },
+    order: [['createdAt', 'ASC']],
+    ...options,
+  });
+};
+
+/**
+ * Bradley–Terry scores for every submission in an event round, in the same
+ * shape as `aggregateScores` so leaderboards can use either judging mode
+ */
+PairwiseComparison.getScores = async function(eventId, round = 1) {
+  const comparisons = await this.findByEvent(eventId, round, {
+    attributes: ['submissionAId', 'submissionBId', 'winnerId'],
+    raw: true,
+  });
+
+  const submissionIds = [...new Set(comparisons.flatMap(comparison => [
+    comparison.submissionAId,
+    comparison.submissionBId,
+  ]))];
+
+  return bradleyTerry(submissionIds, comparisons);
+};
+
+export { PairwiseComparison };
@@ -0,0 +1,295 @@
+import { DataTypes, Op } from 'sequelize';
+import { sequelize } from '../config/database.js';
+import { getPaymentProvider, toMinorUnits } from '../services/payments/index.js';
+import { logger } from '../utils/logger.js';
+
+export const PAYMENT_STATUSES = ['pending', 'succeeded', 'failed', 'expired', 'refunded'];
+
+// One checkout attempt for a paid registration. A registration can have
+// several, e.g. after an abandoned checkout, but at most one succeeds.
+const Payment = sequelize.define('Payment', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+  provider: {
+    type: DataTypes.STRING(40),
+    allowNull: false,
+    comment: '"none" for registrations a promo code made free',
+  },
+  providerSessionId: {
+    type: DataTypes.STRING,
+    allowNull: true,
+  },
+  providerPaymentId: {
+    type: DataTypes.STRING,
+    allowNull: true,
+  },
+  status: {
+    type: DataTypes.ENUM(...PAYMENT_STATUSES),
+    defaultValue: 'pending',
+  },
+  subtotal: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+  },
+  discount: {
+    type: DataTypes.DECIMAL(10, 2),
+    defaultValue: 0,
+  },
+  amount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    comment: 'Amount charged: subtotal less discount',
+  },
+  currency: {
+    type: DataTypes.STRING(3),
+    allowNull: false,
+  },
+  checkoutUrl: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+  paidAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+  receiptNumber: {
+    type: DataTypes.STRING(40),
+    allowNull: true,
+    unique: true,
+  },
+  failureReason: {
+    type: DataTypes.STRING,
+    allowNull: true,
+  },
+  refundedAmount: {
+    type: DataTypes.DECIMAL(10, 2),
+    defaultValue: 0,
+  },
+  refundedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+  refundReason: {
+    type: DataTypes.STRING,
+    allowNull: true,
+  },
+  providerRefundId: {
+    type: DataTypes.STRING,
+    allowNull: true,
+  },
+  promoCodeHeld: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false,
+    comment: 'Whether this payment holds one of its promo code redemptions',
+  },
+  metadata: {
+    type: DataTypes.JSONB,
+    defaultValue: {},
+  },
+}, {
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['provider', 'providerSessionId'],
+      unique: true,
+    },
+    {
+      fields: ['participantId', 'status'],
+    },
+    {
+      fields: ['eventId', 'status'],
+    },
+    {
+      fields: ['userId'],
+    },
+  ],
+});
+
+// Class methods
+Payment.associate = (models) => {
+  Payment.belongsTo(models.Event, {
+    foreignKey: 'eventId',
+    as: 'event',
+  });
+
+  Payment.belongsTo(models.User, {
+    foreignKey: 'userId',
+    as: 'user',
+  });
+
+  Payment.belongsTo(models.EventParticipant, {
+    foreignKey: 'participantId',
+    as: 'participant',
+  });
+
+  Payment.belongsTo(models.PromoCode, {
+    foreignKey: 'promoCodeId',
+    as: 'promoCode',
+  });
+};
+
+// Instance methods
+/**
+ * Refund a successful payment in full. The status is claimed first, so a
+ * payment is never refunded twice; if the provider call fails it is put back.
+ * @param {string} reason - Stored with the refund, e.g. "withdrawn"
+ * @returns {Promise<boolean>} Whether this call refunded the payment
+ */
+Payment.prototype.refund = async function(reason) {
+  const refundedAt = new Date();
+  const [claimed] = await Payment.update(
+    { status: 'refunded', refundedAt, refundReason: reason, refundedAmount: this.amount },
+    { where: { id: this.id, status: 'succeeded' } }
+  );
+
+  if (claimed === 0) {
+    return false;
+  }
+
+  try {
+    const amount = toMinorUnits(this.amount);
+    // Free registrations have nothing to send back
+    if (amount > 0) {
+      const { refundId } = await getPaymentProvider(this.provider).refund({ payment: this, amount });
+      await Payment.update({ providerRefundId: refundId }, { where: { id: this.id } });
+    }
+  } catch (error) {
+    await Payment.update(
+      { status: 'succeeded', refundedAt: null, refundReason: null, refundedAmount: 0 },
+      { where: { id: this.id } }
+    );
+    throw error;
+  }
+
+  await this.reload();
+  await this.releasePromoCode();
+  return true;
+};
+
+/**
+ * Count this payment against its promo code even past maxRedemptions,
+ * for a checkout paid after its redemption was given back
+ */
+Payment.prototype.holdPromoCode = async function() {
+  if (!this.promoCodeId) return;
+
+  const [claimed] = await Payment.update(
+    { promoCodeHeld: true },
+    { where: { id: this.id, promoCodeHeld: false } }
+  );
+  if (claimed > 0) {
+    await this.sequelize.models.PromoCode.reserve(this.promoCodeId, { force: true });
+  }
+  this.promoCodeHeld = true;
+};
+
+/**
+ * Give back the promo code redemption this payment holds, once
+ */
+Payment.prototype.releasePromoCode = async function(options = {}) {
+  const [released] = await Payment.update(
+    { promoCodeHeld: false },
+    { where: { id: this.id, promoCodeHeld: true }, transaction: options.transaction }
+  );
+  if (released > 0) {
+    await this.sequelize.models.PromoCode.release(this.promoCodeId, options);
+  }
+  this.promoCodeHeld = false;
+};
+
+Payment.prototype.toReceipt = function() {
+  return {
+    id: this.id,
+    receiptNumber: this.receiptNumber,
+    status: this.status,
+    subtotal: this.subtotal,
+    discount: this.discount,
+    amount: this.amount,
+    currency: this.currency,
+    promoCode: this.promoCode?.code || this.metadata?.promoCode || null,
+    paidAt: this.paidAt,
+    refundedAmount: this.refundedAmount,
+    refundedAt: this.refundedAt,
+    event: this.event ? { id: this.event.id, title: this.event.title } : undefined,
+    user: this.user ? { id: this.user.id, name: this.user.name, email: this.user.email } : undefined,
+  };
+};
+
+// Class methods for queries
+Payment.findBySession = function(provider, sessionId) {
+  return this.findOne({ where: { provider, providerSessionId: sessionId } });
+};
+
+/**
+ * Refund every successful payment for a registration. Failures are logged
+ * and left for an organizer to retry.
+ * @returns {Promise<Object[]>} The refunded payments
+ */
+Payment.refundForParticipant = async function(participantId, reason) {
+  const payments = await this.findAll({ where: { participantId, status: 'succeeded' } });
+  const refunded = [];
+
+  for (const payment of payments) {
+    try {
+      if (await payment.refund(reason)) refunded.push(payment);
+    } catch (error) {
+      logger.error(`Refund for payment ${payment.id} failed:`, error);
+    }
+  }
+
+  return refunded;
+};
+
+/**
+ * Close open checkouts for a registration, e.g. when a new one starts or
+ * the registration expires. Closed and failed checkouts will not be paid
+ * any more, so their promo code redemptions are given back.
+ */
+Payment.expirePending = async function(participantId, options = {}) {
+  const [count] = await this.update(
+    { status: 'expired' },
+    { where: { participantId, status: 'pending' }, ...options }
+  );
+
+  const held = await this.findAll({
+    where: { participantId, status: { [Op.in]: ['expired', 'failed'] }, promoCodeHeld: true },
+    ...options,
+  });
+  for (const payment of held) {
+    await payment.releasePromoCode(options);
+  }
+
+  return count;
+};
+
+Payment.getEventSummary = async function(eventId) {
+  const rows = await this.findAll({
+    where: { eventId, status: { [Op.in]: ['succeeded', 'refunded'] } },
+    attributes: [
+      'status',
+      'currency',
+      [this.sequelize.fn('COUNT', this.sequelize.col('id')), 'count'],
+      [this.sequelize.fn('SUM', this.sequelize.col('amount')), 'amount'],
+      [this.sequelize.fn('SUM', this.sequelize.col('refundedAmount')), 'refundedAmount'],
+    ],
+    group: ['status', 'currency'],
+    raw: true,
+  });
+
+  return rows.map(row => ({
+    status: row.status,
+    currency: row.currency,
+    count: parseInt(row.count, 10),
+    amount: row.amount,
+    refundedAmount: row.refundedAmount,
+  }));
+};
+
+export { Payment };
@@ -0,0 +1,172 @@
+import { DataTypes, Op } from 'sequelize';
+import { sequelize } from '../config/database.js';
+import { toMinorUnits } from '../services/payments/index.js';
+
+export const DISCOUNT_TYPES = ['percent', 'fixed'];
+
+// Discount codes for an event's registration fee. A redemption is taken
+// when a checkout starts and given back if that checkout ends unpaid or
+// the payment is refunded.
+const PromoCode = sequelize.define('PromoCode', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+  code: {
+    type: DataTypes.STRING(40),
+    allowNull: false,
+    set(value) {
+      this.setDataValue('code', typeof value === 'string' ? value.trim().toUpperCase() : value);
+    },
+    validate: {
+      is: {
+        args: /^[A-Z0-9_-]{3,40}$/,
+        msg: 'Codes are 3-40 letters, digits, - or _',
+      },
+    },
+  },
+  description: {
+    type: DataTypes.STRING,
+    allowNull: true,
+  },
+  discountType: {
+    type: DataTypes.ENUM(...DISCOUNT_TYPES),
+    allowNull: false,
+  },
+  discountValue: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    validate: {
+      min: 0,
+    },
+    comment: 'Percentage off, or an amount in the event currency',
+  },
+  maxRedemptions: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    validate: {
+      min: 1,
+    },
+  },
+  redemptionCount: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+    comment: 'Paid registrations plus checkouts still in progress',
+  },
+  startsAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+  isActive: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true,
+  },
+}, {
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['eventId', 'code'],
+      unique: true,
+    },
+  ],
+  validate: {
+    percentAtMostHundred() {
+      if (this.discountType === 'percent' && Number(this.discountValue) > 100) {
+        throw new Error('A percentage discount cannot be more than 100');
+      }
+    },
+  },
+});
+
+// Class methods
+PromoCode.associate = (models) => {
+  PromoCode.belongsTo(models.Event, {
+    foreignKey: 'eventId',
+    as: 'event',
+  });
+
+  PromoCode.belongsTo(models.User, {
+    foreignKey: 'createdById',
+    as: 'createdBy',
+  });
+
+  PromoCode.hasMany(models.Payment, {
+    foreignKey: 'promoCodeId',
+    as: 'payments',
+  });
+};
+
+// Instance methods
+/**
+ * Whether the code can be used now. Checkouts in progress already count
+ * in redemptionCount.
+ */
+PromoCode.prototype.isRedeemable = function(now = new Date()) {
+  if (!this.isActive) return false;
+  if (this.startsAt && now < this.startsAt) return false;
+  if (this.expiresAt && now > this.expiresAt) return false;
+
+  return !this.maxRedemptions || this.redemptionCount < this.maxRedemptions;
+};
+
+/**
+ * @param {number} feeCents - Fee in minor units
+ * @returns {number} Discount in minor units, never more than the fee
+ */
+PromoCode.prototype.getDiscount = function(feeCents) {
+  const discount = this.discountType === 'percent'
+    ? Math.round(feeCents * Number(this.discountValue) / 100)
+    : toMinorUnits(this.discountValue);
+
+  return Math.min(discount, feeCents);
+};
+
+// Class methods for queries
+PromoCode.findByCode = function(eventId, code) {
+  return this.findOne({
+    where: { eventId, code: String(code).trim().toUpperCase() },
+  });
+};
+
+/**
+ * Take one redemption. The increment is conditional, so concurrent
+ * checkouts cannot take more than maxRedemptions between them.
+ * @param {string} id
+ * @param {Object} [options]
+ * @param {boolean} [options.force] - Ignore maxRedemptions, for money already taken
+ * @param {Object} [options.transaction]
+ * @returns {Promise<boolean>} Whether a redemption was taken
+ */
+PromoCode.reserve = async function(id, { force = false, transaction } = {}) {
+  const where = force
+    ? { id }
+    : {
+      id,
+      [Op.or]: [
+        { maxRedemptions: null },
+        { redemptionCount: { [Op.lt]: this.sequelize.col('maxRedemptions') } },
+      ],
+    };
+
+  const [reserved] = await this.update(
+    { redemptionCount: this.sequelize.literal('"redemptionCount" + 1') },
+    { where, transaction }
+  );
+
+  return reserved > 0;
+};
+
+// Give back a redemption taken by reserve
+PromoCode.release = function(id, { transaction } = {}) {
+  return this.update(
+    { redemptionCount: this.sequelize.literal('"redemptionCount" - 1') },
+    { where: { id, redemptionCount: { [Op.gt]: 0 } }, transaction }
+  );
+};
+
+export { PromoCode };
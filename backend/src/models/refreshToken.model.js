@@ -0,0 +1,64 @@
+import { DataTypes } from 'sequelize';
+import { sequelize } from '../config/database.js';
+
+// A refresh token handed out for a session. The ID is the token's `jti`;
+// the token itself is never stored. Each one can be exchanged once.
+const RefreshToken = sequelize.define('RefreshToken', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+  },
+  usedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+  replacedById: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    comment: 'The token issued in exchange for this one',
+  },
+}, {
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    {
+      fields: ['sessionId'],
+    },
+  ],
+});
+
+// Class methods
+RefreshToken.associate = (models) => {
+  RefreshToken.belongsTo(models.Session, {
+    foreignKey: 'sessionId',
+    as: 'session',
+    onDelete: 'CASCADE',
+  });
+
+  RefreshToken.belongsTo(models.User, {
+    foreignKey: 'userId',
+    as: 'user',
+  });
+};
+
+// Instance methods
+/**
+ * Mark the token as exchanged. Only the first of several concurrent calls
+ * succeeds.
+ * @returns {Promise<boolean>} False when the token had already been used
+ */
+RefreshToken.prototype.claim = async function() {
+  const [claimed] = await RefreshToken.update(
+    { usedAt: new Date() },
+    { where: { id: this.id, usedAt: null } }
+  );
+
+  return claimed > 0;
+};
+
+export { RefreshToken };
@@ -0,0 +1,156 @@
+import { DataTypes, Op } from 'sequelize';
+import { sequelize } from '../config/database.js';
+import { disconnectSessions } from '../services/socketService.js';
+
+// One signed-in device. Its refresh tokens form a single rotation chain;
+// revoking the session ends every token in it, access tokens included.
+const Session = sequelize.define('Session', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+  userAgent: {
+    type: DataTypes.STRING(500),
+    allowNull: true,
+  },
+  deviceName: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    comment: 'Readable label from the user agent, e.g. "Firefox on Windows"',
+  },
+  ipAddress: {
+    type: DataTypes.STRING(45),
+    allowNull: true,
+    comment: 'Address of the most recent use',
+  },
+  lastUsedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    comment: 'Expiry of the newest refresh token; moves forward on every refresh',
+  },
+  revokedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+  revokedReason: {
+    type: DataTypes.STRING(40),
+    allowNull: true,
+    comment: 'e.g. logout, refresh_token_reused, password_changed',
+  },
+}, {
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['userId', 'revokedAt'],
+    },
+    {
+      fields: ['expiresAt'],
+    },
+  ],
+});
+
+// Class methods
+Session.associate = (models) => {
+  Session.belongsTo(models.User, {
+    foreignKey: 'userId',
+    as: 'user',
+  });
+
+  Session.hasMany(models.RefreshToken, {
+    foreignKey: 'sessionId',
+    as: 'refreshTokens',
+    onDelete: 'CASCADE',
+  });
+};
+
+// Instance methods
+Session.prototype.isActive = function(now = new Date()) {
+  return !this.revokedAt && this.expiresAt > now;
+};
+
+/**
+ * @param {string} reason
+ * @returns {Promise<boolean>} Whether this call revoked the session
+ */
+Session.prototype.revoke = async function(reason) {
+  const [revoked] = await Session.update(
+    { revokedAt: new Date(), revokedReason: reason },
+    { where: { id: this.id, revokedAt: null } }
+  );
+
+  await this.reload();
+  if (revoked > 0) {
+    disconnectSessions([this.id]);
+  }
+  return revoked > 0;
+};
+
+Session.prototype.toPublic = function(currentSessionId = null) {
+  return {
+    id: this.id,
+    deviceName: this.deviceName,
+    userAgent: this.userAgent,
+    ipAddress: this.ipAddress,
+    createdAt: this.createdAt,
+    lastUsedAt: this.lastUsedAt,
+    expiresAt: this.expiresAt,
+    revokedAt: this.revokedAt,
+    revokedReason: this.revokedReason,
+    current: this.id === currentSessionId,
+  };
+};
+
+// Class methods for queries
+Session.findActiveForUser = function(userId) {
+  return this.findAll({
+    where: { userId, revokedAt: null, expiresAt: { [Op.gt]: new Date() } },
+    order: [['lastUsedAt', 'DESC NULLS LAST'], ['createdAt', 'DESC']],
+  });
+};
+
+/**
+ * Revoke every open session of a user, e.g. after a password change
+ * @param {string} userId
+ * @param {string} reason
+ * @param {Object} [options]
+ * @param {string} [options.exceptId] - Session to leave signed in
+ * @returns {Promise<number>} How many sessions were revoked
+ */
+Session.revokeAllForUser = async function(userId, reason, { exceptId } = {}) {
+  const where = { userId, revokedAt: null };
+  if (exceptId) {
+    where.id = { [Op.ne]: exceptId };
+  }
+
+  const [count, revoked] = await this.update(
+    { revokedAt: new Date(), revokedReason: reason },
+    { where, returning: true }
+  );
+
+  disconnectSessions(revoked.map(session => session.id));
+  return count;
+};
+
+/**
+ * Delete sessions that ended more than `retentionDays` ago, with their tokens
+ * @returns {Promise<number>}
+ */
+Session.purgeEnded = function(retentionDays = 30) {
+  const before = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+
+  return this.destroy({
+    where: {
+      [Op.or]: [
+        { expiresAt: { [Op.lt]: before } },
+        { revokedAt: { [Op.lt]: before } },
+      ],
+    },
+  });
+};
+
+export { Session };
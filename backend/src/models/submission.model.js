@@ -52,10 +52,19 @@ const Submission = sequelize.define('Submission', {
     type: DataTypes.BOOLEAN,
     defaultValue: false,
   },
+  commentCount: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+  },
   submissionNote: {
     type: DataTypes.TEXT,
     allowNull: true,
   },
+  prizeTracks: {
+    type: DataTypes.ARRAY(DataTypes.STRING),
+    defaultValue: [],
+    comment: 'IDs from event.prizes this submission opted in to',
+  },
   metadata: {
     type: DataTypes.JSONB,
     defaultValue: {},
@@ -65,10 +74,23 @@ const Submission = sequelize.define('Submission', {
     type: DataTypes.FLOAT,
     allowNull: true,
   },
+  normalizedScore: {
+    type: DataTypes.FLOAT,
+    allowNull: true,
+    comment: 'Score after the event normalization strategy; equals averageScore when none is set',
+  },
   totalEvaluations: {
     type: DataTypes.INTEGER,
     defaultValue: 0,
   },
+  currentRound: {
+    type: DataTypes.INTEGER,
+    defaultValue: 1,
+    validate: {
+      min: 1,
+    },
+    comment: 'Highest judging round this submission has advanced to',
+  },
 }, {
   timestamps: true,
   paranoid: true,
@@ -112,6 +134,16 @@ Submission.associate = (models) => {
     foreignKey: 'submissionId',
     as: 'comments',
   });
+  
+  Submission.hasMany(models.JudgeAssignment, {
+    foreignKey: 'submissionId',
+    as: 'assignments',
+  });
+  
+  Submission.hasMany(models.Vote, {
+    foreignKey: 'submissionId',
+    as: 'votes',
+  });
 };
 
 // Hooks
@@ -132,21 +164,17 @@ Submission.beforeCreate(async (submission) => {
 });
 
 // Instance methods
-Submission.prototype.calculateScores = async function() {
-  const evaluations = await this.getEvaluations();
-  
-  if (evaluations.length === 0) {
-    this.averageScore = null;
-    this.totalEvaluations = 0;
-    return this.save();
-  }
+// Scores are kept for the submission's current round only, so later rounds
+// never mix with the evaluations that got it there. The normalized score
+// follows the event's judgingSettings and needs every evaluation (or
+// comparison) in the round, since it depends on the whole field.
+Submission.prototype.calculateScores = async function(round = this.currentRound || 1) {
+  const event = await this.sequelize.models.Event.findByPk(this.eventId);
+  const scores = event ? (await event.getRoundScores(round)).get(this.id) : null;
   
-  const totalScore = evaluations.reduce((sum, evalItem) => {
-    return sum + (evalItem.score || 0);
-  }, 0);
-  
-  this.averageScore = totalScore / evaluations.length;
-  this.totalEvaluations = evaluations.length;
+  this.averageScore = scores ? scores.rawScore : null;
+  this.normalizedScore = scores ? scores.normalizedScore : null;
+  this.totalEvaluations = scores ? scores.evaluationCount : 0;
   
   return this.save();
 };
@@ -159,8 +187,8 @@ Submission.prototype.getLeaderboardPosition = async function() {
       status: 'submitted',
       averageScore: { [Op.ne]: null },
     },
-    order: [['averageScore', 'DESC']],
-    attributes: ['id', 'averageScore'],
+    order: [['normalizedScore', 'DESC'], ['averageScore', 'DESC']],
+    attributes: ['id', 'averageScore', 'normalizedScore'],
   });
   
   // Find the position of this submission
@@ -169,6 +197,34 @@ Submission.prototype.getLeaderboardPosition = async function() {
   return position === -1 ? null : position + 1; // +1 because array is 0-indexed
 };
 
+/**
+ * Recalculate scores for every submission in an event round. Per-judge
+ * normalization and pairwise fitting mean one new evaluation or comparison
+ * can shift other submissions too.
+ */
+Submission.recalculateEventScores = async function(eventId, round = 1) {
+  const event = await this.sequelize.models.Event.findByPk(eventId);
+  const scores = event ? await event.getRoundScores(round) : new Map();
+  
+  const submissions = await this.findAll({
+    where: {
+      eventId,
+      currentRound: round,
+    },
+  });
+  
+  await Promise.all(submissions.map((submission) => {
+    const submissionScores = scores.get(submission.id);
+    return submission.update({
+      averageScore: submissionScores ? submissionScores.rawScore : null,
+      normalizedScore: submissionScores ? submissionScores.normalizedScore : null,
+      totalEvaluations: submissionScores ? submissionScores.evaluationCount : 0,
+    });
+  }));
+  
+  return scores;
+};
+
 // Class methods for queries
 Submission.findByEvent = function(eventId, options = {}) {
   const defaultOptions = {
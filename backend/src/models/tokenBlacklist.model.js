@@ -0,0 +1,37 @@
+import { DataTypes, Op } from 'sequelize';
+import { sequelize } from '../config/database.js';
+
+// Access tokens rejected before they expire, e.g. on logout. Tokens that
+// belong to a session are also cut off by revoking the session.
+const TokenBlacklist = sequelize.define('TokenBlacklist', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+  token: {
+    type: DataTypes.TEXT,
+    allowNull: false,
+    unique: true,
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    comment: 'When the token expires anyway; the entry can go after that',
+  },
+}, {
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    {
+      fields: ['expiresAt'],
+    },
+  ],
+});
+
+// Class methods for queries
+TokenBlacklist.purgeExpired = function(now = new Date()) {
+  return this.destroy({ where: { expiresAt: { [Op.lt]: now } } });
+};
+
+export { TokenBlacklist };
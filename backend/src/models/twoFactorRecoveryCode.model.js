@@ -0,0 +1,57 @@
+import { DataTypes } from 'sequelize';
+import { sequelize } from '../config/database.js';
+
+// Single-use codes for signing in without the authenticator app. Only a
+// SHA-256 hash is kept; the codes are shown once when generated.
+const TwoFactorRecoveryCode = sequelize.define('TwoFactorRecoveryCode', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+  codeHash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+  },
+  usedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+}, {
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    {
+      fields: ['userId', 'codeHash'],
+      unique: true,
+    },
+  ],
+});
+
+// Class methods
+TwoFactorRecoveryCode.associate = (models) => {
+  TwoFactorRecoveryCode.belongsTo(models.User, {
+    foreignKey: 'userId',
+    as: 'user',
+  });
+};
+
+// Class methods for queries
+/**
+ * Use up a code. Only the first of several concurrent calls succeeds.
+ * @returns {Promise<boolean>}
+ */
+TwoFactorRecoveryCode.redeem = async function(userId, codeHash) {
+  const [redeemed] = await this.update(
+    { usedAt: new Date() },
+    { where: { userId, codeHash, usedAt: null } }
+  );
+
+  return redeemed > 0;
+};
+
+TwoFactorRecoveryCode.countRemaining = function(userId) {
+  return this.count({ where: { userId, usedAt: null } });
+};
+
+export { TwoFactorRecoveryCode };
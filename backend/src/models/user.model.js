@@ -1,7 +1,9 @@
 import { DataTypes } from 'sequelize';
 import bcrypt from 'bcryptjs';
+import crypto from 'crypto';
 import jwt from 'jsonwebtoken';
 import { sequelize } from '../config/database.js';
+import { DEFAULT_LOCALE, SUPPORTED_LOCALES } from '../templates/emails/index.js';
 
 const User = sequelize.define('User', {
   id: {
@@ -43,6 +45,19 @@ const User = sequelize.define('User', {
     type: DataTypes.ARRAY(DataTypes.STRING),
     defaultValue: [],
   },
+  affiliations: {
+    type: DataTypes.ARRAY(DataTypes.STRING),
+    defaultValue: [],
+    comment: 'Declared organizations (employer, university, ...) used for judging conflict checks',
+  },
+  locale: {
+    type: DataTypes.STRING(10),
+    defaultValue: DEFAULT_LOCALE,
+    validate: {
+      isIn: [SUPPORTED_LOCALES],
+    },
+    comment: 'Language for emails',
+  },
   isEmailVerified: {
     type: DataTypes.BOOLEAN,
     defaultValue: false,
@@ -65,10 +80,42 @@ const User = sequelize.define('User', {
   emailVerificationExpires: {
     type: DataTypes.DATE,
   },
+  magicLinkToken: {
+    type: DataTypes.STRING,
+    comment: 'SHA-256 of the pending sign-in link token',
+  },
+  magicLinkExpires: {
+    type: DataTypes.DATE,
+  },
   isActive: {
     type: DataTypes.BOOLEAN,
     defaultValue: true,
   },
+  twoFactorEnabled: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false,
+  },
+  twoFactorSecret: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'Base32 TOTP secret; set at enrollment, in use once twoFactorEnabled',
+  },
+  twoFactorLastStep: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Time step of the last accepted code, so a code cannot be replayed',
+  },
+  twoFactorFailedAttempts: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+    comment: 'Wrong codes at the second login step since the last success or lockout',
+  },
+  twoFactorLockedUntil: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+  // Legacy single provider; linked accounts now live in UserIdentity and
+  // these are moved there on the user's next login with the provider
   oauthProvider: {
     type: DataTypes.STRING, // 'google', 'github', etc.
   },
@@ -79,12 +126,15 @@ const User = sequelize.define('User', {
   timestamps: true,
   paranoid: true, // Enable soft deletes
   defaultScope: {
-    attributes: { exclude: ['password', 'passwordResetToken', 'passwordResetExpires', 'emailVerificationToken', 'emailVerificationExpires'] },
+    attributes: { exclude: ['password', 'passwordResetToken', 'passwordResetExpires', 'emailVerificationToken', 'emailVerificationExpires', 'magicLinkToken', 'magicLinkExpires', 'twoFactorSecret', 'twoFactorLastStep'] },
   },
   scopes: {
     withPassword: {
       attributes: { include: ['password'] },
     },
+    withTwoFactor: {
+      attributes: { include: ['password', 'twoFactorSecret', 'twoFactorLastStep'] },
+    },
   },
 });
 
@@ -136,6 +186,28 @@ User.prototype.createEmailVerificationToken = function() {
   return verificationToken;
 };
 
+/**
+ * Start a passwordless sign-in. Only the hash is stored, and a new link
+ * replaces any earlier one.
+ * @param {number} [expiresInMinutes=15]
+ * @returns {string} The token for the link
+ */
+User.prototype.createMagicLinkToken = function(expiresInMinutes = 15) {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  this.magicLinkToken = User.hashMagicLinkToken(token);
+  this.magicLinkExpires = Date.now() + expiresInMinutes * 60 * 1000;
+
+  return token;
+};
+
+User.hashMagicLinkToken = function(token) {
+  return crypto
+    .createHash('sha256')
+    .update(token)
+    .digest('hex');
+};
+
 User.prototype.generateAuthToken = function() {
   return jwt.sign(
     { id: this.id, role: this.role },
@@ -153,6 +225,10 @@ User.prototype.toJSON = function() {
   delete values.passwordResetExpires;
   delete values.emailVerificationToken;
   delete values.emailVerificationExpires;
+  delete values.magicLinkToken;
+  delete values.magicLinkExpires;
+  delete values.twoFactorSecret;
+  delete values.twoFactorLastStep;
   
   return values;
 };
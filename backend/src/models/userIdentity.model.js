@@ -0,0 +1,77 @@
+import { DataTypes } from 'sequelize';
+import { sequelize } from '../config/database.js';
+
+export const IDENTITY_PROVIDERS = ['google', 'github'];
+
+// An external account a user can sign in with. A user has at most one per
+// provider, and each external account belongs to one user.
+const UserIdentity = sequelize.define('UserIdentity', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+  provider: {
+    type: DataTypes.ENUM(...IDENTITY_PROVIDERS),
+    allowNull: false,
+  },
+  providerUserId: {
+    type: DataTypes.STRING,
+    allowNull: false,
+  },
+  email: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'As reported by the provider when linked or last used',
+  },
+  emailVerified: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false,
+  },
+  displayName: {
+    type: DataTypes.STRING,
+    allowNull: true,
+  },
+  lastUsedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+}, {
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['provider', 'providerUserId'],
+      unique: true,
+    },
+    {
+      fields: ['userId', 'provider'],
+      unique: true,
+    },
+  ],
+});
+
+// Class methods
+UserIdentity.associate = (models) => {
+  UserIdentity.belongsTo(models.User, {
+    foreignKey: 'userId',
+    as: 'user',
+  });
+};
+
+// Instance methods
+UserIdentity.prototype.toPublic = function() {
+  return {
+    provider: this.provider,
+    email: this.email,
+    displayName: this.displayName,
+    linkedAt: this.createdAt,
+    lastUsedAt: this.lastUsedAt,
+  };
+};
+
+// Class methods for queries
+UserIdentity.findByProvider = function(provider, providerUserId) {
+  return this.findOne({ where: { provider, providerUserId: String(providerUserId) } });
+};
+
+export { UserIdentity };
@@ -0,0 +1,121 @@
+import { DataTypes } from 'sequelize';
+import { sequelize } from '../config/database.js';
+
+export const DEFAULT_VOTING_CATEGORY = 'peoples_choice';
+
+const Vote = sequelize.define('Vote', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+  category: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: DEFAULT_VOTING_CATEGORY,
+  },
+  ipAddress: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'Kept so organizers can spot vote stuffing from one network',
+  },
+  userAgent: {
+    type: DataTypes.STRING(500),
+    allowNull: true,
+  },
+  metadata: {
+    type: DataTypes.JSONB,
+    defaultValue: {},
+  },
+}, {
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['eventId', 'userId', 'category'],
+      unique: true,
+      name: 'unique_user_vote_per_category',
+    },
+    {
+      fields: ['eventId', 'category', 'submissionId'],
+    },
+    {
+      fields: ['ipAddress'],
+    },
+  ],
+});
+
+// Class methods
+Vote.associate = (models) => {
+  Vote.belongsTo(models.Event, {
+    foreignKey: 'eventId',
+    as: 'event',
+  });
+
+  Vote.belongsTo(models.Submission, {
+    foreignKey: 'submissionId',
+    as: 'submission',
+  });
+
+  Vote.belongsTo(models.User, {
+    foreignKey: 'userId',
+    as: 'user',
+  });
+};
+
+// Class methods for queries
+Vote.findByUser = function(eventId, userId, options = {}) {
+  return this.findAll({
+    where: { eventId, userId },
+    order: [['category', 'ASC']],
+    ...options,
+  });
+};
+
+/**
+ * Vote counts per submission, highest first
+ * @param {string} eventId - Event ID
+ * @param {string} [category] - Limit to one voting category
+ * @returns {Promise<Object[]>} [{ category, submissionId, votes }]
+ */
+Vote.getTallies = async function(eventId, category) {
+  const where = { eventId };
+  if (category) where.category = category;
+
+  const results = await this.findAll({
+    where,
+    attributes: [
+      'category',
+      'submissionId',
+      [this.sequelize.fn('COUNT', this.sequelize.col('id')), 'votes'],
+    ],
+    group: ['category', 'submissionId'],
+    order: [[this.sequelize.literal('"votes"'), 'DESC']],
+    raw: true,
+  });
+
+  return results.map(result => ({ ...result, votes: parseInt(result.votes, 10) }));
+};
+
+/**
+ * IP addresses that cast more votes in a category than `threshold`
+ * @returns {Promise<Object[]>} [{ category, ipAddress, votes }]
+ */
+Vote.findSuspiciousIps = async function(eventId, threshold = 3) {
+  const results = await this.findAll({
+    where: { eventId },
+    attributes: [
+      'category',
+      'ipAddress',
+      [this.sequelize.fn('COUNT', this.sequelize.col('id')), 'votes'],
+    ],
+    group: ['category', 'ipAddress'],
+    having: this.sequelize.where(this.sequelize.fn('COUNT', this.sequelize.col('id')), '>', threshold),
+    raw: true,
+  });
+
+  return results
+    .filter(result => result.ipAddress)
+    .map(result => ({ ...result, votes: parseInt(result.votes, 10) }));
+};
+
+export { Vote };
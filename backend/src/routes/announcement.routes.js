@@ -0,0 +1,36 @@
+import { Router } from 'express';
+import { authenticate, authorize, isEventOrganizer } from '../middleware/auth.js';
+import {
+  getPublicAnnouncements,
+  getEventAnnouncements,
+  getUnreadCount,
+  getAnnouncement,
+  markAnnouncementRead,
+  createAnnouncement,
+  updateAnnouncement,
+  publishAnnouncement,
+  getReadReceipts,
+  deleteAnnouncement
+} from '../controllers/announcement.controller.js';
+
+const router = Router();
+
+// Public routes
+router.get('/events/:eventId/public', getPublicAnnouncements);
+
+// Protected routes (require authentication)
+router.use(authenticate);
+
+router.get('/unread-count', getUnreadCount);
+router.get('/events/:eventId', getEventAnnouncements);
+router.get('/:id', getAnnouncement);
+router.post('/:id/read', markAnnouncementRead);
+
+// Organizer and admin routes
+router.post('/events/:eventId', authorize(['admin', 'organizer']), isEventOrganizer(), createAnnouncement);
+router.put('/:id', authorize(['admin', 'organizer']), updateAnnouncement);
+router.post('/:id/publish', authorize(['admin', 'organizer']), publishAnnouncement);
+router.get('/:id/receipts', authorize(['admin', 'organizer']), getReadReceipts);
+router.delete('/:id', authorize(['admin', 'organizer']), deleteAnnouncement);
+
+export default router;
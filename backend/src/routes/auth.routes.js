@@ -1,15 +1,35 @@
 import { Router } from 'express';
-import { body } from 'express-validator';
-import { register, login, refreshToken, forgotPassword, resetPassword, verifyEmail, resendVerificationEmail, logout } from '../controllers/auth.controller.js';
-import { validateRequest } from '../middleware/validateRequest.js';
+import { body, query } from 'express-validator';
+import { register, login, verifyTwoFactorLogin, requestMagicLink, consumeMagicLink, exchangeOAuthCode, refreshToken, forgotPassword, resetPassword, verifyEmail, resendVerificationEmail, logout } from '../controllers/auth.controller.js';
+import {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes
+} from '../controllers/twoFactor.controller.js';
+import {
+  startOAuth,
+  oauthCallback,
+  getIdentities,
+  startLink,
+  unlinkIdentity,
+  setPassword
+} from '../controllers/identity.controller.js';
+import { IDENTITY_PROVIDERS } from '../models/userIdentity.model.js';
+import { authenticate } from '../middleware/auth.js';
+import { validate } from '../middleware/validateRequest.js';
 import { authLimiter } from '../middleware/rateLimiter.js';
 
 const router = Router();
 
+// Only known providers match, so these routes never shadow the others
+const providerPath = `:provider(${IDENTITY_PROVIDERS.join('|')})`;
+
 // Register a new user
 router.post(
   '/register',
-  [
+  validate([
     body('name').trim().notEmpty().withMessage('Name is required'),
     body('email').isEmail().normalizeEmail().withMessage('Valid email is required'),
     body('password')
@@ -21,8 +41,7 @@ router.post(
       .optional()
       .isIn(['participant', 'organizer', 'judge'])
       .withMessage('Invalid role'),
-  ],
-  validateRequest,
+  ]),
   register
 );
 
@@ -30,14 +49,50 @@ router.post(
 router.post(
   '/login',
   authLimiter,
-  [
+  validate([
     body('email').isEmail().normalizeEmail().withMessage('Valid email is required'),
     body('password').notEmpty().withMessage('Password is required'),
-  ],
-  validateRequest,
+  ]),
   login
 );
 
+// Second login step for accounts with two-factor authentication
+router.post(
+  '/login/2fa',
+  authLimiter,
+  validate([
+    body('challengeToken').notEmpty().withMessage('Challenge token is required'),
+    body().custom(value => Boolean(value.code || value.recoveryCode)).withMessage('A code or recovery code is required'),
+  ]),
+  verifyTwoFactorLogin
+);
+
+// Passwordless login
+router.post(
+  '/magic-link',
+  authLimiter,
+  validate([
+    body('email').isEmail().normalizeEmail().withMessage('Valid email is required'),
+  ]),
+  requestMagicLink
+);
+
+router.post(
+  '/magic-link/verify',
+  authLimiter,
+  validate([
+    body('token').isString().notEmpty().withMessage('Token is required'),
+  ]),
+  consumeMagicLink
+);
+
+// Two-factor authentication settings
+router.get('/2fa', authenticate, getTwoFactorStatus);
+router.post('/2fa/setup', authenticate, setupTwoFactor);
+router.post('/2fa/enable', authenticate, authLimiter, enableTwoFactor);
+router.post('/2fa/disable', authenticate, authLimiter, disableTwoFactor);
+router.post('/2fa/recovery-codes', authenticate, authLimiter, regenerateRecoveryCodes);
+
 // Refresh access token
 router.post('/refresh-token', refreshToken);
 
@@ -48,10 +103,9 @@ router.post('/logout', logout);
 router.post(
   '/forgot-password',
   authLimiter,
-  [
+  validate([
     body('email').isEmail().normalizeEmail().withMessage('Valid email is required'),
-  ],
-  validateRequest,
+  ]),
   forgotPassword
 );
 
@@ -59,25 +113,23 @@ router.post(
 router.post(
   '/reset-password',
   authLimiter,
-  [
+  validate([
     body('token').notEmpty().withMessage('Token is required'),
     body('password')
       .isLength({ min: 8 })
       .withMessage('Password must be at least 8 characters long')
       .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]/)
       .withMessage('Password must contain at least one uppercase letter, one lowercase letter, one number, and one special character'),
-  ],
-  validateRequest,
+  ]),
   resetPassword
 );
 
 // Verify email
 router.get(
   '/verify-email',
-  [
+  validate([
     query('token').notEmpty().withMessage('Token is required'),
-  ],
-  validateRequest,
+  ]),
   verifyEmail
 );
 
@@ -85,48 +137,42 @@ router.get(
 router.post(
   '/resend-verification',
   authLimiter,
-  [
+  validate([
     body('email').isEmail().normalizeEmail().withMessage('Valid email is required'),
-  ],
-  validateRequest,
+  ]),
   resendVerificationEmail
 );
 
-// OAuth routes
-router.get('/google', passport.authenticate('google', {
-  scope: ['profile', 'email'],
-  session: false,
-}));
+// OAuth login; the callback redirects with a one-time code, exchanged here for tokens
+router.get(`/${providerPath}`, startOAuth);
+router.get(`/${providerPath}/callback`, oauthCallback);
 
-router.get(
-  '/google/callback',
-  passport.authenticate('google', { session: false, failureRedirect: '/login' }),
-  (req, res) => {
-    // Successful authentication, redirect or respond with tokens
-    const token = req.user.generateAuthToken();
-    const refreshToken = req.user.generateRefreshToken();
-    
-    // Redirect to frontend with tokens
-    res.redirect(`${process.env.FRONTEND_URL}/auth/callback?token=${token}&refreshToken=${refreshToken}`);
-  }
+router.post(
+  '/oauth/exchange',
+  authLimiter,
+  validate([
+    body('code').notEmpty().withMessage('Code is required'),
+  ]),
+  exchangeOAuthCode
 );
 
-router.get('/github', passport.authenticate('github', {
-  scope: ['user:email'],
-  session: false,
-}));
+// Linked accounts
+router.get('/identities', authenticate, getIdentities);
+router.post(`/identities/${providerPath}/link`, authenticate, authLimiter, startLink);
+router.delete(`/identities/${providerPath}`, authenticate, authLimiter, unlinkIdentity);
 
-router.get(
-  '/github/callback',
-  passport.authenticate('github', { session: false, failureRedirect: '/login' }),
-  (req, res) => {
-    // Successful authentication, redirect or respond with tokens
-    const token = req.user.generateAuthToken();
-    const refreshToken = req.user.generateRefreshToken();
-    
-    // Redirect to frontend with tokens
-    res.redirect(`${process.env.FRONTEND_URL}/auth/callback?token=${token}&refreshToken=${refreshToken}`);
-  }
+router.post(
+  '/password',
+  authenticate,
+  authLimiter,
+  validate([
+    body('newPassword')
+      .isLength({ min: 8 })
+      .withMessage('Password must be at least 8 characters long')
+      .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]/)
+      .withMessage('Password must contain at least one uppercase letter, one lowercase letter, one number, and one special character'),
+  ]),
+  setPassword
 );
 
 export default router;
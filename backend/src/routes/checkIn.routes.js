@@ -0,0 +1,28 @@
+import { Router } from 'express';
+import { authenticate } from '../middleware/auth.js';
+import {
+  getQrImage,
+  getMyTicket,
+  scanTicket,
+  batchCheckIn,
+  getStats,
+  addStaff,
+  removeStaff
+} from '../controllers/checkIn.controller.js';
+
+const router = Router();
+
+// Public route: ticket emails embed the QR image, and the signed token is the credential
+router.get('/qr/:token', getQrImage);
+
+// Protected routes; staff access is checked per event
+router.use(authenticate);
+
+router.get('/events/:eventId/ticket', getMyTicket);
+router.post('/events/:eventId/scan', scanTicket);
+router.post('/events/:eventId/batch', batchCheckIn);
+router.get('/events/:eventId/stats', getStats);
+router.post('/events/:eventId/staff', addStaff);
+router.delete('/events/:eventId/staff/:userId', removeStaff);
+
+export default router;
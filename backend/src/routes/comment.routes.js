@@ -0,0 +1,29 @@
+import { Router } from 'express';
+import { authenticate } from '../middleware/auth.js';
+import {
+  getComments,
+  createComment,
+  updateComment,
+  getCommentHistory,
+  deleteComment,
+  moderateComment,
+  reactToComment,
+  removeReaction
+} from '../controllers/comment.controller.js';
+
+const router = Router();
+
+// All comment routes require authentication; access is checked per thread
+router.use(authenticate);
+
+router.get('/:threadType(submissions|announcements)/:threadId', getComments);
+router.post('/:threadType(submissions|announcements)/:threadId', createComment);
+
+router.put('/:id', updateComment);
+router.delete('/:id', deleteComment);
+router.get('/:id/history', getCommentHistory);
+router.patch('/:id/moderation', moderateComment);
+router.put('/:id/reaction', reactToComment);
+router.delete('/:id/reaction', removeReaction);
+
+export default router;
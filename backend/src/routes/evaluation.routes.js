@@ -0,0 +1,47 @@
+import { Router } from 'express';
+import { authenticate, authorize, isEventOrganizer } from '../middleware/auth.js';
+import {
+  getRounds,
+  createRound,
+  updateRound,
+  deleteRound,
+  openRound,
+  closeRound,
+  advanceRound,
+  getAssignments,
+  generateJudgeAssignments,
+  rebalanceJudgeAssignments,
+  createAssignment,
+  deleteAssignment,
+  getNextPair,
+  submitComparison
+} from '../controllers/evaluation.controller.js';
+
+const router = Router();
+
+// Protected routes (require authentication)
+router.use(authenticate);
+
+// Judging rounds
+router.get('/events/:eventId/rounds', getRounds);
+
+// Judge assignments (judges only see their own)
+router.get('/events/:eventId/assignments', getAssignments);
+
+// Pairwise judging
+router.get('/events/:eventId/pairwise/next', getNextPair);
+router.post('/events/:eventId/pairwise', submitComparison);
+
+// Organizer and admin routes
+router.post('/events/:eventId/rounds', authorize(['admin', 'organizer']), isEventOrganizer(), createRound);
+router.put('/events/:eventId/rounds/:roundNumber', authorize(['admin', 'organizer']), isEventOrganizer(), updateRound);
+router.delete('/events/:eventId/rounds/:roundNumber', authorize(['admin', 'organizer']), isEventOrganizer(), deleteRound);
+router.post('/events/:eventId/rounds/:roundNumber/open', authorize(['admin', 'organizer']), isEventOrganizer(), openRound);
+router.post('/events/:eventId/rounds/:roundNumber/close', authorize(['admin', 'organizer']), isEventOrganizer(), closeRound);
+router.post('/events/:eventId/rounds/:roundNumber/advance', authorize(['admin', 'organizer']), isEventOrganizer(), advanceRound);
+router.post('/events/:eventId/assignments', authorize(['admin', 'organizer']), isEventOrganizer(), createAssignment);
+router.post('/events/:eventId/assignments/generate', authorize(['admin', 'organizer']), isEventOrganizer(), generateJudgeAssignments);
+router.post('/events/:eventId/assignments/rebalance', authorize(['admin', 'organizer']), isEventOrganizer(), rebalanceJudgeAssignments);
+router.delete('/events/:eventId/assignments/:assignmentId', authorize(['admin', 'organizer']), isEventOrganizer(), deleteAssignment);
+
+export default router;
@@ -1,6 +1,8 @@
 import { Router } from 'express';
-import { authenticate, authorize } from '../middleware/auth.js';
-import { validateRequest } from '../middleware/validateRequest.js';
+import { param } from 'express-validator';
+import multer from 'multer';
+import { authenticate, authorize, isEventOrganizer } from '../middleware/auth.js';
+import { validate } from '../middleware/validateRequest.js';
 import {
   createEvent,
   getEvents,
@@ -9,21 +11,49 @@ import {
   deleteEvent,
   publishEvent,
   unpublishEvent,
+  transitionEvent,
+  cancelEvent,
+  getEventTransitions,
+  cloneEvent,
   registerForEvent,
+  getMyRegistration,
+  withdrawFromEvent,
+  claimWaitlistSpot,
+  getWaitlist,
+  exportRegistrations,
   getEventParticipants
 } from '../controllers/event.controller.js';
+import {
+  getWinners,
+  previewWinners,
+  lockWinners,
+  unlockWinners,
+  publishWinners
+} from '../controllers/prize.controller.js';
 
 const router = Router();
 
+const validateEventId = validate([param('id').isUUID().withMessage('Invalid event ID')]);
+
+// Registration form file fields; each field enforces its own size limit
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 25 * 1024 * 1024, files: 10 }
+});
+
 // Public routes
 router.get('/', getEvents);
 router.get('/:id', getEvent);
+router.get('/:id/winners', getWinners);
 
 // Protected routes (require authentication)
 router.use(authenticate);
 
 // Event registration
-router.post('/:id/register', registerForEvent);
+router.post('/:id/register', upload.any(), registerForEvent);
+router.get('/:id/registration', validateEventId, getMyRegistration);
+router.post('/:id/withdraw', validateEventId, withdrawFromEvent);
+router.post('/:id/waitlist/claim', validateEventId, claimWaitlistSpot);
 router.get('/:id/participants', getEventParticipants);
 
 // Organizer and admin routes
@@ -32,5 +62,15 @@ router.put('/:id', authorize(['admin', 'organizer']), updateEvent);
 router.delete('/:id', authorize(['admin', 'organizer']), deleteEvent);
 router.post('/:id/publish', authorize(['admin', 'organizer']), publishEvent);
 router.post('/:id/unpublish', authorize(['admin', 'organizer']), unpublishEvent);
+router.post('/:id/transition', authorize(['admin', 'organizer']), transitionEvent);
+router.post('/:id/cancel', authorize(['admin', 'organizer']), cancelEvent);
+router.get('/:id/transitions', authorize(['admin', 'organizer']), getEventTransitions);
+router.post('/:id/clone', authorize(['admin', 'organizer']), cloneEvent);
+router.get('/:id/waitlist', authorize(['admin', 'organizer']), validateEventId, getWaitlist);
+router.get('/:id/registrations/export', authorize(['admin', 'organizer']), exportRegistrations);
+router.get('/:id/winners/preview', authorize(['admin', 'organizer']), isEventOrganizer('id'), previewWinners);
+router.post('/:id/winners/lock', authorize(['admin', 'organizer']), isEventOrganizer('id'), lockWinners);
+router.post('/:id/winners/unlock', authorize(['admin', 'organizer']), isEventOrganizer('id'), unlockWinners);
+router.post('/:id/winners/publish', authorize(['admin', 'organizer']), isEventOrganizer('id'), publishWinners);
 
 export default router;
@@ -0,0 +1,25 @@
+import { Router } from 'express';
+import { authenticate, authorize } from '../middleware/auth.js';
+import {
+  getTemplates,
+  getTemplate,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+  instantiateTemplate
+} from '../controllers/eventTemplate.controller.js';
+
+const router = Router();
+
+// Organizer and admin routes
+router.use(authenticate);
+router.use(authorize(['admin', 'organizer']));
+
+router.get('/', getTemplates);
+router.post('/', createTemplate);
+router.get('/:id', getTemplate);
+router.put('/:id', updateTemplate);
+router.delete('/:id', deleteTemplate);
+router.post('/:id/instantiate', instantiateTemplate);
+
+export default router;
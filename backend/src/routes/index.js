@@ -6,7 +6,13 @@ import teamRoutes from './team.routes.js';
 import submissionRoutes from './submission.routes.js';
 import evaluationRoutes from './evaluation.routes.js';
 import announcementRoutes from './announcement.routes.js';
+import commentRoutes from './comment.routes.js';
 import notificationRoutes from './notification.routes.js';
+import voteRoutes from './vote.routes.js';
+import checkInRoutes from './checkIn.routes.js';
+import paymentRoutes from './payment.routes.js';
+import eventTemplateRoutes from './eventTemplate.routes.js';
+import sessionRoutes from './session.routes.js';
 
 const router = Router();
 
@@ -23,7 +29,13 @@ router.use('/teams', teamRoutes);
 router.use('/submissions', submissionRoutes);
 router.use('/evaluations', evaluationRoutes);
 router.use('/announcements', announcementRoutes);
+router.use('/comments', commentRoutes);
 router.use('/notifications', notificationRoutes);
+router.use('/votes', voteRoutes);
+router.use('/check-in', checkInRoutes);
+router.use('/payments', paymentRoutes);
+router.use('/event-templates', eventTemplateRoutes);
+router.use('/sessions', sessionRoutes);
 
 // 404 handler
 router.use((req, res) => {
@@ -0,0 +1,33 @@
+import { Router } from 'express';
+import { authenticate } from '../middleware/auth.js';
+import {
+  getNotifications,
+  getUnreadCount,
+  markAsRead,
+  markAsUnread,
+  markMany,
+  markAllAsRead,
+  deleteNotification,
+  getPreferences,
+  updatePreferences
+} from '../controllers/notification.controller.js';
+
+const router = Router();
+
+// All notification routes are per user
+router.use(authenticate);
+
+router.get('/', getNotifications);
+router.get('/unread-count', getUnreadCount);
+router.post('/mark', markMany);
+router.post('/read-all', markAllAsRead);
+
+// Channel preferences
+router.get('/preferences', getPreferences);
+router.put('/preferences', updatePreferences);
+
+router.patch('/:id/read', markAsRead);
+router.patch('/:id/unread', markAsUnread);
+router.delete('/:id', deleteNotification);
+
+export default router;
@@ -0,0 +1,45 @@
+import { Router } from 'express';
+import { authenticate, authorize, isEventOrganizer } from '../middleware/auth.js';
+import {
+  getQuote,
+  createCheckout,
+  receiveWebhook,
+  getMockCheckout,
+  completeMockCheckout,
+  getMyPayments,
+  getReceipt,
+  getEventPayments,
+  refundPayment,
+  getPromoCodes,
+  createPromoCode,
+  updatePromoCode,
+  deletePromoCode
+} from '../controllers/payment.controller.js';
+
+const router = Router();
+
+// Public routes; webhooks are verified by the provider's signature
+router.post('/webhooks/:provider', receiveWebhook);
+
+// The mock provider's checkout, for development and tests; the handlers
+// answer 404 in production or when another provider is configured
+router.get('/mock/checkout/:sessionId', getMockCheckout);
+router.post('/mock/checkout/:sessionId', completeMockCheckout);
+
+// Protected routes (require authentication)
+router.use(authenticate);
+
+router.get('/mine', getMyPayments);
+router.post('/events/:eventId/quote', getQuote);
+router.post('/events/:eventId/checkout', createCheckout);
+router.get('/:id/receipt', getReceipt);
+
+// Organizer and admin routes
+router.get('/events/:eventId', authorize(['admin', 'organizer']), isEventOrganizer(), getEventPayments);
+router.post('/:id/refund', authorize(['admin', 'organizer']), refundPayment);
+router.get('/events/:eventId/promo-codes', authorize(['admin', 'organizer']), isEventOrganizer(), getPromoCodes);
+router.post('/events/:eventId/promo-codes', authorize(['admin', 'organizer']), isEventOrganizer(), createPromoCode);
+router.put('/promo-codes/:id', authorize(['admin', 'organizer']), updatePromoCode);
+router.delete('/promo-codes/:id', authorize(['admin', 'organizer']), deletePromoCode);
+
+export default router;
@@ -0,0 +1,24 @@
+import { Router } from 'express';
+import { authenticate, authorize } from '../middleware/auth.js';
+import {
+  getMySessions,
+  revokeSession,
+  revokeOtherSessions,
+  getUserSessions,
+  revokeUserSessions
+} from '../controllers/session.controller.js';
+
+const router = Router();
+
+// Protected routes (require authentication)
+router.use(authenticate);
+
+router.get('/', getMySessions);
+router.post('/revoke-others', revokeOtherSessions);
+router.delete('/:id', revokeSession);
+
+// Admin routes
+router.get('/users/:userId', authorize(['admin']), getUserSessions);
+router.post('/users/:userId/revoke-all', authorize(['admin']), revokeUserSessions);
+
+export default router;
@@ -1,6 +1,6 @@
 import { Router } from 'express';
 import multer from 'multer';
-import { authenticate, authorize } from '../middleware/auth.js';
+import { authenticate, authorize, optionalAuthenticate } from '../middleware/auth.js';
 import { validateRequest } from '../middleware/validateRequest.js';
 import {
   createSubmission,
@@ -9,14 +9,15 @@ import {
   deleteSubmission,
   listEventSubmissions,
   submitEvaluation,
-  getLeaderboard
+  getLeaderboard,
+  updatePrizeTracks
 } from '../controllers/submission.controller.js';
 
 const router = Router();
 const upload = multer({ storage: multer.memoryStorage() });
 
-// Public routes
-router.get('/events/:eventId/leaderboard', getLeaderboard);
+// Public routes; signed-in organizers also see raw scores
+router.get('/events/:eventId/leaderboard', optionalAuthenticate, getLeaderboard);
 
 // Protected routes (require authentication)
 router.use(authenticate);
@@ -33,6 +34,7 @@ router.put('/:id',
   updateSubmission
 );
 router.delete('/:id', deleteSubmission);
+router.put('/:id/prize-tracks', updatePrizeTracks);
 
 // Event submissions
 router.get('/events/:eventId/submissions', listEventSubmissions);
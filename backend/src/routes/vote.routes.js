@@ -0,0 +1,27 @@
+import { Router } from 'express';
+import { authenticate, authorize } from '../middleware/auth.js';
+import { voteLimiter } from '../middleware/rateLimiter.js';
+import {
+  castVote,
+  retractVote,
+  getMyVotes,
+  getTallies,
+  getPeoplesChoiceRanking
+} from '../controllers/vote.controller.js';
+
+const router = Router();
+
+// Public routes
+router.get('/events/:eventId/peoples-choice', getPeoplesChoiceRanking);
+
+// Protected routes (require authentication)
+router.use(authenticate);
+
+router.get('/events/:eventId/mine', getMyVotes);
+router.post('/events/:eventId', voteLimiter, castVote);
+router.delete('/events/:eventId/:category', voteLimiter, retractVote);
+
+// Organizer and admin routes
+router.get('/events/:eventId/tallies', authorize(['admin', 'organizer']), getTallies);
+
+export default router;
@@ -0,0 +1,89 @@
+import jwt from 'jsonwebtoken';
+import QRCode from 'qrcode';
+import { Event } from '../models/event.model.js';
+import { User } from '../models/user.model.js';
+import { sendEmail } from './email.service.js';
+
+const CHECK_IN_AUDIENCE = 'event-check-in';
+const DAY_SECONDS = 24 * 60 * 60;
+
+const getSecret = () => process.env.CHECK_IN_TOKEN_SECRET || process.env.JWT_SECRET;
+
+const apiUrl = () => process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`;
+
+/**
+ * Sign a check-in token for one registration. The payload is kept small so
+ * the QR code stays easy to scan. Tokens last until a day after the event.
+ * @param {Object} participant - EventParticipant instance
+ * @param {Object} event - Event instance
+ * @returns {string}
+ */
+export const createCheckInToken = (participant, event) => {
+  const secondsLeft = Math.floor((new Date(event.endDate).getTime() - Date.now()) / 1000);
+
+  return jwt.sign({ eid: event.id }, getSecret(), {
+    subject: participant.id,
+    audience: CHECK_IN_AUDIENCE,
+    expiresIn: Math.max(secondsLeft, 0) + DAY_SECONDS,
+  });
+};
+
+/**
+ * Check a scanned token's signature and expiry
+ * @returns {Object|null} { participantId, eventId }, or null when the token is not valid
+ */
+export const verifyCheckInToken = (token) => {
+  try {
+    const { sub, eid } = jwt.verify(token, getSecret(), { audience: CHECK_IN_AUDIENCE });
+    return { participantId: sub, eventId: eid };
+  } catch {
+    return null;
+  }
+};
+
+export const renderQrPng = (token) => QRCode.toBuffer(token, {
+  type: 'png',
+  errorCorrectionLevel: 'M',
+  margin: 2,
+  width: 320,
+});
+
+export const renderQrDataUrl = (token) => QRCode.toDataURL(token, {
+  errorCorrectionLevel: 'M',
+  margin: 2,
+  width: 320,
+});
+
+/**
+ * Email a confirmed participant their check-in QR code. Online events have
+ * no check-in, so nothing is sent for them.
+ * @param {Object} participant - EventParticipant instance
+ */
+export const sendCheckInTicket = async (participant) => {
+  const [event, user] = await Promise.all([
+    Event.findByPk(participant.eventId),
+    User.findByPk(participant.userId, { attributes: ['id', 'name', 'email', 'locale'] }),
+  ]);
+
+  if (!event || event.isOnline || !user) return null;
+
+  const token = createCheckInToken(participant, event);
+
+  return sendEmail({
+    to: user.email,
+    template: 'check-in-ticket',
+    context: {
+      name: user.name,
+      eventTitle: event.title,
+      startDate: new Date(event.startDate).toUTCString(),
+      location: event.location || '',
+      // Served by the API so mail clients that block inline images still show it
+      qrUrl: `${apiUrl()}/api/check-in/qr/${token}`,
+      ticketUrl: `${process.env.FRONTEND_URL}/events/${event.id}/ticket`,
+    },
+    locale: user.locale,
+    eventId: event.id,
+    userId: user.id,
+    metadata: { participantId: participant.id },
+  });
+};
@@ -0,0 +1,260 @@
+import fs from 'fs/promises';
+import path from 'path';
+import nodemailer from 'nodemailer';
+import { EmailOutbox } from '../models/emailOutbox.model.js';
+import { DEFAULT_BRANDING, renderEmail } from '../templates/emails/index.js';
+import { logger } from '../utils/logger.js';
+
+const RETRY_BASE_MS = parseInt(process.env.EMAIL_RETRY_BASE_MS || '60000');
+const RETRY_MAX_MS = 6 * 60 * 60 * 1000;
+
+let transport = null;
+
+/**
+ * Development transport: renders the full MIME message and writes it to
+ * EMAIL_FILE_DIR as an .eml file that any mail client can open
+ */
+const createFileTransport = () => {
+  const directory = path.resolve(process.env.EMAIL_FILE_DIR || 'tmp/emails');
+  const stream = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+
+  return {
+    sendMail: async (message) => {
+      const info = await stream.sendMail(message);
+      const file = path.join(directory, `${Date.now()}-${message.to.replace(/[^\w.@-]/g, '_')}.eml`);
+
+      await fs.mkdir(directory, { recursive: true });
+      await fs.writeFile(file, info.message);
+      logger.info(`Email "${message.subject}" to ${message.to} written to ${file}`);
+
+      return info;
+    },
+  };
+};
+
+const createSmtpTransport = () => {
+  const port = parseInt(process.env.SMTP_PORT || '587');
+
+  return nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port,
+    secure: port === 465,
+    auth: process.env.SMTP_EMAIL
+      ? { user: process.env.SMTP_EMAIL, pass: process.env.SMTP_PASSWORD }
+      : undefined,
+  });
+};
+
+/**
+ * EMAIL_TRANSPORT picks `smtp` or `file`; without it, production uses SMTP
+ * and everything else writes files
+ */
+const getTransport = () => {
+  if (!transport) {
+    const type = process.env.EMAIL_TRANSPORT
+      || (process.env.NODE_ENV === 'production' ? 'smtp' : 'file');
+
+    transport = type === 'smtp' ? createSmtpTransport() : createFileTransport();
+  }
+
+  return transport;
+};
+
+/**
+ * Delay before the next attempt: doubles each time, capped at six hours,
+ * with +/-20% jitter so a burst of failures does not retry in lockstep
+ */
+const retryDelay = (attempts) => {
+  const delay = Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), RETRY_MAX_MS);
+  return Math.round(delay * (0.8 + Math.random() * 0.4));
+};
+
+/**
+ * Per-event branding from `event.metadata.branding`
+ * ({ appName, fromName, logoUrl, primaryColor, footerText })
+ */
+const resolveBranding = async (eventId, options = {}) => {
+  if (!eventId) return {};
+
+  const event = await EmailOutbox.sequelize.models.Event.findByPk(eventId, {
+    attributes: ['id', 'metadata'],
+    transaction: options.transaction,
+  });
+
+  return event?.metadata?.branding || {};
+};
+
+const formatFrom = (fromName) => {
+  const address = process.env.EMAIL_FROM || process.env.SMTP_EMAIL || 'no-reply@synapevents.local';
+  return `"${fromName.replace(/"/g, '')}" <${address}>`;
+};
+
+/**
+ * Send one outbox row. On failure the row goes back to pending with a
+ * backoff, or to failed once it runs out of attempts.
+ * @param {Object} entry - EmailOutbox instance
+ * @returns {Promise<boolean>} Whether the email was sent
+ */
+export const deliverOutboxEntry = async (entry) => {
+  if (!(await EmailOutbox.claim(entry.id))) {
+    return false;
+  }
+
+  const attempts = entry.attempts + 1;
+
+  try {
+    const info = await getTransport().sendMail({
+      from: entry.from || formatFrom(DEFAULT_BRANDING.fromName),
+      to: entry.to,
+      subject: entry.subject,
+      html: entry.html,
+      text: entry.text,
+    });
+
+    await entry.update({
+      status: 'sent',
+      attempts,
+      sentAt: new Date(),
+      messageId: info.messageId || null,
+      lastError: null,
+    });
+
+    return true;
+  } catch (error) {
+    const exhausted = attempts >= entry.maxAttempts;
+
+    await entry.update({
+      status: exhausted ? 'failed' : 'pending',
+      attempts,
+      lastError: error.message,
+      nextAttemptAt: exhausted ? entry.nextAttemptAt : new Date(Date.now() + retryDelay(attempts)),
+    });
+
+    logger[exhausted ? 'error' : 'warn'](
+      `Email ${entry.id} to ${entry.to} failed (attempt ${attempts}/${entry.maxAttempts}): ${error.message}`
+    );
+
+    return false;
+  }
+};
+
+/**
+ * Render a template and queue it in the outbox. Delivery is attempted right
+ * away (after the commit when a transaction is passed); failures are retried
+ * by the outbox job, so this only throws when the email cannot be rendered
+ * or queued.
+ * @param {Object} options
+ * @param {string} options.to - Recipient address
+ * @param {string} options.template - Template name, see templates/emails
+ * @param {Object} [options.context] - Template data
+ * @param {string} [options.locale] - Recipient locale
+ * @param {string} [options.eventId] - Event whose branding to use
+ * @param {string} [options.userId] - Recipient user, for auditing
+ * @param {Object} [options.metadata]
+ * @param {Object} [options.transaction]
+ * @returns {Promise<Object>} The EmailOutbox row
+ */
+export const sendEmail = async ({
+  to,
+  template,
+  context = {},
+  locale,
+  eventId = null,
+  userId = null,
+  metadata = {},
+  transaction,
+}) => {
+  const branding = { ...DEFAULT_BRANDING, ...(await resolveBranding(eventId, { transaction })) };
+  const { subject, html, text } = renderEmail(template, context, { locale, branding });
+
+  const entry = await EmailOutbox.create({
+    to,
+    from: formatFrom(branding.fromName),
+    subject,
+    html,
+    text,
+    template,
+    locale: locale || 'en',
+    eventId,
+    userId,
+    metadata,
+  }, { transaction });
+
+  const deliver = () => deliverOutboxEntry(entry)
+    .catch(error => logger.error(`Email ${entry.id} delivery error:`, error));
+
+  if (transaction) {
+    transaction.afterCommit(deliver);
+  } else {
+    deliver();
+  }
+
+  return entry;
+};
+
+/**
+ * Send every outbox row that is due
+ * @param {number} [limit=50] - Rows to process in one pass
+ * @returns {Promise<Object>} { sent, failed }
+ */
+export const processOutbox = async (limit = 50) => {
+  const released = await EmailOutbox.releaseStale();
+  if (released > 0) {
+    logger.warn(`Released ${released} stale outbox emails`);
+  }
+
+  const entries = await EmailOutbox.findDue(limit);
+  let sent = 0;
+
+  // One at a time keeps us friendly to SMTP rate limits
+  for (const entry of entries) {
+    if (await deliverOutboxEntry(entry)) sent += 1;
+  }
+
+  return { sent, failed: entries.length - sent };
+};
+
+const eventIdOf = (notification) => (
+  notification.referenceType === 'event' ? notification.referenceId : notification.metadata?.eventId || null
+);
+
+/**
+ * Email a single notification to its recipient
+ * @param {Object} notification - Notification instance
+ * @param {Object} user - Recipient with email, name and locale
+ */
+export const sendNotificationEmail = (notification, user) => sendEmail({
+  to: user.email,
+  template: 'notification',
+  context: {
+    name: user.name,
+    notification: { title: notification.title, message: notification.message },
+  },
+  locale: user.locale,
+  eventId: eventIdOf(notification),
+  userId: user.id,
+  metadata: { notificationIds: [notification.id] },
+});
+
+/**
+ * Email a batch of unread notifications as one digest
+ * @param {Object} user - Recipient with email, name and locale
+ * @param {Object[]} notifications - Notification instances, newest first
+ */
+export const sendNotificationDigest = (user, notifications) => {
+  // Brand the digest when everything in it comes from the same event
+  const eventIds = [...new Set(notifications.map(eventIdOf))];
+
+  return sendEmail({
+    to: user.email,
+    template: 'notification-digest',
+    context: {
+      name: user.name,
+      notifications: notifications.map(({ title, message }) => ({ title, message })),
+    },
+    locale: user.locale,
+    eventId: eventIds.length === 1 ? eventIds[0] : null,
+    userId: user.id,
+    metadata: { notificationIds: notifications.map(notification => notification.id) },
+  });
+};
@@ -0,0 +1,168 @@
+import { Op } from 'sequelize';
+import { EventParticipant, SEAT_STATUSES } from '../models/eventParticipant.model.js';
+import { Notification } from '../models/notification.model.js';
+import { Payment } from '../models/payment.model.js';
+import { logger } from '../utils/logger.js';
+
+// Holds that lapse with the event: unpaid places, open offers and the waitlist
+const HOLD_STATUSES = ['pending_payment', 'offered', 'waitlisted'];
+
+/**
+ * Check that an event can take the registrations of a cancelled one
+ * @returns {string|null} Why it cannot, or null
+ */
+export const checkReplacementEvent = (event, replacement, user) => {
+  if (!replacement) return 'Replacement event not found';
+  if (replacement.id === event.id) return 'An event cannot replace itself';
+  if (replacement.status !== 'upcoming') return 'The replacement event must be published and not yet started';
+  if (replacement.organizerId !== event.organizerId && user.role !== 'admin') {
+    return 'The replacement event must have the same organizer';
+  }
+  return null;
+};
+
+/**
+ * Register a cancelled event's participants for its replacement, keeping
+ * their order: confirmed places first, then the waitlist. Places in a paid
+ * replacement are offered, so nobody is charged without choosing to be.
+ * @returns {Promise<Map<string, string>>} New status by user ID
+ */
+const transferRegistrations = async (participants, event, replacement) => {
+  const transferred = new Map();
+  const offerHours = replacement.requiresPayment() ? replacement.waitlistClaimHours || 48 : 0;
+
+  const ordered = [
+    ...participants.filter(participant => SEAT_STATUSES.includes(participant.status))
+      .sort((a, b) => a.createdAt - b.createdAt),
+    ...participants.filter(participant => participant.status === 'waitlisted')
+      .sort((a, b) => a.waitlistedAt - b.waitlistedAt),
+  ];
+
+  for (const participant of ordered) {
+    const existing = await EventParticipant.count({
+      where: {
+        eventId: replacement.id,
+        userId: participant.userId,
+        status: { [Op.notIn]: ['withdrawn', 'expired'] },
+      },
+    });
+    if (existing > 0) continue;
+
+    const moved = await EventParticipant.registerOrWaitlist(replacement, {
+      userId: participant.userId,
+      registrationData: participant.registrationData,
+      metadata: { ...participant.metadata, transferredFrom: event.id },
+    }, { offerHours });
+
+    if (moved) transferred.set(participant.userId, moved.status);
+  }
+
+  return transferred;
+};
+
+const TRANSFER_MESSAGES = {
+  registered: replacement => `You have been registered for "${replacement.title}" instead.`,
+  offered: replacement => `A spot at "${replacement.title}" is reserved for you; claim it before the offer expires.`,
+  waitlisted: replacement => `You have been added to the waitlist for "${replacement.title}".`,
+};
+
+/**
+ * Cancel an event: close it and its submissions, release open holds,
+ * refund payments, optionally move registrations to a replacement event,
+ * and tell every participant, judge and team member what happened to them.
+ * @param {Object} event - Event instance
+ * @param {Object} options
+ * @param {string} options.reason - Shown to everyone notified
+ * @param {Object} options.actor - User cancelling the event
+ * @param {Object} [options.replacement] - Event to move registrations to
+ * @returns {Promise<Object>} { transition, summary }
+ */
+export const cancelEvent = async (event, { reason, actor, replacement = null }) => {
+  // Read before the status changes, so the transfer sees the original places
+  const [memberIds, participants] = await Promise.all([
+    event.getMemberUserIds(),
+    EventParticipant.findAll({
+      where: {
+        eventId: event.id,
+        role: 'participant',
+        status: { [Op.in]: [...SEAT_STATUSES, 'waitlisted'] },
+      },
+    }),
+  ]);
+
+  const transition = await event.transitionTo('cancelled', {
+    actorId: actor.id,
+    reason,
+    notify: false,
+  });
+
+  const held = participants.filter(participant => HOLD_STATUSES.includes(participant.status));
+  for (const participant of held) {
+    await Payment.expirePending(participant.id);
+  }
+  const [holdsReleased] = await EventParticipant.update(
+    { status: 'expired', offerExpiresAt: null, paymentExpiresAt: null },
+    { where: { eventId: event.id, status: { [Op.in]: HOLD_STATUSES } } }
+  );
+
+  const refunds = new Map();
+  let refundFailures = 0;
+  const payments = await Payment.findAll({ where: { eventId: event.id, status: 'succeeded' } });
+
+  for (const payment of payments) {
+    try {
+      if (await payment.refund('event_cancelled')) {
+        refunds.set(payment.userId, payment);
+      }
+    } catch (error) {
+      refundFailures += 1;
+      logger.error(`Refund for payment ${payment.id} of cancelled event ${event.id} failed:`, error);
+    }
+  }
+
+  const transferred = replacement
+    ? await transferRegistrations(participants, event, replacement)
+    : new Map();
+
+  await Notification.bulkCreate(memberIds.map((userId) => {
+    const refund = refunds.get(userId);
+    const transferStatus = transferred.get(userId);
+    const message = [
+      `"${event.title}" has been cancelled: ${reason}`,
+      refund && `Your payment of ${refund.amount} ${refund.currency} has been refunded.`,
+      transferStatus && TRANSFER_MESSAGES[transferStatus]?.(replacement),
+    ].filter(Boolean).join(' ');
+
+    return {
+      userId,
+      type: 'event_cancelled',
+      title: 'Event cancelled',
+      message,
+      referenceType: 'event',
+      referenceId: event.id,
+      metadata: {
+        eventId: event.id,
+        reason,
+        refunded: Boolean(refund),
+        replacementEventId: transferStatus ? replacement.id : undefined,
+        transferStatus,
+      },
+    };
+  }));
+
+  const summary = {
+    notified: memberIds.length,
+    holdsReleased,
+    refunded: refunds.size,
+    refundFailures,
+    replacementEventId: replacement?.id || null,
+    transferred: [...transferred.values()].reduce((counts, status) => ({
+      ...counts,
+      [status]: (counts[status] || 0) + 1,
+    }), {}),
+  };
+
+  await transition.update({ effects: { ...transition.effects, ...summary } });
+
+  return { transition, summary };
+};
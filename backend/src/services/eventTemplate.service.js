@@ -0,0 +1,226 @@
+import { Op } from 'sequelize';
+import { Event } from '../models/event.model.js';
+import { EventJudge } from '../models/eventJudge.model.js';
+import { Notification } from '../models/notification.model.js';
+
+// Settings carried from one run of an event to the next. Registrations,
+// results and anything tied to a particular run are left behind.
+export const TEMPLATE_FIELDS = [
+  'description',
+  'shortDescription',
+  'votingCategories',
+  'maxTeamSize',
+  'minTeamSize',
+  'isOnline',
+  'location',
+  'onlineLink',
+  'rules',
+  'prizes',
+  'schedule',
+  'sponsors',
+  'judgingCriteria',
+  'judgingSettings',
+  'tags',
+  'maxParticipants',
+  'registrationForm',
+  'waitlistEnabled',
+  'waitlistClaimHours',
+  'registrationFee',
+  'currency',
+  'timezone',
+  'metadata',
+];
+
+// Stored as offsets from startDate so they follow a new start date
+export const TEMPLATE_DATE_FIELDS = [
+  'endDate',
+  'registrationStart',
+  'registrationEnd',
+  'submissionDeadline',
+  'votingStart',
+  'votingEnd',
+];
+
+const ISO_DATE_TIME = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/;
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toTime = value => (value ? new Date(value).getTime() : null);
+
+// Days since 1970-01-01 of the calendar day a moment falls on in the event's timezone
+const toDayNumber = (time, timeZone) => {
+  const day = new Intl.DateTimeFormat('en-CA', {
+    timeZone: timeZone || 'UTC',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+  }).format(new Date(time));
+  return Date.parse(`${day}T00:00:00Z`) / DAY_MS;
+};
+
+const fromDayNumber = dayNumber => new Date(dayNumber * DAY_MS).toISOString().slice(0, 10);
+
+/**
+ * Schedule entries are free-form. Take the timestamps and dates out of them
+ * as offsets from the start: milliseconds for timestamps, days for dates.
+ * @returns {Object} { schedule, times, days } with `times` and `days` holding one object per entry
+ */
+const extractScheduleOffsets = (schedule, start, timeZone) => {
+  const startDay = toDayNumber(start, timeZone);
+  const times = [];
+  const days = [];
+
+  const stripped = (schedule || []).map((item, index) => {
+    times[index] = {};
+    days[index] = {};
+    if (!item || typeof item !== 'object') return item;
+
+    return Object.fromEntries(Object.entries(item).filter(([key, value]) => {
+      if (typeof value !== 'string' || Number.isNaN(Date.parse(value))) return true;
+
+      if (ISO_DATE_TIME.test(value)) {
+        times[index][key] = Date.parse(value) - start;
+        return false;
+      }
+      if (ISO_DATE.test(value)) {
+        days[index][key] = Date.parse(`${value}T00:00:00Z`) / DAY_MS - startDay;
+        return false;
+      }
+      return true;
+    }));
+  });
+
+  return { schedule: stripped, times, days };
+};
+
+// Put the schedule's timestamps and dates back relative to a new start
+const applyScheduleOffsets = (schedule, start, timeZone, times = [], days = []) => {
+  const startDay = toDayNumber(start, timeZone);
+
+  return (schedule || []).map((item, index) => {
+    if (!item || typeof item !== 'object') return item;
+
+    const shifted = { ...item };
+    Object.entries(times[index] || {}).forEach(([key, offset]) => {
+      shifted[key] = new Date(start + offset).toISOString();
+    });
+    Object.entries(days[index] || {}).forEach(([key, offset]) => {
+      shifted[key] = fromDayNumber(startDay + offset);
+    });
+    return shifted;
+  });
+};
+
+const slugify = title => title
+  .toLowerCase()
+  .replace(/[^\w\s-]/g, '')
+  .replace(/\s+/g, '-')
+  .replace(/--+/g, '-');
+
+// Copies keep the title of the original more often than not, so number
+// the slug rather than fail. Deleted events still hold their slug.
+const uniqueSlug = async (title) => {
+  const base = slugify(title);
+  const taken = await Event.findAll({
+    where: { slug: { [Op.or]: [base, { [Op.like]: `${base}-%` }] } },
+    attributes: ['slug'],
+    paranoid: false,
+    raw: true,
+  });
+  const slugs = new Set(taken.map(event => event.slug));
+
+  let slug = base;
+  for (let n = 2; slugs.has(slug); n += 1) {
+    slug = `${base}-${n}`;
+  }
+  return slug;
+};
+
+/**
+ * Capture an event's reusable settings
+ * @param {Object} event - Event instance
+ * @returns {Object} { config, dateOffsets } with offsets in milliseconds from
+ *   startDate. `dateOffsets.schedule` and `dateOffsets.scheduleDays` hold the
+ *   schedule's timestamps (milliseconds) and dates (days), one object per entry.
+ */
+export const extractEventTemplate = (event) => {
+  const start = toTime(event.startDate);
+  const config = Object.fromEntries(TEMPLATE_FIELDS.map(field => [field, event.get(field)]));
+
+  // Schedule timestamps become offsets too, so a template holds no dates
+  const { schedule, times, days } = extractScheduleOffsets(config.schedule, start, config.timezone);
+  config.schedule = schedule;
+
+  const dateOffsets = Object.fromEntries(TEMPLATE_DATE_FIELDS
+    .filter(field => event[field])
+    .map(field => [field, toTime(event[field]) - start]));
+
+  return { config, dateOffsets: { ...dateOffsets, schedule: times, scheduleDays: days } };
+};
+
+/**
+ * Create a draft event from saved settings, with every date moved to
+ * keep its distance from the new start date
+ * @param {Object} template - { config, dateOffsets } from extractEventTemplate
+ * @param {Object} options
+ * @param {string} options.title
+ * @param {Date|string} options.startDate
+ * @param {string} options.organizerId
+ * @param {Object} [options.metadata] - Merged into the event's metadata
+ * @returns {Promise<Object>} The new Event
+ */
+export const createEventFromTemplate = async ({ config, dateOffsets }, { title, startDate, organizerId, metadata = {} }) => {
+  const start = new Date(startDate).getTime();
+  const { schedule, scheduleDays, ...fieldOffsets } = dateOffsets || {};
+  const dates = Object.fromEntries(Object.entries(fieldOffsets)
+    .map(([field, offset]) => [field, new Date(start + offset)]));
+
+  return Event.create({
+    ...config,
+    ...dates,
+    title,
+    slug: await uniqueSlug(title),
+    startDate: new Date(start),
+    schedule: applyScheduleOffsets(config.schedule, start, config.timezone, schedule, scheduleDays),
+    location: config.isOnline ? null : config.location,
+    onlineLink: config.isOnline ? config.onlineLink : null,
+    metadata: { ...config.metadata, ...metadata },
+    organizerId,
+    status: 'draft',
+    isPublished: false,
+  });
+};
+
+/**
+ * Invite an event's judges to another event. Everyone starts as pending,
+ * whatever they answered last time, except those who turned it down.
+ * @returns {Promise<number>} How many were invited
+ */
+export const copyJudges = async (source, target, invitedBy) => {
+  const judges = await EventJudge.findAll({
+    where: { eventId: source.id, status: { [Op.ne]: 'rejected' } },
+  });
+
+  if (judges.length === 0) return 0;
+
+  await EventJudge.bulkCreate(judges.map(judge => ({
+    eventId: target.id,
+    userId: judge.userId,
+    role: judge.role,
+    status: 'pending',
+    invitedById: invitedBy.id,
+    metadata: { copiedFrom: source.id },
+  })));
+
+  await Notification.bulkCreate(judges.map(judge => ({
+    userId: judge.userId,
+    type: 'judge_invite',
+    title: 'Judging invitation',
+    message: `${invitedBy.name} invited you to be a ${judge.role} for "${target.title}".`,
+    referenceType: 'event',
+    referenceId: target.id,
+    metadata: { eventId: target.id, role: judge.role },
+  })));
+
+  return judges.length;
+};
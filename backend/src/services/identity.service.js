@@ -0,0 +1,225 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { AuthExchangeCode } from '../models/authExchangeCode.model.js';
+import { Session } from '../models/session.model.js';
+import { User } from '../models/user.model.js';
+import { UserIdentity } from '../models/userIdentity.model.js';
+import { comparePasswords } from '../utils/auth.js';
+import { logger } from '../utils/logger.js';
+import { verifySecondFactor } from './twoFactor.service.js';
+
+const EXCHANGE_CODE_TTL_MS = 60 * 1000;
+export const OAUTH_STATE_TTL_MS = 10 * 60 * 1000;
+const FRESH_LOGIN_MS = 10 * 60 * 1000;
+
+// Kept apart from JWT_SECRET so a state can never pass as an access token
+const getStateSecret = () => process.env.OAUTH_STATE_SECRET || `${process.env.JWT_SECRET}:oauth-state`;
+
+const hash = value => crypto.createHash('sha256').update(value).digest('hex');
+
+const createIdentity = (user, profile) => UserIdentity.create({
+  userId: user.id,
+  provider: profile.provider,
+  providerUserId: String(profile.providerUserId),
+  email: profile.email,
+  emailVerified: profile.emailVerified,
+  displayName: profile.displayName,
+  lastUsedAt: new Date(),
+});
+
+// Kept in a cookie by the browser that starts the flow and repeated in the state
+export const createOAuthNonce = () => crypto.randomBytes(16).toString('hex');
+
+/**
+ * Sign the OAuth `state` parameter: what the round trip is for, when
+ * linking which user started it, and the nonce that ties it to a browser
+ * @param {Object} state
+ * @param {string} state.provider
+ * @param {string} state.purpose - 'login' or 'link'
+ * @param {string} state.nonce - From createOAuthNonce
+ * @param {string} [state.userId] - For 'link'
+ */
+export const createOAuthState = ({ provider, purpose, nonce, userId }) => jwt.sign(
+  { provider, purpose, nonce, sub: userId },
+  getStateSecret(),
+  { expiresIn: OAUTH_STATE_TTL_MS / 1000 }
+);
+
+/**
+ * @param {string} token
+ * @param {string} provider
+ * @param {string} nonce - From the cookie of the browser presenting the state
+ * @returns {Object|null} { purpose, userId } when the state is valid for this provider and browser
+ */
+export const verifyOAuthState = (token, provider, nonce) => {
+  try {
+    const claims = jwt.verify(String(token), getStateSecret());
+    const expected = Buffer.from(String(claims.nonce || ''));
+    const actual = Buffer.from(String(nonce || ''));
+
+    if (claims.provider !== provider || expected.length === 0 || expected.length !== actual.length
+      || !crypto.timingSafeEqual(expected, actual)) {
+      return null;
+    }
+
+    return { purpose: claims.purpose, userId: claims.sub };
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Find or create the user for an OAuth login. An existing account is
+ * only joined by email when the provider has verified that email. If the
+ * account's own email was never verified, whoever set its password may
+ * not own the address, so the password is removed and its sessions end.
+ * @param {Object} profile - Normalized profile from config/passport.js
+ * @returns {Promise<Object>} { user, created } or { error, message }
+ */
+export const resolveOAuthUser = async (profile) => {
+  const identity = await UserIdentity.findByProvider(profile.provider, profile.providerUserId);
+
+  if (identity) {
+    await identity.update({
+      email: profile.email,
+      emailVerified: profile.emailVerified,
+      displayName: profile.displayName,
+      lastUsedAt: new Date(),
+    });
+    return { user: await User.findByPk(identity.userId) };
+  }
+
+  // Accounts from before linked identities kept their one provider on the user
+  const legacy = await User.findOne({
+    where: { oauthProvider: profile.provider, oauthId: String(profile.providerUserId) },
+  });
+  if (legacy) {
+    await createIdentity(legacy, profile);
+    return { user: legacy };
+  }
+
+  if (!profile.email) {
+    return { error: 'email_required', message: 'Your account with this provider has no email address we can use' };
+  }
+
+  const existing = await User.findOne({ where: { email: profile.email } });
+
+  if (existing) {
+    if (!profile.emailVerified) {
+      return { error: 'email_in_use', message: 'An account with this email exists. Sign in to it and link this provider from your settings.' };
+    }
+
+    const linked = await UserIdentity.count({ where: { userId: existing.id, provider: profile.provider } });
+    if (linked > 0) {
+      return { error: 'provider_already_linked', message: 'This account is linked to a different login with this provider' };
+    }
+
+    if (!existing.isEmailVerified) {
+      await existing.update({ password: null, passwordChangedAt: new Date(), isEmailVerified: true });
+      await Session.revokeAllForUser(existing.id, 'account_claimed');
+      logger.warn(`Unverified account ${existing.id} claimed through ${profile.provider}; password removed`);
+    }
+
+    await createIdentity(existing, profile);
+    logger.info(`Linked ${profile.provider} to account ${existing.id} by verified email`);
+    return { user: existing };
+  }
+
+  const user = await User.create({
+    name: profile.displayName || profile.email.split('@')[0],
+    email: profile.email,
+    avatar: profile.avatar,
+    isEmailVerified: profile.emailVerified,
+  });
+  await createIdentity(user, profile);
+
+  return { user, created: true };
+};
+
+/**
+ * Link an external account to a signed-in user
+ * @returns {Promise<Object>} { identity } or { error, message }
+ */
+export const linkIdentity = async (user, profile) => {
+  const existing = await UserIdentity.findByProvider(profile.provider, profile.providerUserId);
+
+  if (existing) {
+    return existing.userId === user.id
+      ? { identity: existing }
+      : { error: 'identity_in_use', message: 'This account is already linked to another user' };
+  }
+
+  const linked = await UserIdentity.count({ where: { userId: user.id, provider: profile.provider } });
+  if (linked > 0) {
+    return { error: 'provider_already_linked', message: 'Unlink your current account with this provider first' };
+  }
+
+  return { identity: await createIdentity(user, profile) };
+};
+
+/**
+ * Ways a user can sign in with a password or external account. Magic
+ * links are not counted: they depend on the email, not on a credential.
+ */
+export const getSignInMethods = async (userId) => {
+  const [user, identities] = await Promise.all([
+    User.scope('withPassword').findByPk(userId),
+    UserIdentity.findAll({ where: { userId }, order: [['createdAt', 'ASC']] }),
+  ]);
+
+  return { hasPassword: Boolean(user?.password), identities };
+};
+
+/**
+ * Confirm it is really the user before changing how they sign in: their
+ * password, a two-factor code, or for accounts with neither, a login in
+ * the last ten minutes
+ * @param {string} userId
+ * @param {Object} credentials - { password, code, recoveryCode }
+ * @param {string} [sessionId] - Session of the request
+ * @returns {Promise<boolean>}
+ */
+export const reauthenticate = async (userId, credentials, sessionId) => {
+  const user = await User.scope('withTwoFactor').findByPk(userId);
+  if (!user) return false;
+
+  if (user.password && credentials.password) {
+    return comparePasswords(credentials.password, user.password);
+  }
+
+  if (user.twoFactorEnabled && (credentials.code || credentials.recoveryCode)) {
+    return Boolean(await verifySecondFactor(user, credentials));
+  }
+
+  if (!user.password && !user.twoFactorEnabled && sessionId) {
+    const session = await Session.findByPk(sessionId);
+    return Boolean(session?.isActive() && Date.now() - session.createdAt < FRESH_LOGIN_MS);
+  }
+
+  return false;
+};
+
+/**
+ * A one-time code the frontend exchanges for tokens after an OAuth login
+ * @returns {Promise<string>}
+ */
+export const createExchangeCode = async (user, provider) => {
+  const code = crypto.randomBytes(32).toString('hex');
+
+  await AuthExchangeCode.create({
+    userId: user.id,
+    provider,
+    codeHash: hash(code),
+    expiresAt: new Date(Date.now() + EXCHANGE_CODE_TTL_MS),
+  });
+
+  return code;
+};
+
+/**
+ * @returns {Promise<Object|null>} The user the code was issued for, once
+ */
+export const redeemExchangeCode = async (code) => {
+  const record = await AuthExchangeCode.redeem(hash(String(code)));
+  return record ? User.findByPk(record.userId) : null;
+};
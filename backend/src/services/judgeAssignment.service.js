@@ -0,0 +1,235 @@
+import { Op } from 'sequelize';
+import { sequelize } from '../config/database.js';
+import { Event } from '../models/event.model.js';
+import { EventJudge } from '../models/eventJudge.model.js';
+import { JudgeAssignment } from '../models/judgeAssignment.model.js';
+import { Submission } from '../models/submission.model.js';
+import { TeamMember } from '../models/teamMember.model.js';
+import { User } from '../models/user.model.js';
+
+export const DEFAULT_REVIEWS_PER_SUBMISSION = 3;
+
+const JUDGEABLE_SUBMISSION_STATUSES = ['submitted', 'under_review', 'accepted'];
+
+const normalizeAffiliation = (affiliation) => affiliation.trim().toLowerCase();
+
+const pairKey = (judgeId, submissionId) => `${judgeId}:${submissionId}`;
+
+/**
+ * Get the accepted judges that can receive assignments for an event
+ * @param {string} eventId - Event ID
+ * @returns {Promise<Object[]>} Users with their declared affiliations
+ */
+export const getEligibleJudges = async (eventId) => {
+  const eventJudges = await EventJudge.findAll({
+    where: {
+      eventId,
+      status: 'accepted',
+      role: { [Op.in]: ['judge', 'reviewer'] },
+    },
+    include: [{
+      model: User,
+      as: 'judge',
+      attributes: ['id', 'name', 'email', 'affiliations'],
+    }],
+  });
+
+  return eventJudges.map(eventJudge => eventJudge.judge).filter(Boolean);
+};
+
+/**
+ * Work out which judge/submission pairs are conflicts of interest. A judge is
+ * conflicted when they are on the submitting team or share a declared
+ * affiliation with any of its members.
+ * @param {Object[]} judges - Users (id, affiliations)
+ * @param {Object[]} submissions - Submissions (id, teamId)
+ * @returns {Promise<Map<string, string>>} Map of `judgeId:submissionId` to a reason
+ */
+export const findConflicts = async (judges, submissions) => {
+  const conflicts = new Map();
+  const teamIds = [...new Set(submissions.map(submission => submission.teamId).filter(Boolean))];
+
+  if (judges.length === 0 || teamIds.length === 0) {
+    return conflicts;
+  }
+
+  const members = await TeamMember.findAll({
+    where: {
+      teamId: { [Op.in]: teamIds },
+      status: 'accepted',
+    },
+    include: [{
+      model: User,
+      as: 'user',
+      attributes: ['id', 'affiliations'],
+    }],
+  });
+
+  const membersByTeam = new Map();
+  members.forEach((member) => {
+    if (!membersByTeam.has(member.teamId)) {
+      membersByTeam.set(member.teamId, { userIds: new Set(), affiliations: new Set() });
+    }
+    const team = membersByTeam.get(member.teamId);
+    team.userIds.add(member.userId);
+    (member.user?.affiliations || []).forEach(affiliation => team.affiliations.add(normalizeAffiliation(affiliation)));
+  });
+
+  for (const judge of judges) {
+    const judgeAffiliations = (judge.affiliations || []).map(normalizeAffiliation);
+
+    for (const submission of submissions) {
+      const team = membersByTeam.get(submission.teamId);
+      if (!team) continue;
+
+      if (team.userIds.has(judge.id)) {
+        conflicts.set(pairKey(judge.id, submission.id), 'Judge is a member of the submitting team');
+        continue;
+      }
+
+      const shared = judgeAffiliations.find(affiliation => team.affiliations.has(affiliation));
+      if (shared) {
+        conflicts.set(pairKey(judge.id, submission.id), `Judge shares the affiliation "${shared}" with the submitting team`);
+      }
+    }
+  }
+
+  return conflicts;
+};
+
+/**
+ * Check a single judge/submission pair for a conflict of interest
+ * @param {string} judgeId - User ID of the judge
+ * @param {Object} submission - Submission (id, teamId)
+ * @returns {Promise<string|null>} Conflict reason, or null when there is none
+ */
+export const checkConflict = async (judgeId, submission) => {
+  const judge = await User.findByPk(judgeId, { attributes: ['id', 'affiliations'] });
+  if (!judge) return null;
+
+  const conflicts = await findConflicts([judge], [submission]);
+  return conflicts.get(pairKey(judgeId, submission.id)) || null;
+};
+
+/**
+ * Distribute submissions across judges. Each submission gets up to
+ * `reviewsPerSubmission` judges; slots are filled one pass at a time, always
+ * picking the least-loaded eligible judge, so load stays balanced.
+ *
+ * Existing assignments are kept. With `rebalance`, pending automatic
+ * assignments are dropped first and redistributed; completed and manual
+ * (organizer override) assignments are never touched.
+ *
+ * @param {string} eventId - Event ID
+ * @param {Object} [options]
+ * @param {number} [options.round=1] - Judging round
+ * @param {number} [options.reviewsPerSubmission] - Overrides the event setting
+ * @param {boolean} [options.rebalance=false] - Redistribute pending automatic assignments
+ * @param {string} [options.assignedById] - Organizer triggering the run
+ * @returns {Promise<Object>} Summary with created assignments and under-covered submissions
+ */
+export const generateAssignments = async (eventId, options = {}) => {
+  const { round = 1, rebalance = false, assignedById } = options;
+
+  const event = await Event.findByPk(eventId);
+  if (!event) {
+    throw new Error('Event not found');
+  }
+
+  const target = parseInt(
+    options.reviewsPerSubmission || event.judgingSettings?.reviewsPerSubmission || DEFAULT_REVIEWS_PER_SUBMISSION,
+    10
+  );
+
+  const judges = await getEligibleJudges(eventId);
+  const submissions = await Submission.findAll({
+    where: {
+      eventId,
+      status: { [Op.in]: JUDGEABLE_SUBMISSION_STATUSES },
+      currentRound: { [Op.gte]: round },
+    },
+    attributes: ['id', 'teamId'],
+    order: [['createdAt', 'ASC']],
+  });
+
+  const conflicts = await findConflicts(judges, submissions);
+
+  return sequelize.transaction(async (transaction) => {
+    let removed = 0;
+    if (rebalance) {
+      removed = await JudgeAssignment.destroy({
+        where: {
+          eventId,
+          round,
+          source: 'auto',
+          status: 'assigned',
+        },
+        transaction,
+      });
+    }
+
+    const existing = await JudgeAssignment.findAll({
+      where: { eventId, round },
+      attributes: ['judgeId', 'submissionId'],
+      transaction,
+    });
+
+    const load = new Map(judges.map(judge => [judge.id, 0]));
+    const assignedJudges = new Map(submissions.map(submission => [submission.id, new Set()]));
+
+    existing.forEach(({ judgeId, submissionId }) => {
+      load.set(judgeId, (load.get(judgeId) || 0) + 1);
+      assignedJudges.get(submissionId)?.add(judgeId);
+    });
+
+    const rows = [];
+    for (let slot = 0; slot < target; slot += 1) {
+      // Least-covered submissions pick first so shortfalls spread evenly
+      const pending = submissions
+        .filter(submission => assignedJudges.get(submission.id).size <= slot)
+        .sort((a, b) => assignedJudges.get(a.id).size - assignedJudges.get(b.id).size);
+
+      for (const submission of pending) {
+        const assigned = assignedJudges.get(submission.id);
+
+        const judge = judges
+          .filter(candidate => !assigned.has(candidate.id) && !conflicts.has(pairKey(candidate.id, submission.id)))
+          .sort((a, b) => load.get(a.id) - load.get(b.id) || a.id.localeCompare(b.id))[0];
+
+        if (!judge) continue;
+
+        assigned.add(judge.id);
+        load.set(judge.id, load.get(judge.id) + 1);
+        rows.push({
+          eventId,
+          submissionId: submission.id,
+          judgeId: judge.id,
+          round,
+          source: 'auto',
+          assignedById,
+        });
+      }
+    }
+
+    const created = rows.length > 0
+      ? await JudgeAssignment.bulkCreate(rows, { transaction })
+      : [];
+
+    const underCovered = submissions
+      .filter(submission => assignedJudges.get(submission.id).size < target)
+      .map(submission => ({
+        submissionId: submission.id,
+        assigned: assignedJudges.get(submission.id).size,
+        target,
+      }));
+
+    return {
+      round,
+      reviewsPerSubmission: target,
+      removed,
+      created,
+      underCovered,
+      load: Object.fromEntries(load),
+    };
+  });
+};
@@ -0,0 +1,174 @@
+import { Op } from 'sequelize';
+import { Evaluation } from '../models/evaluation.model.js';
+import { JudgingRound } from '../models/judgingRound.model.js';
+import { Submission } from '../models/submission.model.js';
+import { Team } from '../models/team.model.js';
+import { summarizeCriteriaScores } from '../utils/criteria.js';
+import { emitToEvent, emitToEventOrganizers } from './socketService.js';
+
+/**
+ * Pick the round a leaderboard refers to, see JudgingRound.resolveRoundNumber
+ * @returns {Promise<number>}
+ */
+export const resolveLeaderboardRound = (eventId, requestedRound) => (
+  JudgingRound.resolveRoundNumber(eventId, requestedRound)
+);
+
+/**
+ * Top submission per criterion, for "best technical implementation" style
+ * category awards. Ties go to the higher overall rank.
+ */
+const getCategoryLeaders = (criteria, entries) => criteria.map((criterion) => {
+  const leader = entries
+    .filter(entry => entry.criteriaScores[criterion.id] !== undefined)
+    .reduce((best, entry) => (
+      !best || entry.criteriaScores[criterion.id] > best.criteriaScores[criterion.id] ? entry : best
+    ), null);
+
+  return {
+    criterionId: criterion.id,
+    name: criterion.name,
+    maxScore: criterion.maxScore,
+    weight: criterion.weight,
+    leader: leader
+      ? {
+        id: leader.id,
+        title: leader.title,
+        team: leader.team,
+        score: leader.criteriaScores[criterion.id]
+      }
+      : null
+  };
+});
+
+/**
+ * Build the full ranked leaderboard for one event round. Only evaluations
+ * from that round count, so later rounds never mix with earlier ones.
+ * @param {Object} event - Event instance
+ * @param {Object} [options]
+ * @param {number} [options.round=1] - Judging round
+ * @returns {Promise<Object>} { round, mode, normalization, entries, categories }
+ */
+export const buildLeaderboard = async (event, options = {}) => {
+  const { round = 1 } = options;
+  const settings = event.judgingSettings || {};
+
+  const submissions = await Submission.findAll({
+    where: {
+      eventId: event.id,
+      status: 'submitted',
+      currentRound: { [Op.gte]: round }
+    },
+    include: [
+      {
+        model: Team,
+        as: 'team',
+        attributes: ['id', 'name']
+      }
+    ],
+    attributes: ['id', 'title', 'prizeTracks', 'createdAt']
+  });
+
+  const scores = await event.getRoundScores(round);
+
+  // Pairwise judging has no per-criterion scores to break down
+  const criteria = event.isPairwiseJudging() ? [] : await event.getCriteriaForRound(round);
+  const evaluations = criteria.length > 0
+    ? await Evaluation.findAll({
+      where: {
+        eventId: event.id,
+        round,
+        status: 'submitted'
+      },
+      attributes: ['submissionId', 'criteriaScores'],
+      raw: true
+    })
+    : [];
+  const breakdown = summarizeCriteriaScores(criteria, evaluations);
+
+  const entries = submissions
+    .map((submission) => {
+      const submissionScores = scores.get(submission.id);
+      return {
+        ...submission.get({ plain: true }),
+        averageScore: submissionScores ? submissionScores.rawScore : null,
+        normalizedScore: submissionScores ? submissionScores.normalizedScore : null,
+        evaluationCount: submissionScores ? submissionScores.evaluationCount : 0,
+        criteriaScores: breakdown.get(submission.id) || {}
+      };
+    })
+    .sort((a, b) => {
+      if (a.normalizedScore === null && b.normalizedScore !== null) return 1;
+      if (b.normalizedScore === null && a.normalizedScore !== null) return -1;
+      return (b.normalizedScore || 0) - (a.normalizedScore || 0) || b.evaluationCount - a.evaluationCount;
+    })
+    .map((entry, index) => ({ ...entry, rank: index + 1 }));
+
+  return {
+    round,
+    mode: settings.mode || 'score',
+    normalization: settings.normalization || 'none',
+    entries,
+    categories: getCategoryLeaders(criteria, entries)
+  };
+};
+
+// Last leaderboard pushed per event round, so updates only carry what changed.
+// Kept in memory: a restarted or second instance simply starts with a full push.
+const lastBroadcast = new Map();
+
+const TRACKED_FIELDS = ['rank', 'averageScore', 'normalizedScore', 'evaluationCount'];
+
+/**
+ * Compare two leaderboards by submission
+ * @returns {{ changed: Object[], removed: string[] }} Entries that are new or moved, and IDs that dropped out
+ */
+export const diffLeaderboards = (previous, next) => {
+  const previousById = new Map(previous.map(entry => [entry.id, entry]));
+  const nextIds = new Set(next.map(entry => entry.id));
+
+  return {
+    changed: next.filter((entry) => {
+      const before = previousById.get(entry.id);
+      return !before || TRACKED_FIELDS.some(field => before[field] !== entry[field]);
+    }),
+    removed: previous.filter(entry => !nextIds.has(entry.id)).map(entry => entry.id)
+  };
+};
+
+const withoutRawScore = ({ averageScore, ...entry }) => entry;
+
+/**
+ * Push leaderboard changes for an event round to its socket rooms.
+ * Entries carry absolute values, so clients can load the REST leaderboard
+ * and apply `leaderboard:update` payloads on top of it. Organizers get raw
+ * scores; everyone else gets the same view as the public leaderboard.
+ * @param {Object} event - Event instance
+ * @param {number} round - Judging round
+ */
+export const broadcastLeaderboard = async (event, round) => {
+  const key = `${event.id}:${round}`;
+  const { entries, mode, normalization } = await buildLeaderboard(event, { round });
+  const previous = lastBroadcast.get(key);
+  lastBroadcast.set(key, entries);
+
+  const { changed, removed } = previous
+    ? diffLeaderboards(previous, entries)
+    : { changed: entries, removed: [] };
+
+  if (previous && changed.length === 0 && removed.length === 0) return;
+
+  const payload = {
+    eventId: event.id,
+    round,
+    mode,
+    normalization,
+    full: !previous,
+    total: entries.length,
+    removed,
+    updatedAt: new Date().toISOString()
+  };
+
+  emitToEvent(event.id, 'leaderboard:update', { ...payload, changes: changed.map(withoutRawScore) }, { exceptOrganizers: true });
+  emitToEventOrganizers(event.id, 'leaderboard:update', { ...payload, changes: changed });
+};
@@ -0,0 +1,284 @@
+import { Op } from 'sequelize';
+import { Event } from '../models/event.model.js';
+import { EventParticipant } from '../models/eventParticipant.model.js';
+import { Notification } from '../models/notification.model.js';
+import { Payment } from '../models/payment.model.js';
+import { PromoCode } from '../models/promoCode.model.js';
+import { User } from '../models/user.model.js';
+import { logger } from '../utils/logger.js';
+import { sendEmail } from './email.service.js';
+import {
+  WEBHOOK_EVENT_TYPES,
+  fromMinorUnits,
+  getPaymentProvider,
+  toMinorUnits,
+} from './payments/index.js';
+
+const frontendUrl = () => process.env.FRONTEND_URL;
+
+const receiptNumber = (payment, paidAt) => {
+  const date = paidAt.toISOString().slice(0, 10).replace(/-/g, '');
+  return `R-${date}-${payment.id.slice(0, 8).toUpperCase()}`;
+};
+
+const notify = (payment, event, { type, title, message }) => Notification.create({
+  userId: payment.userId,
+  type,
+  title,
+  message,
+  referenceType: 'event',
+  referenceId: event.id,
+  metadata: { eventId: event.id, paymentId: payment.id },
+});
+
+/**
+ * Price a registration, applying a promo code if one is given
+ * @param {Object} event - Event instance
+ * @param {string} [code] - Promo code as typed by the user
+ * @returns {Promise<Object>} { quote } with amounts in minor units, or { status, message }
+ */
+export const quoteRegistration = async (event, code) => {
+  const subtotal = toMinorUnits(event.registrationFee);
+  let promoCode = null;
+
+  if (code) {
+    promoCode = await PromoCode.findByCode(event.id, code);
+
+    if (!promoCode || !promoCode.isRedeemable()) {
+      return { status: 400, message: 'This promo code is not valid' };
+    }
+  }
+
+  const discount = promoCode ? promoCode.getDiscount(subtotal) : 0;
+
+  return {
+    quote: {
+      subtotal,
+      discount,
+      total: subtotal - discount,
+      currency: event.currency,
+      promoCode,
+    },
+  };
+};
+
+export const presentQuote = ({ subtotal, discount, total, currency, promoCode }) => ({
+  subtotal: fromMinorUnits(subtotal),
+  discount: fromMinorUnits(discount),
+  total: fromMinorUnits(total),
+  currency,
+  promoCode: promoCode?.code || null,
+});
+
+export const presentCheckout = payment => ({
+  paymentId: payment.id,
+  status: payment.status,
+  checkoutUrl: payment.checkoutUrl,
+  amount: payment.amount,
+  currency: payment.currency,
+  expiresAt: payment.expiresAt,
+});
+
+/**
+ * Email the receipt for a successful payment
+ */
+export const sendReceipt = async (payment) => {
+  const [event, user] = await Promise.all([
+    Event.findByPk(payment.eventId, { attributes: ['id', 'title'] }),
+    User.findByPk(payment.userId, { attributes: ['id', 'name', 'email', 'locale'] }),
+  ]);
+
+  if (!event || !user) return null;
+
+  const money = value => `${value} ${payment.currency}`;
+
+  return sendEmail({
+    to: user.email,
+    template: 'payment-receipt',
+    context: {
+      name: user.name,
+      eventTitle: event.title,
+      receiptNumber: payment.receiptNumber,
+      paidAt: payment.paidAt.toUTCString(),
+      subtotal: money(payment.subtotal),
+      discount: Number(payment.discount) > 0 ? money(payment.discount) : null,
+      promoCode: payment.metadata?.promoCode || '',
+      total: money(payment.amount),
+      receiptUrl: `${frontendUrl()}/events/${event.id}/receipts/${payment.id}`,
+    },
+    locale: user.locale,
+    eventId: event.id,
+    userId: user.id,
+    metadata: { paymentId: payment.id },
+  });
+};
+
+/**
+ * Record a successful payment and confirm the registration. Safe to call
+ * more than once for the same payment. Money that arrives for a
+ * registration that is no longer waiting for it (expired, withdrawn or
+ * already paid) is refunded straight away.
+ * @param {Object} payment - Payment instance
+ * @param {string} [providerPaymentId]
+ */
+export const completePayment = async (payment, providerPaymentId = null) => {
+  const paidAt = new Date();
+  const [claimed] = await Payment.update(
+    {
+      status: 'succeeded',
+      paidAt,
+      providerPaymentId,
+      receiptNumber: receiptNumber(payment, paidAt),
+    },
+    { where: { id: payment.id, status: { [Op.in]: ['pending', 'failed', 'expired'] } } }
+  );
+
+  await payment.reload();
+  if (claimed === 0) {
+    return payment;
+  }
+
+  // Its redemption was given back if the checkout had been closed
+  if (payment.promoCodeId && !payment.promoCodeHeld) {
+    await payment.holdPromoCode();
+  }
+
+  const [participant, event] = await Promise.all([
+    EventParticipant.findByPk(payment.participantId),
+    Event.findByPk(payment.eventId, { attributes: ['id', 'title'] }),
+  ]);
+
+  const confirmed = participant && await participant.confirmPayment();
+
+  if (!confirmed) {
+    logger.warn(`Payment ${payment.id} arrived for a registration that is not pending; refunding`);
+    await payment.refund('registration_not_pending');
+
+    await notify(payment, event, {
+      type: 'payment_refunded',
+      title: 'Payment refunded',
+      message: `Your payment for "${event.title}" arrived after your registration was no longer on hold, so it has been refunded.`,
+    });
+    return payment;
+  }
+
+  await notify(payment, event, {
+    type: 'payment_received',
+    title: 'Registration confirmed',
+    message: `We received your payment of ${payment.amount} ${payment.currency}. Your spot at "${event.title}" is confirmed.`,
+  });
+
+  try {
+    await sendReceipt(payment);
+  } catch (error) {
+    logger.error(`Receipt for payment ${payment.id} failed:`, error);
+  }
+
+  return payment;
+};
+
+/**
+ * Start a checkout for a registration that is waiting for payment. Any
+ * earlier checkout for it is closed. A promo code's redemption is taken
+ * now, so checkouts in progress count against its limit. When a promo
+ * code brings the price to zero there is nothing to collect and the
+ * registration is confirmed.
+ * @param {Object} participant - EventParticipant in pending_payment
+ * @param {Object} event - Event instance
+ * @param {Object} user - Paying user
+ * @param {Object} quote - From quoteRegistration
+ * @returns {Promise<Object>} { payment }, or { status, message } when the promo code ran out since the quote
+ */
+export const startCheckout = async (participant, event, user, quote) => {
+  await Payment.expirePending(participant.id);
+
+  const free = quote.total === 0;
+  const provider = free ? 'none' : getPaymentProvider().name;
+
+  const payment = await Payment.sequelize.transaction(async (transaction) => {
+    if (quote.promoCode && !(await PromoCode.reserve(quote.promoCode.id, { transaction }))) {
+      return null;
+    }
+
+    return Payment.create({
+      eventId: event.id,
+      userId: user.id,
+      participantId: participant.id,
+      promoCodeId: quote.promoCode?.id || null,
+      promoCodeHeld: Boolean(quote.promoCode),
+      provider,
+      subtotal: fromMinorUnits(quote.subtotal),
+      discount: fromMinorUnits(quote.discount),
+      amount: fromMinorUnits(quote.total),
+      currency: quote.currency,
+      expiresAt: participant.paymentExpiresAt,
+      metadata: { promoCode: quote.promoCode?.code },
+    }, { transaction });
+  });
+
+  if (!payment) {
+    return {
+      status: 409,
+      message: 'This promo code has just been used up. Your place is still held; start a new checkout without it.',
+    };
+  }
+
+  if (free) {
+    return { payment: await completePayment(payment) };
+  }
+
+  const { sessionId, url } = await getPaymentProvider(provider).createCheckoutSession({
+    payment,
+    event,
+    user,
+    amount: quote.total,
+    successUrl: `${frontendUrl()}/events/${event.id}/registration?payment=${payment.id}`,
+    cancelUrl: `${frontendUrl()}/events/${event.id}/registration?payment=${payment.id}&cancelled=true`,
+  });
+
+  return { payment: await payment.update({ providerSessionId: sessionId, checkoutUrl: url }) };
+};
+
+/**
+ * Verify and apply a provider webhook. Unknown sessions and event types
+ * are ignored, and repeated deliveries have no further effect.
+ * @param {string} providerName
+ * @param {Buffer} rawBody - The request body exactly as received
+ * @param {Object} headers
+ * @returns {Promise<Object|null>} The affected payment
+ */
+export const handlePaymentWebhook = async (providerName, rawBody, headers) => {
+  const provider = getPaymentProvider(providerName);
+  const webhook = await provider.parseWebhook(rawBody, headers);
+
+  if (!webhook || !WEBHOOK_EVENT_TYPES.includes(webhook.type)) {
+    return null;
+  }
+
+  const payment = await Payment.findBySession(provider.name, webhook.sessionId);
+  if (!payment) {
+    logger.warn(`Webhook ${webhook.type} for unknown ${provider.name} session ${webhook.sessionId}`);
+    return null;
+  }
+
+  switch (webhook.type) {
+    case 'payment.succeeded':
+      return completePayment(payment, webhook.providerPaymentId);
+    case 'payment.failed':
+      // The registration keeps its place until it expires, so the user can retry
+      await Payment.update(
+        { status: 'failed', failureReason: webhook.failureReason || null },
+        { where: { id: payment.id, status: 'pending' } }
+      );
+      return payment.reload();
+    case 'checkout.expired':
+      await Payment.update({ status: 'expired' }, { where: { id: payment.id, status: 'pending' } });
+      await payment.reload();
+      if (payment.status === 'expired') {
+        await payment.releasePromoCode();
+      }
+      return payment;
+    default:
+      return null;
+  }
+};
@@ -0,0 +1,61 @@
+/**
+ * Payment providers.
+ *
+ * A provider implements:
+ * - `createCheckoutSession({ payment, event, user, successUrl, cancelUrl })`,
+ *   resolving to `{ sessionId, url }`
+ * - `parseWebhook(rawBody, headers)`, which verifies the signature and
+ *   returns `{ type, sessionId, providerPaymentId, failureReason }` with
+ *   `type` one of WEBHOOK_EVENT_TYPES, or null for events we ignore. It
+ *   throws a PaymentWebhookError when the request is not genuine.
+ * - `refund({ payment, amount })`, resolving to `{ refundId }`
+ *
+ * Amounts are passed in minor units (cents).
+ */
+import { mockProvider } from './mock.provider.js';
+import { UnknownPaymentProviderError } from './unknownProviderError.js';
+
+export { PaymentWebhookError } from './webhookError.js';
+export { UnknownPaymentProviderError };
+
+export const WEBHOOK_EVENT_TYPES = ['payment.succeeded', 'payment.failed', 'checkout.expired'];
+
+const providers = new Map([[mockProvider.name, mockProvider]]);
+
+export const registerPaymentProvider = (provider) => {
+  providers.set(provider.name, provider);
+};
+
+const isProduction = () => process.env.NODE_ENV === 'production';
+
+/**
+ * @param {string} [name] - Defaults to PAYMENT_PROVIDER, then, outside
+ *   production only, the mock provider
+ */
+export const getPaymentProvider = (name = process.env.PAYMENT_PROVIDER || (isProduction() ? null : 'mock')) => {
+  if (!name) {
+    throw new Error('PAYMENT_PROVIDER must be set in production');
+  }
+
+  const provider = providers.get(name);
+
+  if (!provider) {
+    throw new UnknownPaymentProviderError(name);
+  }
+
+  return provider;
+};
+
+/**
+ * Whether the mock checkout pages may be used. Read per request, since the
+ * environment is only complete once dotenv has run.
+ */
+export const isMockCheckoutEnabled = () => (
+  !isProduction()
+  && getPaymentProvider().name === mockProvider.name
+  && Boolean(process.env.PAYMENT_WEBHOOK_SECRET)
+);
+
+export const toMinorUnits = amount => Math.round(Number(amount || 0) * 100);
+
+export const fromMinorUnits = cents => (cents / 100).toFixed(2);
@@ -0,0 +1,79 @@
+import crypto from 'crypto';
+import { PaymentWebhookError } from './webhookError.js';
+
+// Stands in for a real payment provider in development and tests. Checkout
+// "pages" are completed through POST /api/payments/mock/checkout/:sessionId,
+// which sends a signed webhook exactly like a real provider would.
+
+const SIGNATURE_HEADER = 'x-mock-signature';
+
+// No fallback secret: anyone who could guess it could mark payments as paid
+const getSecret = () => {
+  const secret = process.env.PAYMENT_WEBHOOK_SECRET;
+
+  if (!secret) {
+    throw new PaymentWebhookError('PAYMENT_WEBHOOK_SECRET is not configured');
+  }
+
+  return secret;
+};
+
+const apiUrl = () => process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`;
+
+const sign = body => crypto.createHmac('sha256', getSecret()).update(body).digest('hex');
+
+const randomId = prefix => `${prefix}_${crypto.randomBytes(12).toString('hex')}`;
+
+export const mockProvider = {
+  name: 'mock',
+
+  async createCheckoutSession() {
+    const sessionId = randomId('mock_cs');
+
+    return {
+      sessionId,
+      url: `${apiUrl()}/api/payments/mock/checkout/${sessionId}`,
+    };
+  },
+
+  parseWebhook(rawBody, headers) {
+    const signature = Buffer.from(String(headers[SIGNATURE_HEADER] || ''));
+    const expected = Buffer.from(sign(rawBody));
+
+    if (signature.length !== expected.length || !crypto.timingSafeEqual(signature, expected)) {
+      throw new PaymentWebhookError('Invalid webhook signature');
+    }
+
+    const { type, data = {} } = JSON.parse(rawBody.toString());
+
+    return {
+      type,
+      sessionId: data.sessionId,
+      providerPaymentId: data.paymentId,
+      failureReason: data.failureReason,
+    };
+  },
+
+  async refund() {
+    return { refundId: randomId('mock_re') };
+  },
+
+  /**
+   * Build the webhook request the mock checkout sends when it completes
+   * @param {string} type - A webhook event type
+   * @param {string} sessionId
+   * @returns {{ body: Buffer, headers: Object }}
+   */
+  buildWebhook(type, sessionId, { failureReason } = {}) {
+    const body = Buffer.from(JSON.stringify({
+      type,
+      data: {
+        sessionId,
+        paymentId: type === 'payment.succeeded' ? randomId('mock_pi') : undefined,
+        failureReason,
+      },
+    }));
+
+    return { body, headers: { [SIGNATURE_HEADER]: sign(body) } };
+  },
+};
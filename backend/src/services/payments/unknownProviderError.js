@@ -0,0 +1,7 @@
+// Thrown when a provider name does not match any registered provider
+export class UnknownPaymentProviderError extends Error {
+  constructor(name) {
+    super(`Unknown payment provider "${name}"`);
+    this.name = 'UnknownPaymentProviderError';
+  }
+}
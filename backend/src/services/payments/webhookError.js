@@ -0,0 +1,7 @@
+// Thrown by providers when a webhook request fails verification
+export class PaymentWebhookError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PaymentWebhookError';
+  }
+}
@@ -0,0 +1,158 @@
+import { Op } from 'sequelize';
+import { Notification } from '../models/notification.model.js';
+import { Submission } from '../models/submission.model.js';
+import { TeamMember } from '../models/teamMember.model.js';
+import { DEFAULT_VOTING_CATEGORY } from '../models/vote.model.js';
+import { parsePrizeTracks } from '../utils/prizes.js';
+import { buildLeaderboard, resolveLeaderboardRound } from './leaderboard.service.js';
+import { rankByVotes } from './vote.service.js';
+
+const toWinner = (track, entry, score, index) => ({
+  place: index + 1,
+  reward: track.rewards[index] || null,
+  submissionId: entry.id,
+  title: entry.title,
+  team: entry.team ? { id: entry.team.id, name: entry.team.name } : null,
+  score,
+});
+
+/**
+ * Order the eligible entries for one track, best first
+ * @returns {Object[]} Entries with the score the track is decided on
+ */
+const rankForTrack = (track, entries) => {
+  switch (track.type) {
+    case 'criterion':
+      return entries
+        .filter(entry => entry.criteriaScores[track.criterionId] !== undefined)
+        .map(entry => ({ entry, score: entry.criteriaScores[track.criterionId] }))
+        .sort((a, b) => b.score - a.score || a.entry.rank - b.entry.rank);
+    case 'audience':
+      return entries.map(entry => ({ entry, score: entry.votes }));
+    default:
+      return entries.map(entry => ({ entry, score: entry.normalizedScore }));
+  }
+};
+
+/**
+ * Resolve every prize track from the current evaluation and vote data.
+ * Tracks are resolved in the order the organizer listed them, which matters
+ * for tracks that exclude earlier winners.
+ * @param {Object} event - Event instance
+ * @returns {Promise<Object>} { round, tracks: [{ trackId, name, type, winners }] }
+ */
+export const resolveWinners = async (event) => {
+  const { prizes: tracks } = parsePrizeTracks(event.prizes, event.judgingCriteria || []);
+  const round = await resolveLeaderboardRound(event.id);
+  const { entries } = await buildLeaderboard(event, { round });
+  const awarded = new Set();
+  const results = [];
+
+  for (const track of tracks || []) {
+    const { optInRequired, minEvaluations, excludePreviousWinners } = track.eligibility;
+
+    // Audience prizes follow the votes; judged prizes need enough evaluations
+    const candidates = track.type === 'audience'
+      ? await rankByVotes(event, track.votingCategory || DEFAULT_VOTING_CATEGORY)
+      : entries.filter(entry => entry.normalizedScore !== null && entry.evaluationCount >= minEvaluations);
+
+    const eligible = candidates.filter(entry => (
+      (!optInRequired || (entry.prizeTracks || []).includes(track.id))
+      && !(excludePreviousWinners && awarded.has(entry.id))
+    ));
+
+    const winners = rankForTrack(track, eligible)
+      .slice(0, track.places)
+      .map(({ entry, score }, index) => toWinner(track, entry, score, index));
+
+    winners.forEach(winner => awarded.add(winner.submissionId));
+
+    results.push({
+      trackId: track.id,
+      name: track.name,
+      type: track.type,
+      sponsor: track.sponsor || null,
+      criterionId: track.criterionId || null,
+      votingCategory: track.type === 'audience' ? track.votingCategory || DEFAULT_VOTING_CATEGORY : null,
+      winners,
+    });
+  }
+
+  return { round, tracks: results };
+};
+
+/**
+ * Freeze the current winners on the event
+ * @param {Object} event - Event instance
+ * @param {Object} user - User locking the results
+ * @returns {Promise<Object>} The frozen results
+ */
+export const lockResults = async (event, user) => {
+  const { round, tracks } = await resolveWinners(event);
+
+  await event.update({
+    prizeResults: {
+      status: 'locked',
+      round,
+      lockedAt: new Date(),
+      lockedById: user.id,
+      publishedAt: null,
+      tracks,
+    },
+  });
+
+  return event.prizeResults;
+};
+
+/**
+ * Publish locked results and notify every member of a winning team
+ * @param {Object} event - Event instance with locked prizeResults
+ * @returns {Promise<Object>} { results, notified }
+ */
+export const publishResults = async (event) => {
+  const prizeResults = {
+    ...event.prizeResults,
+    status: 'published',
+    publishedAt: new Date(),
+  };
+
+  await event.update({ prizeResults });
+
+  const wins = prizeResults.tracks.flatMap(track => track.winners.map(winner => ({ track, winner })));
+  const submissions = await Submission.findAll({
+    where: { id: { [Op.in]: [...new Set(wins.map(({ winner }) => winner.submissionId))] } },
+    attributes: ['id', 'teamId'],
+  });
+  const teamBySubmission = new Map(submissions.map(submission => [submission.id, submission.teamId]));
+
+  const members = await TeamMember.findAll({
+    where: {
+      teamId: { [Op.in]: [...new Set(submissions.map(submission => submission.teamId))] },
+      status: 'accepted',
+    },
+    attributes: ['teamId', 'userId'],
+  });
+
+  const notifications = wins.flatMap(({ track, winner }) => members
+    .filter(member => member.teamId === teamBySubmission.get(winner.submissionId))
+    .map(member => ({
+      userId: member.userId,
+      type: 'prize_awarded',
+      title: `You won ${track.name}!`,
+      message: `"${winner.title}" placed #${winner.place} in ${track.name} at ${event.title}.`,
+      referenceType: 'event',
+      referenceId: event.id,
+      metadata: {
+        trackId: track.trackId,
+        place: winner.place,
+        reward: winner.reward,
+        submissionId: winner.submissionId,
+      },
+    })));
+
+  if (notifications.length > 0) {
+    await Notification.bulkCreate(notifications);
+  }
+
+  return { results: prizeResults, notified: notifications.length };
+};
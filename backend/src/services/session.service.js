@@ -0,0 +1,128 @@
+import jwt from 'jsonwebtoken';
+import { RefreshToken } from '../models/refreshToken.model.js';
+import { Session } from '../models/session.model.js';
+import { TokenBlacklist } from '../models/tokenBlacklist.model.js';
+import { User } from '../models/user.model.js';
+import { generateAuthTokens, verifyToken } from '../utils/auth.js';
+import { logger } from '../utils/logger.js';
+import { describeUserAgent } from '../utils/userAgent.js';
+
+/**
+ * Where a request comes from, as recorded on its session
+ * @param {Object} req - Express request object
+ * @returns {Object} { userAgent, ipAddress }
+ */
+export const sessionContext = req => ({
+  userAgent: req.get('user-agent')?.slice(0, 500) || null,
+  ipAddress: req.ip || null,
+});
+
+// Sign a token pair for a session and store the refresh token. The
+// session lives as long as its newest refresh token.
+const issueTokens = async (user, session, context = {}, replaced = null) => {
+  const record = RefreshToken.build({ sessionId: session.id, userId: user.id });
+  const tokens = generateAuthTokens(user, { sessionId: session.id, tokenId: record.id });
+  const expiresAt = new Date(jwt.decode(tokens.refreshToken).exp * 1000);
+
+  session.set({ expiresAt, lastUsedAt: new Date() });
+  if (context.ipAddress) {
+    session.set({ ipAddress: context.ipAddress });
+  }
+  // Browsers update themselves; a new user agent on refresh is still the same device
+  if (context.userAgent) {
+    session.set({ userAgent: context.userAgent, deviceName: describeUserAgent(context.userAgent) });
+  }
+  await session.save();
+
+  record.set({ expiresAt });
+  await record.save();
+
+  if (replaced) {
+    await replaced.update({ replacedById: record.id });
+  }
+
+  return tokens;
+};
+
+/**
+ * Sign a user in on a new device
+ * @param {Object} user - User instance
+ * @param {Object} [context] - From sessionContext
+ * @returns {Promise<Object>} { accessToken, refreshToken, user } as from generateAuthTokens
+ */
+export const startSession = (user, context = {}) => issueTokens(user, Session.build({ userId: user.id }), context);
+
+/**
+ * Exchange a refresh token for a new pair. Each refresh token works once;
+ * one that comes back after being exchanged has been copied, so the whole
+ * session is revoked and whoever holds it has to log in again.
+ * @param {string} refreshToken
+ * @param {Object} [context] - From sessionContext
+ * @returns {Promise<Object>} { tokens } or { status, message, code }
+ */
+export const rotateRefreshToken = async (refreshToken, context = {}) => {
+  const claims = verifyToken(refreshToken, process.env.JWT_REFRESH_SECRET);
+
+  // Tokens issued before sessions existed have no record to rotate
+  if (!claims?.sid || !claims.jti) {
+    return { status: 401, message: 'Invalid or expired refresh token' };
+  }
+
+  const record = await RefreshToken.findByPk(claims.jti, {
+    include: [{ model: Session, as: 'session' }],
+  });
+
+  if (!record || record.sessionId !== claims.sid || !record.session?.isActive()) {
+    return { status: 401, message: 'Your session has ended, please log in again', code: 'SESSION_REVOKED' };
+  }
+
+  const user = await User.findByPk(record.userId);
+  if (!user || !user.isActive) {
+    await record.session.revoke('user_inactive');
+    return { status: 401, message: 'User not found or deactivated' };
+  }
+
+  if (!(await record.claim())) {
+    await record.session.revoke('refresh_token_reused');
+    logger.warn(`Refresh token ${record.id} was used twice; revoked session ${record.sessionId} of user ${user.id}`);
+    return {
+      status: 401,
+      message: 'This refresh token has already been used. Please log in again.',
+      code: 'REFRESH_TOKEN_REUSED',
+    };
+  }
+
+  return { tokens: await issueTokens(user, record.session, context, record) };
+};
+
+/**
+ * Sign out: revoke the sessions behind the given tokens and block the
+ * access token until it expires. Tokens that do not verify are ignored.
+ * @param {Object} tokens
+ * @param {string} [tokens.accessToken]
+ * @param {string} [tokens.refreshToken]
+ * @returns {Promise<number>} How many sessions were revoked
+ */
+export const endSession = async ({ accessToken, refreshToken }) => {
+  const access = accessToken && verifyToken(accessToken, process.env.JWT_SECRET);
+  const refresh = refreshToken && verifyToken(refreshToken, process.env.JWT_REFRESH_SECRET);
+
+  if (access) {
+    await TokenBlacklist.findOrCreate({
+      where: { token: accessToken },
+      defaults: { expiresAt: new Date(access.exp * 1000) },
+    });
+  }
+
+  const sessionIds = [...new Set([access?.sid, refresh?.sid].filter(Boolean))];
+  let revoked = 0;
+
+  for (const sessionId of sessionIds) {
+    const session = await Session.findByPk(sessionId);
+    if (session && await session.revoke('logout')) {
+      revoked += 1;
+    }
+  }
+
+  return revoked;
+};
@@ -0,0 +1,179 @@
+import jwt from 'jsonwebtoken';
+import { Event } from '../models/event.model.js';
+import { TokenBlacklist } from '../models/tokenBlacklist.model.js';
+import { Session } from '../models/session.model.js';
+import { User } from '../models/user.model.js';
+import { logger } from '../utils/logger.js';
+
+let io = null;
+
+export const eventRoom = (eventId) => `event:${eventId}`;
+export const eventOrganizerRoom = (eventId) => `event:${eventId}:organizers`;
+export const userRoom = (userId) => `user:${userId}`;
+export const sessionRoom = (sessionId) => `session:${sessionId}`;
+
+/**
+ * Read the access token the same places `authenticate` does: the handshake
+ * auth payload, the Authorization header or the accessToken cookie
+ */
+const extractToken = (socket) => {
+  const { auth = {}, headers = {} } = socket.handshake;
+
+  if (auth.token) {
+    return auth.token.replace('Bearer ', '');
+  }
+
+  if (headers.authorization) {
+    return headers.authorization.replace('Bearer ', '');
+  }
+
+  const cookie = (headers.cookie || '')
+    .split(';')
+    .map(part => part.trim())
+    .find(part => part.startsWith('accessToken='));
+
+  return cookie ? decodeURIComponent(cookie.slice('accessToken='.length)) : null;
+};
+
+/**
+ * Socket.IO middleware mirroring the HTTP `authenticate` middleware
+ */
+const authenticateSocket = async (socket, next) => {
+  try {
+    const token = extractToken(socket);
+    if (!token) {
+      return next(new Error('Authentication required'));
+    }
+
+    const isBlacklisted = await TokenBlacklist.findOne({ where: { token } });
+    if (isBlacklisted) {
+      return next(new Error('Invalid or expired token'));
+    }
+
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const user = await User.findByPk(decoded.id, {
+      attributes: { exclude: ['password'] },
+    });
+
+    if (!user || !user.isActive || user.changedPasswordAfter(decoded.iat)) {
+      return next(new Error('Authentication failed'));
+    }
+
+    if (decoded.sid) {
+      const session = await Session.findByPk(decoded.sid);
+      if (!session || session.revokedAt) {
+        return next(new Error('Session ended'));
+      }
+    }
+
+    socket.data.user = user;
+    socket.data.sessionId = decoded.sid || null;
+    next();
+  } catch (error) {
+    logger.warn(`Socket authentication failed: ${error.message}`);
+    next(new Error(error.name === 'TokenExpiredError' ? 'Token expired' : 'Authentication failed'));
+  }
+};
+
+const respond = (ack, payload) => {
+  if (typeof ack === 'function') ack(payload);
+};
+
+/**
+ * Join an event's room to receive its live updates. Organizers also join
+ * the organizer room, which carries raw scores.
+ */
+const joinEvent = async (socket, eventId, ack) => {
+  try {
+    const { user } = socket.data;
+    const event = await Event.findByPk(eventId);
+
+    if (!event) {
+      return respond(ack, { success: false, message: 'Event not found' });
+    }
+
+    const canManage = event.organizerId === user.id || user.role === 'admin';
+    if (!event.isLeaderboardPublic && !canManage) {
+      return respond(ack, { success: false, message: 'Leaderboard is not public for this event' });
+    }
+
+    socket.join(eventRoom(eventId));
+    if (canManage) {
+      socket.join(eventOrganizerRoom(eventId));
+    }
+
+    respond(ack, { success: true, room: eventRoom(eventId) });
+  } catch (error) {
+    logger.error('Socket join event error:', error);
+    respond(ack, { success: false, message: 'Failed to join event' });
+  }
+};
+
+/**
+ * Attach authentication and room handling to the Socket.IO server
+ * @param {import('socket.io').Server} server - Socket.IO server
+ */
+export const configureWebSockets = (server) => {
+  io = server;
+  io.use(authenticateSocket);
+
+  io.on('connection', (socket) => {
+    const { user } = socket.data;
+    socket.join(userRoom(user.id));
+    // Lets a revoked session drop its live connections, see disconnectSessions
+    if (socket.data.sessionId) {
+      socket.join(sessionRoom(socket.data.sessionId));
+    }
+    logger.debug(`Socket connected: ${socket.id} (user ${user.id})`);
+
+    // Seed the unread badge; later changes arrive as notification:unread-count
+    User.sequelize.models.Notification.findUnreadCount(user.id)
+      .then(count => socket.emit('notification:unread-count', { count }))
+      .catch(error => logger.error('Socket unread count error:', error));
+
+    socket.on('event:join', (eventId, ack) => joinEvent(socket, eventId, ack));
+
+    socket.on('event:leave', (eventId, ack) => {
+      socket.leave(eventRoom(eventId));
+      socket.leave(eventOrganizerRoom(eventId));
+      respond(ack, { success: true });
+    });
+
+    socket.on('disconnect', (reason) => {
+      logger.debug(`Socket disconnected: ${socket.id} (${reason})`);
+    });
+  });
+
+  return io;
+};
+
+/**
+ * Emit to everyone following an event. Does nothing when sockets are not
+ * configured (scripts, workers).
+ * @param {Object} [options]
+ * @param {boolean} [options.exceptOrganizers=false] - Skip organizers, e.g. when they get a richer payload
+ */
+export const emitToEvent = (eventId, name, payload, options = {}) => {
+  if (!io) return;
+
+  const room = io.to(eventRoom(eventId));
+  (options.exceptOrganizers ? room.except(eventOrganizerRoom(eventId)) : room).emit(name, payload);
+};
+
+export const emitToEventOrganizers = (eventId, name, payload) => {
+  if (io) io.to(eventOrganizerRoom(eventId)).emit(name, payload);
+};
+
+export const emitToUser = (userId, name, payload) => {
+  if (io) io.to(userRoom(userId)).emit(name, payload);
+};
+
+/**
+ * Close the live connections opened under the given sessions, so a revoked
+ * device stops receiving updates without waiting for its token to expire
+ * @param {string[]} sessionIds
+ */
+export const disconnectSessions = (sessionIds) => {
+  if (!io || sessionIds.length === 0) return;
+  io.in(sessionIds.map(sessionRoom)).disconnectSockets(true);
+};
@@ -0,0 +1,66 @@
+import crypto from 'crypto';
+import path from 'path';
+import { BlobServiceClient } from '@azure/storage-blob';
+import { logger } from '../utils/logger.js';
+
+// Public files (submissions shown in the gallery) and private ones
+// (registration answers) live in separate containers, so a private file
+// can never be reached through a guessed public URL
+const getContainerName = isPublic => (isPublic
+  ? process.env.AZURE_STORAGE_CONTAINER || 'uploads'
+  : process.env.AZURE_STORAGE_PRIVATE_CONTAINER || 'private-uploads');
+
+let serviceClient = null;
+const readyContainers = new Map();
+
+const getServiceClient = () => {
+  if (!process.env.AZURE_STORAGE_CONNECTION_STRING) {
+    throw new Error('File storage is not configured (AZURE_STORAGE_CONNECTION_STRING)');
+  }
+
+  if (!serviceClient) {
+    serviceClient = BlobServiceClient.fromConnectionString(process.env.AZURE_STORAGE_CONNECTION_STRING);
+  }
+  return serviceClient;
+};
+
+const getContainer = async (isPublic) => {
+  const name = getContainerName(isPublic);
+
+  if (!readyContainers.has(name)) {
+    const container = getServiceClient().getContainerClient(name);
+    await container.createIfNotExists(isPublic ? { access: 'blob' } : {});
+    readyContainers.set(name, container);
+  }
+  return readyContainers.get(name);
+};
+
+// Keep the original name readable but safe to use in a blob path
+const safeFileName = (name = 'file') => {
+  const extension = path.extname(name).toLowerCase().replace(/[^a-z0-9.]/g, '');
+  const base = path.basename(name, path.extname(name)).replace(/[^a-zA-Z0-9_-]+/g, '-').slice(0, 80);
+  return `${base || 'file'}${extension}`;
+};
+
+/**
+ * Store an uploaded file (multer memory storage)
+ * @param {Object} file - { buffer, originalname, mimetype, size }
+ * @param {Object} [options]
+ * @param {string} [options.folder] - Path prefix inside the container
+ * @param {boolean} [options.public] - Whether anyone with the URL can read it
+ * @returns {Promise<Object>} { url, key, container }
+ */
+export const uploadToStorage = async (file, { folder = '', public: isPublic = false } = {}) => {
+  const container = await getContainer(isPublic);
+  const key = [folder, `${crypto.randomUUID()}-${safeFileName(file.originalname)}`].filter(Boolean).join('/');
+  const blob = container.getBlockBlobClient(key);
+
+  await blob.uploadData(file.buffer, {
+    blobHTTPHeaders: { blobContentType: file.mimetype || 'application/octet-stream' },
+  });
+
+  logger.info(`Stored ${key} (${file.size ?? file.buffer.length} bytes) in ${container.containerName}`);
+
+  return { url: blob.url, key, container: container.containerName };
+};
+
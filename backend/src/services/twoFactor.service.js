@@ -0,0 +1,183 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import QRCode from 'qrcode';
+import { Op } from 'sequelize';
+import { TwoFactorRecoveryCode } from '../models/twoFactorRecoveryCode.model.js';
+import { User } from '../models/user.model.js';
+import { base32Encode, buildOtpauthUri, generateTotpSecret, verifyTotp } from '../utils/totp.js';
+
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_EXPIRES_IN = '5m';
+const MAX_FAILED_ATTEMPTS = 5;
+const LOCKOUT_MS = 15 * 60 * 1000;
+
+// Kept apart from JWT_SECRET so a challenge can never pass as an access token
+const getChallengeSecret = () => process.env.TWO_FACTOR_CHALLENGE_SECRET || `${process.env.JWT_SECRET}:two-factor`;
+
+const hashCode = code => crypto
+  .createHash('sha256')
+  .update(code.toLowerCase().replace(/[\s-]/g, ''))
+  .digest('hex');
+
+/**
+ * Roles that must use two-factor authentication, from
+ * TWO_FACTOR_REQUIRED_ROLES (e.g. "admin,organizer"). Empty by default:
+ * enforcing it locks out everyone in those roles who has not enrolled yet.
+ */
+export const getTwoFactorRequiredRoles = () => (process.env.TWO_FACTOR_REQUIRED_ROLES || '')
+  .split(',')
+  .map(role => role.trim())
+  .filter(Boolean);
+
+export const isTwoFactorRequired = user => getTwoFactorRequiredRoles().includes(user.role);
+
+/**
+ * Start enrollment: store a new secret, not yet in use
+ * @returns {Promise<Object>} { secret, otpauthUri, qrCode }
+ */
+export const startEnrollment = async (user) => {
+  const secret = generateTotpSecret();
+  const otpauthUri = buildOtpauthUri(secret, {
+    issuer: process.env.TWO_FACTOR_ISSUER || 'SynapEvents',
+    account: user.email,
+  });
+
+  await User.update(
+    { twoFactorSecret: secret, twoFactorLastStep: null },
+    { where: { id: user.id } }
+  );
+
+  return {
+    secret,
+    otpauthUri,
+    qrCode: await QRCode.toDataURL(otpauthUri, { margin: 1, width: 240 }),
+  };
+};
+
+/**
+ * Check an authenticator code. A code is accepted once: later uses of
+ * the same or an earlier one fail.
+ * @param {Object} user - User loaded with the withTwoFactor scope
+ * @returns {Promise<boolean>}
+ */
+export const verifyTotpCode = async (user, code) => {
+  if (!user.twoFactorSecret) return false;
+
+  const step = verifyTotp(user.twoFactorSecret, code);
+  if (step === null) return false;
+
+  const [accepted] = await User.update(
+    { twoFactorLastStep: step },
+    {
+      where: {
+        id: user.id,
+        [Op.or]: [{ twoFactorLastStep: null }, { twoFactorLastStep: { [Op.lt]: step } }],
+      },
+    }
+  );
+
+  return accepted > 0;
+};
+
+/**
+ * Replace a user's recovery codes with new ones
+ * @returns {Promise<string[]>} The codes, to show once
+ */
+export const generateRecoveryCodes = async (user) => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = base32Encode(crypto.randomBytes(7)).slice(0, 10).toLowerCase();
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  await TwoFactorRecoveryCode.destroy({ where: { userId: user.id } });
+  await TwoFactorRecoveryCode.bulkCreate(codes.map(code => ({
+    userId: user.id,
+    codeHash: hashCode(code),
+  })));
+
+  return codes;
+};
+
+/**
+ * Check the second factor given at login or for a sensitive change:
+ * an authenticator `code` or a `recoveryCode`, which is used up
+ * @returns {Promise<string|null>} 'totp' or 'recovery_code', or null when neither is valid
+ */
+export const verifySecondFactor = async (user, { code, recoveryCode }) => {
+  if (code && await verifyTotpCode(user, code)) {
+    return 'totp';
+  }
+
+  if (typeof recoveryCode === 'string' && recoveryCode.trim()
+    && await TwoFactorRecoveryCode.redeem(user.id, hashCode(recoveryCode))) {
+    return 'recovery_code';
+  }
+
+  return null;
+};
+
+export const disableTwoFactor = async (user) => {
+  await User.update(
+    { twoFactorEnabled: false, twoFactorSecret: null, twoFactorLastStep: null },
+    { where: { id: user.id } }
+  );
+  await TwoFactorRecoveryCode.destroy({ where: { userId: user.id } });
+};
+
+/**
+ * A short-lived token proving the password step of a login passed
+ */
+export const createLoginChallenge = user => jwt.sign(
+  { sub: user.id, purpose: 'two_factor_login' },
+  getChallengeSecret(),
+  { expiresIn: CHALLENGE_EXPIRES_IN }
+);
+
+/**
+ * @returns {string|null} The user ID the challenge was issued for
+ */
+export const verifyLoginChallenge = (token) => {
+  try {
+    const claims = jwt.verify(token, getChallengeSecret());
+    return claims.purpose === 'two_factor_login' ? claims.sub : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * When the second login step is locked after too many wrong codes
+ * @returns {Date|null} The end of the lockout, or null when not locked
+ */
+export const getTwoFactorLockout = (user, now = new Date()) => (
+  user.twoFactorLockedUntil && user.twoFactorLockedUntil > now ? user.twoFactorLockedUntil : null
+);
+
+/**
+ * Count a wrong code at the second login step. Counted per user, so new
+ * challenges do not reset it; the fifth in a row locks the step for 15
+ * minutes.
+ * @returns {Promise<Date|null>} The end of the lockout this failure started
+ */
+export const recordTwoFactorFailure = async (user) => {
+  const [, [updated] = []] = await User.update(
+    { twoFactorFailedAttempts: User.sequelize.literal('"twoFactorFailedAttempts" + 1') },
+    { where: { id: user.id }, returning: true }
+  );
+
+  if (!updated || updated.twoFactorFailedAttempts < MAX_FAILED_ATTEMPTS) {
+    return null;
+  }
+
+  const lockedUntil = new Date(Date.now() + LOCKOUT_MS);
+  await User.update(
+    { twoFactorFailedAttempts: 0, twoFactorLockedUntil: lockedUntil },
+    { where: { id: user.id } }
+  );
+  return lockedUntil;
+};
+
+export const clearTwoFactorFailures = user => User.update(
+  { twoFactorFailedAttempts: 0, twoFactorLockedUntil: null },
+  { where: { id: user.id, [Op.or]: [{ twoFactorFailedAttempts: { [Op.gt]: 0 } }, { twoFactorLockedUntil: { [Op.ne]: null } }] } }
+);
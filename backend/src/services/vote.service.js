@@ -0,0 +1,58 @@
+import { Op } from 'sequelize';
+import { Submission } from '../models/submission.model.js';
+import { Team } from '../models/team.model.js';
+import { Vote } from '../models/vote.model.js';
+
+/**
+ * Rank submissions by audience votes in one category. Submissions with equal
+ * votes share a rank.
+ * @param {Object} event - Event instance
+ * @param {string} category - Voting category ID
+ * @returns {Promise<Object[]>} [{ rank, id, title, team, prizeTracks, votes }]
+ */
+export const rankByVotes = async (event, category) => {
+  const tallies = await Vote.getTallies(event.id, category);
+  if (tallies.length === 0) return [];
+
+  const submissions = await Submission.findAll({
+    where: { id: { [Op.in]: tallies.map(tally => tally.submissionId) } },
+    include: [
+      {
+        model: Team,
+        as: 'team',
+        attributes: ['id', 'name'],
+      },
+    ],
+    attributes: ['id', 'title', 'prizeTracks'],
+  });
+  const submissionsById = new Map(submissions.map(submission => [submission.id, submission]));
+
+  let rank = 0;
+  return tallies
+    .filter(tally => submissionsById.has(tally.submissionId))
+    .map((tally, index, ranked) => {
+      if (index === 0 || tally.votes < ranked[index - 1].votes) rank = index + 1;
+      return {
+        rank,
+        ...submissionsById.get(tally.submissionId).get({ plain: true }),
+        votes: tally.votes,
+      };
+    });
+};
+
+/**
+ * People's Choice rankings for every voting category of an event
+ * @param {Object} event - Event instance
+ * @returns {Promise<Object[]>} [{ category, name, totalVotes, rankings }]
+ */
+export const getPeoplesChoice = async (event) => Promise.all(
+  event.getVotingCategories().map(async (category) => {
+    const rankings = await rankByVotes(event, category.id);
+    return {
+      category: category.id,
+      name: category.name,
+      totalVotes: rankings.reduce((sum, entry) => sum + entry.votes, 0),
+      rankings,
+    };
+  })
+);
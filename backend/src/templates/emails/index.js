@@ -0,0 +1,159 @@
+import { renderLayout } from './layout.js';
+import en from './locales/en.js';
+import es from './locales/es.js';
+
+const LOCALES = { en, es };
+
+export const DEFAULT_LOCALE = 'en';
+export const SUPPORTED_LOCALES = Object.keys(LOCALES);
+
+export const DEFAULT_BRANDING = {
+  appName: 'SynapEvents',
+  fromName: 'SynapEvents',
+  logoUrl: null,
+  primaryColor: '#4f46e5',
+  footerText: null,
+};
+
+const lookup = (strings, key) => key.split('.').reduce((value, part) => value?.[part], strings);
+
+/**
+ * Build a translator for a locale. Missing strings fall back to English,
+ * then to the key itself so a gap never breaks an email.
+ * @param {string} locale
+ * @returns {Function} (key, vars) => string
+ */
+export const createTranslator = (locale) => {
+  const strings = LOCALES[locale] || LOCALES[DEFAULT_LOCALE];
+
+  return (key, vars = {}) => {
+    const template = lookup(strings, key) ?? lookup(LOCALES[DEFAULT_LOCALE], key) ?? key;
+    return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => (vars[name] ?? match));
+  };
+};
+
+const notificationsUrl = () => `${process.env.FRONTEND_URL}/notifications`;
+
+// Each template returns a subject and the body as layout blocks, so the
+// HTML and plaintext versions always carry the same content
+const TEMPLATES = {
+  'verify-email': (t, context, vars) => ({
+    subject: t('verify-email.subject', vars),
+    blocks: [
+      { type: 'text', text: t('common.greeting', vars) },
+      { type: 'text', text: t('verify-email.intro', vars) },
+      { type: 'button', label: t('verify-email.action', vars), url: context.verificationLink },
+      { type: 'text', text: t('verify-email.outro', vars) },
+      { type: 'text', text: t('common.ignore', vars) },
+    ],
+  }),
+  'reset-password': (t, context, vars) => ({
+    subject: t('reset-password.subject', vars),
+    blocks: [
+      { type: 'text', text: t('common.greeting', vars) },
+      { type: 'text', text: t('reset-password.intro', vars) },
+      { type: 'button', label: t('reset-password.action', vars), url: context.resetLink },
+      { type: 'text', text: t('reset-password.outro', vars) },
+      { type: 'text', text: t('common.ignore', vars) },
+    ],
+  }),
+  'magic-link': (t, context, vars) => ({
+    subject: t('magic-link.subject', vars),
+    blocks: [
+      { type: 'text', text: t('common.greeting', vars) },
+      { type: 'text', text: t('magic-link.intro', vars) },
+      { type: 'button', label: t('magic-link.action', vars), url: context.loginLink },
+      { type: 'text', text: t('magic-link.outro', vars) },
+      { type: 'text', text: t('common.ignore', vars) },
+    ],
+  }),
+  'password-changed': (t, context, vars) => ({
+    subject: t('password-changed.subject', vars),
+    blocks: [
+      { type: 'text', text: t('common.greeting', vars) },
+      { type: 'text', text: t('password-changed.intro', vars) },
+      { type: 'text', text: t('password-changed.outro', vars) },
+    ],
+  }),
+  'check-in-ticket': (t, context, vars) => ({
+    subject: t('check-in-ticket.subject', vars),
+    blocks: [
+      { type: 'text', text: t('common.greeting', vars) },
+      { type: 'text', text: t('check-in-ticket.intro', vars) },
+      ...(context.location ? [{ type: 'text', text: t('check-in-ticket.location', vars) }] : []),
+      { type: 'image', url: context.qrUrl, alt: t('check-in-ticket.qrAlt', vars) },
+      { type: 'text', text: t('check-in-ticket.instructions', vars) },
+      { type: 'button', label: t('check-in-ticket.action', vars), url: context.ticketUrl },
+    ],
+  }),
+  'payment-receipt': (t, context, vars) => ({
+    subject: t('payment-receipt.subject', vars),
+    blocks: [
+      { type: 'text', text: t('common.greeting', vars) },
+      { type: 'text', text: t('payment-receipt.intro', vars) },
+      {
+        type: 'list',
+        items: [
+          { title: t('payment-receipt.receiptNumber', vars), text: context.receiptNumber },
+          { title: t('payment-receipt.paidAt', vars), text: context.paidAt },
+          { title: t('payment-receipt.subtotal', vars), text: context.subtotal },
+          ...(context.discount
+            ? [{
+              title: t(context.promoCode ? 'payment-receipt.discountWithCode' : 'payment-receipt.discount', vars),
+              text: `-${context.discount}`,
+            }]
+            : []),
+          { title: t('payment-receipt.total', vars), text: context.total },
+        ],
+      },
+      { type: 'button', label: t('payment-receipt.action', vars), url: context.receiptUrl },
+    ],
+  }),
+  notification: (t, context, vars) => ({
+    subject: t('notification.subject', { ...vars, title: context.notification.title }),
+    blocks: [
+      { type: 'text', text: t('common.greeting', vars) },
+      { type: 'list', items: [context.notification].map(({ title, message }) => ({ title, text: message })) },
+      { type: 'button', label: t('notification.action', vars), url: notificationsUrl() },
+    ],
+  }),
+  'notification-digest': (t, context, vars) => ({
+    subject: context.notifications.length === 1
+      ? t('notification-digest.subjectOne', vars)
+      : t('notification-digest.subject', { ...vars, count: context.notifications.length }),
+    blocks: [
+      { type: 'text', text: t('common.greeting', vars) },
+      { type: 'text', text: t('notification-digest.intro', vars) },
+      { type: 'list', items: context.notifications.map(({ title, message }) => ({ title, text: message })) },
+      { type: 'button', label: t('notification-digest.action', vars), url: notificationsUrl() },
+    ],
+  }),
+};
+
+export const EMAIL_TEMPLATES = Object.keys(TEMPLATES);
+
+/**
+ * Render an email template in the recipient's language and the event's branding
+ * @param {string} template - One of EMAIL_TEMPLATES
+ * @param {Object} context - Template data (name, links, notifications, ...)
+ * @param {Object} [options]
+ * @param {string} [options.locale] - Recipient locale, defaults to English
+ * @param {Object} [options.branding] - Overrides for DEFAULT_BRANDING
+ * @returns {{ subject: string, html: string, text: string }}
+ */
+export const renderEmail = (template, context = {}, options = {}) => {
+  const build = TEMPLATES[template];
+  if (!build) {
+    throw new Error(`Unknown email template "${template}"`);
+  }
+
+  const locale = LOCALES[options.locale] ? options.locale : DEFAULT_LOCALE;
+  const branding = { ...DEFAULT_BRANDING, ...options.branding };
+  const t = createTranslator(locale);
+  const vars = { ...context, appName: branding.appName };
+
+  const { subject, blocks } = build(t, context, vars);
+  const { html, text } = renderLayout({ subject, blocks, branding, t, locale });
+
+  return { subject, html, text };
+};
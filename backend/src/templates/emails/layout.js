@@ -0,0 +1,103 @@
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const renderBlockHtml = (block, branding, t) => {
+  switch (block.type) {
+    case 'button':
+      return `
+        <p style="margin:24px 0;">
+          <a href="${escapeHtml(block.url)}" style="display:inline-block;padding:12px 24px;border-radius:6px;background:${escapeHtml(branding.primaryColor)};color:#ffffff;text-decoration:none;font-weight:600;">${escapeHtml(block.label)}</a>
+        </p>
+        <p style="margin:0 0 16px;font-size:12px;color:#6b7280;">${escapeHtml(t('common.buttonFallback'))}<br><a href="${escapeHtml(block.url)}" style="color:#6b7280;">${escapeHtml(block.url)}</a></p>`;
+    case 'image':
+      return `
+        <p style="margin:24px 0;text-align:center;">
+          <img src="${escapeHtml(block.url)}" alt="${escapeHtml(block.alt)}" width="${escapeHtml(block.width || 240)}" style="max-width:100%;">
+        </p>`;
+    case 'list':
+      return `
+        <ul style="margin:0 0 16px;padding:0;list-style:none;">${block.items.map(item => `
+          <li style="padding:12px 0;border-bottom:1px solid #e5e7eb;">
+            <strong>${escapeHtml(item.title)}</strong><br>
+            <span style="color:#374151;">${escapeHtml(item.text)}</span>
+          </li>`).join('')}
+        </ul>`;
+    default:
+      return `<p style="margin:0 0 16px;">${escapeHtml(block.text)}</p>`;
+  }
+};
+
+const renderBlockText = (block) => {
+  switch (block.type) {
+    case 'button':
+      return `${block.label}: ${block.url}`;
+    case 'image':
+      return `${block.alt}: ${block.url}`;
+    case 'list':
+      return block.items.map(item => `- ${item.title}\n  ${item.text}`).join('\n');
+    default:
+      return block.text;
+  }
+};
+
+/**
+ * Wrap template blocks in the branded layout
+ * @param {Object} options
+ * @param {string} options.subject - Rendered subject, used as the HTML title
+ * @param {Object[]} options.blocks - [{ type: 'text' | 'button' | 'image' | 'list', ... }]
+ * @param {Object} options.branding - { appName, logoUrl, primaryColor, footerText }
+ * @param {Function} options.t - Translator for the recipient's locale
+ * @param {string} options.locale - Recipient locale
+ * @returns {{ html: string, text: string }}
+ */
+export const renderLayout = ({ subject, blocks, branding, t, locale }) => {
+  const footer = branding.footerText || t('common.footer', { appName: branding.appName });
+  const settingsUrl = `${process.env.FRONTEND_URL}/settings/notifications`;
+  const header = branding.logoUrl
+    ? `<img src="${escapeHtml(branding.logoUrl)}" alt="${escapeHtml(branding.appName)}" style="max-height:40px;">`
+    : `<span style="font-size:20px;font-weight:700;color:${escapeHtml(branding.primaryColor)};">${escapeHtml(branding.appName)}</span>`;
+
+  const html = `<!DOCTYPE html>
+<html lang="${escapeHtml(locale)}">
+  <head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <title>${escapeHtml(subject)}</title>
+  </head>
+  <body style="margin:0;padding:0;background:#f3f4f6;font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,Helvetica,Arial,sans-serif;color:#111827;line-height:1.5;">
+    <table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="padding:24px 0;">
+      <tr>
+        <td align="center">
+          <table role="presentation" width="600" cellpadding="0" cellspacing="0" style="max-width:600px;width:100%;background:#ffffff;border-radius:8px;border-top:4px solid ${escapeHtml(branding.primaryColor)};">
+            <tr><td style="padding:24px 32px 0;">${header}</td></tr>
+            <tr>
+              <td style="padding:24px 32px;">${blocks.map(block => renderBlockHtml(block, branding, t)).join('')}
+              </td>
+            </tr>
+            <tr>
+              <td style="padding:16px 32px 24px;border-top:1px solid #e5e7eb;font-size:12px;color:#6b7280;">
+                ${escapeHtml(footer)}<br>
+                <a href="${escapeHtml(settingsUrl)}" style="color:#6b7280;">${escapeHtml(t('common.manageNotifications'))}</a>
+              </td>
+            </tr>
+          </table>
+        </td>
+      </tr>
+    </table>
+  </body>
+</html>
+`;
+
+  const text = [
+    ...blocks.map(renderBlockText),
+    '--',
+    footer,
+    `${t('common.manageNotifications')}: ${settingsUrl}`,
+  ].join('\n\n');
+
+  return { html, text };
+};
@@ -0,0 +1,62 @@
+// Strings use {{name}} placeholders; values are HTML-escaped when rendered
+export default {
+  common: {
+    greeting: 'Hi {{name}},',
+    footer: 'You are receiving this email because you have an account on {{appName}}.',
+    manageNotifications: 'Manage notification settings',
+    ignore: 'If you did not request this, you can safely ignore this email.',
+    buttonFallback: 'If the button does not work, copy this link into your browser:',
+  },
+  'verify-email': {
+    subject: 'Verify your email',
+    intro: 'Thanks for signing up for {{appName}}. Please confirm your email address to finish setting up your account.',
+    action: 'Verify email',
+    outro: 'This link expires in 24 hours.',
+  },
+  'reset-password': {
+    subject: 'Reset your password',
+    intro: 'We received a request to reset the password for your {{appName}} account.',
+    action: 'Reset password',
+    outro: 'This link expires in {{expiresIn}}.',
+  },
+  'magic-link': {
+    subject: 'Your sign-in link for {{appName}}',
+    intro: 'Use the button below to sign in to {{appName}} without a password.',
+    action: 'Sign in',
+    outro: 'This link works once and expires in {{expiresIn}}.',
+  },
+  'password-changed': {
+    subject: 'Your password was changed',
+    intro: 'The password for your {{appName}} account was just changed.',
+    outro: 'If you did not make this change, reset your password right away and contact support.',
+  },
+  'check-in-ticket': {
+    subject: 'Your ticket for {{eventTitle}}',
+    intro: 'You are registered for {{eventTitle}}, starting {{startDate}}.',
+    location: 'Location: {{location}}',
+    instructions: 'Show this QR code at the entrance to check in. It is personal, so please do not share it.',
+    qrAlt: 'Check-in QR code',
+    action: 'Open your ticket',
+  },
+  'payment-receipt': {
+    subject: 'Receipt for {{eventTitle}}',
+    intro: 'Thanks for your payment. Your registration for {{eventTitle}} is confirmed.',
+    receiptNumber: 'Receipt number',
+    paidAt: 'Paid on',
+    subtotal: 'Registration fee',
+    discount: 'Discount',
+    discountWithCode: 'Discount ({{promoCode}})',
+    total: 'Total paid',
+    action: 'View receipt',
+  },
+  notification: {
+    subject: '{{title}}',
+    action: 'View in {{appName}}',
+  },
+  'notification-digest': {
+    subject: 'You have {{count}} unread notifications',
+    subjectOne: 'You have 1 unread notification',
+    intro: 'Here is what happened since your last digest:',
+    action: 'Open notifications',
+  },
+};
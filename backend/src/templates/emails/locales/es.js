@@ -0,0 +1,61 @@
+export default {
+  common: {
+    greeting: 'Hola {{name}}:',
+    footer: 'Recibes este correo porque tienes una cuenta en {{appName}}.',
+    manageNotifications: 'Gestionar notificaciones',
+    ignore: 'Si no lo solicitaste, puedes ignorar este correo.',
+    buttonFallback: 'Si el botón no funciona, copia este enlace en tu navegador:',
+  },
+  'verify-email': {
+    subject: 'Verifica tu correo electrónico',
+    intro: 'Gracias por registrarte en {{appName}}. Confirma tu dirección de correo para terminar de configurar tu cuenta.',
+    action: 'Verificar correo',
+    outro: 'Este enlace caduca en 24 horas.',
+  },
+  'reset-password': {
+    subject: 'Restablece tu contraseña',
+    intro: 'Recibimos una solicitud para restablecer la contraseña de tu cuenta de {{appName}}.',
+    action: 'Restablecer contraseña',
+    outro: 'Este enlace caduca en {{expiresIn}}.',
+  },
+  'magic-link': {
+    subject: 'Tu enlace para entrar en {{appName}}',
+    intro: 'Usa el botón de abajo para entrar en {{appName}} sin contraseña.',
+    action: 'Entrar',
+    outro: 'Este enlace solo funciona una vez y caduca en {{expiresIn}}.',
+  },
+  'password-changed': {
+    subject: 'Tu contraseña ha cambiado',
+    intro: 'La contraseña de tu cuenta de {{appName}} acaba de cambiar.',
+    outro: 'Si no hiciste este cambio, restablece tu contraseña de inmediato y contacta con soporte.',
+  },
+  'check-in-ticket': {
+    subject: 'Tu entrada para {{eventTitle}}',
+    intro: 'Estás inscrito en {{eventTitle}}, que empieza el {{startDate}}.',
+    location: 'Lugar: {{location}}',
+    instructions: 'Muestra este código QR en la entrada para registrar tu llegada. Es personal, no lo compartas.',
+    qrAlt: 'Código QR de acceso',
+    action: 'Abrir tu entrada',
+  },
+  'payment-receipt': {
+    subject: 'Recibo de {{eventTitle}}',
+    intro: 'Gracias por tu pago. Tu inscripción en {{eventTitle}} está confirmada.',
+    receiptNumber: 'Número de recibo',
+    paidAt: 'Fecha de pago',
+    subtotal: 'Cuota de inscripción',
+    discount: 'Descuento',
+    discountWithCode: 'Descuento ({{promoCode}})',
+    total: 'Total pagado',
+    action: 'Ver recibo',
+  },
+  notification: {
+    subject: '{{title}}',
+    action: 'Ver en {{appName}}',
+  },
+  'notification-digest': {
+    subject: 'Tienes {{count}} notificaciones sin leer',
+    subjectOne: 'Tienes 1 notificación sin leer',
+    intro: 'Esto es lo que ha pasado desde tu último resumen:',
+    action: 'Abrir notificaciones',
+  },
+};
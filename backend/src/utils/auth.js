@@ -32,17 +32,20 @@ export const verifyToken = (token, secret) => {
 /**
  * Generate access and refresh tokens for a user
  * @param {Object} user - The user object
+ * @param {Object} [options]
+ * @param {string} [options.sessionId] - Session the tokens belong to (`sid`)
+ * @param {string} [options.tokenId] - ID of the stored refresh token (`jti`)
  * @returns {Object} Tokens and user data
  */
-export const generateAuthTokens = (user) => {
+export const generateAuthTokens = (user, { sessionId, tokenId } = {}) => {
   const accessToken = generateToken(
-    { id: user.id, role: user.role },
+    { id: user.id, role: user.role, sid: sessionId },
     process.env.JWT_SECRET,
     process.env.JWT_EXPIRES_IN || '15m'
   );
 
   const refreshToken = generateToken(
-    { id: user.id },
+    { id: user.id, sid: sessionId, jti: tokenId },
     process.env.JWT_REFRESH_SECRET,
     process.env.JWT_REFRESH_EXPIRES_IN || '7d'
   );
@@ -0,0 +1,147 @@
+/**
+ * Judging criteria schema and weighted scoring.
+ *
+ * Each criterion is scored by judges on its own 0..maxScore scale. The
+ * evaluation total normalizes every criterion to a fraction of its maximum
+ * and weights it, so the total always lands on the 0-100 evaluation scale
+ * regardless of how many criteria an event defines.
+ */
+import { z } from 'zod';
+
+const SCORE_MAX = 100;
+
+const rubricLevelSchema = z.object({
+  score: z.number().min(0),
+  label: z.string().trim().min(1).max(100),
+  description: z.string().max(1000).optional(),
+});
+
+const criterionSchema = z.object({
+  id: z.string().trim().min(1).max(50),
+  name: z.string().trim().min(1).max(100),
+  description: z.string().max(2000).optional(),
+  maxScore: z.number().positive().default(10),
+  weight: z.number().positive().default(1),
+  rubric: z.array(rubricLevelSchema).default([]),
+}).refine(
+  criterion => criterion.rubric.every(level => level.score <= criterion.maxScore),
+  { message: 'Rubric level scores cannot exceed maxScore', path: ['rubric'] }
+);
+
+export const judgingCriteriaSchema = z.array(criterionSchema).superRefine((criteria, ctx) => {
+  const seen = new Set();
+  criteria.forEach((criterion, index) => {
+    if (seen.has(criterion.id)) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        message: `Duplicate criterion id "${criterion.id}"`,
+        path: [index, 'id'],
+      });
+    }
+    seen.add(criterion.id);
+  });
+});
+
+const round2 = value => Math.round(value * 100) / 100;
+
+/**
+ * Validate event judging criteria and fill in defaults
+ * @param {*} criteria - Raw judgingCriteria from the request body
+ * @returns {{ criteria: Object[]|null, errors: Object[]|null }} Parsed criteria, or errors shaped like validateRequest's
+ */
+export const parseJudgingCriteria = (criteria) => {
+  const result = judgingCriteriaSchema.safeParse(criteria ?? []);
+
+  if (result.success) {
+    return { criteria: result.data, errors: null };
+  }
+
+  return {
+    criteria: null,
+    errors: result.error.issues.map(issue => ({
+      field: ['judgingCriteria', ...issue.path].join('.'),
+      message: issue.message,
+    })),
+  };
+};
+
+/**
+ * Check a judge's per-criterion scores against the criteria being judged
+ * @param {Object[]} criteria - Parsed criteria
+ * @param {Object} criteriaScores - Map of criterion id to score
+ * @returns {string|null} Error message, or null when valid
+ */
+export const validateCriteriaScores = (criteria, criteriaScores = {}) => {
+  if (!criteriaScores || typeof criteriaScores !== 'object' || Array.isArray(criteriaScores)) {
+    return 'Criteria scores must be an object keyed by criterion id';
+  }
+
+  for (const criterion of criteria) {
+    if (!(criterion.id in criteriaScores)) {
+      return `Score for criterion "${criterion.name}" is required`;
+    }
+
+    const score = parseFloat(criteriaScores[criterion.id]);
+    if (Number.isNaN(score) || score < 0 || score > criterion.maxScore) {
+      return `Score for criterion "${criterion.name}" must be between 0 and ${criterion.maxScore}`;
+    }
+  }
+
+  const known = new Set(criteria.map(criterion => criterion.id));
+  const unknown = Object.keys(criteriaScores).find(id => !known.has(id));
+  if (unknown) {
+    return `Unknown criterion "${unknown}"`;
+  }
+
+  return null;
+};
+
+/**
+ * Weighted evaluation total on the 0-100 scale
+ * @param {Object[]} criteria - Parsed criteria
+ * @param {Object} criteriaScores - Map of criterion id to score
+ * @returns {number|null} Total, or null when there are no criteria
+ */
+export const calculateWeightedScore = (criteria, criteriaScores = {}) => {
+  if (!criteria || criteria.length === 0) return null;
+
+  const totalWeight = criteria.reduce((sum, criterion) => sum + (criterion.weight ?? 1), 0);
+  const weighted = criteria.reduce((sum, criterion) => {
+    const score = parseFloat(criteriaScores[criterion.id]) || 0;
+    return sum + (score / (criterion.maxScore || 1)) * (criterion.weight ?? 1);
+  }, 0);
+
+  return round2((weighted / totalWeight) * SCORE_MAX);
+};
+
+/**
+ * Average each criterion across evaluations, per submission
+ * @param {Object[]} criteria - Parsed criteria
+ * @param {Object[]} evaluations - Evaluations ({ submissionId, criteriaScores })
+ * @returns {Map<string, Object>} Submission id to { [criterionId]: averageScore }
+ */
+export const summarizeCriteriaScores = (criteria, evaluations) => {
+  const totals = new Map();
+
+  for (const evaluation of evaluations) {
+    if (!totals.has(evaluation.submissionId)) totals.set(evaluation.submissionId, {});
+    const submissionTotals = totals.get(evaluation.submissionId);
+
+    for (const criterion of criteria) {
+      const score = parseFloat(evaluation.criteriaScores?.[criterion.id]);
+      if (Number.isNaN(score)) continue;
+
+      const total = submissionTotals[criterion.id] || { sum: 0, count: 0 };
+      submissionTotals[criterion.id] = { sum: total.sum + score, count: total.count + 1 };
+    }
+  }
+
+  const summaries = new Map();
+  for (const [submissionId, submissionTotals] of totals) {
+    summaries.set(submissionId, Object.fromEntries(
+      Object.entries(submissionTotals).map(([criterionId, { sum, count }]) => [criterionId, round2(sum / count)])
+    ));
+  }
+
+  return summaries;
+};
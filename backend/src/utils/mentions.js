@@ -0,0 +1,17 @@
+// Mentions are written as @[Display Name](user-uuid) by the client's
+// autocomplete, so renames never break them and no name lookup is needed
+export const MENTION_PATTERN = /@\[([^\]\n]{1,100})\]\(([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})\)/gi;
+
+/**
+ * Extract the mentioned user IDs from comment content
+ * @param {string} content
+ * @returns {string[]} Unique user IDs in order of first mention
+ */
+export const parseMentions = (content = '') => [
+  ...new Set([...content.matchAll(MENTION_PATTERN)].map(match => match[2].toLowerCase())),
+];
+
+/**
+ * Replace mention markup with plain @Name, e.g. for notification text
+ */
+export const stripMentions = (content = '') => content.replace(MENTION_PATTERN, (match, name) => `@${name}`);
@@ -0,0 +1,126 @@
+/**
+ * Pairwise comparison ranking.
+ *
+ * Judges pick the better of two submissions instead of scoring on an
+ * absolute scale. Strengths are fitted with the Bradley–Terry model, where
+ * P(i beats j) = p_i / (p_i + p_j), using the MM algorithm (Hunter, 2004).
+ */
+
+export const JUDGING_MODES = ['score', 'pairwise'];
+
+const MAX_ITERATIONS = 200;
+const TOLERANCE = 1e-6;
+
+// Every submission plays one virtual win and one virtual loss against an
+// average opponent. This keeps undefeated or winless submissions finite and
+// pulls submissions with few comparisons towards the middle.
+const PRIOR_GAMES = 1;
+
+const round2 = value => Math.round(value * 100) / 100;
+
+/**
+ * Fit Bradley–Terry strengths
+ * @param {string[]} submissionIds - Submissions to rank
+ * @param {Object[]} comparisons - ({ submissionAId, submissionBId, winnerId }); a null winner is a tie
+ * @returns {Map<string, { rawScore: number, normalizedScore: number, evaluationCount: number }>}
+ *   rawScore is the observed win rate and normalizedScore the modelled chance of
+ *   beating an average submission, both on a 0-100 scale
+ */
+export const bradleyTerry = (submissionIds, comparisons) => {
+  const ids = new Set(submissionIds);
+  const wins = new Map(submissionIds.map(id => [id, 0]));
+  const games = new Map(submissionIds.map(id => [id, new Map()]));
+  const played = new Map(submissionIds.map(id => [id, 0]));
+
+  for (const { submissionAId, submissionBId, winnerId } of comparisons) {
+    if (!ids.has(submissionAId) || !ids.has(submissionBId)) continue;
+
+    // Ties count as half a win for each side
+    const scoreA = winnerId === submissionAId ? 1 : winnerId === submissionBId ? 0 : 0.5;
+    wins.set(submissionAId, wins.get(submissionAId) + scoreA);
+    wins.set(submissionBId, wins.get(submissionBId) + 1 - scoreA);
+
+    games.get(submissionAId).set(submissionBId, (games.get(submissionAId).get(submissionBId) || 0) + 1);
+    games.get(submissionBId).set(submissionAId, (games.get(submissionBId).get(submissionAId) || 0) + 1);
+    played.set(submissionAId, played.get(submissionAId) + 1);
+    played.set(submissionBId, played.get(submissionBId) + 1);
+  }
+
+  let strengths = new Map(submissionIds.map(id => [id, 1]));
+
+  for (let iteration = 0; iteration < MAX_ITERATIONS; iteration++) {
+    const next = new Map();
+
+    for (const id of submissionIds) {
+      const strength = strengths.get(id);
+      // The virtual opponent always has strength 1
+      let denominator = (2 * PRIOR_GAMES) / (strength + 1);
+      for (const [opponentId, count] of games.get(id)) {
+        denominator += count / (strength + strengths.get(opponentId));
+      }
+      next.set(id, (wins.get(id) + PRIOR_GAMES) / denominator);
+    }
+
+    // Rescale to a geometric mean of 1 so "average" stays at strength 1
+    const logMean = submissionIds.reduce((sum, id) => sum + Math.log(next.get(id)), 0) / (submissionIds.length || 1);
+    const scale = Math.exp(logMean);
+    const change = submissionIds.reduce(
+      (max, id) => Math.max(max, Math.abs(next.get(id) / scale - strengths.get(id))),
+      0
+    );
+
+    strengths = new Map(submissionIds.map(id => [id, next.get(id) / scale]));
+    if (change < TOLERANCE) break;
+  }
+
+  const results = new Map();
+  for (const id of submissionIds) {
+    const count = played.get(id);
+    if (count === 0) continue;
+
+    const strength = strengths.get(id);
+    results.set(id, {
+      rawScore: round2((wins.get(id) / count) * 100),
+      normalizedScore: round2((strength / (strength + 1)) * 100),
+      evaluationCount: count,
+    });
+  }
+
+  return results;
+};
+
+/**
+ * Choose the next pair for a judge: the least-compared submission, matched
+ * with the least-compared submission this judge has not already paired it
+ * with. Spreading comparisons evenly keeps every strength estimate usable.
+ * @param {string[]} submissionIds - Submissions the judge may see
+ * @param {Object[]} comparisons - All comparisons in the round
+ * @param {string} judgeId - Judge asking for a pair
+ * @returns {[string, string]|null} Pair of submission IDs, or null when the judge has seen every pair
+ */
+export const selectPair = (submissionIds, comparisons, judgeId) => {
+  const counts = new Map(submissionIds.map(id => [id, 0]));
+  const seen = new Set();
+  const pairKey = (a, b) => (a < b ? `${a}:${b}` : `${b}:${a}`);
+
+  for (const { submissionAId, submissionBId, judgeId: comparedBy } of comparisons) {
+    if (counts.has(submissionAId)) counts.set(submissionAId, counts.get(submissionAId) + 1);
+    if (counts.has(submissionBId)) counts.set(submissionBId, counts.get(submissionBId) + 1);
+    if (comparedBy === judgeId) seen.add(pairKey(submissionAId, submissionBId));
+  }
+
+  // Shuffle before sorting so ties between equally compared submissions vary
+  const ordered = [...submissionIds]
+    .map(id => ({ id, tiebreak: Math.random() }))
+    .sort((a, b) => counts.get(a.id) - counts.get(b.id) || a.tiebreak - b.tiebreak)
+    .map(({ id }) => id);
+
+  for (const first of ordered) {
+    const second = ordered.find(id => id !== first && !seen.has(pairKey(first, id)));
+    if (second) {
+      return Math.random() < 0.5 ? [first, second] : [second, first];
+    }
+  }
+
+  return null;
+};
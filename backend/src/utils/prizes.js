@@ -0,0 +1,100 @@
+/**
+ * Prize track schema.
+ *
+ * Tracks live in `Event.prizes` and describe how each prize is resolved:
+ * `overall` follows the leaderboard, `criterion` the best average on one
+ * judging criterion, `sponsor` the leaderboard among opted-in submissions,
+ * and `audience` the audience votes in `votingCategory`.
+ */
+import { z } from 'zod';
+
+export const PRIZE_TRACK_TYPES = ['overall', 'criterion', 'sponsor', 'audience'];
+
+const eligibilitySchema = z.object({
+  optInRequired: z.boolean().optional(),
+  minEvaluations: z.number().int().min(0).default(1),
+  excludePreviousWinners: z.boolean().default(false),
+});
+
+const prizeTrackSchema = z.object({
+  id: z.string().trim().min(1).max(50),
+  name: z.string().trim().min(1).max(100),
+  description: z.string().max(2000).optional(),
+  type: z.enum(PRIZE_TRACK_TYPES).default('overall'),
+  criterionId: z.string().optional(),
+  sponsor: z.string().max(100).optional(),
+  votingCategory: z.string().optional(),
+  places: z.number().int().min(1).max(10).default(1),
+  rewards: z.array(z.string().max(200)).default([]),
+  eligibility: eligibilitySchema.default({}),
+}).superRefine((track, ctx) => {
+  if (track.type === 'criterion' && !track.criterionId) {
+    ctx.addIssue({
+      code: z.ZodIssueCode.custom,
+      message: 'criterionId is required for criterion tracks',
+      path: ['criterionId'],
+    });
+  }
+
+  if (track.type === 'sponsor' && !track.sponsor) {
+    ctx.addIssue({
+      code: z.ZodIssueCode.custom,
+      message: 'sponsor is required for sponsor tracks',
+      path: ['sponsor'],
+    });
+  }
+}).transform(track => ({
+  ...track,
+  eligibility: {
+    ...track.eligibility,
+    // Sponsor prizes are opt-in unless the organizer says otherwise
+    optInRequired: track.eligibility.optInRequired ?? track.type === 'sponsor',
+  },
+}));
+
+export const prizeTracksSchema = z.array(prizeTrackSchema).superRefine((tracks, ctx) => {
+  const seen = new Set();
+  tracks.forEach((track, index) => {
+    if (seen.has(track.id)) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        message: `Duplicate prize track id "${track.id}"`,
+        path: [index, 'id'],
+      });
+    }
+    seen.add(track.id);
+  });
+});
+
+/**
+ * Validate event prize tracks and fill in defaults
+ * @param {*} prizes - Raw prizes from the request body
+ * @param {Object[]} [criteria] - Event judging criteria, to check criterion tracks against
+ * @returns {{ prizes: Object[]|null, errors: Object[]|null }} Parsed tracks, or errors shaped like validateRequest's
+ */
+export const parsePrizeTracks = (prizes, criteria = []) => {
+  const result = prizeTracksSchema.safeParse(prizes ?? []);
+
+  if (!result.success) {
+    return {
+      prizes: null,
+      errors: result.error.issues.map(issue => ({
+        field: ['prizes', ...issue.path].join('.'),
+        message: issue.message,
+      })),
+    };
+  }
+
+  const criterionIds = new Set(criteria.map(criterion => criterion.id));
+  const errors = result.data
+    .map((track, index) => (
+      track.type === 'criterion' && !criterionIds.has(track.criterionId)
+        ? { field: `prizes.${index}.criterionId`, message: `Unknown criterion "${track.criterionId}"` }
+        : null
+    ))
+    .filter(Boolean);
+
+  return errors.length > 0
+    ? { prizes: null, errors }
+    : { prizes: result.data, errors: null };
+};
@@ -0,0 +1,287 @@
+/**
+ * Registration form schema.
+ *
+ * Forms live in `Event.registrationForm` as an ordered list of fields.
+ * A field can depend on an earlier answer through `showIf`; hidden fields
+ * are neither required nor stored. Answers end up in
+ * `EventParticipant.registrationData`, keyed by field id.
+ */
+import { z } from 'zod';
+
+export const FORM_FIELD_TYPES = [
+  'text',
+  'textarea',
+  'email',
+  'number',
+  'select',
+  'multiselect',
+  'checkbox',
+  'file',
+  'consent',
+];
+
+const CHOICE_TYPES = ['select', 'multiselect'];
+
+const optionSchema = z.object({
+  value: z.string().trim().min(1).max(100),
+  label: z.string().trim().min(1).max(200),
+});
+
+const conditionSchema = z.object({
+  fieldId: z.string().min(1),
+  equals: z.union([z.string(), z.number(), z.boolean()]).optional(),
+  in: z.array(z.union([z.string(), z.number()])).optional(),
+  notEmpty: z.boolean().optional(),
+});
+
+const fieldSchema = z.object({
+  id: z.string().regex(/^[a-zA-Z][\w-]{0,49}$/, 'Field ids start with a letter and use letters, digits, - or _'),
+  label: z.string().trim().min(1).max(200),
+  description: z.string().max(2000).optional(),
+  type: z.enum(FORM_FIELD_TYPES),
+  required: z.boolean().default(false),
+  placeholder: z.string().max(200).optional(),
+  options: z.array(optionSchema).optional(),
+  maxLength: z.number().int().min(1).max(10000).optional(),
+  min: z.number().optional(),
+  max: z.number().optional(),
+  minSelections: z.number().int().min(0).optional(),
+  maxSelections: z.number().int().min(1).optional(),
+  accept: z.array(z.string()).optional(),
+  maxSizeMb: z.number().positive().max(25).default(5),
+  showIf: conditionSchema.optional(),
+}).superRefine((field, ctx) => {
+  if (CHOICE_TYPES.includes(field.type)) {
+    const values = (field.options || []).map(option => option.value);
+
+    if (values.length === 0) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        message: `${field.type} fields need at least one option`,
+        path: ['options'],
+      });
+    } else if (new Set(values).size !== values.length) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        message: 'Option values must be unique',
+        path: ['options'],
+      });
+    }
+  }
+
+  if (field.min !== undefined && field.max !== undefined && field.min > field.max) {
+    ctx.addIssue({
+      code: z.ZodIssueCode.custom,
+      message: 'min must not be greater than max',
+      path: ['min'],
+    });
+  }
+}).transform(field => ({
+  ...field,
+  // Consent only means something when it has to be given
+  required: field.type === 'consent' ? true : field.required,
+}));
+
+export const registrationFormSchema = z.array(fieldSchema).max(100).superRefine((fields, ctx) => {
+  const seen = new Set();
+
+  fields.forEach((field, index) => {
+    if (seen.has(field.id)) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        message: `Duplicate field id "${field.id}"`,
+        path: [index, 'id'],
+      });
+    }
+
+    // Conditions may only look back, which rules out cycles
+    if (field.showIf && !seen.has(field.showIf.fieldId)) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        message: `showIf must refer to an earlier field, not "${field.showIf.fieldId}"`,
+        path: [index, 'showIf', 'fieldId'],
+      });
+    }
+
+    seen.add(field.id);
+  });
+});
+
+/**
+ * Validate an event registration form and fill in defaults
+ * @param {*} form - Raw form from the request body
+ * @returns {{ form: Object[]|null, errors: Object[]|null }} Parsed fields, or errors shaped like validateRequest's
+ */
+export const parseRegistrationForm = (form) => {
+  const result = registrationFormSchema.safeParse(form ?? []);
+
+  if (!result.success) {
+    return {
+      form: null,
+      errors: result.error.issues.map(issue => ({
+        field: ['registrationForm', ...issue.path].join('.'),
+        message: issue.message,
+      })),
+    };
+  }
+
+  return { form: result.data, errors: null };
+};
+
+const isEmpty = value => (
+  value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0)
+);
+
+/**
+ * Whether a field is shown given the answers so far
+ */
+export const isFieldVisible = (field, answers) => {
+  if (!field.showIf) return true;
+
+  const { fieldId, equals, in: oneOf, notEmpty } = field.showIf;
+  const answer = answers[fieldId];
+  const values = Array.isArray(answer) ? answer : [answer];
+
+  if (equals !== undefined) return values.includes(equals);
+  if (oneOf !== undefined) return values.some(value => oneOf.includes(value));
+  if (notEmpty) return !isEmpty(answer);
+
+  return true;
+};
+
+// Returns the cleaned answer, or an error message
+const validateAnswer = (field, value, file) => {
+  const optionValues = (field.options || []).map(option => option.value);
+
+  switch (field.type) {
+    case 'text':
+    case 'textarea':
+    case 'email': {
+      if (typeof value !== 'string') return { error: 'Must be text' };
+
+      const text = value.trim();
+      const maxLength = field.maxLength || (field.type === 'textarea' ? 5000 : 500);
+      if (text.length > maxLength) return { error: `Must be at most ${maxLength} characters` };
+      if (field.type === 'email' && !z.string().email().safeParse(text).success) {
+        return { error: 'Must be a valid email address' };
+      }
+      return { value: text };
+    }
+    case 'number': {
+      const number = typeof value === 'string' ? Number(value) : value;
+      if (typeof number !== 'number' || Number.isNaN(number)) return { error: 'Must be a number' };
+      if (field.min !== undefined && number < field.min) return { error: `Must be at least ${field.min}` };
+      if (field.max !== undefined && number > field.max) return { error: `Must be at most ${field.max}` };
+      return { value: number };
+    }
+    case 'select':
+      return optionValues.includes(value) ? { value } : { error: 'Choose one of the listed options' };
+    case 'multiselect': {
+      const selected = Array.isArray(value) ? [...new Set(value)] : [value];
+      if (selected.some(item => !optionValues.includes(item))) return { error: 'Choose from the listed options' };
+      if (field.minSelections !== undefined && selected.length < field.minSelections) {
+        return { error: `Choose at least ${field.minSelections}` };
+      }
+      if (field.maxSelections !== undefined && selected.length > field.maxSelections) {
+        return { error: `Choose at most ${field.maxSelections}` };
+      }
+      return { value: selected };
+    }
+    case 'checkbox':
+    case 'consent': {
+      const checked = value === true || value === 'true';
+      if (field.type === 'consent' && !checked) return { error: 'Consent is required' };
+      if (field.required && !checked) return { error: 'Must be checked' };
+      return { value: checked };
+    }
+    case 'file':
+      if (!file) return { error: 'Upload a file' };
+      if (field.accept?.length && !field.accept.includes(file.mimetype)) {
+        return { error: `File type must be one of: ${field.accept.join(', ')}` };
+      }
+      if (file.size > field.maxSizeMb * 1024 * 1024) return { error: `File must be at most ${field.maxSizeMb}MB` };
+      return { value: file };
+    default:
+      return { error: 'Unsupported field type' };
+  }
+};
+
+/**
+ * Check registration answers against an event's form. Answers to hidden or
+ * unknown fields are dropped. File fields come back as the uploaded file
+ * objects; the caller stores them and replaces them with their location.
+ * @param {Object[]} form - Parsed registration form
+ * @param {Object} answers - Answers keyed by field id
+ * @param {Object} [files] - Uploaded files keyed by field id
+ * @returns {{ data: Object|null, errors: Object[]|null }}
+ */
+export const validateRegistrationAnswers = (form, answers = {}, files = {}) => {
+  const data = {};
+  const errors = [];
+
+  for (const field of form) {
+    // Conditions see the cleaned answers, so a hidden field never unlocks another
+    if (!isFieldVisible(field, data)) continue;
+
+    const value = field.type === 'file' ? files[field.id] : answers[field.id];
+    const missing = field.type === 'checkbox' ? false : isEmpty(value);
+
+    if (missing) {
+      if (field.required) {
+        errors.push({ field: `answers.${field.id}`, message: `${field.label} is required` });
+      }
+      continue;
+    }
+
+    const result = validateAnswer(field, value, files[field.id]);
+    if (result.error) {
+      errors.push({ field: `answers.${field.id}`, message: `${field.label}: ${result.error}` });
+    } else {
+      data[field.id] = result.value;
+    }
+  }
+
+  return errors.length > 0 ? { data: null, errors } : { data, errors: null };
+};
+
+const formatAnswer = (field, value) => {
+  if (value === undefined || value === null) return '';
+
+  switch (field.type) {
+    case 'multiselect':
+      return value.join('; ');
+    case 'checkbox':
+    case 'consent':
+      return value ? 'yes' : 'no';
+    case 'file':
+      return value.url || '';
+    default:
+      return String(value);
+  }
+};
+
+// Quote every cell, and defuse values a spreadsheet would run as a formula
+const csvCell = (value) => {
+  const text = String(value ?? '');
+  const safe = /^[=+\-@\t\r]/.test(text) ? `'${text}` : text;
+  return `"${safe.replace(/"/g, '""')}"`;
+};
+
+/**
+ * Build a CSV of registrations with one column per form field
+ * @param {Object[]} form - Registration form, which gives the columns
+ * @param {Object[]} rows - [{ name, email, status, registeredAt, answers }]
+ * @returns {string}
+ */
+export const registrationsToCsv = (form, rows) => {
+  const header = ['Name', 'Email', 'Status', 'Registered at', ...form.map(field => field.label)];
+  const lines = rows.map(row => [
+    row.name,
+    row.email,
+    row.status,
+    row.registeredAt ? new Date(row.registeredAt).toISOString() : '',
+    ...form.map(field => formatAnswer(field, row.answers?.[field.id])),
+  ]);
+
+  return [header, ...lines].map(line => line.map(csvCell).join(',')).join('\r\n');
+};
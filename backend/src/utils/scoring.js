@@ -0,0 +1,149 @@
+/**
+ * Score aggregation and normalization for judge evaluations.
+ *
+ * Judges score on different internal scales: some never go below 70, others
+ * rarely above 50. The per-judge strategies rescale each judge's scores
+ * against their own distribution before averaging, while the robust
+ * strategies limit the influence of a single outlier per submission.
+ */
+
+export const NORMALIZATION_STRATEGIES = ['none', 'zscore', 'minmax', 'trimmed_mean', 'median'];
+
+export const DEFAULT_TRIM_PERCENT = 0.2;
+
+const SCORE_MAX = 100;
+
+const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+const standardDeviation = (values, avg = mean(values)) => Math.sqrt(
+  values.reduce((sum, value) => sum + (value - avg) ** 2, 0) / values.length
+);
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+};
+
+const trimmedMean = (values, trimPercent) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const trim = Math.floor(sorted.length * trimPercent);
+  const kept = sorted.length - trim * 2 > 0 ? sorted.slice(trim, sorted.length - trim) : sorted;
+  return mean(kept);
+};
+
+const round2 = (value) => (value === null ? null : Math.round(value * 100) / 100);
+
+const groupBy = (items, key) => items.reduce((groups, item) => {
+  const value = item[key];
+  if (!groups.has(value)) groups.set(value, []);
+  groups.get(value).push(item);
+  return groups;
+}, new Map());
+
+/**
+ * Rescale every evaluation against the judge's own score distribution.
+ * Z-scores are mapped back onto the pooled mean/deviation so normalized
+ * scores stay on the familiar 0-100 scale.
+ */
+const normalizePerJudge = (evaluations, strategy) => {
+  const allScores = evaluations.map(evaluation => evaluation.score);
+  const pooledMean = mean(allScores);
+  const pooledDeviation = standardDeviation(allScores, pooledMean);
+  const adjusted = new Map();
+
+  for (const judgeEvaluations of groupBy(evaluations, 'judgeId').values()) {
+    const scores = judgeEvaluations.map(evaluation => evaluation.score);
+
+    if (strategy === 'zscore') {
+      const judgeMean = mean(scores);
+      const judgeDeviation = standardDeviation(scores, judgeMean);
+
+      judgeEvaluations.forEach((evaluation) => {
+        const z = judgeDeviation === 0 ? 0 : (evaluation.score - judgeMean) / judgeDeviation;
+        adjusted.set(evaluation, pooledMean + z * pooledDeviation);
+      });
+    } else {
+      const min = Math.min(...scores);
+      const max = Math.max(...scores);
+
+      judgeEvaluations.forEach((evaluation) => {
+        // A judge who gave everything the same score tells us nothing about
+        // relative quality, so keep their raw score
+        adjusted.set(evaluation, max === min ? evaluation.score : ((evaluation.score - min) / (max - min)) * SCORE_MAX);
+      });
+    }
+  }
+
+  return adjusted;
+};
+
+/**
+ * Aggregate evaluations into raw and normalized scores per submission
+ * @param {Object[]} evaluations - Submitted evaluations ({ submissionId, judgeId, score }) for one event round
+ * @param {Object} [settings] - Event judging settings
+ * @param {string} [settings.normalization='none'] - One of NORMALIZATION_STRATEGIES
+ * @param {number} [settings.trimPercent=0.2] - Share trimmed from each end for `trimmed_mean`
+ * @returns {Map<string, { rawScore: number, normalizedScore: number, evaluationCount: number }>}
+ */
+export const aggregateScores = (evaluations, settings = {}) => {
+  const strategy = settings.normalization || 'none';
+  const trimPercent = settings.trimPercent ?? DEFAULT_TRIM_PERCENT;
+  const scored = evaluations
+    .filter(evaluation => evaluation.score !== null && evaluation.score !== undefined)
+    .map(evaluation => ({ ...evaluation, score: parseFloat(evaluation.score) }));
+
+  const perJudge = ['zscore', 'minmax'].includes(strategy) && scored.length > 0
+    ? normalizePerJudge(scored, strategy)
+    : null;
+
+  const results = new Map();
+
+  for (const [submissionId, submissionEvaluations] of groupBy(scored, 'submissionId')) {
+    const rawScores = submissionEvaluations.map(evaluation => evaluation.score);
+    let normalizedScore;
+
+    switch (strategy) {
+      case 'zscore':
+      case 'minmax':
+        normalizedScore = mean(submissionEvaluations.map(evaluation => perJudge.get(evaluation)));
+        break;
+      case 'trimmed_mean':
+        normalizedScore = trimmedMean(rawScores, trimPercent);
+        break;
+      case 'median':
+        normalizedScore = median(rawScores);
+        break;
+      default:
+        normalizedScore = mean(rawScores);
+    }
+
+    results.set(submissionId, {
+      rawScore: round2(mean(rawScores)),
+      normalizedScore: round2(normalizedScore),
+      evaluationCount: submissionEvaluations.length,
+    });
+  }
+
+  return results;
+};
+
+/**
+ * Validate the normalization part of an event's judging settings
+ * @param {Object} settings - Event judging settings
+ * @returns {string|null} Error message, or null when valid
+ */
+export const validateNormalizationSettings = (settings = {}) => {
+  if (settings.normalization && !NORMALIZATION_STRATEGIES.includes(settings.normalization)) {
+    return `Normalization must be one of: ${NORMALIZATION_STRATEGIES.join(', ')}`;
+  }
+
+  if (settings.trimPercent !== undefined) {
+    const trimPercent = Number(settings.trimPercent);
+    if (Number.isNaN(trimPercent) || trimPercent < 0 || trimPercent >= 0.5) {
+      return 'Trim percent must be between 0 and 0.5';
+    }
+  }
+
+  return null;
+};
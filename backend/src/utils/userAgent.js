@@ -0,0 +1,34 @@
+// Checked in order: Edge and Opera also claim to be Chrome, and Chrome claims to be Safari
+const BROWSERS = [
+  ['Edge', /Edg(e|A|iOS)?\//],
+  ['Opera', /OPR\/|Opera/],
+  ['Firefox', /Firefox\/|FxiOS\//],
+  ['Chrome', /Chrome\/|CriOS\//],
+  ['Safari', /Safari\//],
+];
+
+const SYSTEMS = [
+  ['iOS', /iPhone|iPad|iPod/],
+  ['Android', /Android/],
+  ['Windows', /Windows/],
+  ['macOS', /Mac OS X|Macintosh/],
+  ['ChromeOS', /CrOS/],
+  ['Linux', /Linux/],
+];
+
+const match = (list, userAgent) => list.find(([, pattern]) => pattern.test(userAgent))?.[0];
+
+/**
+ * A short label for a device, e.g. "Firefox on Windows"
+ * @param {string} [userAgent]
+ * @returns {string|null}
+ */
+export const describeUserAgent = (userAgent) => {
+  if (!userAgent) return null;
+
+  const browser = match(BROWSERS, userAgent);
+  const system = match(SYSTEMS, userAgent);
+
+  if (browser && system) return `${browser} on ${system}`;
+  return browser || system || userAgent.split(/[\s/]/)[0].slice(0, 100) || null;
+};
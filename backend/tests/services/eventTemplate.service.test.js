@@ -0,0 +1,67 @@
+import { jest } from '@jest/globals';
+
+const Event = { create: jest.fn(async values => values), findAll: jest.fn(async () => []) };
+
+jest.unstable_mockModule('../../src/models/event.model.js', () => ({ Event }));
+jest.unstable_mockModule('../../src/models/eventJudge.model.js', () => ({ EventJudge: {} }));
+jest.unstable_mockModule('../../src/models/notification.model.js', () => ({ Notification: {} }));
+
+const { createEventFromTemplate, extractEventTemplate } = await import('../../src/services/eventTemplate.service.js');
+
+const buildEvent = (values) => ({ ...values, get: field => values[field] });
+
+describe('event templates', () => {
+  const source = buildEvent({
+    title: 'Spring Hack',
+    timezone: 'America/New_York',
+    startDate: new Date('2025-03-01T14:00:00Z'),
+    endDate: new Date('2025-03-02T22:00:00Z'),
+    schedule: [
+      { title: 'Kickoff', start: '2025-03-01T14:00:00.000Z', end: '2025-03-01T15:30:00.000Z' },
+      { title: 'Demo day', date: '2025-03-02', room: 'Hall A' },
+      { title: 'Office hours', note: 'Fridays' },
+    ],
+  });
+
+  it('keeps no dates in the saved settings', () => {
+    const { config, dateOffsets } = extractEventTemplate(source);
+
+    expect(config.schedule).toEqual([
+      { title: 'Kickoff' },
+      { title: 'Demo day', room: 'Hall A' },
+      { title: 'Office hours', note: 'Fridays' },
+    ]);
+    expect(dateOffsets).toEqual({
+      endDate: 32 * 60 * 60 * 1000,
+      schedule: [{ start: 0, end: 90 * 60 * 1000 }, {}, {}],
+      scheduleDays: [{}, { date: 1 }, {}],
+    });
+  });
+
+  it('moves schedule timestamps and dates with the new start date', async () => {
+    const event = await createEventFromTemplate(extractEventTemplate(source), {
+      title: 'Autumn Hack',
+      startDate: '2025-10-04T13:00:00Z',
+      organizerId: 'user-1',
+    });
+
+    expect(event.endDate).toEqual(new Date('2025-10-05T21:00:00Z'));
+    expect(event.schedule).toEqual([
+      { title: 'Kickoff', start: '2025-10-04T13:00:00.000Z', end: '2025-10-04T14:30:00.000Z' },
+      { title: 'Demo day', date: '2025-10-05', room: 'Hall A' },
+      { title: 'Office hours', note: 'Fridays' },
+    ]);
+  });
+
+  it('counts dates from the start day in the event timezone', async () => {
+    // 02:00 UTC on March 2nd is still March 1st in New York
+    const late = buildEvent({ ...source, startDate: new Date('2025-03-02T02:00:00Z') });
+    const event = await createEventFromTemplate(extractEventTemplate(late), {
+      title: 'Late Hack',
+      startDate: '2025-10-04T16:00:00Z',
+      organizerId: 'user-1',
+    });
+
+    expect(event.schedule[1].date).toBe('2025-10-05');
+  });
+});
@@ -0,0 +1,179 @@
+import { jest } from '@jest/globals';
+import { Op } from 'sequelize';
+
+// The service is tested against in-memory stand-ins for its models, so the
+// flow from a signed mock webhook to a confirmed registration runs without
+// a database
+const Payment = { update: jest.fn(), findBySession: jest.fn() };
+const EventParticipant = { findByPk: jest.fn() };
+const Event = { findByPk: jest.fn() };
+const User = { findByPk: jest.fn() };
+const Notification = { create: jest.fn() };
+const sendEmail = jest.fn();
+
+jest.unstable_mockModule('../../src/models/payment.model.js', () => ({ Payment }));
+jest.unstable_mockModule('../../src/models/eventParticipant.model.js', () => ({ EventParticipant }));
+jest.unstable_mockModule('../../src/models/event.model.js', () => ({ Event }));
+jest.unstable_mockModule('../../src/models/user.model.js', () => ({ User }));
+jest.unstable_mockModule('../../src/models/notification.model.js', () => ({ Notification }));
+jest.unstable_mockModule('../../src/models/promoCode.model.js', () => ({ PromoCode: {} }));
+jest.unstable_mockModule('../../src/services/email.service.js', () => ({ sendEmail }));
+jest.unstable_mockModule('../../src/utils/logger.js', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() },
+}));
+
+const { handlePaymentWebhook } = await import('../../src/services/payment.service.js');
+const { mockProvider } = await import('../../src/services/payments/mock.provider.js');
+const { PaymentWebhookError } = await import('../../src/services/payments/index.js');
+
+const SESSION_ID = 'mock_cs_test';
+
+const buildPayment = (overrides = {}) => {
+  const payment = {
+    id: '3f2c6a1e-0000-4000-8000-000000000001',
+    userId: 'user-1',
+    eventId: 'event-1',
+    participantId: 'participant-1',
+    provider: 'mock',
+    providerSessionId: SESSION_ID,
+    status: 'pending',
+    subtotal: '50.00',
+    discount: '0.00',
+    amount: '50.00',
+    currency: 'USD',
+    promoCodeId: null,
+    promoCodeHeld: false,
+    metadata: {},
+    holdPromoCode: jest.fn(),
+    releasePromoCode: jest.fn(),
+    refund: jest.fn(),
+    ...overrides,
+  };
+  payment.reload = jest.fn().mockResolvedValue(payment);
+  return payment;
+};
+
+// Apply conditional updates the way the database would
+const storeUpdates = (payment) => {
+  Payment.update.mockImplementation(async (values, { where }) => {
+    const allowed = where.status[Op.in] || [where.status];
+    if (where.id !== payment.id || !allowed.includes(payment.status)) {
+      return [0];
+    }
+    Object.assign(payment, values);
+    return [1];
+  });
+};
+
+const deliver = (type, options) => {
+  const { body, headers } = mockProvider.buildWebhook(type, SESSION_ID, options);
+  return handlePaymentWebhook('mock', body, headers);
+};
+
+describe('mock webhook → completePayment', () => {
+  let payment;
+  let participant;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.PAYMENT_WEBHOOK_SECRET = 'test-secret';
+    process.env.FRONTEND_URL = 'https://app.example.com';
+
+    payment = buildPayment();
+    participant = { id: 'participant-1', confirmPayment: jest.fn().mockResolvedValue(true) };
+
+    storeUpdates(payment);
+    Payment.findBySession.mockResolvedValue(payment);
+    EventParticipant.findByPk.mockResolvedValue(participant);
+    Event.findByPk.mockResolvedValue({ id: 'event-1', title: 'Spring Hack' });
+    User.findByPk.mockResolvedValue({ id: 'user-1', name: 'Ada', email: 'ada@example.com', locale: 'en' });
+  });
+
+  it('confirms the registration, notifies the user and emails a receipt', async () => {
+    const result = await deliver('payment.succeeded');
+
+    expect(Payment.findBySession).toHaveBeenCalledWith('mock', SESSION_ID);
+    expect(result).toBe(payment);
+    expect(payment.status).toBe('succeeded');
+    expect(payment.providerPaymentId).toMatch(/^mock_pi_/);
+    expect(payment.receiptNumber).toMatch(/^R-\d{8}-3F2C6A1E$/);
+    expect(participant.confirmPayment).toHaveBeenCalledTimes(1);
+    expect(Notification.create).toHaveBeenCalledWith(expect.objectContaining({
+      userId: 'user-1',
+      type: 'payment_received',
+    }));
+    expect(sendEmail).toHaveBeenCalledWith(expect.objectContaining({
+      to: 'ada@example.com',
+      template: 'payment-receipt',
+    }));
+    expect(payment.refund).not.toHaveBeenCalled();
+  });
+
+  it('has no further effect when the webhook is delivered again', async () => {
+    await deliver('payment.succeeded');
+    await deliver('payment.succeeded');
+
+    expect(participant.confirmPayment).toHaveBeenCalledTimes(1);
+    expect(Notification.create).toHaveBeenCalledTimes(1);
+    expect(sendEmail).toHaveBeenCalledTimes(1);
+  });
+
+  it('refunds money that arrives after the registration stopped waiting for it', async () => {
+    participant.confirmPayment.mockResolvedValue(false);
+
+    await deliver('payment.succeeded');
+
+    expect(payment.refund).toHaveBeenCalledWith('registration_not_pending');
+    expect(Notification.create).toHaveBeenCalledWith(expect.objectContaining({ type: 'payment_refunded' }));
+    expect(sendEmail).not.toHaveBeenCalled();
+  });
+
+  it('takes the promo code redemption back when the checkout had expired', async () => {
+    payment.status = 'expired';
+    payment.promoCodeId = 'promo-1';
+
+    await deliver('payment.succeeded');
+
+    expect(payment.status).toBe('succeeded');
+    expect(payment.holdPromoCode).toHaveBeenCalledTimes(1);
+  });
+
+  it('records failures and keeps the registration on hold', async () => {
+    await deliver('payment.failed', { failureReason: 'card_declined' });
+
+    expect(payment.status).toBe('failed');
+    expect(payment.failureReason).toBe('card_declined');
+    expect(participant.confirmPayment).not.toHaveBeenCalled();
+  });
+
+  it('releases the promo code when the checkout expires', async () => {
+    await deliver('checkout.expired');
+
+    expect(payment.status).toBe('expired');
+    expect(payment.releasePromoCode).toHaveBeenCalledTimes(1);
+  });
+
+  it('ignores sessions it does not know', async () => {
+    Payment.findBySession.mockResolvedValue(null);
+
+    await expect(deliver('payment.succeeded')).resolves.toBeNull();
+    expect(Payment.update).not.toHaveBeenCalled();
+  });
+
+  it('rejects webhooks with a bad signature', async () => {
+    const { body } = mockProvider.buildWebhook('payment.succeeded', SESSION_ID);
+
+    await expect(handlePaymentWebhook('mock', body, { 'x-mock-signature': 'forged' }))
+      .rejects.toBeInstanceOf(PaymentWebhookError);
+    expect(Payment.findBySession).not.toHaveBeenCalled();
+  });
+
+  it('rejects every webhook while no secret is configured', async () => {
+    const { body, headers } = mockProvider.buildWebhook('payment.succeeded', SESSION_ID);
+    delete process.env.PAYMENT_WEBHOOK_SECRET;
+
+    await expect(handlePaymentWebhook('mock', body, headers))
+      .rejects.toThrow('PAYMENT_WEBHOOK_SECRET is not configured');
+    expect(Payment.findBySession).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,97 @@
+import {
+  calculateWeightedScore,
+  parseJudgingCriteria,
+  summarizeCriteriaScores,
+  validateCriteriaScores,
+} from '../../src/utils/criteria.js';
+
+const criteria = [
+  { id: 'impact', name: 'Impact', maxScore: 10, weight: 2 },
+  { id: 'design', name: 'Design', maxScore: 5, weight: 1 },
+];
+
+describe('parseJudgingCriteria', () => {
+  it('fills in defaults', () => {
+    expect(parseJudgingCriteria([{ id: 'impact', name: 'Impact' }])).toEqual({
+      criteria: [{ id: 'impact', name: 'Impact', maxScore: 10, weight: 1, rubric: [] }],
+      errors: null,
+    });
+  });
+
+  it('treats missing criteria as none', () => {
+    expect(parseJudgingCriteria(null)).toEqual({ criteria: [], errors: null });
+  });
+
+  it('reports duplicate ids and rubric levels above the maximum', () => {
+    const { criteria: parsed, errors } = parseJudgingCriteria([
+      { id: 'impact', name: 'Impact', maxScore: 5, rubric: [{ score: 6, label: 'Excellent' }] },
+      { id: 'impact', name: 'Impact again' },
+    ]);
+
+    expect(parsed).toBeNull();
+    expect(errors).toEqual([
+      { field: 'judgingCriteria.0.rubric', message: 'Rubric level scores cannot exceed maxScore' },
+      { field: 'judgingCriteria.1.id', message: 'Duplicate criterion id "impact"' },
+    ]);
+  });
+
+  it('rejects non-positive weights and maximums', () => {
+    const { errors } = parseJudgingCriteria([{ id: 'impact', name: 'Impact', maxScore: 0, weight: -1 }]);
+
+    expect(errors.map(error => error.field)).toEqual(['judgingCriteria.0.maxScore', 'judgingCriteria.0.weight']);
+  });
+});
+
+describe('validateCriteriaScores', () => {
+  it('accepts a score for every criterion within its range', () => {
+    expect(validateCriteriaScores(criteria, { impact: 10, design: '0' })).toBeNull();
+  });
+
+  it('requires every criterion', () => {
+    expect(validateCriteriaScores(criteria, { impact: 7 })).toBe('Score for criterion "Design" is required');
+    expect(validateCriteriaScores(criteria)).toBe('Score for criterion "Impact" is required');
+  });
+
+  it.each([-1, 6, 'great'])('rejects a score of %p', (score) => {
+    expect(validateCriteriaScores(criteria, { impact: 5, design: score }))
+      .toBe('Score for criterion "Design" must be between 0 and 5');
+  });
+
+  it('rejects unknown criteria', () => {
+    expect(validateCriteriaScores(criteria, { impact: 5, design: 3, polish: 2 })).toBe('Unknown criterion "polish"');
+  });
+
+  it.each([null, 'impact=5', [5, 3], 7])('rejects %p as the scores', (criteriaScores) => {
+    expect(validateCriteriaScores(criteria, criteriaScores)).toBe('Criteria scores must be an object keyed by criterion id');
+  });
+});
+
+describe('calculateWeightedScore', () => {
+  it('weights each criterion as a share of its maximum', () => {
+    // (8/10 * 2 + 5/5 * 1) / 3
+    expect(calculateWeightedScore(criteria, { impact: 8, design: 5 })).toBe(86.67);
+    expect(calculateWeightedScore(criteria, { impact: '10', design: '5' })).toBe(100);
+  });
+
+  it('counts missing scores as zero', () => {
+    expect(calculateWeightedScore(criteria, { design: 5 })).toBe(33.33);
+  });
+
+  it('returns null without criteria', () => {
+    expect(calculateWeightedScore([], { impact: 5 })).toBeNull();
+    expect(calculateWeightedScore(null)).toBeNull();
+  });
+});
+
+describe('summarizeCriteriaScores', () => {
+  it('averages each criterion per submission, skipping missing scores', () => {
+    const summaries = summarizeCriteriaScores(criteria, [
+      { submissionId: 's1', criteriaScores: { impact: 8, design: 4 } },
+      { submissionId: 's1', criteriaScores: { impact: 7 } },
+      { submissionId: 's2', criteriaScores: null },
+    ]);
+
+    expect(summaries.get('s1')).toEqual({ impact: 7.5, design: 4 });
+    expect(summaries.get('s2')).toEqual({});
+  });
+});
@@ -0,0 +1,27 @@
+import { parseMentions, stripMentions } from '../../src/utils/mentions.js';
+
+const ada = '3f2b8c1e-5d4a-4e6f-9a7b-1c2d3e4f5a6b';
+const grace = 'a1b2c3d4-e5f6-4a7b-8c9d-0e1f2a3b4c5d';
+
+describe('parseMentions', () => {
+  it('returns unique user ids in order of first mention', () => {
+    const content = `@[Grace Hopper](${grace}) and @[Ada Lovelace](${ada}), thanks @[Grace](${grace})`;
+
+    expect(parseMentions(content)).toEqual([grace, ada]);
+  });
+
+  it('normalizes ids to lower case', () => {
+    expect(parseMentions(`@[Ada](${ada.toUpperCase()})`)).toEqual([ada]);
+  });
+
+  it('ignores plain @names and malformed ids', () => {
+    expect(parseMentions('@Ada and @[Ada](not-a-uuid)')).toEqual([]);
+    expect(parseMentions()).toEqual([]);
+  });
+});
+
+describe('stripMentions', () => {
+  it('replaces mention markup with the display name', () => {
+    expect(stripMentions(`Ping @[Ada Lovelace](${ada}) about @Grace`)).toBe('Ping @Ada Lovelace about @Grace');
+  });
+});
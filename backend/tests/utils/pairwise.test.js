@@ -0,0 +1,82 @@
+import { bradleyTerry, selectPair } from '../../src/utils/pairwise.js';
+
+const comparison = (submissionAId, submissionBId, winnerId, judgeId = 'j1') => ({
+  submissionAId,
+  submissionBId,
+  winnerId,
+  judgeId,
+});
+
+describe('bradleyTerry', () => {
+  it('ranks the winner of a head-to-head above the loser, symmetrically', () => {
+    const results = bradleyTerry(['a', 'b'], [comparison('a', 'b', 'a'), comparison('b', 'a', 'a')]);
+    const a = results.get('a');
+    const b = results.get('b');
+
+    expect(a.rawScore).toBe(100);
+    expect(b.rawScore).toBe(0);
+    expect(a.evaluationCount).toBe(2);
+    // The prior keeps an undefeated submission below certainty
+    expect(a.normalizedScore).toBeGreaterThan(50);
+    expect(a.normalizedScore).toBeLessThan(100);
+    expect(a.normalizedScore + b.normalizedScore).toBeCloseTo(100, 1);
+  });
+
+  it('counts ties as half a win', () => {
+    const results = bradleyTerry(['a', 'b'], [comparison('a', 'b', null)]);
+
+    expect(results.get('a')).toEqual({ rawScore: 50, normalizedScore: 50, evaluationCount: 1 });
+    expect(results.get('b')).toEqual({ rawScore: 50, normalizedScore: 50, evaluationCount: 1 });
+  });
+
+  it('orders a consistent chain of results', () => {
+    const results = bradleyTerry(['a', 'b', 'c'], [
+      comparison('a', 'b', 'a'),
+      comparison('b', 'c', 'b'),
+      comparison('a', 'c', 'a'),
+    ]);
+
+    const order = [...results.entries()]
+      .sort(([, x], [, y]) => y.normalizedScore - x.normalizedScore)
+      .map(([id]) => id);
+
+    expect(order).toEqual(['a', 'b', 'c']);
+  });
+
+  it('leaves out submissions without comparisons and ignores unknown ones', () => {
+    const results = bradleyTerry(['a', 'b', 'c'], [
+      comparison('a', 'b', 'a'),
+      comparison('a', 'x', 'x'),
+    ]);
+
+    expect(results.has('c')).toBe(false);
+    expect(results.has('x')).toBe(false);
+    expect(results.get('a').evaluationCount).toBe(1);
+  });
+});
+
+describe('selectPair', () => {
+  it('pairs the least-compared submission first', () => {
+    const pair = selectPair(['a', 'b', 'c'], [comparison('a', 'b', 'a', 'j2')], 'j1');
+
+    expect(pair).toContain('c');
+    expect(new Set(pair).size).toBe(2);
+  });
+
+  it('never repeats a pair for the same judge', () => {
+    const comparisons = [comparison('a', 'b', 'a'), comparison('c', 'a', 'c')];
+
+    for (let i = 0; i < 20; i++) {
+      expect([...selectPair(['a', 'b', 'c'], comparisons, 'j1')].sort()).toEqual(['b', 'c']);
+    }
+  });
+
+  it('returns null once the judge has compared every pair', () => {
+    expect(selectPair(['a', 'b'], [comparison('b', 'a', 'a')], 'j1')).toBeNull();
+    expect(selectPair(['a'], [], 'j1')).toBeNull();
+  });
+
+  it('lets other judges compare a pair again', () => {
+    expect([...selectPair(['a', 'b'], [comparison('a', 'b', 'a')], 'j2')].sort()).toEqual(['a', 'b']);
+  });
+});
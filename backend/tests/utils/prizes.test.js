@@ -0,0 +1,63 @@
+import { parsePrizeTracks } from '../../src/utils/prizes.js';
+
+const criteria = [{ id: 'impact', name: 'Impact', maxScore: 10, weight: 1 }];
+
+describe('parsePrizeTracks', () => {
+  it('fills in defaults for an overall track', () => {
+    expect(parsePrizeTracks([{ id: 'grand', name: 'Grand Prize' }])).toEqual({
+      prizes: [{
+        id: 'grand',
+        name: 'Grand Prize',
+        type: 'overall',
+        places: 1,
+        rewards: [],
+        eligibility: { minEvaluations: 1, excludePreviousWinners: false, optInRequired: false },
+      }],
+      errors: null,
+    });
+  });
+
+  it('treats missing prizes as none', () => {
+    expect(parsePrizeTracks(undefined)).toEqual({ prizes: [], errors: null });
+  });
+
+  it('makes sponsor tracks opt-in unless told otherwise', () => {
+    const { prizes } = parsePrizeTracks([
+      { id: 'acme', name: 'Acme Prize', type: 'sponsor', sponsor: 'Acme' },
+      { id: 'globex', name: 'Globex Prize', type: 'sponsor', sponsor: 'Globex', eligibility: { optInRequired: false } },
+    ]);
+
+    expect(prizes.map(track => track.eligibility.optInRequired)).toEqual([true, false]);
+  });
+
+  it('requires the fields each track type depends on', () => {
+    const { prizes, errors } = parsePrizeTracks([
+      { id: 'best-impact', name: 'Best Impact', type: 'criterion' },
+      { id: 'acme', name: 'Acme Prize', type: 'sponsor' },
+    ]);
+
+    expect(prizes).toBeNull();
+    expect(errors).toEqual([
+      { field: 'prizes.0.criterionId', message: 'criterionId is required for criterion tracks' },
+      { field: 'prizes.1.sponsor', message: 'sponsor is required for sponsor tracks' },
+    ]);
+  });
+
+  it('rejects duplicate track ids', () => {
+    expect(parsePrizeTracks([
+      { id: 'grand', name: 'Grand Prize' },
+      { id: 'grand', name: 'Runner Up' },
+    ]).errors).toEqual([
+      { field: 'prizes.1.id', message: 'Duplicate prize track id "grand"' },
+    ]);
+  });
+
+  it('checks criterion tracks against the event criteria', () => {
+    const tracks = [{ id: 'best-impact', name: 'Best Impact', type: 'criterion', criterionId: 'impact' }];
+
+    expect(parsePrizeTracks(tracks, criteria).errors).toBeNull();
+    expect(parsePrizeTracks(tracks).errors).toEqual([
+      { field: 'prizes.0.criterionId', message: 'Unknown criterion "impact"' },
+    ]);
+  });
+});
@@ -0,0 +1,170 @@
+import {
+  isFieldVisible,
+  parseRegistrationForm,
+  registrationsToCsv,
+  validateRegistrationAnswers,
+} from '../../src/utils/registrationForm.js';
+
+const parse = (form) => {
+  const { form: parsed, errors } = parseRegistrationForm(form);
+  if (errors) throw new Error(JSON.stringify(errors));
+  return parsed;
+};
+
+const form = parse([
+  { id: 'role', label: 'Role', type: 'select', required: true, options: [
+    { value: 'student', label: 'Student' },
+    { value: 'professional', label: 'Professional' },
+  ] },
+  { id: 'school', label: 'School', type: 'text', required: true, showIf: { fieldId: 'role', equals: 'student' } },
+  { id: 'age', label: 'Age', type: 'number', min: 16, max: 99 },
+  { id: 'topics', label: 'Topics', type: 'multiselect', maxSelections: 2, options: [
+    { value: 'ai', label: 'AI' },
+    { value: 'web', label: 'Web' },
+    { value: 'hardware', label: 'Hardware' },
+  ] },
+  { id: 'newsletter', label: 'Newsletter', type: 'checkbox' },
+  { id: 'resume', label: 'Resume', type: 'file', accept: ['application/pdf'], maxSizeMb: 1 },
+  { id: 'terms', label: 'Terms', type: 'consent' },
+]);
+
+describe('parseRegistrationForm', () => {
+  it('fills in defaults and always requires consent', () => {
+    const fields = Object.fromEntries(form.map(field => [field.id, field]));
+
+    expect(fields.age.required).toBe(false);
+    expect(fields.terms.required).toBe(true);
+    expect(fields.resume.maxSizeMb).toBe(1);
+    expect(fields.age.maxSizeMb).toBe(5);
+  });
+
+  it('treats a missing form as empty', () => {
+    expect(parseRegistrationForm(undefined)).toEqual({ form: [], errors: null });
+  });
+
+  it('reports field errors with their path in the request', () => {
+    const { form: parsed, errors } = parseRegistrationForm([
+      { id: 'a', label: 'A', type: 'select', options: [] },
+      { id: 'b', label: 'B', type: 'number', min: 5, max: 1 },
+    ]);
+
+    expect(parsed).toBeNull();
+    expect(errors).toEqual([
+      { field: 'registrationForm.0.options', message: 'select fields need at least one option' },
+      { field: 'registrationForm.1.min', message: 'min must not be greater than max' },
+    ]);
+  });
+
+  it('rejects duplicate ids and conditions on later fields', () => {
+    const { errors } = parseRegistrationForm([
+      { id: 'a', label: 'A', type: 'text' },
+      { id: 'a', label: 'A again', type: 'text' },
+      { id: 'c', label: 'C', type: 'text', showIf: { fieldId: 'd', notEmpty: true } },
+      { id: 'd', label: 'D', type: 'text' },
+    ]);
+
+    expect(errors).toEqual([
+      { field: 'registrationForm.1.id', message: 'Duplicate field id "a"' },
+      { field: 'registrationForm.2.showIf.fieldId', message: 'showIf must refer to an earlier field, not "d"' },
+    ]);
+  });
+});
+
+describe('isFieldVisible', () => {
+  it.each([
+    [{ equals: 'x' }, 'x', true],
+    [{ equals: 'x' }, ['y', 'x'], true],
+    [{ equals: 'x' }, 'y', false],
+    [{ in: ['x', 'y'] }, 'y', true],
+    [{ in: ['x', 'y'] }, 'z', false],
+    [{ notEmpty: true }, [], false],
+    [{ notEmpty: true }, 'z', true],
+  ])('%p with answer %p is %p', (condition, answer, visible) => {
+    const field = { id: 'b', showIf: { fieldId: 'a', ...condition } };
+    expect(isFieldVisible(field, { a: answer })).toBe(visible);
+  });
+});
+
+describe('validateRegistrationAnswers', () => {
+  const pdf = { mimetype: 'application/pdf', size: 1000 };
+
+  it('cleans valid answers and drops unknown ones', () => {
+    const { data, errors } = validateRegistrationAnswers(form, {
+      role: 'student',
+      school: '  MIT ',
+      age: '21',
+      topics: ['ai', 'ai', 'web'],
+      newsletter: 'true',
+      terms: true,
+      extra: 'ignored',
+    }, { resume: pdf });
+
+    expect(errors).toBeNull();
+    expect(data).toEqual({
+      role: 'student',
+      school: 'MIT',
+      age: 21,
+      topics: ['ai', 'web'],
+      newsletter: true,
+      resume: pdf,
+      terms: true,
+    });
+  });
+
+  it('neither requires nor keeps answers to hidden fields', () => {
+    const { data, errors } = validateRegistrationAnswers(form, {
+      role: 'professional',
+      school: 'MIT',
+      terms: true,
+    });
+
+    expect(errors).toBeNull();
+    expect(data).toEqual({ role: 'professional', newsletter: false, terms: true });
+  });
+
+  it('reports every invalid or missing answer', () => {
+    const { data, errors } = validateRegistrationAnswers(form, {
+      role: 'student',
+      age: 12,
+      topics: ['ai', 'web', 'hardware'],
+      terms: false,
+    }, { resume: { mimetype: 'image/png', size: 1000 } });
+
+    expect(data).toBeNull();
+    expect(errors).toEqual([
+      { field: 'answers.school', message: 'School is required' },
+      { field: 'answers.age', message: 'Age: Must be at least 16' },
+      { field: 'answers.topics', message: 'Topics: Choose at most 2' },
+      { field: 'answers.resume', message: 'Resume: File type must be one of: application/pdf' },
+      { field: 'answers.terms', message: 'Terms: Consent is required' },
+    ]);
+  });
+
+  it('rejects files over the size limit and options that are not listed', () => {
+    const { errors } = validateRegistrationAnswers(form, { role: 'teacher', terms: true }, {
+      resume: { ...pdf, size: 2 * 1024 * 1024 },
+    });
+
+    expect(errors).toEqual([
+      { field: 'answers.role', message: 'Role: Choose one of the listed options' },
+      { field: 'answers.resume', message: 'Resume: File must be at most 1MB' },
+    ]);
+  });
+});
+
+describe('registrationsToCsv', () => {
+  it('writes one column per field, quoted and safe for spreadsheets', () => {
+    const csv = registrationsToCsv(form.slice(0, 5), [{
+      name: 'Ada "The Countess"',
+      email: 'ada@example.com',
+      status: 'confirmed',
+      registeredAt: '2025-03-01T10:00:00.000Z',
+      answers: { role: 'student', school: '=HYPERLINK("x")', topics: ['ai', 'web'], newsletter: false },
+    }]);
+
+    expect(csv.split('\r\n')).toEqual([
+      '"Name","Email","Status","Registered at","Role","School","Age","Topics","Newsletter"',
+      '"Ada ""The Countess""","ada@example.com","confirmed","2025-03-01T10:00:00.000Z","student","\'=HYPERLINK(""x"")","","ai; web","no"',
+    ]);
+  });
+});
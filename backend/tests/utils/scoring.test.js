@@ -0,0 +1,99 @@
+import { aggregateScores, validateNormalizationSettings } from '../../src/utils/scoring.js';
+
+const evaluation = (submissionId, judgeId, score) => ({ submissionId, judgeId, score });
+
+describe('aggregateScores', () => {
+  it('averages raw scores without normalization', () => {
+    const results = aggregateScores([
+      evaluation('s1', 'j1', 80),
+      evaluation('s1', 'j2', '90.5'),
+      evaluation('s2', 'j1', 70),
+    ]);
+
+    expect(results.get('s1')).toEqual({ rawScore: 85.25, normalizedScore: 85.25, evaluationCount: 2 });
+    expect(results.get('s2')).toEqual({ rawScore: 70, normalizedScore: 70, evaluationCount: 1 });
+  });
+
+  it('skips evaluations without a score', () => {
+    const results = aggregateScores([
+      evaluation('s1', 'j1', 80),
+      evaluation('s1', 'j2', null),
+      evaluation('s2', 'j1', undefined),
+    ]);
+
+    expect(results.get('s1').evaluationCount).toBe(1);
+    expect(results.has('s2')).toBe(false);
+  });
+
+  it('takes the median', () => {
+    const results = aggregateScores(
+      [evaluation('s1', 'j1', 70), evaluation('s1', 'j2', 100), evaluation('s1', 'j3', 80)],
+      { normalization: 'median' }
+    );
+
+    expect(results.get('s1').normalizedScore).toBe(80);
+    expect(results.get('s1').rawScore).toBe(83.33);
+  });
+
+  it('trims the extremes for the trimmed mean', () => {
+    const scores = [0, 70, 80, 90, 100];
+    const results = aggregateScores(
+      scores.map((score, index) => evaluation('s1', `j${index}`, score)),
+      { normalization: 'trimmed_mean', trimPercent: 0.2 }
+    );
+
+    expect(results.get('s1')).toEqual({ rawScore: 68, normalizedScore: 80, evaluationCount: 5 });
+  });
+
+  // Judge 1 scores high and judge 2 low, but they agree s2 is better
+  const biased = [
+    evaluation('s1', 'j1', 60),
+    evaluation('s2', 'j1', 80),
+    evaluation('s1', 'j2', 20),
+    evaluation('s2', 'j2', 40),
+  ];
+
+  it('rescales each judge to 0-100 for min-max', () => {
+    const results = aggregateScores(biased, { normalization: 'minmax' });
+
+    expect(results.get('s1')).toEqual({ rawScore: 40, normalizedScore: 0, evaluationCount: 2 });
+    expect(results.get('s2')).toEqual({ rawScore: 60, normalizedScore: 100, evaluationCount: 2 });
+  });
+
+  it('keeps the raw score of a judge who gave everything the same for min-max', () => {
+    const results = aggregateScores(
+      [evaluation('s1', 'j1', 75), evaluation('s2', 'j1', 75)],
+      { normalization: 'minmax' }
+    );
+
+    expect(results.get('s1').normalizedScore).toBe(75);
+    expect(results.get('s2').normalizedScore).toBe(75);
+  });
+
+  it('maps z-scores back onto the pooled distribution', () => {
+    const results = aggregateScores(biased, { normalization: 'zscore' });
+
+    // Pooled mean 50 and deviation sqrt(500); each submission is one deviation off
+    expect(results.get('s1').normalizedScore).toBeCloseTo(50 - Math.sqrt(500), 2);
+    expect(results.get('s2').normalizedScore).toBeCloseTo(50 + Math.sqrt(500), 2);
+  });
+
+  it('returns nothing for no evaluations', () => {
+    expect(aggregateScores([], { normalization: 'zscore' }).size).toBe(0);
+  });
+});
+
+describe('validateNormalizationSettings', () => {
+  it('accepts known strategies and trim percents below one half', () => {
+    expect(validateNormalizationSettings()).toBeNull();
+    expect(validateNormalizationSettings({ normalization: 'trimmed_mean', trimPercent: '0.25' })).toBeNull();
+  });
+
+  it('rejects unknown strategies', () => {
+    expect(validateNormalizationSettings({ normalization: 'elo' })).toMatch(/^Normalization must be one of/);
+  });
+
+  it.each([-0.1, 0.5, 'half'])('rejects a trim percent of %p', (trimPercent) => {
+    expect(validateNormalizationSettings({ trimPercent })).toBe('Trim percent must be between 0 and 0.5');
+  });
+});
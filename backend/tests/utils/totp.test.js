@@ -0,0 +1,88 @@
+import {
+  base32Decode,
+  base32Encode,
+  buildOtpauthUri,
+  generateTotp,
+  generateTotpSecret,
+  getTimeStep,
+  verifyTotp,
+} from '../../src/utils/totp.js';
+
+// RFC 6238 appendix B uses the ASCII key "12345678901234567890" and
+// 8-digit codes; authenticator apps show the last 6
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+
+const RFC_VECTORS = [
+  [59, '287082'],
+  [1111111109, '081804'],
+  [1111111111, '050471'],
+  [1234567890, '005924'],
+  [2000000000, '279037'],
+  [20000000000, '353130'],
+];
+
+describe('base32', () => {
+  it('encodes the RFC test key', () => {
+    expect(RFC_SECRET).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+  });
+
+  it('decodes what it encodes, ignoring case, spaces and dashes', () => {
+    const secret = generateTotpSecret();
+    const typed = secret.toLowerCase().match(/.{1,4}/g).join(' ');
+
+    expect(base32Decode(typed)).toEqual(base32Decode(secret));
+    expect(base32Encode(base32Decode(secret))).toBe(secret);
+  });
+
+  it('rejects characters outside the alphabet', () => {
+    expect(() => base32Decode('ABC1')).toThrow('Invalid base32 character: 1');
+  });
+});
+
+describe('generateTotp', () => {
+  it.each(RFC_VECTORS)('matches the RFC 6238 vector at %i seconds', (seconds, code) => {
+    expect(generateTotp(RFC_SECRET, seconds * 1000)).toBe(code);
+  });
+});
+
+describe('verifyTotp', () => {
+  const at = 1111111111 * 1000;
+
+  it('returns the time step of a valid code', () => {
+    expect(verifyTotp(RFC_SECRET, '050471', { at })).toBe(getTimeStep(at));
+  });
+
+  it('accepts codes from the neighbouring steps only', () => {
+    const previous = generateTotp(RFC_SECRET, at - 30 * 1000);
+    const older = generateTotp(RFC_SECRET, at - 60 * 1000);
+
+    expect(verifyTotp(RFC_SECRET, previous, { at })).toBe(getTimeStep(at) - 1);
+    expect(verifyTotp(RFC_SECRET, older, { at })).toBeNull();
+    expect(verifyTotp(RFC_SECRET, older, { at, window: 2 })).toBe(getTimeStep(at) - 2);
+  });
+
+  it('ignores spaces in the code', () => {
+    expect(verifyTotp(RFC_SECRET, '050 471', { at })).toBe(getTimeStep(at));
+  });
+
+  it.each([null, '', '50471', '0504710', 'abcdef'])('rejects %p', (code) => {
+    expect(verifyTotp(RFC_SECRET, code, { at })).toBeNull();
+  });
+});
+
+describe('buildOtpauthUri', () => {
+  it('builds the URI authenticator apps expect', () => {
+    const uri = new URL(buildOtpauthUri('JBSWY3DPEHPK3PXP', { issuer: 'Synap Events', account: 'ada@example.com' }));
+
+    expect(uri.protocol).toBe('otpauth:');
+    expect(uri.host).toBe('totp');
+    expect(decodeURIComponent(uri.pathname)).toBe('/Synap Events:ada@example.com');
+    expect(Object.fromEntries(uri.searchParams)).toEqual({
+      secret: 'JBSWY3DPEHPK3PXP',
+      issuer: 'Synap Events',
+      algorithm: 'SHA1',
+      digits: '6',
+      period: '30',
+    });
+  });
+});